@@ -14,4 +14,28 @@ const pool = mysql.createPool({
     enableKeepAlive: true
 });
 
-module.exports = { pool };
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+// Run work(connection) inside a transaction. Commits when it resolves, rolls
+// back when it throws, and retries from scratch if MySQL picks it as a deadlock victim.
+const withTransaction = async (work) => {
+    for (let attempt = 1; ; attempt++) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await work(connection);
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            if (error.code === 'ER_LOCK_DEADLOCK' && attempt < MAX_TRANSACTION_ATTEMPTS) {
+                continue;
+            }
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+};
+
+module.exports = { pool, withTransaction };
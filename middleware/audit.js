@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const { maskStoredNric } = require('../services/identity');
+const notifications = require('../services/notifications');
+const volunteerHours = require('../services/volunteer-hours');
+
+// ==================== AUDIT LOG ====================
+// Every mutating route declares what it changes with audit(entity, getKey):
+//
+//   router.put('/events/:eventID', verifyToken, requirePermission('events:update'),
+//       validateRequest, audit('event', fromParam('eventID')), async (req, res) => { ... });
+//
+// The entity is loaded before the handler runs and again when it answers with
+// a 2xx/3xx status, and one AuditLog row records the actor, action, both
+// snapshots, the redacted request body, IP address and request ID. Failed
+// requests changed nothing and are not recorded. Secrets are redacted and
+// NRICs masked before anything is stored.
+
+const ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Uploaded files (base64 `file`) are not kept either; they hold many people's details
+const REDACTED_FIELDS = new Set(['password', 'otp', 'token', 'refreshToken', 'qrToken', 'code_hash', 'file']);
+const DROPPED_FIELDS = new Set(['NRIC_hash']);
+
+// ==================== REQUEST IDS ====================
+
+// Use the caller's X-Request-ID when it looks like one, otherwise make one up;
+// either way it is echoed back and stored with the audit entries
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+const assignRequestId = (req, res, next) => {
+    const incoming = req.get('X-Request-ID');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-ID', req.id);
+    next();
+};
+
+// ==================== ENTITIES ====================
+// load(key) resolves to the current state of an entity (null when it does not
+// exist); subject(key) is the userID of the person it is about, whose entries
+// are blanked if their account is erased.
+
+const pick = (row, fields) => (row ? Object.fromEntries(fields.map(field => [field, row[field] ?? null])) : null);
+
+const self = (userID) => userID;
+
+const registrationOf = (role, idField) => async (key) => {
+    const { registrations } = getRepositories();
+    const [userID, eventID] = [Number(key[idField]), Number(key.eventID)];
+
+    const event = (await registrations.listForUser(role, userID)).find(row => row.eventID === eventID);
+    if (event) {
+        return { status: 'registered', signed_at: event.signed_at };
+    }
+    const entry = (await registrations.getWaitlist(eventID)).find(row => row.userID === userID && row.role === role);
+    return entry ? { status: 'waitlisted', waitlistID: entry.waitlistID, created_at: entry.created_at } : null;
+};
+
+const ENTITIES = {
+    user: { load: (userID) => getRepositories().users.findProfile(userID), subject: self },
+    participant: { load: (userID) => getRepositories().participants.findById(userID), subject: self },
+    volunteer: { load: (userID) => getRepositories().volunteers.findById(userID), subject: self },
+    staff: { load: (userID) => getRepositories().staff.findById(userID), subject: self },
+    caregiver: {
+        load: async (userID) => pick(
+            await getRepositories().caregivers.findById(userID),
+            ['userID', 'fullName', 'role', 'image_url', 'email', 'phoneNumber']
+        ),
+        subject: self
+    },
+    session: { subject: self },
+    'participant-import': {},
+    'notification-preferences': { load: (userID) => notifications.getPreferences(userID), subject: self },
+    'erasure-request': {
+        load: async (requestID) => pick(
+            await getRepositories().privacy.findErasureRequest(requestID),
+            ['requestID', 'userID', 'status', 'requested_by', 'reviewed_by', 'review_note', 'reviewed_at']
+        )
+    },
+    event: { load: (eventID) => getRepositories().events.findById(eventID) },
+    series: { load: (seriesID) => getRepositories().series.findById(seriesID) },
+    venue: { load: (venueID) => getRepositories().venues.findById(venueID) },
+    'participant-registration': {
+        load: registrationOf('participant', 'participantID'),
+        subject: (key) => key.participantID
+    },
+    'volunteer-registration': {
+        load: registrationOf('volunteer', 'volunteerID'),
+        subject: (key) => key.volunteerID
+    },
+    'series-registration': { subject: (key) => key.userID },
+    attendance: {
+        load: async ({ eventID, userID, role }) => pick(
+            (await getRepositories().registrations.listAttendees(role, eventID)).find(row => row.userID === Number(userID)),
+            ['attendance_status', 'checked_in_at', 'checked_out_at']
+        ),
+        subject: (key) => key.userID
+    },
+    'volunteer-hours': {
+        load: async ({ volunteerID, eventID }) => pick(
+            await volunteerHours.getEventHours(volunteerID, eventID),
+            ['hours', 'source', 'adjustment']
+        ),
+        subject: (key) => key.volunteerID
+    },
+    'caregiver-link': {
+        load: ({ caregiverID, participantID }) => getRepositories().caregivers.findLink(caregiverID, participantID),
+        subject: (key) => key.participantID
+    }
+};
+
+// ==================== KEY RESOLVERS ====================
+// getKey(req, result) returns the entity's key, or undefined while it is not
+// known; result is the response body, and undefined before the handler runs.
+// fromParam and fromBody from middleware/auth.js work here too.
+
+// The logged-in user, for routes that act on your own account
+const fromUser = (req) => req.user?.userID;
+
+// Value at a dotted path of the response body, e.g. fromResult('data.requestID')
+const fromResult = (path) => (req, result) => path.split('.').reduce((value, field) => value?.[field], result);
+
+// Composite key, e.g. keyOf({ participantID: fromParam('participantID'), eventID: fromParam('eventID') });
+// stored as the values joined with ':' in field order
+const keyOf = (resolvers) => (req, result) => {
+    const key = {};
+    for (const [field, resolve] of Object.entries(resolvers)) {
+        key[field] = resolve(req, result);
+        if (key[field] === undefined || key[field] === null) {
+            return undefined;
+        }
+    }
+    return key;
+};
+
+const entityIDOf = (key) => (typeof key === 'object' ? Object.values(key).join(':') : String(key));
+
+// ==================== RECORDING ====================
+
+// Copy of a snapshot or body that is safe to keep: secrets redacted, NRICs masked
+const sanitise = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(sanitise);
+    }
+    if (!value || typeof value !== 'object' || typeof value.toJSON === 'function') {
+        return value ?? null;
+    }
+
+    const clean = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+        if (DROPPED_FIELDS.has(field)) {
+            continue;
+        }
+        if (REDACTED_FIELDS.has(field)) {
+            clean[field] = '[redacted]';
+        } else if (field === 'NRIC') {
+            clean[field] = maskStoredNric(fieldValue);
+        } else {
+            clean[field] = sanitise(fieldValue);
+        }
+    }
+    return clean;
+};
+
+// Load an entity for a snapshot; a failure is logged rather than failing the request
+const snapshot = async (definition, key) => {
+    if (key === undefined || !definition.load) {
+        return null;
+    }
+    try {
+        return (await definition.load(key)) ?? null;
+    } catch (error) {
+        console.error('❌ Audit snapshot failed:', error.message);
+        return null;
+    }
+};
+
+// options.action overrides the action derived from the method, either as a name
+// or as (req, result) => name; options.actorFromResult takes the actor from
+// `data` in the response, for logins
+const audit = (entity, getKey, options = {}) => {
+    const definition = ENTITIES[entity];
+    // Fail at startup rather than on the first request
+    if (!definition) {
+        throw new Error(`Unknown audit entity "${entity}"`);
+    }
+    const resolve = (req, result) => {
+        try {
+            return getKey ? getKey(req, result) : undefined;
+        } catch (error) {
+            return undefined;
+        }
+    };
+
+    const auditRequest = async (req, res, next) => {
+        const before = await snapshot(definition, resolve(req, undefined));
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 400) {
+                return json(body);
+            }
+
+            const key = resolve(req, body);
+            const actor = options.actorFromResult ? body?.data : req.user;
+            const action = typeof options.action === 'function' ? options.action(req, body) : options.action;
+            snapshot(definition, key)
+                .then(after => getRepositories().auditLog.record({
+                    request_id: req.id || crypto.randomUUID(),
+                    actorID: actor?.userID ?? null,
+                    actor_role: actor?.role ?? null,
+                    action: action || ACTIONS[req.method],
+                    entity,
+                    entityID: key === undefined ? null : entityIDOf(key),
+                    subjectID: key !== undefined && definition.subject ? Number(definition.subject(key)) : null,
+                    method: req.method,
+                    path: req.originalUrl.split('?')[0].slice(0, 255),
+                    status_code: res.statusCode,
+                    before_data: sanitise(before),
+                    after_data: sanitise(after),
+                    request_body: sanitise(req.body),
+                    ip_address: req.ip || null
+                }))
+                // The change itself has been made, so a missing audit entry must not fail the response
+                .catch(error => console.error('❌ Could not write audit log:', error.message))
+                .finally(() => json(body));
+            return res;
+        };
+
+        next();
+    };
+    return auditRequest;
+};
+
+module.exports = {
+    ENTITIES,
+    assignRequestId,
+    audit,
+    fromUser,
+    fromResult,
+    keyOf
+};
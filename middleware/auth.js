@@ -0,0 +1,159 @@
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, isSessionActive } = require('../services/tokens');
+
+// ==================== PERMISSION MATRIX ====================
+// permission -> role -> scope
+//   'any' : the role may act on any record
+//   'own' : the role may only act on records that belong to them (see requirePermission)
+// Roles missing from an entry are denied.
+const PERMISSIONS = {
+    // Users
+    'users:read': { staff: 'any' },
+    'users:create': { staff: 'any' },
+    'users:update': { staff: 'own', volunteer: 'own', participant: 'own', caregiver: 'own' },
+    'users:delete': { staff: 'own', volunteer: 'own', participant: 'own', caregiver: 'own' },
+
+    // Personal data (PDPA): staff can export on someone's behalf and review erasure requests
+    'personal-data:export': { staff: 'any', volunteer: 'own', participant: 'own', caregiver: 'own' },
+    'erasure-requests:review': { staff: 'any' },
+
+    // Audit log of every change made through the API
+    'audit-log:read': { staff: 'any' },
+
+    // Participants
+    'participants:read': { staff: 'any' },
+    'participants:create': { staff: 'any' },
+    'participants:update': { staff: 'any', participant: 'own' },
+    'participants:delete': { staff: 'any' },
+
+    // Volunteers
+    'volunteers:read': { staff: 'any' },
+    'volunteers:update': { staff: 'any', volunteer: 'own' },
+    'volunteers:delete': { staff: 'any' },
+    'volunteer-hours:read': { staff: 'any', volunteer: 'own' },
+    'volunteer-hours:adjust': { staff: 'any' },
+
+    // Staff
+    'staff:read': { staff: 'any' },
+    'staff:create': { staff: 'any' },
+    'staff:update': { staff: 'any' },
+    'staff:delete': { staff: 'any' },
+
+    // Caregivers
+    'caregivers:read': { staff: 'any' },
+    'dependants:manage': { caregiver: 'any' },
+    'caregiver-consent:manage': { participant: 'any' },
+
+    // Events
+    'events:create': { staff: 'any' },
+    'events:update': { staff: 'any' },
+    'events:delete': { staff: 'any' },
+    // Draft events are hidden from everyone else
+    'event-drafts:read': { staff: 'any' },
+    'event-rosters:read': { staff: 'any', volunteer: 'any' },
+    // Downloads with participants' contact details and ages
+    'event-rosters:export': { staff: 'any' },
+    'attendance:manage': { staff: 'any', volunteer: 'any' },
+    // Admitting a walk-in to a full event
+    'attendance:override-capacity': { staff: 'any' },
+
+    // Venues (anyone can list them)
+    'venues:manage': { staff: 'any' },
+
+    // Registrations
+    'participant-registrations:read': { staff: 'any', participant: 'own' },
+    'participant-registrations:write': { staff: 'any', participant: 'own' },
+    'volunteer-registrations:read': { staff: 'any', volunteer: 'own' },
+    'volunteer-registrations:write': { staff: 'any', volunteer: 'own' },
+
+    // Analytics dashboard
+    'analytics:read': { staff: 'any' },
+
+    // Notifications
+    'notifications:read': { staff: 'any' }
+};
+
+// ==================== MIDDLEWARE ====================
+
+// Verify JWT token middleware - also rejects tokens whose session was revoked
+const verifyToken = async (req, res, next) => {
+    let decoded;
+    try {
+        const authHeader = req.headers.authorization;
+        if (!authHeader) {
+            return res.status(401).json({ success: false, error: 'Authorization header missing' });
+        }
+        
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+        
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+    
+    try {
+        if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+            return res.status(401).json({ success: false, error: 'Token has been revoked' });
+        }
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+    
+    req.user = decoded;
+    next();
+};
+
+// For public routes whose response depends on who is asking: a token, when
+// sent, is checked as by verifyToken; without one the request stays anonymous
+const optionalToken = (req, res, next) => (req.headers.authorization ? verifyToken(req, res, next) : next());
+
+// Look up the scope a role has for a permission (undefined when denied)
+const getScope = (role, permission) => {
+    const grants = PERMISSIONS[permission];
+    if (!grants) {
+        throw new Error(`Unknown permission "${permission}"`);
+    }
+    return grants[role];
+};
+
+// Whether a (possibly anonymous) user holds a permission on any record
+const hasPermission = (user, permission) => Boolean(user) && getScope(user.role, permission) === 'any';
+
+// Allow the request only if the user's role holds the permission. Use after verifyToken.
+// getOwnerID(req) returns the userID a record belongs to; it is required for permissions
+// granted with 'own' scope, and the request is refused unless it matches the caller.
+const requirePermission = (permission, getOwnerID) => {
+    // Fail at startup rather than on the first request
+    getScope(undefined, permission);
+
+    return (req, res, next) => {
+        const scope = getScope(req.user.role, permission);
+
+        if (!scope) {
+            return res.status(403).json({ success: false, error: 'You do not have permission to perform this action' });
+        }
+
+        if (scope === 'own') {
+            const ownerID = getOwnerID ? getOwnerID(req) : undefined;
+            if (ownerID === undefined || Number(ownerID) !== Number(req.user.userID)) {
+                return res.status(403).json({ success: false, error: 'You can only access your own records' });
+            }
+        }
+
+        next();
+    };
+};
+
+// Owner resolvers for requirePermission
+const fromParam = (name) => (req) => req.params[name];
+const fromBody = (name) => (req) => req.body[name];
+
+module.exports = {
+    PERMISSIONS,
+    verifyToken,
+    optionalToken,
+    requirePermission,
+    hasPermission,
+    fromParam,
+    fromBody
+};
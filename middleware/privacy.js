@@ -0,0 +1,38 @@
+const { maskStoredNric } = require('../services/identity');
+
+// ==================== RESPONSE PRIVACY ====================
+// Every JSON response goes through maskNrics: NRIC fields anywhere in the body
+// are replaced by their masked form (S****567A) and the NRIC_hash lookup column
+// is dropped, so queries selecting u.* cannot leak them. A route that must
+// return a full NRIC sets res.locals.revealNric = true and decrypts it itself.
+
+const HIDDEN_FIELDS = new Set(['NRIC_hash']);
+
+const maskValue = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(maskValue);
+    }
+    // Leave Dates, Buffers and anything else that serialises itself alone
+    if (!value || typeof value !== 'object' || typeof value.toJSON === 'function') {
+        return value;
+    }
+
+    const masked = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (HIDDEN_FIELDS.has(key)) {
+            continue;
+        }
+        masked[key] = key === 'NRIC' ? maskStoredNric(field) : maskValue(field);
+    }
+    return masked;
+};
+
+const maskNrics = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.locals.revealNric ? body : maskValue(body));
+    next();
+};
+
+module.exports = {
+    maskNrics
+};
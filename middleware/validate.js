@@ -0,0 +1,231 @@
+const swaggerSpecs = require('../swagger');
+const identity = require('../services/identity');
+
+// ==================== REQUEST VALIDATION ====================
+// Checks path parameters, query strings and JSON bodies against the operation
+// documented for the route in the @swagger blocks of routes/api.js, so the
+// docs and the checks cannot drift apart. Supports the subset of OpenAPI 3.0
+// schemas the API uses: type, nullable, enum, required, properties, items,
+// minLength/maxLength, pattern, minimum/maximum, minItems/maxItems, format
+// (date, date-time, email, plus nric and sg-mobile from services/identity.js),
+// $ref to components/schemas, plus `x-after: <field>` for a date-time that
+// must come after a sibling field.
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// Date parsing rolls 2099-02-30 over into March, so compare the date back
+const isCalendarDate = (value) => DATE.test(value) && isValidDate(`${value}T00:00:00Z`) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+const FORMATS = {
+    date: isCalendarDate,
+    'date-time': (value) => DATE_TIME.test(value) && isCalendarDate(value.slice(0, 10)) &&
+        isValidDate(value.replace(' ', 'T')),
+    email: (value) => EMAIL.test(value),
+    nric: identity.isValidNric,
+    'sg-mobile': identity.isValidSgMobile
+};
+
+const FORMAT_NAMES = {
+    date: 'a date (YYYY-MM-DD)',
+    'date-time': 'a date and time',
+    email: 'an email address',
+    nric: 'a valid NRIC or FIN',
+    'sg-mobile': 'a Singapore mobile number (8 digits starting with 8 or 9)'
+};
+
+const resolve = (schema) => {
+    if (!schema || !schema.$ref) {
+        return schema || {};
+    }
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    const resolved = swaggerSpecs.components.schemas[name];
+    if (!resolved) {
+        throw new Error(`Unknown schema reference "${schema.$ref}"`);
+    }
+    return resolved;
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (type, value) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const TYPE_NAMES = {
+    integer: 'an integer',
+    number: 'a number',
+    string: 'a string',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list'
+};
+
+// Append one entry to `errors` per problem found with `value`
+const checkValue = (schema, value, field, location, errors) => {
+    schema = resolve(schema);
+    const fail = (message) => errors.push({ in: location, field, message: `${field} ${message}` });
+
+    if (value === null) {
+        if (!schema.nullable) {
+            fail('must not be null');
+        }
+        return;
+    }
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        return fail(`must be ${TYPE_NAMES[schema.type] || schema.type}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail(`must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return fail('is not in the expected format');
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            return fail(`must be ${FORMAT_NAMES[schema.format]}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail(`must have at most ${schema.maxItems} items`);
+        }
+        value.forEach((item, index) => checkValue(schema.items, item, `${field}[${index}]`, location, errors));
+    }
+
+    if (typeOf(value) === 'object' && (schema.properties || schema.required)) {
+        checkObject(schema, value, `${field}.`, location, errors);
+    }
+};
+
+const checkObject = (schema, object, prefix, location, errors) => {
+    for (const name of schema.required || []) {
+        if (object[name] === undefined || object[name] === '') {
+            errors.push({ in: location, field: `${prefix}${name}`, message: `${prefix}${name} is required` });
+        }
+    }
+
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        const value = object[name];
+        if (value === undefined || (value === '' && (schema.required || []).includes(name))) {
+            continue;
+        }
+
+        const before = errors.length;
+        checkValue(propertySchema, value, `${prefix}${name}`, location, errors);
+
+        // Cross-field ordering, e.g. end_time after start_time
+        const after = resolve(propertySchema)['x-after'];
+        if (after && errors.length === before && typeof object[after] === 'string' &&
+            new Date(value.replace(' ', 'T')) <= new Date(object[after].replace(' ', 'T'))) {
+            errors.push({ in: location, field: `${prefix}${name}`, message: `${prefix}${name} must be after ${prefix}${after}` });
+        }
+    }
+};
+
+// Path and query values arrive as strings; read them as the documented type
+const coerce = (schema, value) => {
+    const { type } = resolve(schema);
+    if ((type === 'integer' || type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+};
+
+const checkParameters = (parameters, req, errors) => {
+    const sources = { path: req.params, query: req.query };
+
+    for (const parameter of parameters) {
+        const source = sources[parameter.in];
+        if (!source) {
+            continue;
+        }
+
+        const value = source[parameter.name];
+        if (value === undefined || value === '') {
+            if (parameter.required) {
+                errors.push({ in: parameter.in, field: parameter.name, message: `${parameter.name} is required` });
+            }
+            continue;
+        }
+        if (typeof value !== 'string') {
+            errors.push({ in: parameter.in, field: parameter.name, message: `${parameter.name} must be given once` });
+            continue;
+        }
+        checkValue(parameter.schema, coerce(parameter.schema, value), parameter.name, parameter.in, errors);
+    }
+};
+
+// Express route path (/events/:eventID) to its documented path (/api/events/{eventID})
+const specPath = (req) => `${req.baseUrl}${req.route.path}`.replace(/:(\w+)/g, '{$1}');
+
+const findOperation = (req) => {
+    const operations = swaggerSpecs.paths[specPath(req)];
+    return operations && operations[req.method.toLowerCase()];
+};
+
+// Route middleware; put it after verifyToken/requirePermission so callers
+// without access get 401/403 rather than a list of field errors
+const validateRequest = (req, res, next) => {
+    const operation = findOperation(req);
+    if (!operation) {
+        return next(new Error(`No API documentation for ${req.method} ${specPath(req)}`));
+    }
+
+    const errors = [];
+    checkParameters(operation.parameters || [], req, errors);
+
+    const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+    if (bodySchema) {
+        const body = req.body === undefined ? {} : req.body;
+        if (typeOf(body) !== 'object') {
+            errors.push({ in: 'body', field: 'body', message: 'body must be a JSON object' });
+        } else {
+            checkObject(resolve(bodySchema), body, '', 'body', errors);
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors[0].message, errors });
+    }
+    next();
+};
+
+module.exports = {
+    validateRequest
+};
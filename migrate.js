@@ -0,0 +1,154 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+// ==================== MIGRATIONS ====================
+// Applies the numbered files in migrations/ in order and records each one in
+// SchemaMigration. A migration exports `up` and `down` lists whose steps are
+// SQL strings or async (connection) => {} functions for data changes.
+//
+//   npm run migrate                  apply every pending migration
+//   node migrate.js up [name]        apply pending migrations up to and including name
+//   node migrate.js down [steps]     roll back the last migration (or the last n)
+//   node migrate.js status           list applied and pending migrations
+//   node migrate.js baseline <name>  mark migrations up to name as applied without
+//                                    running them (for a database whose tables already exist)
+//
+// MySQL commits DDL implicitly, so a migration that fails halfway is not
+// rolled back; its steps use IF NOT EXISTS where they can so it can be re-run.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'lumen_schema_migrations';
+
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+        name: file.replace(/\.js$/, ''),
+        ...require(path.join(MIGRATIONS_DIR, file))
+    }));
+
+const ensureMigrationsTable = (connection) => connection.query(`
+    CREATE TABLE IF NOT EXISTS SchemaMigration (
+        name VARCHAR(255) NOT NULL PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+`);
+
+const getApplied = async (connection) => {
+    const [rows] = await connection.query('SELECT name, applied_at FROM SchemaMigration ORDER BY name');
+    return new Map(rows.map(row => [row.name, row.applied_at]));
+};
+
+const runSteps = async (connection, steps) => {
+    for (const step of steps) {
+        if (typeof step === 'function') {
+            await step(connection);
+        } else {
+            await connection.query(step);
+        }
+    }
+};
+
+// Resolve a migration name given in full or by its number prefix
+const findMigration = (migrations, name) => {
+    const migration = migrations.find(entry => entry.name === name || entry.name.split('-')[0] === name);
+    if (!migration) {
+        throw new Error(`Unknown migration "${name}"`);
+    }
+    return migration;
+};
+
+const up = async (connection, migrations, target) => {
+    const applied = await getApplied(connection);
+    const last = target ? migrations.indexOf(findMigration(migrations, target)) : migrations.length - 1;
+    const pending = migrations.slice(0, last + 1).filter(migration => !applied.has(migration.name));
+
+    if (pending.length === 0) {
+        console.log('✅ Database is up to date');
+        return;
+    }
+
+    for (const migration of pending) {
+        console.log(`⬆️  ${migration.name}`);
+        await runSteps(connection, migration.up);
+        await connection.query('INSERT INTO SchemaMigration (name) VALUES (?)', [migration.name]);
+    }
+    console.log(`✅ Applied ${pending.length} migration(s)`);
+};
+
+const down = async (connection, migrations, steps = 1) => {
+    const applied = await getApplied(connection);
+    const toRevert = migrations.filter(migration => applied.has(migration.name)).reverse().slice(0, steps);
+
+    if (toRevert.length === 0) {
+        console.log('Nothing to roll back');
+        return;
+    }
+
+    for (const migration of toRevert) {
+        console.log(`⬇️  ${migration.name}`);
+        await runSteps(connection, migration.down);
+        await connection.query('DELETE FROM SchemaMigration WHERE name = ?', [migration.name]);
+    }
+    console.log(`✅ Rolled back ${toRevert.length} migration(s)`);
+};
+
+const status = async (connection, migrations) => {
+    const applied = await getApplied(connection);
+    for (const migration of migrations) {
+        const appliedAt = applied.get(migration.name);
+        console.log(`${appliedAt ? '✅' : '⏳'} ${migration.name}${appliedAt ? `  (${new Date(appliedAt).toISOString()})` : ''}`);
+    }
+};
+
+const baseline = async (connection, migrations, target) => {
+    if (!target) {
+        throw new Error('Usage: node migrate.js baseline <name>');
+    }
+    const last = migrations.indexOf(findMigration(migrations, target));
+    for (const migration of migrations.slice(0, last + 1)) {
+        await connection.query('INSERT IGNORE INTO SchemaMigration (name) VALUES (?)', [migration.name]);
+    }
+    console.log(`✅ Marked migrations up to ${migrations[last].name} as applied`);
+};
+
+const main = async () => {
+    const [command = 'up', argument] = process.argv.slice(2);
+    const commands = {
+        up: (connection, migrations) => up(connection, migrations, argument),
+        down: (connection, migrations) => down(connection, migrations, argument ? parseInt(argument) : 1),
+        status,
+        baseline: (connection, migrations) => baseline(connection, migrations, argument)
+    };
+
+    if (!commands[command]) {
+        throw new Error(`Unknown command "${command}" (use up, down, status or baseline)`);
+    }
+
+    const migrations = loadMigrations();
+    const connection = await pool.getConnection();
+    try {
+        // Keep two deploys from migrating at the same time
+        const [lock] = await connection.query('SELECT GET_LOCK(?, 30) as acquired', [LOCK_NAME]);
+        if (!lock[0].acquired) {
+            throw new Error('Another migration is running');
+        }
+        try {
+            await ensureMigrationsTable(connection);
+            await commands[command](connection, migrations);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    } finally {
+        connection.release();
+    }
+};
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
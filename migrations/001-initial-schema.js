@@ -0,0 +1,79 @@
+// Core tables as routes/api.js uses them: users and their role tables,
+// events and the participant/volunteer registrations
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS User (
+            userID INT AUTO_INCREMENT PRIMARY KEY,
+            fullName VARCHAR(255) NOT NULL,
+            NRIC VARCHAR(20) NULL UNIQUE,
+            role ENUM('participant', 'volunteer', 'staff') NOT NULL,
+            image_url VARCHAR(500) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS Participant (
+            userID INT NOT NULL PRIMARY KEY,
+            phoneNumber VARCHAR(20) NOT NULL UNIQUE,
+            birthdate DATE NULL,
+            full_name VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userID) REFERENCES User(userID) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS Volunteers (
+            userID INT NOT NULL PRIMARY KEY,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            password VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userID) REFERENCES User(userID) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS Staff (
+            userID INT NOT NULL PRIMARY KEY,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            password VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userID) REFERENCES User(userID) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS Event (
+            eventID INT AUTO_INCREMENT PRIMARY KEY,
+            eventName VARCHAR(255) NOT NULL,
+            eventDescription TEXT,
+            disabled_friendly BOOLEAN DEFAULT FALSE,
+            start_time DATETIME NOT NULL,
+            end_time DATETIME NOT NULL,
+            location VARCHAR(255),
+            additional_information TEXT,
+            created_by INT NULL,
+            max_participants INT NULL,
+            max_volunteers INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_event_start (start_time),
+            FOREIGN KEY (created_by) REFERENCES User(userID) ON DELETE SET NULL
+        )`,
+        `CREATE TABLE IF NOT EXISTS ParticipantEvent (
+            participantID INT NOT NULL,
+            eventID INT NOT NULL,
+            signed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (participantID, eventID),
+            INDEX idx_participant_event_event (eventID),
+            FOREIGN KEY (participantID) REFERENCES User(userID) ON DELETE CASCADE,
+            FOREIGN KEY (eventID) REFERENCES Event(eventID) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS VolunteerEvent (
+            volunteerID INT NOT NULL,
+            eventID INT NOT NULL,
+            signed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (volunteerID, eventID),
+            INDEX idx_volunteer_event_event (eventID),
+            FOREIGN KEY (volunteerID) REFERENCES User(userID) ON DELETE CASCADE,
+            FOREIGN KEY (eventID) REFERENCES Event(eventID) ON DELETE CASCADE
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS VolunteerEvent',
+        'DROP TABLE IF EXISTS ParticipantEvent',
+        'DROP TABLE IF EXISTS Event',
+        'DROP TABLE IF EXISTS Staff',
+        'DROP TABLE IF EXISTS Volunteers',
+        'DROP TABLE IF EXISTS Participant',
+        'DROP TABLE IF EXISTS User'
+    ]
+};
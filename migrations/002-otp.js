@@ -0,0 +1,16 @@
+// One-time passwords for participant phone verification
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS ParticipantOTP (
+            phoneNumber VARCHAR(20) NOT NULL PRIMARY KEY,
+            code_hash VARCHAR(255) NOT NULL,
+            expires_at DATETIME NOT NULL,
+            attempts INT NOT NULL DEFAULT 0,
+            last_sent_at DATETIME NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS ParticipantOTP'
+    ]
+};
@@ -0,0 +1,33 @@
+// Caregivers manage and register on behalf of linked participants
+module.exports = {
+    up: [
+        `ALTER TABLE User MODIFY role ENUM('participant', 'volunteer', 'staff', 'caregiver') NOT NULL`,
+        `CREATE TABLE IF NOT EXISTS Caregiver (
+            userID INT NOT NULL PRIMARY KEY,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            password VARCHAR(255) NOT NULL,
+            phoneNumber VARCHAR(20),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userID) REFERENCES User(userID)
+        )`,
+        // A link is only usable once the participant has consented (status = 'active')
+        `CREATE TABLE IF NOT EXISTS CaregiverParticipant (
+            caregiverID INT NOT NULL,
+            participantID INT NOT NULL,
+            relationship VARCHAR(50),
+            status ENUM('pending', 'active', 'revoked') NOT NULL DEFAULT 'pending',
+            requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            consented_at DATETIME NULL,
+            revoked_at DATETIME NULL,
+            PRIMARY KEY (caregiverID, participantID),
+            FOREIGN KEY (caregiverID) REFERENCES Caregiver(userID),
+            FOREIGN KEY (participantID) REFERENCES Participant(userID)
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS CaregiverParticipant',
+        'DROP TABLE IF EXISTS Caregiver',
+        "DELETE FROM User WHERE role = 'caregiver'",
+        "ALTER TABLE User MODIFY role ENUM('participant', 'volunteer', 'staff') NOT NULL"
+    ]
+};
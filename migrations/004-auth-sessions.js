@@ -0,0 +1,30 @@
+// Login sessions and their rotating refresh tokens
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS AuthSession (
+            sessionID CHAR(36) NOT NULL PRIMARY KEY,
+            userID INT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME NULL,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME NULL,
+            user_agent VARCHAR(255),
+            ip_address VARCHAR(45),
+            INDEX idx_auth_session_user (userID),
+            FOREIGN KEY (userID) REFERENCES User(userID) ON DELETE CASCADE
+        )`,
+        // Only the SHA-256 hash of a refresh token is stored; each one is single-use
+        `CREATE TABLE IF NOT EXISTS RefreshToken (
+            token_hash CHAR(64) NOT NULL PRIMARY KEY,
+            sessionID CHAR(36) NOT NULL,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sessionID) REFERENCES AuthSession(sessionID) ON DELETE CASCADE
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS RefreshToken',
+        'DROP TABLE IF EXISTS AuthSession'
+    ]
+};
@@ -0,0 +1,32 @@
+// Ordered waitlists per event and role; rows are kept after promotion for history
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS EventWaitlist (
+            waitlistID INT AUTO_INCREMENT PRIMARY KEY,
+            eventID INT NOT NULL,
+            userID INT NOT NULL,
+            role ENUM('participant', 'volunteer') NOT NULL,
+            status ENUM('waiting', 'promoted', 'removed') NOT NULL DEFAULT 'waiting',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            promoted_at DATETIME NULL,
+            INDEX idx_waitlist_queue (eventID, role, status, waitlistID),
+            FOREIGN KEY (eventID) REFERENCES Event(eventID) ON DELETE CASCADE,
+            FOREIGN KEY (userID) REFERENCES User(userID) ON DELETE CASCADE
+        )`,
+        // Every join, leave, promotion and skipped promotion
+        `CREATE TABLE IF NOT EXISTS WaitlistAudit (
+            auditID INT AUTO_INCREMENT PRIMARY KEY,
+            eventID INT NOT NULL,
+            userID INT NOT NULL,
+            role ENUM('participant', 'volunteer') NOT NULL,
+            action ENUM('joined', 'left', 'promoted', 'skipped') NOT NULL,
+            reason VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_waitlist_audit_event (eventID)
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS WaitlistAudit',
+        'DROP TABLE IF EXISTS EventWaitlist'
+    ]
+};
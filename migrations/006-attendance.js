@@ -0,0 +1,24 @@
+// Check-in/out per registration. Registrations without a row are still
+// 'registered' (or 'no_show' once the event has ended).
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS EventAttendance (
+            eventID INT NOT NULL,
+            userID INT NOT NULL,
+            role ENUM('participant', 'volunteer') NOT NULL,
+            status ENUM('attended', 'cancelled') NOT NULL,
+            method ENUM('qr', 'manual', 'walk_in') NULL,
+            checked_in_at DATETIME NULL,
+            checked_out_at DATETIME NULL,
+            checked_in_by INT NULL,
+            cancelled_at DATETIME NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (eventID, userID, role),
+            FOREIGN KEY (eventID) REFERENCES Event(eventID) ON DELETE CASCADE,
+            FOREIGN KEY (userID) REFERENCES User(userID) ON DELETE CASCADE
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS EventAttendance'
+    ]
+};
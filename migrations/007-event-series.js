@@ -0,0 +1,37 @@
+// Recurring events: the series holds the template and recurrence rule,
+// each occurrence is a normal Event row linked back to it
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS EventSeries (
+            seriesID INT AUTO_INCREMENT PRIMARY KEY,
+            eventName VARCHAR(255) NOT NULL,
+            eventDescription TEXT,
+            disabled_friendly BOOLEAN DEFAULT FALSE,
+            location VARCHAR(255),
+            additional_information TEXT,
+            max_participants INT NULL,
+            max_volunteers INT NULL,
+            created_by INT NOT NULL,
+            first_start_time DATETIME NOT NULL,
+            duration_minutes INT NOT NULL,
+            frequency ENUM('daily', 'weekly', 'monthly') NOT NULL,
+            interval_count INT NOT NULL DEFAULT 1,
+            by_weekday VARCHAR(20) NULL,
+            until_date DATE NULL,
+            occurrence_count INT NULL,
+            exception_dates TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES User(userID)
+        )`,
+        `ALTER TABLE Event
+            ADD COLUMN seriesID INT NULL,
+            ADD COLUMN occurrence_date DATE NULL,
+            ADD INDEX idx_event_series (seriesID, start_time),
+            ADD CONSTRAINT fk_event_series FOREIGN KEY (seriesID) REFERENCES EventSeries(seriesID) ON DELETE SET NULL`
+    ],
+    down: [
+        'ALTER TABLE Event DROP FOREIGN KEY fk_event_series',
+        'ALTER TABLE Event DROP INDEX idx_event_series, DROP COLUMN seriesID, DROP COLUMN occurrence_date',
+        'DROP TABLE IF EXISTS EventSeries'
+    ]
+};
@@ -0,0 +1,36 @@
+module.exports = {
+    up: [
+        // Per-user channel choices; users without a row get their role's default
+        // (SMS for participants, email for everyone else)
+        `CREATE TABLE IF NOT EXISTS NotificationPreference (
+            userID INT NOT NULL,
+            channel ENUM('sms', 'email') NOT NULL,
+            enabled BOOLEAN NOT NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (userID, channel),
+            FOREIGN KEY (userID) REFERENCES User(userID) ON DELETE CASCADE
+        )`,
+        // Every notification attempt. eventID is kept without a foreign key so
+        // cancellation notices outlive the deleted event.
+        `CREATE TABLE IF NOT EXISTS NotificationLog (
+            notificationID INT AUTO_INCREMENT PRIMARY KEY,
+            userID INT NOT NULL,
+            eventID INT NULL,
+            template VARCHAR(50) NOT NULL,
+            channel ENUM('sms', 'email') NOT NULL,
+            recipient VARCHAR(255) NULL,
+            subject VARCHAR(255) NULL,
+            message TEXT NOT NULL,
+            status ENUM('sent', 'failed', 'skipped') NOT NULL,
+            error VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_notification_user (userID, created_at),
+            INDEX idx_notification_event (eventID),
+            FOREIGN KEY (userID) REFERENCES User(userID) ON DELETE CASCADE
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS NotificationLog',
+        'DROP TABLE IF EXISTS NotificationPreference'
+    ]
+};
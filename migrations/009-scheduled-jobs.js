@@ -0,0 +1,26 @@
+// Background jobs run by services/scheduler.js. A job is claimed by one
+// server instance at a time (locked_by/locked_until); job_key lets callers
+// reschedule or cancel a job they scheduled earlier.
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS ScheduledJob (
+            jobID INT AUTO_INCREMENT PRIMARY KEY,
+            job_key VARCHAR(191) NULL UNIQUE,
+            type VARCHAR(50) NOT NULL,
+            payload TEXT,
+            run_at DATETIME NOT NULL,
+            status ENUM('pending', 'running', 'done', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            max_attempts INT NOT NULL DEFAULT 5,
+            last_error VARCHAR(255) NULL,
+            locked_by VARCHAR(100) NULL,
+            locked_until DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_job_due (status, run_at)
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS ScheduledJob'
+    ]
+};
@@ -0,0 +1,58 @@
+const identity = require('../services/identity');
+
+// NRICs are stored encrypted with NRIC_ENCRYPTION_KEY (run with the same key
+// as the server), plus a keyed hash for lookups; the unique key moves to the
+// hash because the same NRIC encrypts differently each time. Participant phone
+// numbers are rewritten as +65XXXXXXXX so lookups match the normalised input;
+// that step is not undone by `down`.
+const encryptExisting = async (connection) => {
+    const [users] = await connection.query('SELECT userID, NRIC FROM User WHERE NRIC IS NOT NULL');
+    for (const user of users) {
+        if (!identity.isEncrypted(user.NRIC)) {
+            await connection.query(
+                'UPDATE User SET NRIC = ?, NRIC_hash = ? WHERE userID = ?',
+                [identity.encryptNric(user.NRIC), identity.nricIndex(user.NRIC), user.userID]
+            );
+        }
+    }
+};
+
+const decryptExisting = async (connection) => {
+    const [users] = await connection.query('SELECT userID, NRIC FROM User WHERE NRIC IS NOT NULL');
+    for (const user of users) {
+        if (identity.isEncrypted(user.NRIC)) {
+            await connection.query('UPDATE User SET NRIC = ? WHERE userID = ?', [identity.decryptNric(user.NRIC), user.userID]);
+        }
+    }
+};
+
+const normalisePhoneNumbers = async (connection) => {
+    const [participants] = await connection.query('SELECT userID, phoneNumber FROM Participant');
+    const taken = new Set(participants.map(participant => participant.phoneNumber));
+
+    for (const { userID, phoneNumber } of participants) {
+        const normalised = identity.normalizePhone(phoneNumber);
+        if (normalised === phoneNumber) {
+            continue;
+        }
+        if (taken.has(normalised)) {
+            console.warn(`   Participant ${userID}: ${phoneNumber} is also registered as ${normalised}; left unchanged`);
+            continue;
+        }
+        await connection.query('UPDATE Participant SET phoneNumber = ? WHERE userID = ?', [normalised, userID]);
+        taken.add(normalised);
+    }
+};
+
+module.exports = {
+    up: [
+        'ALTER TABLE User MODIFY NRIC VARCHAR(255) NULL, ADD COLUMN NRIC_hash CHAR(64) NULL UNIQUE',
+        'ALTER TABLE User DROP INDEX NRIC',
+        encryptExisting,
+        normalisePhoneNumbers
+    ],
+    down: [
+        decryptExisting,
+        'ALTER TABLE User DROP COLUMN NRIC_hash, MODIFY NRIC VARCHAR(20) NULL, ADD UNIQUE INDEX NRIC (NRIC)'
+    ]
+};
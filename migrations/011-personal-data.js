@@ -0,0 +1,36 @@
+// Erasure requests reviewed by staff, and an audit trail of exports and
+// erasures that outlives the personal data it describes (no foreign keys).
+// Erased users keep their User row, marked with anonymised_at.
+module.exports = {
+    up: [
+        'ALTER TABLE User ADD COLUMN anonymised_at DATETIME NULL',
+        `CREATE TABLE IF NOT EXISTS ErasureRequest (
+            requestID INT AUTO_INCREMENT PRIMARY KEY,
+            userID INT NOT NULL,
+            requested_by INT NOT NULL,
+            reason VARCHAR(255) NULL,
+            status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+            reviewed_by INT NULL,
+            review_note VARCHAR(255) NULL,
+            requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            reviewed_at DATETIME NULL,
+            INDEX idx_erasure_status (status, requested_at),
+            INDEX idx_erasure_user (userID)
+        )`,
+        `CREATE TABLE IF NOT EXISTS PersonalDataAudit (
+            auditID INT AUTO_INCREMENT PRIMARY KEY,
+            userID INT NOT NULL,
+            actorID INT NULL,
+            requestID INT NULL,
+            action ENUM('exported', 'erasure_requested', 'erasure_approved', 'erasure_rejected', 'anonymised') NOT NULL,
+            details VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_personal_data_audit_user (userID, created_at)
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS PersonalDataAudit',
+        'DROP TABLE IF EXISTS ErasureRequest',
+        'ALTER TABLE User DROP COLUMN anonymised_at'
+    ]
+};
@@ -0,0 +1,33 @@
+// One row per successful write through the API: who made it, what it touched,
+// the entity before and after (JSON), the redacted request body and where the
+// request came from. subjectID is the person the change is about, so their
+// snapshots can be blanked when their account is erased.
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS AuditLog (
+            auditID INT AUTO_INCREMENT PRIMARY KEY,
+            request_id VARCHAR(100) NOT NULL,
+            actorID INT NULL,
+            actor_role VARCHAR(20) NULL,
+            action VARCHAR(30) NOT NULL,
+            entity VARCHAR(50) NOT NULL,
+            entityID VARCHAR(100) NULL,
+            subjectID INT NULL,
+            method VARCHAR(10) NOT NULL,
+            path VARCHAR(255) NOT NULL,
+            status_code INT NOT NULL,
+            before_data MEDIUMTEXT NULL,
+            after_data MEDIUMTEXT NULL,
+            request_body MEDIUMTEXT NULL,
+            ip_address VARCHAR(45) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_audit_entity (entity, entityID, created_at),
+            INDEX idx_audit_actor (actorID, created_at),
+            INDEX idx_audit_subject (subjectID),
+            INDEX idx_audit_created (created_at)
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS AuditLog'
+    ]
+};
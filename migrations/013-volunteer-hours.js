@@ -0,0 +1,23 @@
+// Staff corrections to the hours a volunteer served at an event. Hours are
+// otherwise worked out from the event times or check-in/out; the latest
+// adjustment for a registration replaces them, and earlier ones stay as history.
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS VolunteerHoursAdjustment (
+            adjustmentID INT AUTO_INCREMENT PRIMARY KEY,
+            volunteerID INT NOT NULL,
+            eventID INT NOT NULL,
+            hours DECIMAL(5, 2) NOT NULL,
+            reason VARCHAR(500) NOT NULL,
+            adjusted_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_hours_volunteer (volunteerID, eventID),
+            FOREIGN KEY (volunteerID) REFERENCES User(userID) ON DELETE CASCADE,
+            FOREIGN KEY (eventID) REFERENCES Event(eventID) ON DELETE CASCADE,
+            FOREIGN KEY (adjusted_by) REFERENCES User(userID) ON DELETE SET NULL
+        )`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS VolunteerHoursAdjustment'
+    ]
+};
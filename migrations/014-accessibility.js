@@ -0,0 +1,37 @@
+// Structured accessibility details on events (and series templates), and the
+// matching needs on a participant's profile. An event attribute left NULL is
+// unknown, which never counts as meeting a need.
+const EVENT_COLUMNS = [
+    ['wheelchair_accessible', 'BOOLEAN NULL'],
+    ['hearing_loop', 'BOOLEAN NULL'],
+    ['seating_available', 'BOOLEAN NULL'],
+    ['accessible_toilet', 'BOOLEAN NULL'],
+    ['walking_distance_m', 'INT NULL']
+];
+
+const PARTICIPANT_COLUMNS = [
+    ['needs_wheelchair_access', 'BOOLEAN NOT NULL DEFAULT FALSE'],
+    ['needs_hearing_loop', 'BOOLEAN NOT NULL DEFAULT FALSE'],
+    ['needs_seating', 'BOOLEAN NOT NULL DEFAULT FALSE'],
+    ['needs_accessible_toilet', 'BOOLEAN NOT NULL DEFAULT FALSE'],
+    ['max_walking_distance_m', 'INT NULL']
+];
+
+const addColumns = (table, columns) =>
+    `ALTER TABLE ${table} ${columns.map(([name, type]) => `ADD COLUMN ${name} ${type}`).join(', ')}`;
+
+const dropColumns = (table, columns) =>
+    `ALTER TABLE ${table} ${columns.map(([name]) => `DROP COLUMN ${name}`).join(', ')}`;
+
+module.exports = {
+    up: [
+        addColumns('Event', EVENT_COLUMNS),
+        addColumns('EventSeries', EVENT_COLUMNS),
+        addColumns('Participant', PARTICIPANT_COLUMNS)
+    ],
+    down: [
+        dropColumns('Participant', PARTICIPANT_COLUMNS),
+        dropColumns('EventSeries', EVENT_COLUMNS),
+        dropColumns('Event', EVENT_COLUMNS)
+    ]
+};
@@ -0,0 +1,30 @@
+// Bookable rooms. An event may be linked to one; two events cannot hold the
+// same room at overlapping times (checked by services/venues.js). Events keep
+// their free-text location, which defaults to the venue's name.
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS Venue (
+            venueID INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            room VARCHAR(255) NULL,
+            address VARCHAR(255) NOT NULL,
+            postal_code CHAR(6) NOT NULL,
+            capacity INT NULL,
+            wheelchair_accessible BOOLEAN NULL,
+            hearing_loop BOOLEAN NULL,
+            seating_available BOOLEAN NULL,
+            accessible_toilet BOOLEAN NULL,
+            walking_distance_m INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_venue_name (name)
+        )`,
+        `ALTER TABLE Event ADD COLUMN venueID INT NULL,
+            ADD INDEX idx_event_venue (venueID, start_time),
+            ADD CONSTRAINT fk_event_venue FOREIGN KEY (venueID) REFERENCES Venue(venueID) ON DELETE SET NULL`
+    ],
+    down: [
+        'ALTER TABLE Event DROP FOREIGN KEY fk_event_venue',
+        'ALTER TABLE Event DROP INDEX idx_event_venue, DROP COLUMN venueID',
+        'DROP TABLE IF EXISTS Venue'
+    ]
+};
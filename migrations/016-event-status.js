@@ -0,0 +1,21 @@
+// Event lifecycle: draft -> published -> completed, or cancelled before it
+// ends (services/event-status.js). Existing events were live, so they start
+// out published, or completed when they have already ended. Cancelled events
+// keep their registrations and record why and by whom.
+module.exports = {
+    up: [
+        `ALTER TABLE Event
+            ADD COLUMN status ENUM('draft', 'published', 'cancelled', 'completed') NOT NULL DEFAULT 'published',
+            ADD COLUMN cancellation_reason VARCHAR(500) NULL,
+            ADD COLUMN cancelled_at DATETIME NULL,
+            ADD COLUMN cancelled_by INT NULL,
+            ADD INDEX idx_event_status (status, end_time),
+            ADD CONSTRAINT fk_event_cancelled_by FOREIGN KEY (cancelled_by) REFERENCES User(userID) ON DELETE SET NULL`,
+        "UPDATE Event SET status = 'completed' WHERE end_time < NOW()"
+    ],
+    down: [
+        'ALTER TABLE Event DROP FOREIGN KEY fk_event_cancelled_by',
+        `ALTER TABLE Event DROP INDEX idx_event_status,
+            DROP COLUMN cancelled_by, DROP COLUMN cancelled_at, DROP COLUMN cancellation_reason, DROP COLUMN status`
+    ]
+};
@@ -0,0 +1,22 @@
+// Caregiver accounts and their links to participants go with the User (or
+// Participant) they belong to, like every other per-user table. 003 created
+// the keys without a cascade, so deleting a linked participant failed.
+module.exports = {
+    up: [
+        'ALTER TABLE CaregiverParticipant DROP FOREIGN KEY CaregiverParticipant_ibfk_1, DROP FOREIGN KEY CaregiverParticipant_ibfk_2',
+        'ALTER TABLE Caregiver DROP FOREIGN KEY Caregiver_ibfk_1',
+        `ALTER TABLE Caregiver
+            ADD CONSTRAINT fk_caregiver_user FOREIGN KEY (userID) REFERENCES User(userID) ON DELETE CASCADE`,
+        `ALTER TABLE CaregiverParticipant
+            ADD CONSTRAINT fk_caregiver_link_caregiver FOREIGN KEY (caregiverID) REFERENCES Caregiver(userID) ON DELETE CASCADE,
+            ADD CONSTRAINT fk_caregiver_link_participant FOREIGN KEY (participantID) REFERENCES Participant(userID) ON DELETE CASCADE`
+    ],
+    down: [
+        'ALTER TABLE CaregiverParticipant DROP FOREIGN KEY fk_caregiver_link_caregiver, DROP FOREIGN KEY fk_caregiver_link_participant',
+        'ALTER TABLE Caregiver DROP FOREIGN KEY fk_caregiver_user',
+        'ALTER TABLE Caregiver ADD CONSTRAINT Caregiver_ibfk_1 FOREIGN KEY (userID) REFERENCES User(userID)',
+        `ALTER TABLE CaregiverParticipant
+            ADD CONSTRAINT CaregiverParticipant_ibfk_1 FOREIGN KEY (caregiverID) REFERENCES Caregiver(userID),
+            ADD CONSTRAINT CaregiverParticipant_ibfk_2 FOREIGN KEY (participantID) REFERENCES Participant(userID)`
+    ]
+};
@@ -0,0 +1,18 @@
+// A participant's login code and a caregiver consent code are separate: each
+// purpose has its own row, expiry, attempt counter and resend cooldown, and a
+// code is only accepted for the purpose it was sent for.
+module.exports = {
+    up: [
+        `ALTER TABLE ParticipantOTP
+            ADD COLUMN purpose ENUM('login', 'caregiver_consent') NOT NULL DEFAULT 'login' AFTER phoneNumber,
+            DROP PRIMARY KEY,
+            ADD PRIMARY KEY (phoneNumber, purpose)`
+    ],
+    down: [
+        "DELETE FROM ParticipantOTP WHERE purpose != 'login'",
+        `ALTER TABLE ParticipantOTP
+            DROP PRIMARY KEY,
+            DROP COLUMN purpose,
+            ADD PRIMARY KEY (phoneNumber)`
+    ]
+};
@@ -0,0 +1,11 @@
+// Sign-up through /participant/check-or-create no longer creates the account
+// up front: the name, birthdate and (encrypted) NRIC wait with the login code
+// and the account is created once the code is verified at /login-otp.
+module.exports = {
+    up: [
+        'ALTER TABLE ParticipantOTP ADD COLUMN details TEXT NULL AFTER code_hash'
+    ],
+    down: [
+        'ALTER TABLE ParticipantOTP DROP COLUMN details'
+    ]
+};
@@ -0,0 +1,12 @@
+// A series can be booked into a venue like a single event; its occurrences
+// copy the venueID and each is checked against the room on its own slot.
+module.exports = {
+    up: [
+        `ALTER TABLE EventSeries ADD COLUMN venueID INT NULL,
+            ADD CONSTRAINT fk_series_venue FOREIGN KEY (venueID) REFERENCES Venue(venueID) ON DELETE SET NULL`
+    ],
+    down: [
+        'ALTER TABLE EventSeries DROP FOREIGN KEY fk_series_venue',
+        'ALTER TABLE EventSeries DROP COLUMN venueID'
+    ]
+};
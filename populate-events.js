@@ -1,6 +1,7 @@
 require('dotenv').config();
 const { pool } = require('./db');
 const bcrypt = require('bcrypt');
+const identity = require('./services/identity');
 const jwt = require('jsonwebtoken');
 
 // Sample events for elderly activities in Singapore
@@ -9,7 +10,7 @@ const sampleEvents = [
     eventName: "Morning Tai Chi Session",
     eventDescription: "Gentle Tai Chi exercises for seniors to improve balance, flexibility, and mental well-being. Suitable for all fitness levels.",
     disabled_friendly: true,
-    datetime: "2026-01-20 08:00:00",
+    start_time: "2026-01-20 08:00:00",
     location: "Community Centre @ Toa Payoh",
     additional_information: "Please wear comfortable clothing and bring a water bottle. No prior experience needed."
   },
@@ -17,7 +18,7 @@ const sampleEvents = [
     eventName: "Kopi & Kueh Social Gathering",
     eventDescription: "A casual social gathering where seniors can enjoy traditional Singaporean coffee and snacks while making new friends.",
     disabled_friendly: true,
-    datetime: "2026-01-21 10:00:00",
+    start_time: "2026-01-21 10:00:00",
     location: "Void Deck @ Ang Mo Kio",
     additional_information: "Free refreshments provided. Wheelchair accessible venue."
   },
@@ -25,7 +26,7 @@ const sampleEvents = [
     eventName: "Traditional Chinese Calligraphy Workshop",
     eventDescription: "Learn the art of Chinese calligraphy in a relaxed, supportive environment. All materials provided.",
     disabled_friendly: true,
-    datetime: "2026-01-22 14:00:00",
+    start_time: "2026-01-22 14:00:00",
     location: "Senior Activity Centre @ Jurong East",
     additional_information: "No experience necessary. Materials and refreshments included."
   },
@@ -33,7 +34,7 @@ const sampleEvents = [
     eventName: "Health Talk: Managing Diabetes",
     eventDescription: "Educational session on diabetes management for seniors, including diet tips and exercise recommendations.",
     disabled_friendly: true,
-    datetime: "2026-01-23 15:00:00",
+    start_time: "2026-01-23 15:00:00",
     location: "Polyclinic @ Woodlands",
     additional_information: "Conducted by certified healthcare professionals. Q&A session included."
   },
@@ -41,7 +42,7 @@ const sampleEvents = [
     eventName: "Karaoke & Sing-Along Session",
     eventDescription: "Enjoy singing classic songs in English, Mandarin, Malay, and Tamil. Fun and interactive session for music lovers.",
     disabled_friendly: true,
-    datetime: "2026-01-24 16:00:00",
+    start_time: "2026-01-24 16:00:00",
     location: "Community Club @ Tampines",
     additional_information: "Songbooks provided. Microphones and sound system available."
   },
@@ -49,7 +50,7 @@ const sampleEvents = [
     eventName: "Gardening Club: Growing Herbs",
     eventDescription: "Learn to grow common herbs used in Singaporean cooking. Take home your own potted herbs!",
     disabled_friendly: false,
-    datetime: "2026-01-25 09:00:00",
+    start_time: "2026-01-25 09:00:00",
     location: "Community Garden @ Pasir Ris",
     additional_information: "Outdoor activity. Please bring hat and sunscreen. Gardening tools provided."
   },
@@ -57,7 +58,7 @@ const sampleEvents = [
     eventName: "Mindfulness & Meditation",
     eventDescription: "Guided meditation session to help seniors reduce stress and improve mental clarity. Chairs provided.",
     disabled_friendly: true,
-    datetime: "2026-01-26 10:30:00",
+    start_time: "2026-01-26 10:30:00",
     location: "Wellness Centre @ Bishan",
     additional_information: "Comfortable seating available. No prior experience needed."
   },
@@ -65,7 +66,7 @@ const sampleEvents = [
     eventName: "Traditional Games: Mahjong & Chinese Chess",
     eventDescription: "Friendly games session featuring traditional Chinese games. Great for mental stimulation and social interaction.",
     disabled_friendly: true,
-    datetime: "2026-01-27 13:00:00",
+    start_time: "2026-01-27 13:00:00",
     location: "Senior Activity Centre @ Bedok",
     additional_information: "Game sets provided. Beginners welcome. Light refreshments served."
   },
@@ -73,7 +74,7 @@ const sampleEvents = [
     eventName: "Cooking Class: Healthy Local Recipes",
     eventDescription: "Learn to prepare healthy versions of favorite Singaporean dishes. Recipe cards provided.",
     disabled_friendly: true,
-    datetime: "2026-01-28 11:00:00",
+    start_time: "2026-01-28 11:00:00",
     location: "Community Kitchen @ Clementi",
     additional_information: "All ingredients provided. Participants can take home samples."
   },
@@ -81,12 +82,24 @@ const sampleEvents = [
     eventName: "Lion Dance Performance & Workshop",
     eventDescription: "Watch a traditional lion dance performance and learn about this cultural art form. Perfect for Chinese New Year season!",
     disabled_friendly: true,
-    datetime: "2026-01-29 14:30:00",
+    start_time: "2026-01-29 14:30:00",
     location: "Community Centre @ Chinatown",
     additional_information: "Outdoor performance. Seating available. Cultural snacks provided."
   }
 ];
 
+// Sample sessions run for two hours with room for 30 participants and 5 volunteers
+const DURATION_HOURS = 2;
+const DEFAULT_MAX_PARTICIPANTS = 30;
+const DEFAULT_MAX_VOLUNTEERS = 5;
+
+// "YYYY-MM-DD HH:MM:SS" DURATION_HOURS after the given start time
+const endTime = (startTime) => {
+  const [date, time] = startTime.split(' ');
+  const [hours, minutes, seconds] = time.split(':');
+  return `${date} ${String(Number(hours) + DURATION_HOURS).padStart(2, '0')}:${minutes}:${seconds}`;
+};
+
 async function populateEvents() {
   let connection;
   try {
@@ -95,7 +108,7 @@ async function populateEvents() {
 
     // First, check if we have a staff user to create events
     const [staff] = await connection.query(
-      'SELECT u.userID, u.fullName, u.NRIC FROM User u JOIN Staff s ON u.userID = s.userID LIMIT 1'
+      'SELECT u.userID, u.fullName FROM User u JOIN Staff s ON u.userID = s.userID LIMIT 1'
     );
 
     let createdBy;
@@ -103,16 +116,17 @@ async function populateEvents() {
     if (!staff || staff.length === 0) {
       console.log('⚠️  No staff user found. Creating a default staff user...\n');
       
-      // Create a default staff user
+      // Create a default staff user (sample NRIC, stored encrypted like any other)
       const hashedPassword = await bcrypt.hash('admin123', 10);
+      const sampleNric = 'S1234567D';
       const [userResult] = await connection.query(
-        'INSERT INTO User (fullName, NRIC, role, image_url) VALUES (?, ?, ?, ?)',
-        ['Admin Staff', 'S1234567A', 'staff', null]
+        'INSERT INTO User (fullName, NRIC, NRIC_hash, role, image_url) VALUES (?, ?, ?, ?, ?)',
+        ['Admin Staff', identity.encryptNric(sampleNric), identity.nricIndex(sampleNric), 'staff', null]
       );
       
       await connection.query(
-        'INSERT INTO Staff (userID, password) VALUES (?, ?)',
-        [userResult.insertId, hashedPassword]
+        'INSERT INTO Staff (userID, email, password) VALUES (?, ?, ?)',
+        [userResult.insertId, 'admin@lumen.local', hashedPassword]
       );
       
       createdBy = userResult.insertId;
@@ -133,16 +147,30 @@ async function populateEvents() {
 
     for (const event of sampleEvents) {
       try {
+        // Skip events that were already loaded by an earlier run
+        const [existing] = await connection.query(
+          'SELECT eventID FROM Event WHERE eventName = ? AND start_time = ?',
+          [event.eventName, event.start_time]
+        );
+        if (existing.length > 0) {
+          console.log(`⏭️  Skipped (duplicate): ${event.eventName}`);
+          skipped++;
+          continue;
+        }
+
         await connection.query(
-          'INSERT INTO Event (eventName, eventDescription, disabled_friendly, datetime, location, additional_information, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          'INSERT INTO Event (eventName, eventDescription, disabled_friendly, start_time, end_time, location, additional_information, created_by, max_participants, max_volunteers) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
           [
             event.eventName,
             event.eventDescription,
             event.disabled_friendly,
-            event.datetime,
+            event.start_time,
+            endTime(event.start_time),
             event.location,
             event.additional_information,
-            createdBy
+            createdBy,
+            DEFAULT_MAX_PARTICIPANTS,
+            DEFAULT_MAX_VOLUNTEERS
           ]
         );
         console.log(`✅ Created: ${event.eventName}`);
@@ -160,11 +188,11 @@ async function populateEvents() {
     console.log(`\n✨ Done! Created ${created} events, skipped ${skipped} duplicates.\n`);
 
     // Show summary
-    const [allEvents] = await connection.query('SELECT eventID, eventName, datetime, location FROM Event ORDER BY datetime');
+    const [allEvents] = await connection.query('SELECT eventID, eventName, start_time, location FROM Event ORDER BY start_time');
     console.log('📅 All Events in Database:');
     console.log('='.repeat(80));
     allEvents.forEach((event, index) => {
-      const date = new Date(event.datetime).toLocaleDateString('en-SG', {
+      const date = new Date(event.start_time).toLocaleDateString('en-SG', {
         weekday: 'short',
         year: 'numeric',
         month: 'short',
@@ -0,0 +1,45 @@
+// ==================== REPOSITORIES ====================
+// Data access behind one interface so routes and services do not depend on
+// where records are kept. DB_BACKEND picks the implementation:
+//
+//   mysql   - the real database (default)
+//   memory  - plain objects in this process; nothing is persisted. Used to
+//             run the API and its tests without a database server.
+//
+// Each backend provides users, participants, volunteers, staff, events,
+// registrations, sessions, otpCodes, privacy, auditLog, volunteerHours,
+// venues, attendance, caregivers, series, notifications and jobs
+// repositories with the same methods.
+
+const backends = {
+    mysql: () => require('./mysql').createMysqlRepositories(),
+    memory: () => require('./memory').createMemoryRepositories()
+};
+
+const createRepositories = (name = process.env.DB_BACKEND || 'mysql') => {
+    const factory = backends[name];
+    if (!factory) {
+        throw new Error(`Unknown DB_BACKEND "${name}"`);
+    }
+    return factory();
+};
+
+// Lazily created shared repositories; tests can swap them with setRepositories()
+let repositories;
+
+const getRepositories = () => {
+    if (!repositories) {
+        repositories = createRepositories();
+    }
+    return repositories;
+};
+
+const setRepositories = (value) => {
+    repositories = value;
+};
+
+module.exports = {
+    createRepositories,
+    getRepositories,
+    setRepositories
+};
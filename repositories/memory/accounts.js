@@ -0,0 +1,78 @@
+const { nextID, requireColumns, requireUnique } = require('./store');
+
+// ==================== VOLUNTEERS & STAFF (memory) ====================
+
+const createAccountRepository = (store, { table, role }) => {
+    const accounts = () => store[table];
+
+    const withUser = (account) => {
+        const user = store.users.get(account.userID);
+        return user && {
+            userID: user.userID,
+            fullName: user.fullName,
+            role: user.role,
+            image_url: user.image_url,
+            email: account.email,
+            created_at: account.created_at
+        };
+    };
+
+    return {
+        async findAll() {
+            return [...accounts().values()].map(withUser).filter(Boolean);
+        },
+
+        async findById(userID) {
+            const account = accounts().get(Number(userID));
+            return account ? withUser(account) : undefined;
+        },
+
+        async findByEmail(email) {
+            const account = [...accounts().values()].find(entry => entry.email === email);
+            return account && { userID: account.userID, email: account.email };
+        },
+
+        async create({ fullName, email, password, image_url }) {
+            requireColumns({ fullName, email, password }, ['fullName', 'email', 'password']);
+            requireUnique(accounts().values(), 'email', email);
+
+            const userID = nextID(store, 'User');
+            const created_at = new Date();
+            store.users.set(userID, { userID, fullName, NRIC: null, NRIC_hash: null, role, image_url: image_url ?? null, anonymised_at: null, created_at });
+            accounts().set(userID, { userID, email, password, created_at });
+            return userID;
+        },
+
+        async update(userID, { fullName, email, password }) {
+            const id = Number(userID);
+            const user = store.users.get(id);
+            const account = accounts().get(id);
+
+            if (fullName && user) {
+                user.fullName = fullName;
+            }
+            if (!account) {
+                return;
+            }
+            if (email && email !== account.email) {
+                requireUnique(accounts().values(), 'email', email);
+                account.email = email;
+            }
+            if (password) {
+                account.password = password;
+            }
+        },
+
+        async delete(userID) {
+            return accounts().delete(Number(userID));
+        }
+    };
+};
+
+const createVolunteerRepository = (store) =>
+    createAccountRepository(store, { table: 'volunteers', role: 'volunteer' });
+
+const createStaffRepository = (store) =>
+    createAccountRepository(store, { table: 'staff', role: 'staff' });
+
+module.exports = { createVolunteerRepository, createStaffRepository };
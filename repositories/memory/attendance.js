@@ -0,0 +1,79 @@
+const { ROLES } = require('../../services/registration');
+const { transaction } = require('./store');
+const { attendanceKey } = require('./registrations');
+
+// ==================== ATTENDANCE (memory) ====================
+// Same storage steps as repositories/mysql/attendance.js; store.attendance is
+// keyed by attendanceKey(eventID, userID, role).
+
+const contains = (text, search) => String(text).toLowerCase().includes(search.toLowerCase());
+
+const createAttendanceRepository = (store) => {
+    const tx = {
+        async findRegistration(eventID, userID, role) {
+            const [eventKey, userKey] = [Number(eventID), Number(userID)];
+            const row = store.registrations[role].find(entry => entry.eventID === eventKey && entry.userID === userKey);
+            const user = store.users.get(userKey);
+            const event = store.events.get(eventKey);
+            return row && user && event && {
+                userID: userKey,
+                fullName: user.fullName,
+                signed_at: row.signed_at,
+                event_status: event.status
+            };
+        },
+
+        async lockAttendance(eventID, userID, role) {
+            const attendance = store.attendance.get(attendanceKey(Number(eventID), Number(userID), role));
+            const user = attendance && store.users.get(attendance.userID);
+            return user && {
+                status: attendance.status,
+                checked_in_at: attendance.checked_in_at,
+                checked_out_at: attendance.checked_out_at,
+                fullName: user.fullName
+            };
+        },
+
+        async recordCheckIn(eventID, userID, role, { method, checkedInBy }) {
+            const key = attendanceKey(Number(eventID), Number(userID), role);
+            store.attendance.set(key, {
+                eventID: Number(eventID),
+                userID: Number(userID),
+                role,
+                cancelled_at: null,
+                ...store.attendance.get(key),
+                status: 'attended',
+                method,
+                checked_in_at: new Date(),
+                checked_out_at: null,
+                checked_in_by: checkedInBy ?? null
+            });
+        },
+
+        async recordCheckOut(eventID, userID, role) {
+            const attendance = store.attendance.get(attendanceKey(Number(eventID), Number(userID), role));
+            if (attendance) {
+                attendance.checked_out_at = new Date();
+            }
+        }
+    };
+
+    return {
+        transaction(work) {
+            return transaction(store, ['attendance'], () => work(tx));
+        },
+
+        async findByName(eventID, fullName) {
+            const id = Number(eventID);
+            const search = fullName.trim();
+            return Object.keys(ROLES)
+                .flatMap(role => store.registrations[role]
+                    .filter(row => row.eventID === id && store.users.has(row.userID))
+                    .map(row => ({ userID: row.userID, fullName: store.users.get(row.userID).fullName, role })))
+                .filter(row => contains(row.fullName, search))
+                .sort((a, b) => a.fullName.localeCompare(b.fullName, undefined, { sensitivity: 'base' }));
+        }
+    };
+};
+
+module.exports = { createAttendanceRepository };
@@ -0,0 +1,50 @@
+const { nextID, toDate } = require('./store');
+
+// ==================== AUDIT LOG (memory) ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshots go through JSON like the MySQL text columns, so Dates come back as strings
+const cloneJson = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+const createAuditLogRepository = (store) => ({
+    async record(entry) {
+        store.auditLog.push({
+            auditID: nextID(store, 'AuditLog'),
+            ...entry,
+            before_data: cloneJson(entry.before_data),
+            after_data: cloneJson(entry.after_data),
+            request_body: cloneJson(entry.request_body),
+            created_at: new Date()
+        });
+    },
+
+    async list({ entity, entityID, actorID, subjectID, action, requestID, from, to } = {}, { limit = 100, offset = 0 } = {}) {
+        const start = from ? toDate(from, 'from').getTime() : -Infinity;
+        const end = to ? toDate(to, 'to').getTime() + DAY_MS : Infinity;
+        const filters = { entity, entityID, actorID, subjectID, action, request_id: requestID };
+
+        return store.auditLog
+            .filter(entry => Object.entries(filters).every(([column, value]) =>
+                value === undefined || String(entry[column]) === String(value)))
+            .filter(entry => entry.created_at.getTime() >= start && entry.created_at.getTime() < end)
+            .sort((a, b) => b.created_at - a.created_at || b.auditID - a.auditID)
+            .slice(Number(offset), Number(offset) + Number(limit))
+            .map(entry => ({
+                ...entry,
+                before_data: cloneJson(entry.before_data),
+                after_data: cloneJson(entry.after_data),
+                request_body: cloneJson(entry.request_body)
+            }));
+    },
+
+    async redactSubject(userID) {
+        for (const entry of store.auditLog) {
+            if (entry.subjectID === Number(userID)) {
+                Object.assign(entry, { before_data: null, after_data: null, request_body: null, ip_address: null });
+            }
+        }
+    }
+});
+
+module.exports = { createAuditLogRepository };
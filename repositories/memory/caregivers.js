@@ -0,0 +1,138 @@
+const { nextID, copy, requireColumns, requireUnique } = require('./store');
+
+// ==================== CAREGIVERS (memory) ====================
+// store.caregivers holds the accounts by userID, store.caregiverLinks the
+// CaregiverParticipant rows.
+
+const byName = (a, b) => a.fullName.localeCompare(b.fullName, undefined, { sensitivity: 'base' });
+
+const linkFields = (link) => ({
+    relationship: link.relationship,
+    status: link.status,
+    requested_at: link.requested_at,
+    consented_at: link.consented_at,
+    revoked_at: link.revoked_at
+});
+
+const createCaregiverRepository = (store) => {
+    const withUser = (caregiver) => {
+        const user = store.users.get(caregiver.userID);
+        return user && {
+            userID: user.userID,
+            fullName: user.fullName,
+            role: user.role,
+            image_url: user.image_url,
+            email: caregiver.email,
+            phoneNumber: caregiver.phoneNumber,
+            created_at: caregiver.created_at
+        };
+    };
+
+    const linkOf = (caregiverID, participantID) => store.caregiverLinks.find(link =>
+        link.caregiverID === Number(caregiverID) && link.participantID === Number(participantID));
+
+    return {
+        async findAll() {
+            return [...store.caregivers.values()].map(withUser).filter(Boolean);
+        },
+
+        async findById(userID) {
+            const caregiver = store.caregivers.get(Number(userID));
+            return caregiver ? withUser(caregiver) : undefined;
+        },
+
+        async findByEmail(email) {
+            const caregiver = [...store.caregivers.values()].find(entry => entry.email === email);
+            return caregiver && { userID: caregiver.userID, email: caregiver.email };
+        },
+
+        async create({ fullName, email, password, phoneNumber, image_url }) {
+            requireColumns({ fullName, email, password }, ['fullName', 'email', 'password']);
+            requireUnique(store.caregivers.values(), 'email', email);
+
+            const userID = nextID(store, 'User');
+            const created_at = new Date();
+            store.users.set(userID, {
+                userID, fullName, NRIC: null, NRIC_hash: null, role: 'caregiver', image_url: image_url ?? null, anonymised_at: null, created_at
+            });
+            store.caregivers.set(userID, { userID, email, password, phoneNumber: phoneNumber || null, created_at });
+            return userID;
+        },
+
+        // ==================== LINKS ====================
+
+        async findLink(caregiverID, participantID) {
+            return copy(linkOf(caregiverID, participantID));
+        },
+
+        async hasActiveLink(caregiverID, participantID) {
+            return linkOf(caregiverID, participantID)?.status === 'active';
+        },
+
+        async listDependants(caregiverID) {
+            return store.caregiverLinks
+                .filter(link => link.caregiverID === Number(caregiverID) && store.participants.has(link.participantID))
+                .map(link => {
+                    const user = store.users.get(link.participantID);
+                    const participant = store.participants.get(link.participantID);
+                    return {
+                        userID: user.userID,
+                        fullName: user.fullName,
+                        image_url: user.image_url,
+                        phoneNumber: participant.phoneNumber,
+                        birthdate: participant.birthdate,
+                        ...linkFields(link)
+                    };
+                })
+                .sort(byName);
+        },
+
+        async listCaregivers(participantID) {
+            return store.caregiverLinks
+                .filter(link => link.participantID === Number(participantID) && store.caregivers.has(link.caregiverID))
+                .map(link => {
+                    const user = store.users.get(link.caregiverID);
+                    const caregiver = store.caregivers.get(link.caregiverID);
+                    return {
+                        userID: user.userID,
+                        fullName: user.fullName,
+                        image_url: user.image_url,
+                        email: caregiver.email,
+                        phoneNumber: caregiver.phoneNumber,
+                        ...linkFields(link)
+                    };
+                })
+                .sort(byName);
+        },
+
+        async requestLink(caregiverID, participantID, relationship) {
+            const pending = { relationship: relationship || null, status: 'pending', requested_at: new Date(), consented_at: null, revoked_at: null };
+            const link = linkOf(caregiverID, participantID);
+            if (link) {
+                Object.assign(link, pending);
+                return;
+            }
+            store.caregiverLinks.push({ caregiverID: Number(caregiverID), participantID: Number(participantID), ...pending });
+        },
+
+        async activateLink(caregiverID, participantID) {
+            const link = linkOf(caregiverID, participantID);
+            if (!link || link.status !== 'pending') {
+                return false;
+            }
+            Object.assign(link, { status: 'active', consented_at: new Date() });
+            return true;
+        },
+
+        async revokeLink(caregiverID, participantID) {
+            const link = linkOf(caregiverID, participantID);
+            if (!link || link.status === 'revoked') {
+                return false;
+            }
+            Object.assign(link, { status: 'revoked', revoked_at: new Date() });
+            return true;
+        }
+    };
+};
+
+module.exports = { createCaregiverRepository };
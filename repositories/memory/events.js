@@ -0,0 +1,200 @@
+const { nextID, requireColumns, toDateTime, timeOf } = require('./store');
+const { EDITABLE_COLUMNS, STATUS_COLUMNS, BOOLEAN_COLUMNS } = require('../mysql/events');
+
+// ==================== EVENTS (memory) ====================
+// Filters and sorting follow repositories/mysql/events.js; text matching is
+// case-insensitive like MySQL's default collation.
+
+const contains = (text, search) =>
+    text !== null && text !== undefined && String(text).toLowerCase().includes(search.toLowerCase());
+
+const compareValues = (a, b, sort) => {
+    if (sort === 'eventName') {
+        return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+    }
+    return timeOf(a) - timeOf(b);
+};
+
+// Column values as MySQL would store them
+const normalise = (fields) => {
+    const row = {};
+    for (const column of EDITABLE_COLUMNS) {
+        row[column] = fields[column] ?? null;
+    }
+    row.start_time = toDateTime(row.start_time, 'start_time');
+    row.end_time = toDateTime(row.end_time, 'end_time');
+    if (row.venueID !== null) {
+        row.venueID = Number(row.venueID);
+    }
+    for (const column of BOOLEAN_COLUMNS) {
+        if (row[column] !== null) {
+            row[column] = row[column] ? 1 : 0;
+        }
+    }
+    requireColumns(row, ['eventName', 'start_time', 'end_time']);
+    return row;
+};
+
+const createEventRepository = (store) => {
+    const countFor = (role, eventID) =>
+        store.registrations[role].filter(row => row.eventID === eventID).length;
+
+    const withCounts = (event) => ({
+        ...event,
+        registered_participants: countFor('participant', event.eventID),
+        registered_volunteers: countFor('volunteer', event.eventID)
+    });
+
+    const hasSpots = (capacity, count) => capacity === null || count < capacity;
+
+    const matches = (event, options) => {
+        const now = Date.now();
+        if (options.when === 'upcoming' && !(timeOf(event.end_time) >= now)) {
+            return false;
+        }
+        if (options.when === 'past' && !(timeOf(event.end_time) < now)) {
+            return false;
+        }
+        if (options.from && !(timeOf(event.start_time) >= options.from.getTime())) {
+            return false;
+        }
+        if (options.to && !(timeOf(event.start_time) < options.to.getTime())) {
+            return false;
+        }
+        if (options.statuses !== undefined && !options.statuses.includes(event.status)) {
+            return false;
+        }
+        if (options.disabledFriendly !== undefined && Boolean(event.disabled_friendly) !== options.disabledFriendly) {
+            return false;
+        }
+        if (options.venueID !== undefined && event.venueID !== options.venueID) {
+            return false;
+        }
+        if ((options.features || []).some(column => event[column] !== 1)) {
+            return false;
+        }
+        if (options.maxWalkingDistance !== undefined &&
+            !(event.walking_distance_m !== null && event.walking_distance_m <= options.maxWalkingDistance)) {
+            return false;
+        }
+        if (options.location && !contains(event.location, options.location)) {
+            return false;
+        }
+        if (options.search && !contains(event.eventName, options.search) && !contains(event.eventDescription, options.search)) {
+            return false;
+        }
+        if (options.hasParticipantSpots !== undefined &&
+            hasSpots(event.max_participants, event.registered_participants) !== options.hasParticipantSpots) {
+            return false;
+        }
+        if (options.hasVolunteerSpots !== undefined &&
+            hasSpots(event.max_volunteers, event.registered_volunteers) !== options.hasVolunteerSpots) {
+            return false;
+        }
+        return true;
+    };
+
+    return {
+        async list(options, { limit, offset = 0 } = {}) {
+            const direction = options.order === 'asc' ? 1 : -1;
+            const compare = (a, b) =>
+                direction * (compareValues(a[options.sort], b[options.sort], options.sort) || a.eventID - b.eventID);
+
+            const matching = [...store.events.values()].map(withCounts).filter(event => matches(event, options));
+            let rows = matching.sort(compare);
+
+            if (options.cursor) {
+                const after = { eventID: options.cursor.eventID, [options.sort]: options.cursor.value };
+                rows = rows.filter(event => compare(event, after) > 0);
+            }
+            if (limit !== undefined) {
+                rows = rows.slice(offset, offset + limit);
+            }
+
+            return { rows, total: matching.length };
+        },
+
+        async findById(eventID) {
+            const event = store.events.get(Number(eventID));
+            return event ? withCounts(event) : undefined;
+        },
+
+        async create(fields) {
+            const row = normalise(fields);
+            const eventID = nextID(store, 'Event');
+            store.events.set(eventID, {
+                eventID,
+                ...row,
+                created_by: fields.created_by ?? null,
+                created_at: new Date(),
+                seriesID: null,
+                occurrence_date: null,
+                status: fields.status || 'published',
+                cancellation_reason: null,
+                cancelled_at: null,
+                cancelled_by: null
+            });
+            return eventID;
+        },
+
+        async update(eventID, fields) {
+            const event = store.events.get(Number(eventID));
+            if (!event) {
+                return false;
+            }
+            Object.assign(event, normalise(fields));
+            return true;
+        },
+
+        async setStatus(eventID, changes, { from }) {
+            const event = store.events.get(Number(eventID));
+            if (!event || !from.includes(event.status)) {
+                return false;
+            }
+            for (const column of STATUS_COLUMNS) {
+                if (changes[column] !== undefined) {
+                    event[column] = changes[column];
+                }
+            }
+            return true;
+        },
+
+        async completeEnded() {
+            const now = Date.now();
+            let completed = 0;
+            for (const event of store.events.values()) {
+                if (event.status === 'published' && timeOf(event.end_time) < now) {
+                    event.status = 'completed';
+                    completed++;
+                }
+            }
+            return completed;
+        },
+
+        async countRegistrations(eventID) {
+            const id = Number(eventID);
+            const registered = Object.values(store.registrations).flat().filter(row => row.eventID === id).length;
+            return registered + store.waitlist.filter(entry => entry.eventID === id && entry.status === 'waiting').length;
+        },
+
+        async delete(eventID) {
+            const id = Number(eventID);
+            if (!store.events.delete(id)) {
+                return false;
+            }
+
+            for (const role of Object.keys(store.registrations)) {
+                store.registrations[role] = store.registrations[role].filter(row => row.eventID !== id);
+            }
+            store.waitlist = store.waitlist.filter(entry => entry.eventID !== id);
+            for (const [key, row] of store.attendance) {
+                if (row.eventID === id) {
+                    store.attendance.delete(key);
+                }
+            }
+            return true;
+        }
+    };
+};
+
+module.exports = { createEventRepository };
@@ -0,0 +1,42 @@
+const { createStore } = require('./store');
+const { createUserRepository } = require('./users');
+const { createParticipantRepository } = require('./participants');
+const { createVolunteerRepository, createStaffRepository } = require('./accounts');
+const { createEventRepository } = require('./events');
+const { createRegistrationRepository } = require('./registrations');
+const { createSessionRepository } = require('./sessions');
+const { createOtpCodeRepository } = require('./otp-codes');
+const { createPrivacyRepository } = require('./privacy');
+const { createAuditLogRepository } = require('./audit-log');
+const { createVolunteerHoursRepository } = require('./volunteer-hours');
+const { createVenueRepository } = require('./venues');
+const { createAttendanceRepository } = require('./attendance');
+const { createCaregiverRepository } = require('./caregivers');
+const { createSeriesRepository } = require('./series');
+const { createNotificationRepository } = require('./notifications');
+const { createJobRepository } = require('./jobs');
+
+// Pass a store to share data between repository sets; each call otherwise starts empty
+const createMemoryRepositories = (store = createStore()) => ({
+    backend: 'memory',
+    store,
+    users: createUserRepository(store),
+    participants: createParticipantRepository(store),
+    volunteers: createVolunteerRepository(store),
+    staff: createStaffRepository(store),
+    events: createEventRepository(store),
+    registrations: createRegistrationRepository(store),
+    sessions: createSessionRepository(store),
+    otpCodes: createOtpCodeRepository(store),
+    privacy: createPrivacyRepository(store),
+    auditLog: createAuditLogRepository(store),
+    volunteerHours: createVolunteerHoursRepository(store),
+    venues: createVenueRepository(store),
+    attendance: createAttendanceRepository(store),
+    caregivers: createCaregiverRepository(store),
+    series: createSeriesRepository(store),
+    notifications: createNotificationRepository(store),
+    jobs: createJobRepository(store)
+});
+
+module.exports = { createMemoryRepositories, createStore };
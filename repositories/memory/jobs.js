@@ -0,0 +1,110 @@
+const { nextID, timeOf } = require('./store');
+
+// ==================== SCHEDULED JOBS (memory) ====================
+// Same behaviour as repositories/mysql/jobs.js for the one process that holds
+// the store; store.scheduledJobs is keyed by jobID.
+
+const createJobRepository = (store) => {
+    const byKey = (key) => [...store.scheduledJobs.values()].find(job => job.job_key === key);
+
+    const release = (job, changes) => Object.assign(job, { ...changes, locked_by: null, locked_until: null, updated_at: new Date() });
+
+    return {
+        async schedule({ key, type, payload, runAt, maxAttempts }) {
+            const existing = key && byKey(key);
+            if (existing) {
+                const running = existing.status === 'running';
+                Object.assign(existing, {
+                    type,
+                    payload,
+                    run_at: new Date(runAt),
+                    max_attempts: maxAttempts,
+                    attempts: running ? existing.attempts : 0,
+                    last_error: running ? existing.last_error : null,
+                    status: running ? existing.status : 'pending',
+                    updated_at: new Date()
+                });
+                return key;
+            }
+
+            const jobID = nextID(store, 'ScheduledJob');
+            store.scheduledJobs.set(jobID, {
+                jobID,
+                job_key: key,
+                type,
+                payload,
+                run_at: new Date(runAt),
+                status: 'pending',
+                attempts: 0,
+                max_attempts: maxAttempts,
+                last_error: null,
+                locked_by: null,
+                locked_until: null,
+                created_at: new Date(),
+                updated_at: new Date()
+            });
+            return key || jobID;
+        },
+
+        async cancel(keys) {
+            let cancelled = 0;
+            for (const job of store.scheduledJobs.values()) {
+                if (keys.includes(job.job_key) && ['pending', 'failed'].includes(job.status)) {
+                    job.status = 'cancelled';
+                    cancelled++;
+                }
+            }
+            return cancelled;
+        },
+
+        async claimDue({ workerID, leaseSeconds, limit }) {
+            const now = Date.now();
+            const expired = (job) => job.status === 'running' && timeOf(job.locked_until) < now;
+
+            for (const job of store.scheduledJobs.values()) {
+                if (expired(job) && job.attempts >= job.max_attempts) {
+                    release(job, { status: 'failed', last_error: 'Lease expired on the last attempt' });
+                }
+            }
+
+            const due = [...store.scheduledJobs.values()]
+                .filter(job => (job.status === 'pending' && timeOf(job.run_at) <= now) || (expired(job) && job.attempts < job.max_attempts))
+                .sort((a, b) => timeOf(a.run_at) - timeOf(b.run_at))
+                .slice(0, limit);
+
+            for (const job of due) {
+                Object.assign(job, {
+                    status: 'running',
+                    attempts: job.attempts + 1,
+                    locked_by: workerID,
+                    locked_until: new Date(now + leaseSeconds * 1000),
+                    updated_at: new Date()
+                });
+            }
+            return due.map(job => ({
+                jobID: job.jobID, type: job.type, payload: job.payload, attempts: job.attempts, max_attempts: job.max_attempts
+            }));
+        },
+
+        async complete(jobID, workerID) {
+            const job = store.scheduledJobs.get(jobID);
+            if (job && job.locked_by === workerID) {
+                release(job, { status: timeOf(job.run_at) > Date.now() ? 'pending' : 'done' });
+            }
+        },
+
+        async fail(jobID, workerID, { error, retryInSeconds }) {
+            const job = store.scheduledJobs.get(jobID);
+            if (!job || job.locked_by !== workerID) {
+                return;
+            }
+            if (retryInSeconds === null) {
+                release(job, { status: 'failed', last_error: error });
+                return;
+            }
+            release(job, { status: 'pending', last_error: error, run_at: new Date(Date.now() + retryInSeconds * 1000) });
+        }
+    };
+};
+
+module.exports = { createJobRepository };
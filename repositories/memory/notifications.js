@@ -0,0 +1,70 @@
+const { nextID, copy } = require('./store');
+
+// ==================== NOTIFICATIONS (memory) ====================
+
+const LOG_FILTERS = ['userID', 'eventID', 'template', 'status'];
+
+const createNotificationRepository = (store) => ({
+    async findRecipients(userIDs) {
+        return userIDs
+            .map(userID => store.users.get(Number(userID)))
+            .filter(Boolean)
+            .map(user => {
+                const participant = store.participants.get(user.userID);
+                const caregiver = store.caregivers.get(user.userID);
+                const account = store.staff.get(user.userID) || store.volunteers.get(user.userID) || caregiver;
+                return {
+                    userID: user.userID,
+                    fullName: user.fullName,
+                    role: user.role,
+                    phoneNumber: (participant || caregiver)?.phoneNumber ?? null,
+                    email: account?.email ?? null
+                };
+            });
+    },
+
+    async listPreferences(userIDs) {
+        const ids = new Set(userIDs.map(Number));
+        return store.notificationPreferences
+            .filter(row => ids.has(row.userID))
+            .map(row => ({ userID: row.userID, channel: row.channel, enabled: row.enabled }));
+    },
+
+    async setPreference(userID, channel, enabled) {
+        const id = Number(userID);
+        const row = store.notificationPreferences.find(entry => entry.userID === id && entry.channel === channel);
+        if (row) {
+            Object.assign(row, { enabled: enabled ? 1 : 0, updated_at: new Date() });
+            return;
+        }
+        store.notificationPreferences.push({ userID: id, channel, enabled: enabled ? 1 : 0, updated_at: new Date() });
+    },
+
+    async log(entry) {
+        store.notificationLog.push({
+            notificationID: nextID(store, 'NotificationLog'),
+            userID: Number(entry.userID),
+            eventID: entry.eventID === null ? null : Number(entry.eventID),
+            template: entry.template,
+            channel: entry.channel,
+            recipient: entry.recipient ?? null,
+            subject: entry.subject ?? null,
+            message: entry.message,
+            status: entry.status,
+            error: entry.error ?? null,
+            created_at: new Date()
+        });
+    },
+
+    async listLog(filters, { limit }) {
+        return store.notificationLog
+            .filter(entry => store.users.has(entry.userID))
+            .filter(entry => LOG_FILTERS.every(column =>
+                filters[column] === undefined || String(entry[column]) === String(filters[column])))
+            .sort((a, b) => b.notificationID - a.notificationID)
+            .slice(0, limit)
+            .map(entry => ({ ...copy(entry), fullName: store.users.get(entry.userID).fullName }));
+    }
+});
+
+module.exports = { createNotificationRepository };
@@ -0,0 +1,36 @@
+// ==================== OTP CODES (memory) ====================
+// store.otpCodes is keyed by otpKey(phoneNumber, purpose)
+
+const otpKey = (phoneNumber, purpose) => `${purpose}:${phoneNumber}`;
+
+const createOtpCodeRepository = (store) => ({
+    async find(phoneNumber, purpose) {
+        const record = store.otpCodes.get(otpKey(phoneNumber, purpose));
+        return record && {
+            code_hash: record.code_hash,
+            details: record.details,
+            expires_at: record.expires_at,
+            attempts: record.attempts,
+            last_sent_at: record.last_sent_at
+        };
+    },
+
+    async save(phoneNumber, purpose, { codeHash, details, expiresAt, sentAt }) {
+        store.otpCodes.set(otpKey(phoneNumber, purpose), {
+            phoneNumber, purpose, code_hash: codeHash, details: details ?? null, expires_at: expiresAt, attempts: 0, last_sent_at: sentAt
+        });
+    },
+
+    async recordFailedAttempt(phoneNumber, purpose) {
+        const record = store.otpCodes.get(otpKey(phoneNumber, purpose));
+        if (record) {
+            record.attempts++;
+        }
+    },
+
+    async delete(phoneNumber, purpose) {
+        store.otpCodes.delete(otpKey(phoneNumber, purpose));
+    }
+});
+
+module.exports = { createOtpCodeRepository };
@@ -0,0 +1,127 @@
+const { nextID, requireColumns, requireUnique, toDate } = require('./store');
+const { toDateString } = require('../../services/recurrence');
+const identity = require('../../services/identity');
+const { NEED_COLUMNS } = require('../mysql/participants');
+
+// ==================== PARTICIPANTS (memory) ====================
+
+// Need columns as MySQL would store them: BOOLEANs as 1/0, the walking distance as given
+const needValue = (column, value) => {
+    if (column === 'max_walking_distance_m') {
+        return value ?? null;
+    }
+    return value ? 1 : 0;
+};
+
+const createParticipantRepository = (store) => {
+    const withUser = (participant) => {
+        const user = store.users.get(participant.userID);
+        return user && {
+            userID: user.userID,
+            fullName: user.fullName,
+            NRIC: user.NRIC,
+            role: user.role,
+            image_url: user.image_url,
+            phoneNumber: participant.phoneNumber,
+            birthdate: participant.birthdate,
+            created_at: participant.created_at,
+            ...Object.fromEntries(NEED_COLUMNS.map(column => [column, participant[column]]))
+        };
+    };
+
+    const all = () => [...store.participants.values()].map(withUser).filter(Boolean);
+
+    return {
+        async findAll() {
+            return all();
+        },
+
+        async findById(userID) {
+            const participant = store.participants.get(Number(userID));
+            return participant ? withUser(participant) : undefined;
+        },
+
+        async findByPhone(phoneNumber) {
+            return all().find(participant => participant.phoneNumber === phoneNumber);
+        },
+
+        async findByNric(nric) {
+            const hash = identity.nricIndex(nric);
+            return all().find(participant => store.users.get(participant.userID).NRIC_hash === hash);
+        },
+
+        async findByCredentials(phoneNumber, birthdate, fullName) {
+            const date = toDateString(toDate(birthdate, 'birthdate'));
+            return all().find(participant =>
+                participant.phoneNumber === phoneNumber &&
+                participant.fullName === fullName &&
+                participant.birthdate && toDateString(participant.birthdate) === date);
+        },
+
+        async create({ fullName, phoneNumber, birthdate, image_url, NRIC, ...needs }) {
+            requireColumns({ fullName, phoneNumber }, ['fullName', 'phoneNumber']);
+            requireUnique(store.participants.values(), 'phoneNumber', phoneNumber);
+            const nric = NRIC
+                ? { NRIC: identity.encryptNric(NRIC), NRIC_hash: identity.nricIndex(NRIC) }
+                : { NRIC: null, NRIC_hash: null };
+            if (nric.NRIC_hash) {
+                requireUnique(store.users.values(), 'NRIC_hash', nric.NRIC_hash);
+            }
+            const row = { phoneNumber, birthdate: toDate(birthdate, 'birthdate'), full_name: fullName };
+            for (const column of NEED_COLUMNS) {
+                row[column] = needValue(column, needs[column]);
+            }
+
+            const userID = nextID(store, 'User');
+            const created_at = new Date();
+            store.users.set(userID, { userID, fullName, ...nric, role: 'participant', image_url: image_url ?? null, anonymised_at: null, created_at });
+            store.participants.set(userID, { userID, ...row, created_at });
+            return userID;
+        },
+
+        async update(userID, { fullName, phoneNumber, birthdate, NRIC, ...needs }) {
+            const id = Number(userID);
+            const user = store.users.get(id);
+            const participant = store.participants.get(id);
+
+            if (fullName && user) {
+                user.fullName = fullName;
+            }
+            if (NRIC && user) {
+                const hash = identity.nricIndex(NRIC);
+                if (hash !== user.NRIC_hash) {
+                    requireUnique(store.users.values(), 'NRIC_hash', hash);
+                }
+                Object.assign(user, { NRIC: identity.encryptNric(NRIC), NRIC_hash: hash });
+            }
+            if (!participant) {
+                return;
+            }
+            if (phoneNumber !== undefined && phoneNumber !== participant.phoneNumber) {
+                requireColumns({ phoneNumber }, ['phoneNumber']);
+                requireUnique(store.participants.values(), 'phoneNumber', phoneNumber);
+            }
+
+            const changes = {};
+            if (fullName) {
+                changes.full_name = fullName;
+            }
+            if (phoneNumber !== undefined) {
+                changes.phoneNumber = phoneNumber;
+            }
+            if (birthdate !== undefined) {
+                changes.birthdate = toDate(birthdate, 'birthdate');
+            }
+            for (const column of NEED_COLUMNS.filter(column => needs[column] !== undefined)) {
+                changes[column] = needValue(column, needs[column]);
+            }
+            Object.assign(participant, changes);
+        },
+
+        async delete(userID) {
+            return store.participants.delete(Number(userID));
+        }
+    };
+};
+
+module.exports = { createParticipantRepository };
@@ -0,0 +1,208 @@
+const { nextID, copy, timeOf } = require('./store');
+
+// ==================== PERSONAL DATA (memory) ====================
+
+const createPrivacyRepository = (store) => {
+    const eventFields = (eventID) => {
+        const event = store.events.get(eventID);
+        return event && {
+            eventID,
+            eventName: event.eventName,
+            start_time: event.start_time,
+            end_time: event.end_time,
+            location: event.location
+        };
+    };
+
+    const registrationsOf = (role, userID) => store.registrations[role]
+        .filter(row => row.userID === userID && store.events.has(row.eventID))
+        .map(row => ({ ...eventFields(row.eventID), signed_at: row.signed_at }))
+        .sort((a, b) => timeOf(a.start_time) - timeOf(b.start_time));
+
+    const withUser = (request) => {
+        const user = store.users.get(request.userID);
+        return { ...request, fullName: user ? user.fullName : null, role: user ? user.role : null };
+    };
+
+    return {
+        async collect(userID) {
+            const id = Number(userID);
+            return {
+                participantRegistrations: registrationsOf('participant', id),
+                volunteerRegistrations: registrationsOf('volunteer', id),
+                attendance: [...store.attendance.values()]
+                    .filter(row => row.userID === id && store.events.has(row.eventID))
+                    .map(row => ({
+                        eventID: row.eventID,
+                        eventName: store.events.get(row.eventID).eventName,
+                        role: row.role,
+                        status: row.status,
+                        method: row.method ?? null,
+                        checked_in_at: row.checked_in_at,
+                        checked_out_at: row.checked_out_at,
+                        cancelled_at: row.cancelled_at ?? null
+                    })),
+                waitlist: store.waitlist
+                    .filter(entry => entry.userID === id && store.events.has(entry.eventID))
+                    .map(entry => ({
+                        eventID: entry.eventID,
+                        eventName: store.events.get(entry.eventID).eventName,
+                        role: entry.role,
+                        status: entry.status,
+                        created_at: entry.created_at,
+                        promoted_at: entry.promoted_at
+                    })),
+                caregiverLinks: store.caregiverLinks
+                    .filter(link => link.caregiverID === id || link.participantID === id)
+                    .map(copy),
+                notificationPreferences: store.notificationPreferences
+                    .filter(row => row.userID === id)
+                    .map(row => ({ channel: row.channel, enabled: row.enabled, updated_at: row.updated_at })),
+                notifications: store.notificationLog
+                    .filter(entry => entry.userID === id)
+                    .map(entry => ({
+                        eventID: entry.eventID,
+                        template: entry.template,
+                        channel: entry.channel,
+                        recipient: entry.recipient,
+                        subject: entry.subject,
+                        message: entry.message,
+                        status: entry.status,
+                        created_at: entry.created_at
+                    })),
+                sessions: [...store.sessions.values()]
+                    .filter(session => session.userID === id)
+                    .map(session => ({
+                        created_at: session.created_at,
+                        last_used_at: session.last_used_at,
+                        revoked_at: session.revoked_at,
+                        user_agent: session.user_agent,
+                        ip_address: session.ip_address
+                    }))
+            };
+        },
+
+        async anonymise(userID) {
+            const id = Number(userID);
+            const user = store.users.get(id);
+            if (!user) {
+                return;
+            }
+            Object.assign(user, { fullName: 'Deleted user', NRIC: null, NRIC_hash: null, image_url: null, anonymised_at: new Date() });
+
+            const participant = store.participants.get(id);
+            if (participant) {
+                for (const [key, record] of store.otpCodes) {
+                    if (record.phoneNumber === participant.phoneNumber) {
+                        store.otpCodes.delete(key);
+                    }
+                }
+                Object.assign(participant, {
+                    phoneNumber: `erased:${id}`,
+                    full_name: null,
+                    birthdate: participant.birthdate && new Date(participant.birthdate.getFullYear(), 0, 1),
+                    needs_wheelchair_access: 0,
+                    needs_hearing_loop: 0,
+                    needs_seating: 0,
+                    needs_accessible_toilet: 0,
+                    max_walking_distance_m: null
+                });
+            }
+            for (const accounts of [store.volunteers, store.staff, store.caregivers]) {
+                const account = accounts.get(id);
+                if (account) {
+                    Object.assign(account, { email: `erased-${id}@erased.invalid`, password: '!' });
+                }
+            }
+            if (store.caregivers.has(id)) {
+                store.caregivers.get(id).phoneNumber = null;
+            }
+
+            for (const link of store.caregiverLinks) {
+                if ((link.caregiverID === id || link.participantID === id) && link.status !== 'revoked') {
+                    Object.assign(link, { status: 'revoked', revoked_at: new Date() });
+                }
+            }
+
+            for (const entry of store.waitlist) {
+                if (entry.userID === id && entry.status === 'waiting') {
+                    entry.status = 'removed';
+                }
+            }
+            store.notificationPreferences = store.notificationPreferences.filter(row => row.userID !== id);
+            for (const entry of store.notificationLog) {
+                if (entry.userID === id) {
+                    Object.assign(entry, { recipient: null, subject: null, message: '[erased]' });
+                }
+            }
+            for (const session of store.sessions.values()) {
+                if (session.userID === id) {
+                    Object.assign(session, { revoked_at: session.revoked_at || new Date(), user_agent: null, ip_address: null });
+                }
+            }
+        },
+
+        // ==================== ERASURE REQUESTS ====================
+
+        async createErasureRequest({ userID, requestedBy, reason }) {
+            const requestID = nextID(store, 'ErasureRequest');
+            store.erasureRequests.push({
+                requestID,
+                userID: Number(userID),
+                requested_by: Number(requestedBy),
+                reason: reason ?? null,
+                status: 'pending',
+                reviewed_by: null,
+                review_note: null,
+                requested_at: new Date(),
+                reviewed_at: null
+            });
+            return requestID;
+        },
+
+        async findErasureRequest(requestID) {
+            const request = store.erasureRequests.find(entry => entry.requestID === Number(requestID));
+            return request && withUser(request);
+        },
+
+        async findPendingErasureRequest(userID) {
+            const request = store.erasureRequests.find(entry => entry.userID === Number(userID) && entry.status === 'pending');
+            return request && withUser(request);
+        },
+
+        async listErasureRequests({ status } = {}) {
+            return store.erasureRequests
+                .filter(request => !status || request.status === status)
+                .map(withUser);
+        },
+
+        async reviewErasureRequest(requestID, { status, reviewedBy, note }) {
+            const request = store.erasureRequests.find(entry => entry.requestID === Number(requestID));
+            if (!request || request.status !== 'pending') {
+                return false;
+            }
+            Object.assign(request, { status, reviewed_by: Number(reviewedBy), review_note: note ?? null, reviewed_at: new Date() });
+            return true;
+        },
+
+        // ==================== AUDIT TRAIL ====================
+
+        async addAudit({ userID, actorID, requestID, action, details }) {
+            store.personalDataAudit.push({
+                auditID: nextID(store, 'PersonalDataAudit'),
+                userID: Number(userID),
+                actorID: actorID ?? null,
+                requestID: requestID ?? null,
+                action,
+                details: details ?? null,
+                created_at: new Date()
+            });
+        },
+
+        async listAudit(userID) {
+            return store.personalDataAudit.filter(entry => entry.userID === Number(userID)).map(copy);
+        }
+    };
+};
+
+module.exports = { createPrivacyRepository };
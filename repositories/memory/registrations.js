@@ -0,0 +1,224 @@
+const { ROLES, createRegistrationOperations } = require('../../services/registration');
+const { nextID, timeOf, transaction } = require('./store');
+
+// ==================== REGISTRATIONS (memory) ====================
+// Sign-ups run the rules in services/registration.js on the storage steps
+// below, inside a memory transaction so concurrent requests cannot interleave.
+
+const attendanceKey = (eventID, userID, role) => `${eventID}:${userID}:${role}`;
+
+// As ATTENDANCE_STATUS_SQL in repositories/mysql/attendance.js
+const attendanceStatus = (event, attendance) => {
+    if (attendance) {
+        return attendance.status;
+    }
+    return timeOf(event.end_time) < Date.now() ? 'no_show' : 'registered';
+};
+
+// Tables a registration transaction may change
+const TABLES = ['registrations', 'waitlist', 'waitlistAudit', 'attendance'];
+
+const createRegistrationRepository = (store) => {
+    const rowsFor = (role) => store.registrations[role];
+
+    // Storage steps for services/registration.js
+    const tx = {
+        async lockEvent(eventID, role) {
+            const event = store.events.get(eventID);
+            return event && {
+                eventID,
+                eventName: event.eventName,
+                status: event.status,
+                start_time: event.start_time,
+                end_time: event.end_time,
+                capacity: event[ROLES[role].capacityColumn] ?? null,
+                current_count: rowsFor(role).filter(row => row.eventID === eventID).length
+            };
+        },
+
+        async lockUser(userID) {
+            return store.users.has(userID);
+        },
+
+        async lockSeriesOccurrences(seriesID) {
+            const now = Date.now();
+            return [...store.events.values()]
+                .filter(event => event.seriesID === seriesID && timeOf(event.start_time) > now && event.status === 'published')
+                .sort((a, b) => a.eventID - b.eventID)
+                .map(event => ({ eventID: event.eventID, start_time: event.start_time }));
+        },
+
+        async isRegistered(role, userID, eventID) {
+            return rowsFor(role).some(row => row.userID === userID && row.eventID === eventID);
+        },
+
+        async listRegisteredEvents(role, userID) {
+            return rowsFor(role)
+                .filter(row => row.userID === userID && store.events.has(row.eventID))
+                .map(row => store.events.get(row.eventID))
+                .filter(event => event.status !== 'cancelled')
+                .map(event => ({ eventID: event.eventID, eventName: event.eventName, start_time: event.start_time, end_time: event.end_time }));
+        },
+
+        async insertRegistration(role, userID, eventID) {
+            rowsFor(role).push({ userID, eventID, signed_at: new Date() });
+        },
+
+        async deleteRegistration(role, userID, eventID) {
+            const index = rowsFor(role).findIndex(row => row.userID === userID && row.eventID === eventID);
+            if (index === -1) {
+                return false;
+            }
+            rowsFor(role).splice(index, 1);
+            return true;
+        },
+
+        async listWaiting(eventID, role) {
+            return store.waitlist
+                .filter(entry => entry.eventID === eventID && entry.role === role && entry.status === 'waiting')
+                .sort((a, b) => a.waitlistID - b.waitlistID)
+                .map(entry => ({ waitlistID: entry.waitlistID, userID: entry.userID }));
+        },
+
+        async addWaitlistEntry(eventID, role, userID) {
+            store.waitlist.push({
+                waitlistID: nextID(store, 'EventWaitlist'),
+                eventID,
+                userID,
+                role,
+                status: 'waiting',
+                created_at: new Date(),
+                promoted_at: null
+            });
+        },
+
+        async setWaitlistStatus(waitlistID, status) {
+            const entry = store.waitlist.find(candidate => candidate.waitlistID === waitlistID);
+            if (!entry || entry.status !== 'waiting') {
+                return false;
+            }
+            entry.status = status;
+            if (status === 'promoted') {
+                entry.promoted_at = new Date();
+            }
+            return true;
+        },
+
+        async recordWaitlistAudit(eventID, role, userID, action, reason = null) {
+            store.waitlistAudit.push({ eventID, userID, role, action, reason, created_at: new Date() });
+        },
+
+        // Unregistering leaves a 'cancelled' attendance row behind
+        async markCancelled(eventID, userID, role) {
+            store.attendance.set(attendanceKey(eventID, userID, role), {
+                eventID,
+                userID,
+                role,
+                status: 'cancelled',
+                method: null,
+                cancelled_at: new Date(),
+                checked_in_at: null,
+                checked_out_at: null,
+                checked_in_by: null
+            });
+        },
+
+        // Re-registering wipes an earlier cancellation
+        async clearCancellation(eventID, userID, role) {
+            const key = attendanceKey(eventID, userID, role);
+            if (store.attendance.get(key)?.status === 'cancelled') {
+                store.attendance.delete(key);
+            }
+        }
+    };
+
+    return {
+        ...createRegistrationOperations((work) => transaction(store, TABLES, () => work(tx))),
+
+        async isRegistered(role, userID, eventID) {
+            return tx.isRegistered(role, Number(userID), Number(eventID));
+        },
+
+        async getWaitlist(eventID) {
+            const id = Number(eventID);
+            return store.waitlist
+                .filter(entry => entry.eventID === id && entry.status === 'waiting' && store.users.has(entry.userID))
+                .sort((a, b) => a.role.localeCompare(b.role) || a.waitlistID - b.waitlistID)
+                .map(entry => ({
+                    waitlistID: entry.waitlistID,
+                    userID: entry.userID,
+                    fullName: store.users.get(entry.userID).fullName,
+                    role: entry.role,
+                    created_at: entry.created_at
+                }));
+        },
+
+        // ==================== LISTING ====================
+
+        async listForEvent(role, eventID) {
+            const id = Number(eventID);
+            return rowsFor(role)
+                .filter(row => row.eventID === id && store.users.has(row.userID))
+                .map(row => ({ ...store.users.get(row.userID), signed_at: row.signed_at }));
+        },
+
+        async listForUser(role, userID) {
+            const id = Number(userID);
+            return rowsFor(role)
+                .filter(row => row.userID === id && store.events.has(row.eventID))
+                .map(row => ({ ...store.events.get(row.eventID), signed_at: row.signed_at }));
+        },
+
+        async listAttendees(role, eventID) {
+            const event = store.events.get(Number(eventID));
+            if (!event) {
+                return [];
+            }
+
+            return rowsFor(role)
+                .filter(row => row.eventID === event.eventID && store.users.has(row.userID))
+                .map(row => {
+                    const user = store.users.get(row.userID);
+                    const attendance = store.attendance.get(attendanceKey(event.eventID, row.userID, role));
+                    return {
+                        userID: user.userID,
+                        fullName: user.fullName,
+                        image_url: user.image_url,
+                        signed_at: row.signed_at,
+                        attendance_status: attendanceStatus(event, attendance),
+                        checked_in_at: attendance ? attendance.checked_in_at : null,
+                        checked_out_at: attendance ? attendance.checked_out_at : null
+                    };
+                });
+        },
+
+        async listParticipation(role, { before } = {}) {
+            return rowsFor(role)
+                .map(row => ({ row, event: store.events.get(row.eventID) }))
+                .filter(({ event }) => event && (!before || timeOf(event.start_time) < before.getTime()))
+                .map(({ row, event }) => ({
+                    userID: row.userID,
+                    eventID: event.eventID,
+                    start_time: event.start_time,
+                    signed_at: row.signed_at,
+                    attendance_status: attendanceStatus(event, store.attendance.get(attendanceKey(event.eventID, row.userID, role)))
+                }))
+                .sort((a, b) => timeOf(a.start_time) - timeOf(b.start_time) || a.eventID - b.eventID);
+        },
+
+        async listCancellations(eventID) {
+            const id = Number(eventID);
+            return [...store.attendance.values()]
+                .filter(row => row.eventID === id && row.status === 'cancelled' && store.users.has(row.userID))
+                .sort((a, b) => b.cancelled_at - a.cancelled_at)
+                .map(row => ({
+                    userID: row.userID,
+                    fullName: store.users.get(row.userID).fullName,
+                    role: row.role,
+                    cancelled_at: row.cancelled_at
+                }));
+        }
+    };
+};
+
+module.exports = { createRegistrationRepository, attendanceKey };
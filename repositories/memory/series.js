@@ -0,0 +1,173 @@
+const { nextID, copy, requireColumns, toDateTime, toDate, timeOf, transaction } = require('./store');
+const { createEventRepository } = require('./events');
+const { SERIES_COLUMNS } = require('../mysql/series');
+const { BOOLEAN_COLUMNS } = require('../mysql/events');
+
+// ==================== EVENT SERIES (memory) ====================
+// Same storage steps as repositories/mysql/series.js. Occurrences are created
+// and deleted through the events repository so they look, and cascade, like
+// any other event.
+
+const TABLES = ['series', 'events', 'registrations', 'waitlist', 'attendance'];
+
+const DATETIME_COLUMNS = ['first_start_time', 'start_time', 'end_time'];
+
+// Column values as MySQL would store them
+const normalise = (fields) => {
+    const row = { ...fields };
+    for (const column of Object.keys(row)) {
+        if (DATETIME_COLUMNS.includes(column)) {
+            row[column] = toDateTime(row[column], column);
+        } else if (column === 'until_date' || column === 'occurrence_date') {
+            row[column] = toDate(row[column], column);
+        } else if (column === 'venueID' && row[column] !== null && row[column] !== undefined) {
+            row[column] = Number(row[column]);
+        } else if (BOOLEAN_COLUMNS.includes(column) && row[column] !== null && row[column] !== undefined) {
+            row[column] = row[column] ? 1 : 0;
+        }
+    }
+    return row;
+};
+
+const createSeriesRepository = (store) => {
+    const events = createEventRepository(store);
+
+    const occurrencesOf = (seriesID) =>
+        [...store.events.values()].filter(event => event.seriesID === seriesID);
+
+    const countFor = (role, eventID) =>
+        store.registrations[role].filter(row => row.eventID === eventID).length;
+
+    const tx = {
+        async lockEvent(eventID) {
+            const event = store.events.get(Number(eventID));
+            return event && {
+                eventID: event.eventID,
+                seriesID: event.seriesID,
+                status: event.status,
+                start_time: event.start_time,
+                occurrence_date: event.occurrence_date
+            };
+        },
+
+        async lockOccurrences(seriesID, { from } = {}) {
+            return occurrencesOf(Number(seriesID))
+                .filter(event => !from || timeOf(event.start_time) >= timeOf(from))
+                .sort((a, b) => a.eventID - b.eventID)
+                .map(event => ({
+                    eventID: event.eventID,
+                    status: event.status,
+                    start_time: event.start_time,
+                    end_time: event.end_time
+                }));
+        },
+
+        async findEvent(eventID) {
+            return copy(store.events.get(Number(eventID)));
+        },
+
+        async lockSeries(seriesID) {
+            return copy(store.series.get(Number(seriesID)));
+        },
+
+        async countRegistrations(eventIDs) {
+            let registered = 0;
+            for (const eventID of eventIDs) {
+                registered += await events.countRegistrations(eventID);
+            }
+            return registered;
+        },
+
+        async updateEvent(eventID, fields) {
+            const event = store.events.get(Number(eventID));
+            if (event) {
+                Object.assign(event, normalise(fields));
+            }
+        },
+
+        async updateSeries(seriesID, fields) {
+            const series = store.series.get(Number(seriesID));
+            if (series) {
+                Object.assign(series, normalise(fields));
+            }
+        },
+
+        async deleteEvents(eventIDs) {
+            for (const eventID of eventIDs) {
+                await events.delete(eventID);
+            }
+        },
+
+        async deleteSeries(seriesID) {
+            const id = Number(seriesID);
+            store.series.delete(id);
+            // ON DELETE SET NULL
+            for (const event of occurrencesOf(id)) {
+                event.seriesID = null;
+            }
+        }
+    };
+
+    return {
+        transaction(work) {
+            return transaction(store, TABLES, () => work(tx));
+        },
+
+        create(series, occurrences) {
+            return transaction(store, TABLES, async () => {
+                const row = {};
+                for (const column of SERIES_COLUMNS) {
+                    row[column] = series[column] ?? null;
+                }
+                requireColumns(row, ['eventName', 'created_by', 'first_start_time', 'duration_minutes', 'frequency']);
+
+                const seriesID = nextID(store, 'EventSeries');
+                store.series.set(seriesID, { seriesID, ...normalise(row), interval_count: row.interval_count ?? 1, created_at: new Date() });
+
+                const eventIDs = [];
+                for (const occurrence of occurrences) {
+                    const eventID = await events.create(occurrence);
+                    Object.assign(store.events.get(eventID), { seriesID, occurrence_date: toDate(occurrence.occurrence_date, 'occurrence_date') });
+                    eventIDs.push(eventID);
+                }
+                return { seriesID, eventIDs };
+            });
+        },
+
+        async findAll() {
+            const now = Date.now();
+            return [...store.series.values()]
+                .map(series => {
+                    const starts = occurrencesOf(series.seriesID).map(event => timeOf(event.start_time));
+                    const upcoming = starts.filter(start => start > now);
+                    return {
+                        ...series,
+                        occurrences: starts.length,
+                        next_start_time: upcoming.length > 0 ? new Date(Math.min(...upcoming)) : null
+                    };
+                })
+                .sort((a, b) => timeOf(b.first_start_time) - timeOf(a.first_start_time));
+        },
+
+        async findById(seriesID) {
+            return copy(store.series.get(Number(seriesID)));
+        },
+
+        async listOccurrences(seriesID) {
+            return occurrencesOf(Number(seriesID))
+                .sort((a, b) => timeOf(a.start_time) - timeOf(b.start_time))
+                .map(event => ({
+                    eventID: event.eventID,
+                    start_time: event.start_time,
+                    end_time: event.end_time,
+                    occurrence_date: event.occurrence_date,
+                    max_participants: event.max_participants,
+                    max_volunteers: event.max_volunteers,
+                    registered_participants: countFor('participant', event.eventID),
+                    registered_volunteers: countFor('volunteer', event.eventID)
+                }));
+        }
+    };
+};
+
+module.exports = { createSeriesRepository };
@@ -0,0 +1,96 @@
+// ==================== SESSIONS (memory) ====================
+
+const createSessionRepository = (store) => {
+    const revoke = (sessionID) => {
+        const session = store.sessions.get(sessionID);
+        if (!session || session.revoked_at) {
+            return false;
+        }
+        session.revoked_at = new Date();
+        return true;
+    };
+
+    return {
+        async create({ sessionID, userID, expiresAt, userAgent, ipAddress }) {
+            store.sessions.set(sessionID, {
+                sessionID,
+                userID: Number(userID),
+                expires_at: expiresAt,
+                user_agent: userAgent,
+                ip_address: ipAddress,
+                revoked_at: null,
+                last_used_at: null,
+                created_at: new Date()
+            });
+        },
+
+        async findById(sessionID) {
+            const session = store.sessions.get(sessionID);
+            return session && {
+                sessionID: session.sessionID,
+                userID: session.userID,
+                revoked_at: session.revoked_at,
+                expires_at: session.expires_at
+            };
+        },
+
+        async touch(sessionID) {
+            const session = store.sessions.get(sessionID);
+            if (session) {
+                session.last_used_at = new Date();
+            }
+        },
+
+        async revoke(sessionID) {
+            return revoke(sessionID);
+        },
+
+        async revokeAllForUser(userID) {
+            let revoked = 0;
+            for (const session of store.sessions.values()) {
+                if (session.userID === Number(userID) && !session.revoked_at) {
+                    session.revoked_at = new Date();
+                    revoked++;
+                }
+            }
+            return revoked;
+        },
+
+        async revokeByRefreshToken(tokenHash) {
+            const token = store.refreshTokens.get(tokenHash);
+            return token ? revoke(token.sessionID) : false;
+        },
+
+        async addRefreshToken(tokenHash, sessionID, expiresAt) {
+            store.refreshTokens.set(tokenHash, { token_hash: tokenHash, sessionID, expires_at: expiresAt, used_at: null });
+        },
+
+        async findRefreshToken(tokenHash) {
+            const token = store.refreshTokens.get(tokenHash);
+            const session = token && store.sessions.get(token.sessionID);
+            const user = session && store.users.get(session.userID);
+            return user && {
+                token_hash: token.token_hash,
+                expires_at: token.expires_at,
+                used_at: token.used_at,
+                sessionID: session.sessionID,
+                revoked_at: session.revoked_at,
+                session_expires_at: session.expires_at,
+                userID: user.userID,
+                fullName: user.fullName,
+                role: user.role
+            };
+        },
+
+        async markRefreshTokenUsed(tokenHash) {
+            const token = store.refreshTokens.get(tokenHash);
+            if (!token || token.used_at) {
+                return false;
+            }
+            token.used_at = new Date();
+            return true;
+        }
+    };
+};
+
+module.exports = { createSessionRepository };
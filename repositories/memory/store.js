@@ -0,0 +1,135 @@
+// ==================== IN-MEMORY STORE ====================
+// The tables the memory repositories share. Rows are kept in the shape the
+// MySQL driver returns them (DATETIME and DATE columns as Date objects) and
+// copied on the way out so callers cannot change stored rows by accident.
+
+const createStore = () => ({
+    users: new Map(),
+    participants: new Map(),
+    volunteers: new Map(),
+    staff: new Map(),
+    events: new Map(),
+    venues: new Map(),
+    registrations: { participant: [], volunteer: [] },
+    waitlist: [],
+    waitlistAudit: [],
+    attendance: new Map(),
+    sessions: new Map(),
+    refreshTokens: new Map(),
+    otpCodes: new Map(),
+    erasureRequests: [],
+    personalDataAudit: [],
+    auditLog: [],
+    volunteerHoursAdjustments: [],
+    caregivers: new Map(),
+    caregiverLinks: [],
+    series: new Map(),
+    notificationPreferences: [],
+    notificationLog: [],
+    scheduledJobs: new Map(),
+    sequences: {
+        User: 0, Event: 0, EventWaitlist: 0, ErasureRequest: 0, PersonalDataAudit: 0, AuditLog: 0,
+        VolunteerHoursAdjustment: 0, Venue: 0, EventSeries: 0, NotificationLog: 0, ScheduledJob: 0
+    },
+    // Tail of the queue transaction() runs work in
+    transactions: Promise.resolve()
+});
+
+// Next AUTO_INCREMENT value of a table
+const nextID = (store, table) => ++store.sequences[table];
+
+const copy = (row) => (row ? { ...row } : undefined);
+
+// Errors worded like the ones MySQL raises for the same mistakes
+const dbError = (code, message) => Object.assign(new Error(message), { code });
+
+const requireColumns = (row, columns) => {
+    for (const column of columns) {
+        if (row[column] === undefined || row[column] === null) {
+            throw dbError('ER_BAD_NULL_ERROR', `Column '${column}' cannot be null`);
+        }
+    }
+};
+
+const requireUnique = (rows, column, value) => {
+    for (const row of rows) {
+        if (row[column] === value) {
+            throw dbError('ER_DUP_ENTRY', `Duplicate entry '${value}' for key '${column}'`);
+        }
+    }
+};
+
+// DATETIME value from a Date, an ISO string or 'YYYY-MM-DD HH:MM:SS' (local time)
+const toDateTime = (value, column) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const date = value instanceof Date ? new Date(value) : new Date(String(value).replace(' ', 'T'));
+    if (isNaN(date)) {
+        throw dbError('ER_TRUNCATED_WRONG_VALUE', `Incorrect datetime value: '${value}' for column '${column}'`);
+    }
+    return date;
+};
+
+// DATE value (local midnight) from a Date or 'YYYY-MM-DD...' string
+const toDate = (value, column) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    }
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    if (!match) {
+        throw dbError('ER_TRUNCATED_WRONG_VALUE', `Incorrect date value: '${value}' for column '${column}'`);
+    }
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+// Milliseconds of a stored time; NaN for NULL so comparisons fail like SQL's do
+const timeOf = (value) => (value ? new Date(value).getTime() : NaN);
+
+// ==================== TRANSACTIONS ====================
+// Rules shared with the MySQL backend (services/registration.js and the
+// like) await between their reads and writes, so memory repositories run
+// them through transaction(): transactions queue behind each other, as row
+// locks serialise them in MySQL, and the tables named are copied first and
+// put back if work throws, so a refused operation leaves nothing behind.
+
+const copyTable = (table) => {
+    if (table instanceof Map) {
+        return new Map([...table].map(([key, row]) => [key, { ...row }]));
+    }
+    if (Array.isArray(table)) {
+        return table.map(row => ({ ...row }));
+    }
+    return Object.fromEntries(Object.entries(table).map(([key, rows]) => [key, copyTable(rows)]));
+};
+
+const transaction = (store, tables, work) => {
+    const run = store.transactions.then(async () => {
+        const saved = tables.map(name => [name, copyTable(store[name])]);
+        try {
+            return await work();
+        } catch (error) {
+            for (const [name, table] of saved) {
+                store[name] = table;
+            }
+            throw error;
+        }
+    });
+    store.transactions = run.catch(() => {});
+    return run;
+};
+
+module.exports = {
+    createStore,
+    nextID,
+    copy,
+    requireColumns,
+    requireUnique,
+    toDateTime,
+    toDate,
+    timeOf,
+    transaction
+};
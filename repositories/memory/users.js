@@ -0,0 +1,118 @@
+const { nextID, copy, requireColumns } = require('./store');
+
+// ==================== USERS (memory) ====================
+
+const createUserRepository = (store) => ({
+    async findAll() {
+        return [...store.users.values()].map(copy);
+    },
+
+    async findById(userID) {
+        return copy(store.users.get(Number(userID)));
+    },
+
+    async findProfile(userID) {
+        const user = store.users.get(Number(userID));
+        if (!user) {
+            return undefined;
+        }
+
+        if (user.role === 'staff' || user.role === 'volunteer') {
+            const account = (user.role === 'staff' ? store.staff : store.volunteers).get(user.userID);
+            return account ? { ...user, email: account.email } : copy(user);
+        }
+        if (user.role === 'caregiver') {
+            const caregiver = store.caregivers.get(user.userID);
+            return caregiver ? { ...user, email: caregiver.email, phoneNumber: caregiver.phoneNumber } : copy(user);
+        }
+        if (user.role === 'participant') {
+            const participant = store.participants.get(user.userID);
+            return participant
+                ? { ...user, phoneNumber: participant.phoneNumber, birthdate: participant.birthdate }
+                : copy(user);
+        }
+        return copy(user);
+    },
+
+    async findLoginByEmail(email) {
+        for (const accounts of [store.staff, store.volunteers, store.caregivers]) {
+            for (const account of accounts.values()) {
+                const user = store.users.get(account.userID);
+                if (account.email === email && user) {
+                    return {
+                        userID: user.userID,
+                        fullName: user.fullName,
+                        role: user.role,
+                        image_url: user.image_url,
+                        email: account.email,
+                        password: account.password
+                    };
+                }
+            }
+        }
+        return undefined;
+    },
+
+    async create({ fullName, role, image_url }) {
+        const user = { fullName, role, image_url: image_url ?? null };
+        requireColumns(user, ['fullName', 'role']);
+
+        const userID = nextID(store, 'User');
+        store.users.set(userID, { userID, ...user, NRIC: null, NRIC_hash: null, anonymised_at: null, created_at: new Date() });
+        return userID;
+    },
+
+    async update(userID, { fullName, image_url }) {
+        const user = store.users.get(Number(userID));
+        if (!user) {
+            return;
+        }
+        if (fullName !== undefined) {
+            requireColumns({ fullName }, ['fullName']);
+            user.fullName = fullName;
+        }
+        if (image_url !== undefined) {
+            user.image_url = image_url;
+        }
+    },
+
+    // Everything that references the user goes too, as ON DELETE CASCADE does
+    async delete(userID) {
+        const id = Number(userID);
+        store.users.delete(id);
+        store.participants.delete(id);
+        store.volunteers.delete(id);
+        store.staff.delete(id);
+        store.caregivers.delete(id);
+        store.caregiverLinks = store.caregiverLinks.filter(link => link.caregiverID !== id && link.participantID !== id);
+        store.notificationPreferences = store.notificationPreferences.filter(row => row.userID !== id);
+        store.notificationLog = store.notificationLog.filter(entry => entry.userID !== id);
+
+        for (const role of Object.keys(store.registrations)) {
+            store.registrations[role] = store.registrations[role].filter(row => row.userID !== id);
+        }
+        store.waitlist = store.waitlist.filter(entry => entry.userID !== id);
+        for (const [key, row] of store.attendance) {
+            if (row.userID === id) {
+                store.attendance.delete(key);
+            }
+        }
+        for (const [sessionID, session] of store.sessions) {
+            if (session.userID === id) {
+                store.sessions.delete(sessionID);
+            }
+        }
+        for (const [tokenHash, token] of store.refreshTokens) {
+            if (!store.sessions.has(token.sessionID)) {
+                store.refreshTokens.delete(tokenHash);
+            }
+        }
+        for (const event of store.events.values()) {
+            if (event.created_by === id) {
+                event.created_by = null;
+            }
+        }
+    }
+});
+
+module.exports = { createUserRepository };
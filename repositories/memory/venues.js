@@ -0,0 +1,71 @@
+const { nextID, copy, requireColumns, timeOf } = require('./store');
+const { VENUE_COLUMNS } = require('../mysql/venues');
+const { BOOLEAN_COLUMNS } = require('../mysql/events');
+const { slotsOverlap } = require('../../services/registration');
+
+// ==================== VENUES (memory) ====================
+
+// Column values as MySQL would store them
+const normalise = (fields) => {
+    const row = {};
+    for (const column of VENUE_COLUMNS) {
+        row[column] = fields[column] ?? null;
+        if (BOOLEAN_COLUMNS.includes(column) && row[column] !== null) {
+            row[column] = row[column] ? 1 : 0;
+        }
+    }
+    requireColumns(row, ['name', 'address', 'postal_code']);
+    return row;
+};
+
+const createVenueRepository = (store) => ({
+    async findAll() {
+        return [...store.venues.values()]
+            .sort((a, b) => a.name.localeCompare(b.name) || String(a.room ?? '').localeCompare(String(b.room ?? '')) ||
+                a.venueID - b.venueID)
+            .map(copy);
+    },
+
+    async findById(venueID) {
+        return copy(store.venues.get(Number(venueID)));
+    },
+
+    async create(fields) {
+        const row = normalise(fields);
+        const venueID = nextID(store, 'Venue');
+        store.venues.set(venueID, { venueID, ...row, created_at: new Date() });
+        return venueID;
+    },
+
+    async update(venueID, fields) {
+        const venue = store.venues.get(Number(venueID));
+        if (!venue) {
+            return false;
+        }
+        Object.assign(venue, normalise(fields));
+        return true;
+    },
+
+    async delete(venueID) {
+        const id = Number(venueID);
+        if (!store.venues.delete(id)) {
+            return false;
+        }
+        for (const event of store.events.values()) {
+            if (event.venueID === id) {
+                event.venueID = null;
+            }
+        }
+        return true;
+    },
+
+    async findBookings(venueID, slot, { exceptEventID } = {}) {
+        return [...store.events.values()]
+            .filter(event => event.venueID === Number(venueID) && event.eventID !== Number(exceptEventID) &&
+                event.status !== 'cancelled' && slotsOverlap(event, slot))
+            .sort((a, b) => timeOf(a.start_time) - timeOf(b.start_time) || a.eventID - b.eventID)
+            .map(event => ({ eventID: event.eventID, eventName: event.eventName, start_time: event.start_time, end_time: event.end_time }));
+    }
+});
+
+module.exports = { createVenueRepository };
@@ -0,0 +1,50 @@
+const { nextID, copy, requireColumns, timeOf } = require('./store');
+
+// ==================== VOLUNTEER HOURS (memory) ====================
+
+const createVolunteerHoursRepository = (store) => ({
+    async listServices(volunteerID) {
+        const id = Number(volunteerID);
+        return store.registrations.volunteer
+            .filter(row => row.userID === id && store.events.has(row.eventID))
+            .map(row => {
+                const event = store.events.get(row.eventID);
+                const attendance = store.attendance.get(`${row.eventID}:${id}:volunteer`);
+                return {
+                    eventID: event.eventID,
+                    eventName: event.eventName,
+                    start_time: event.start_time,
+                    end_time: event.end_time,
+                    location: event.location,
+                    status: event.status,
+                    attendance_status: attendance ? attendance.status : null,
+                    checked_in_at: attendance ? attendance.checked_in_at : null,
+                    checked_out_at: attendance ? attendance.checked_out_at : null
+                };
+            })
+            .sort((a, b) => timeOf(a.start_time) - timeOf(b.start_time) || a.eventID - b.eventID);
+    },
+
+    async listAdjustments(volunteerID) {
+        return store.volunteerHoursAdjustments
+            .filter(row => row.volunteerID === Number(volunteerID))
+            .map(copy);
+    },
+
+    async addAdjustment(fields) {
+        const row = {
+            adjustmentID: nextID(store, 'VolunteerHoursAdjustment'),
+            volunteerID: Number(fields.volunteerID),
+            eventID: Number(fields.eventID),
+            hours: Number(fields.hours),
+            reason: fields.reason,
+            adjusted_by: fields.adjusted_by ?? null,
+            created_at: new Date()
+        };
+        requireColumns(row, ['reason']);
+        store.volunteerHoursAdjustments.push(row);
+        return row.adjustmentID;
+    }
+});
+
+module.exports = { createVolunteerHoursRepository };
@@ -0,0 +1,75 @@
+// ==================== VOLUNTEERS & STAFF (MySQL) ====================
+// Volunteers and staff are both email/password accounts on top of a User
+// row; they only differ in the table that holds the credentials.
+
+const createAccountRepository = (pool, withTransaction, { table, role }) => ({
+    async findAll() {
+        const [accounts] = await pool.query(
+            `SELECT u.userID, u.fullName, u.role, u.image_url, a.email, a.created_at FROM ${table} a JOIN User u ON a.userID = u.userID`
+        );
+        return accounts;
+    },
+
+    async findById(userID) {
+        const [accounts] = await pool.query(
+            `SELECT u.userID, u.fullName, u.role, u.image_url, a.email, a.created_at FROM ${table} a JOIN User u ON a.userID = u.userID WHERE a.userID = ?`,
+            [userID]
+        );
+        return accounts[0];
+    },
+
+    async findByEmail(email) {
+        const [accounts] = await pool.query(`SELECT userID, email FROM ${table} WHERE email = ?`, [email]);
+        return accounts[0];
+    },
+
+    // Create the User and account rows; `password` must already be hashed
+    create({ fullName, email, password, image_url }) {
+        return withTransaction(async (connection) => {
+            const [userResult] = await connection.query(
+                'INSERT INTO User (fullName, role, image_url) VALUES (?, ?, ?)',
+                [fullName, role, image_url]
+            );
+            await connection.query(
+                `INSERT INTO ${table} (userID, email, password) VALUES (?, ?, ?)`,
+                [userResult.insertId, email, password]
+            );
+            return userResult.insertId;
+        });
+    },
+
+    // Change the given fields only; `password` must already be hashed
+    async update(userID, { fullName, email, password }) {
+        if (fullName) {
+            await pool.query('UPDATE User SET fullName = ? WHERE userID = ?', [fullName, userID]);
+        }
+
+        const fields = [];
+        const values = [];
+        if (email) {
+            fields.push('email = ?');
+            values.push(email);
+        }
+        if (password) {
+            fields.push('password = ?');
+            values.push(password);
+        }
+        if (fields.length > 0) {
+            await pool.query(`UPDATE ${table} SET ${fields.join(', ')} WHERE userID = ?`, [...values, userID]);
+        }
+    },
+
+    // Resolves to whether an account was deleted
+    async delete(userID) {
+        const [result] = await pool.query(`DELETE FROM ${table} WHERE userID = ?`, [userID]);
+        return result.affectedRows > 0;
+    }
+});
+
+const createVolunteerRepository = (pool, withTransaction) =>
+    createAccountRepository(pool, withTransaction, { table: 'Volunteers', role: 'volunteer' });
+
+const createStaffRepository = (pool, withTransaction) =>
+    createAccountRepository(pool, withTransaction, { table: 'Staff', role: 'staff' });
+
+module.exports = { createVolunteerRepository, createStaffRepository };
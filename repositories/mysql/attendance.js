@@ -0,0 +1,90 @@
+// ==================== ATTENDANCE (MySQL) ====================
+// EventAttendance rows, keyed by (eventID, userID, role). Check-in and
+// check-out rules live in services/attendance.js and run on the storage
+// steps of transaction().
+
+const REGISTRATION_TABLES = {
+    participant: { table: 'ParticipantEvent', idColumn: 'participantID' },
+    volunteer: { table: 'VolunteerEvent', idColumn: 'volunteerID' }
+};
+
+// SQL expression for a registrant's attendance status; expects the event as `e`
+// and the attendance row as `a`
+const ATTENDANCE_STATUS_SQL = `
+    CASE
+        WHEN a.status IS NOT NULL THEN a.status
+        WHEN e.end_time < NOW() THEN 'no_show'
+        ELSE 'registered'
+    END`;
+
+const createTx = (connection) => ({
+    // The registration with the person's name and the event's status, or undefined
+    async findRegistration(eventID, userID, role) {
+        const { table, idColumn } = REGISTRATION_TABLES[role];
+        const [rows] = await connection.query(
+            `SELECT r.${idColumn} as userID, u.fullName, r.signed_at, e.status as event_status
+             FROM ${table} r
+             JOIN User u ON r.${idColumn} = u.userID
+             JOIN Event e ON r.eventID = e.eventID
+             WHERE r.eventID = ? AND r.${idColumn} = ?`,
+            [eventID, userID]
+        );
+        return rows[0];
+    },
+
+    // Lock and read the attendance row with the person's name, or undefined
+    async lockAttendance(eventID, userID, role) {
+        const [rows] = await connection.query(
+            `SELECT a.status, a.checked_in_at, a.checked_out_at, u.fullName
+             FROM EventAttendance a
+             JOIN User u ON a.userID = u.userID
+             WHERE a.eventID = ? AND a.userID = ? AND a.role = ?
+             FOR UPDATE`,
+            [eventID, userID, role]
+        );
+        return rows[0];
+    },
+
+    async recordCheckIn(eventID, userID, role, { method, checkedInBy }) {
+        await connection.query(
+            `INSERT INTO EventAttendance (eventID, userID, role, status, method, checked_in_at, checked_in_by)
+             VALUES (?, ?, ?, 'attended', ?, NOW(), ?)
+             ON DUPLICATE KEY UPDATE status = 'attended', method = VALUES(method),
+                 checked_in_at = NOW(), checked_out_at = NULL, checked_in_by = VALUES(checked_in_by)`,
+            [eventID, userID, role, method, checkedInBy]
+        );
+    },
+
+    async recordCheckOut(eventID, userID, role) {
+        await connection.query(
+            'UPDATE EventAttendance SET checked_out_at = NOW() WHERE eventID = ? AND userID = ? AND role = ?',
+            [eventID, userID, role]
+        );
+    }
+});
+
+const createAttendanceRepository = (pool, withTransaction) => ({
+    transaction(work) {
+        return withTransaction((connection) => work(createTx(connection)));
+    },
+
+    // Registrants of an event whose name contains the search text, by name
+    async findByName(eventID, fullName) {
+        const pattern = `%${fullName.trim()}%`;
+        const [rows] = await pool.query(`
+            SELECT pe.participantID as userID, u.fullName, 'participant' as role
+            FROM ParticipantEvent pe
+            JOIN User u ON pe.participantID = u.userID
+            WHERE pe.eventID = ? AND u.fullName LIKE ?
+            UNION ALL
+            SELECT ve.volunteerID as userID, u.fullName, 'volunteer' as role
+            FROM VolunteerEvent ve
+            JOIN User u ON ve.volunteerID = u.userID
+            WHERE ve.eventID = ? AND u.fullName LIKE ?
+            ORDER BY fullName
+        `, [eventID, pattern, eventID, pattern]);
+        return rows;
+    }
+});
+
+module.exports = { createAttendanceRepository, ATTENDANCE_STATUS_SQL };
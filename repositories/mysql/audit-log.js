@@ -0,0 +1,67 @@
+// ==================== AUDIT LOG (MySQL) ====================
+// Snapshots and request bodies are stored as JSON text and parsed on the way out.
+
+const JSON_COLUMNS = ['before_data', 'after_data', 'request_body'];
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+const parseRow = (row) => {
+    const parsed = { ...row };
+    for (const column of JSON_COLUMNS) {
+        parsed[column] = row[column] === null ? null : JSON.parse(row[column]);
+    }
+    return parsed;
+};
+
+const createAuditLogRepository = (pool) => ({
+    async record(entry) {
+        await pool.query(
+            `INSERT INTO AuditLog (request_id, actorID, actor_role, action, entity, entityID, subjectID, method, path,
+                status_code, before_data, after_data, request_body, ip_address)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.request_id, entry.actorID, entry.actor_role, entry.action, entry.entity, entry.entityID,
+                entry.subjectID, entry.method, entry.path, entry.status_code, toJson(entry.before_data),
+                toJson(entry.after_data), toJson(entry.request_body), entry.ip_address
+            ]
+        );
+    },
+
+    // Newest first. `from` and `to` are dates; `to` includes that whole day.
+    async list({ entity, entityID, actorID, subjectID, action, requestID, from, to } = {}, { limit = 100, offset = 0 } = {}) {
+        const where = [];
+        const values = [];
+        const filters = { entity, entityID, actorID, subjectID, action, request_id: requestID };
+        for (const [column, value] of Object.entries(filters)) {
+            if (value !== undefined) {
+                where.push(`${column} = ?`);
+                values.push(value);
+            }
+        }
+        if (from) {
+            where.push('created_at >= ?');
+            values.push(from);
+        }
+        if (to) {
+            where.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+            values.push(to);
+        }
+
+        const [rows] = await pool.query(
+            `SELECT * FROM AuditLog ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+             ORDER BY created_at DESC, auditID DESC LIMIT ? OFFSET ?`,
+            [...values, Number(limit), Number(offset)]
+        );
+        return rows.map(parseRow);
+    },
+
+    // Blank the snapshots, bodies and IP addresses of entries about a person whose account was erased
+    async redactSubject(userID) {
+        await pool.query(
+            'UPDATE AuditLog SET before_data = NULL, after_data = NULL, request_body = NULL, ip_address = NULL WHERE subjectID = ?',
+            [userID]
+        );
+    }
+});
+
+module.exports = { createAuditLogRepository };
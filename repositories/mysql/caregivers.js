@@ -0,0 +1,123 @@
+// ==================== CAREGIVERS (MySQL) ====================
+// Caregiver accounts (email/password plus an optional phone number on top of
+// a User row) and their links to participants in CaregiverParticipant. A link
+// is 'pending' until the participant consents, then 'active' until either
+// side revokes it; revoked links are kept for the record.
+
+const ACCOUNT_COLUMNS = 'u.userID, u.fullName, u.role, u.image_url, c.email, c.phoneNumber, c.created_at';
+
+const LINK_COLUMNS = 'cp.relationship, cp.status, cp.requested_at, cp.consented_at, cp.revoked_at';
+
+const createCaregiverRepository = (pool, withTransaction) => ({
+    async findAll() {
+        const [caregivers] = await pool.query(`SELECT ${ACCOUNT_COLUMNS} FROM Caregiver c JOIN User u ON c.userID = u.userID`);
+        return caregivers;
+    },
+
+    async findById(userID) {
+        const [caregivers] = await pool.query(
+            `SELECT ${ACCOUNT_COLUMNS} FROM Caregiver c JOIN User u ON c.userID = u.userID WHERE c.userID = ?`,
+            [userID]
+        );
+        return caregivers[0];
+    },
+
+    async findByEmail(email) {
+        const [caregivers] = await pool.query('SELECT userID, email FROM Caregiver WHERE email = ?', [email]);
+        return caregivers[0];
+    },
+
+    // Create the User and Caregiver rows; `password` must already be hashed
+    create({ fullName, email, password, phoneNumber, image_url }) {
+        return withTransaction(async (connection) => {
+            const [userResult] = await connection.query(
+                'INSERT INTO User (fullName, role, image_url) VALUES (?, ?, ?)',
+                [fullName, 'caregiver', image_url]
+            );
+            await connection.query(
+                'INSERT INTO Caregiver (userID, email, password, phoneNumber) VALUES (?, ?, ?, ?)',
+                [userResult.insertId, email, password, phoneNumber || null]
+            );
+            return userResult.insertId;
+        });
+    },
+
+    // ==================== LINKS ====================
+
+    async findLink(caregiverID, participantID) {
+        const [links] = await pool.query(
+            `SELECT cp.caregiverID, cp.participantID, ${LINK_COLUMNS}
+             FROM CaregiverParticipant cp WHERE cp.caregiverID = ? AND cp.participantID = ?`,
+            [caregiverID, participantID]
+        );
+        return links[0];
+    },
+
+    // Whether the caregiver has an active, consented link to the participant
+    async hasActiveLink(caregiverID, participantID) {
+        const [links] = await pool.query(
+            "SELECT 1 FROM CaregiverParticipant WHERE caregiverID = ? AND participantID = ? AND status = 'active'",
+            [caregiverID, participantID]
+        );
+        return links.length > 0;
+    },
+
+    // A caregiver's dependants with their link, by name
+    async listDependants(caregiverID) {
+        const [dependants] = await pool.query(
+            `SELECT u.userID, u.fullName, u.image_url, p.phoneNumber, p.birthdate, ${LINK_COLUMNS}
+             FROM CaregiverParticipant cp
+             JOIN User u ON cp.participantID = u.userID
+             JOIN Participant p ON cp.participantID = p.userID
+             WHERE cp.caregiverID = ?
+             ORDER BY u.fullName`,
+            [caregiverID]
+        );
+        return dependants;
+    },
+
+    // A participant's caregivers with their link, by name
+    async listCaregivers(participantID) {
+        const [caregivers] = await pool.query(
+            `SELECT u.userID, u.fullName, u.image_url, c.email, c.phoneNumber, ${LINK_COLUMNS}
+             FROM CaregiverParticipant cp
+             JOIN User u ON cp.caregiverID = u.userID
+             JOIN Caregiver c ON cp.caregiverID = c.userID
+             WHERE cp.participantID = ?
+             ORDER BY u.fullName`,
+            [participantID]
+        );
+        return caregivers;
+    },
+
+    // Create or re-open a link request; it stays pending until the participant consents
+    async requestLink(caregiverID, participantID, relationship) {
+        await pool.query(
+            `INSERT INTO CaregiverParticipant (caregiverID, participantID, relationship, status)
+             VALUES (?, ?, ?, 'pending')
+             ON DUPLICATE KEY UPDATE relationship = VALUES(relationship), status = 'pending',
+                 requested_at = CURRENT_TIMESTAMP, consented_at = NULL, revoked_at = NULL`,
+            [caregiverID, participantID, relationship || null]
+        );
+    },
+
+    // Resolves to whether a pending link was activated
+    async activateLink(caregiverID, participantID) {
+        const [result] = await pool.query(
+            "UPDATE CaregiverParticipant SET status = 'active', consented_at = NOW() WHERE caregiverID = ? AND participantID = ? AND status = 'pending'",
+            [caregiverID, participantID]
+        );
+        return result.affectedRows > 0;
+    },
+
+    // Resolves to whether there was a link left to revoke
+    async revokeLink(caregiverID, participantID) {
+        const [result] = await pool.query(
+            "UPDATE CaregiverParticipant SET status = 'revoked', revoked_at = NOW() WHERE caregiverID = ? AND participantID = ? AND status != 'revoked'",
+            [caregiverID, participantID]
+        );
+        return result.affectedRows > 0;
+    }
+});
+
+module.exports = { createCaregiverRepository };
@@ -0,0 +1,194 @@
+// ==================== EVENTS (MySQL) ====================
+
+const PARTICIPANT_COUNT_SQL = '(SELECT COUNT(*) FROM ParticipantEvent pe WHERE pe.eventID = e.eventID)';
+const VOLUNTEER_COUNT_SQL = '(SELECT COUNT(*) FROM VolunteerEvent ve WHERE ve.eventID = e.eventID)';
+
+const EDITABLE_COLUMNS = [
+    'eventName', 'eventDescription', 'disabled_friendly', 'start_time', 'end_time',
+    'location', 'additional_information', 'max_participants', 'max_volunteers',
+    'wheelchair_accessible', 'hearing_loop', 'seating_available', 'accessible_toilet', 'walking_distance_m', 'venueID'
+];
+
+// Lifecycle columns, changed only through setStatus (services/event-status.js)
+const STATUS_COLUMNS = ['status', 'cancellation_reason', 'cancelled_at', 'cancelled_by'];
+
+// BOOLEAN columns; the accessibility ones may be NULL for unknown
+const BOOLEAN_COLUMNS = ['disabled_friendly', 'wheelchair_accessible', 'hearing_loop', 'seating_available', 'accessible_toilet'];
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// WHERE conditions for the filters parsed by services/events.js
+const buildFilters = (options) => {
+    const conditions = [];
+    const values = [];
+
+    if (options.when === 'upcoming') {
+        conditions.push('e.end_time >= NOW()');
+    } else if (options.when === 'past') {
+        conditions.push('e.end_time < NOW()');
+    }
+    if (options.from) {
+        conditions.push('e.start_time >= ?');
+        values.push(options.from);
+    }
+    if (options.to) {
+        conditions.push('e.start_time < ?');
+        values.push(options.to);
+    }
+    if (options.statuses !== undefined) {
+        // IN () is not valid SQL, and no status matches nothing
+        conditions.push(options.statuses.length > 0 ? 'e.status IN (?)' : 'FALSE');
+        if (options.statuses.length > 0) {
+            values.push(options.statuses);
+        }
+    }
+    if (options.disabledFriendly !== undefined) {
+        conditions.push('e.disabled_friendly = ?');
+        values.push(options.disabledFriendly);
+    }
+    if (options.venueID !== undefined) {
+        conditions.push('e.venueID = ?');
+        values.push(options.venueID);
+    }
+    // Each needed feature must be known to be there
+    for (const column of options.features || []) {
+        conditions.push(`e.${column} = TRUE`);
+    }
+    if (options.maxWalkingDistance !== undefined) {
+        conditions.push('e.walking_distance_m <= ?');
+        values.push(options.maxWalkingDistance);
+    }
+    if (options.location) {
+        conditions.push('e.location LIKE ?');
+        values.push(`%${escapeLike(options.location)}%`);
+    }
+    if (options.search) {
+        conditions.push('(e.eventName LIKE ? OR e.eventDescription LIKE ?)');
+        const pattern = `%${escapeLike(options.search)}%`;
+        values.push(pattern, pattern);
+    }
+    if (options.hasParticipantSpots !== undefined) {
+        const hasSpots = `(e.max_participants IS NULL OR ${PARTICIPANT_COUNT_SQL} < e.max_participants)`;
+        conditions.push(options.hasParticipantSpots ? hasSpots : `NOT ${hasSpots}`);
+    }
+    if (options.hasVolunteerSpots !== undefined) {
+        const hasSpots = `(e.max_volunteers IS NULL OR ${VOLUNTEER_COUNT_SQL} < e.max_volunteers)`;
+        conditions.push(options.hasVolunteerSpots ? hasSpots : `NOT ${hasSpots}`);
+    }
+
+    return { conditions, values };
+};
+
+const createEventRepository = (pool) => ({
+    // Matching events with registration counts, sorted by options.sort/order with
+    // eventID breaking ties. Rows start after options.cursor (or skip `offset`)
+    // and stop at `limit` when given. Resolves to { rows, total }.
+    async list(options, { limit, offset = 0 } = {}) {
+        const { conditions, values } = buildFilters(options);
+        const where = (extra = []) => {
+            const all = [...conditions, ...extra];
+            return all.length > 0 ? `WHERE ${all.join(' AND ')}` : '';
+        };
+
+        const [count] = await pool.query(`SELECT COUNT(*) as total FROM Event e ${where()}`, values);
+
+        const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+        const keysetConditions = [];
+        const keysetValues = [];
+        if (options.cursor) {
+            const comparison = options.order === 'asc' ? '>' : '<';
+            keysetConditions.push(`(e.${options.sort} ${comparison} ? OR (e.${options.sort} = ? AND e.eventID ${comparison} ?))`);
+            keysetValues.push(options.cursor.value, options.cursor.value, options.cursor.eventID);
+        }
+
+        let pageClause = '';
+        if (limit !== undefined) {
+            pageClause = 'LIMIT ? OFFSET ?';
+            keysetValues.push(limit, offset);
+        }
+
+        const [rows] = await pool.query(`
+            SELECT
+                e.*,
+                ${PARTICIPANT_COUNT_SQL} as registered_participants,
+                ${VOLUNTEER_COUNT_SQL} as registered_volunteers
+            FROM Event e
+            ${where(keysetConditions)}
+            ORDER BY e.${options.sort} ${direction}, e.eventID ${direction}
+            ${pageClause}
+        `, [...values, ...keysetValues]);
+
+        return { rows, total: count[0].total };
+    },
+
+    // Event row with registration counts
+    async findById(eventID) {
+        const [events] = await pool.query(`
+            SELECT
+                e.*,
+                ${PARTICIPANT_COUNT_SQL} as registered_participants,
+                ${VOLUNTEER_COUNT_SQL} as registered_volunteers
+            FROM Event e
+            WHERE e.eventID = ?
+        `, [eventID]);
+        return events[0];
+    },
+
+    // Resolves to the new eventID; events are published unless fields.status says otherwise
+    async create(fields) {
+        const columns = [...EDITABLE_COLUMNS, 'created_by', 'status'];
+        const row = { ...fields, status: fields.status || 'published' };
+        const [result] = await pool.query(
+            `INSERT INTO Event (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(column => row[column])
+        );
+        return result.insertId;
+    },
+
+    // Overwrite every editable column; resolves to whether the event exists
+    async update(eventID, fields) {
+        const [result] = await pool.query(
+            `UPDATE Event SET ${EDITABLE_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE eventID = ?`,
+            [...EDITABLE_COLUMNS.map(column => fields[column]), eventID]
+        );
+        return result.affectedRows > 0;
+    },
+
+    // Set the status (and any other STATUS_COLUMNS given) only while the event
+    // is still in one of the `from` statuses; resolves to whether it changed
+    async setStatus(eventID, changes, { from }) {
+        const columns = STATUS_COLUMNS.filter(column => changes[column] !== undefined);
+        const [result] = await pool.query(
+            `UPDATE Event SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE eventID = ? AND status IN (?)`,
+            [...columns.map(column => changes[column]), eventID, from]
+        );
+        return result.affectedRows > 0;
+    },
+
+    // Published events that have ended become completed; resolves to how many did
+    async completeEnded() {
+        const [result] = await pool.query(
+            "UPDATE Event SET status = 'completed' WHERE status = 'published' AND end_time < NOW()"
+        );
+        return result.affectedRows;
+    },
+
+    // Participants, volunteers and people still waiting for a place
+    async countRegistrations(eventID) {
+        const [rows] = await pool.query(
+            `SELECT (SELECT COUNT(*) FROM ParticipantEvent WHERE eventID = ?)
+                  + (SELECT COUNT(*) FROM VolunteerEvent WHERE eventID = ?)
+                  + (SELECT COUNT(*) FROM EventWaitlist WHERE eventID = ? AND status = 'waiting') AS total`,
+            [eventID, eventID, eventID]
+        );
+        return Number(rows[0].total);
+    },
+
+    // Registrations, waitlists and attendance go with it (ON DELETE CASCADE)
+    async delete(eventID) {
+        const [result] = await pool.query('DELETE FROM Event WHERE eventID = ?', [eventID]);
+        return result.affectedRows > 0;
+    }
+});
+
+module.exports = { createEventRepository, EDITABLE_COLUMNS, STATUS_COLUMNS, BOOLEAN_COLUMNS };
@@ -0,0 +1,40 @@
+const { pool, withTransaction } = require('../../db');
+const { createUserRepository } = require('./users');
+const { createParticipantRepository } = require('./participants');
+const { createVolunteerRepository, createStaffRepository } = require('./accounts');
+const { createEventRepository } = require('./events');
+const { createRegistrationRepository } = require('./registrations');
+const { createSessionRepository } = require('./sessions');
+const { createOtpCodeRepository } = require('./otp-codes');
+const { createPrivacyRepository } = require('./privacy');
+const { createAuditLogRepository } = require('./audit-log');
+const { createVolunteerHoursRepository } = require('./volunteer-hours');
+const { createVenueRepository } = require('./venues');
+const { createAttendanceRepository } = require('./attendance');
+const { createCaregiverRepository } = require('./caregivers');
+const { createSeriesRepository } = require('./series');
+const { createNotificationRepository } = require('./notifications');
+const { createJobRepository } = require('./jobs');
+
+const createMysqlRepositories = () => ({
+    backend: 'mysql',
+    users: createUserRepository(pool),
+    participants: createParticipantRepository(pool, withTransaction),
+    volunteers: createVolunteerRepository(pool, withTransaction),
+    staff: createStaffRepository(pool, withTransaction),
+    events: createEventRepository(pool),
+    registrations: createRegistrationRepository(pool, withTransaction),
+    sessions: createSessionRepository(pool),
+    otpCodes: createOtpCodeRepository(pool),
+    privacy: createPrivacyRepository(pool, withTransaction),
+    auditLog: createAuditLogRepository(pool),
+    volunteerHours: createVolunteerHoursRepository(pool),
+    venues: createVenueRepository(pool),
+    attendance: createAttendanceRepository(pool, withTransaction),
+    caregivers: createCaregiverRepository(pool, withTransaction),
+    series: createSeriesRepository(pool, withTransaction),
+    notifications: createNotificationRepository(pool),
+    jobs: createJobRepository(pool, withTransaction)
+});
+
+module.exports = { createMysqlRepositories };
@@ -0,0 +1,94 @@
+// ==================== SCHEDULED JOBS (MySQL) ====================
+// ScheduledJob rows for services/scheduler.js. Due jobs are claimed with
+// SELECT ... FOR UPDATE SKIP LOCKED, so concurrent instances never claim the
+// same job.
+
+const createJobRepository = (pool, withTransaction) => ({
+    // Insert a job, or reschedule the one with the same key (reset to pending
+    // unless it is running right now). Resolves to the job's key or ID.
+    async schedule({ key, type, payload, runAt, maxAttempts }) {
+        const [result] = await pool.query(
+            `INSERT INTO ScheduledJob (job_key, type, payload, run_at, max_attempts) VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                 type = VALUES(type),
+                 payload = VALUES(payload),
+                 run_at = VALUES(run_at),
+                 max_attempts = VALUES(max_attempts),
+                 attempts = IF(status = 'running', attempts, 0),
+                 last_error = IF(status = 'running', last_error, NULL),
+                 status = IF(status = 'running', status, 'pending')`,
+            [key, type, payload, runAt, maxAttempts]
+        );
+        return key || result.insertId;
+    },
+
+    // Cancel pending or failed jobs by key; resolves to how many were cancelled
+    async cancel(keys) {
+        const [result] = await pool.query(
+            "UPDATE ScheduledJob SET status = 'cancelled' WHERE job_key IN (?) AND status IN ('pending', 'failed')",
+            [keys]
+        );
+        return result.affectedRows;
+    },
+
+    // Lease up to `limit` due jobs to a worker for leaseSeconds. A job whose
+    // lease expired is claimed again while it has attempts left, and marked
+    // failed after the last one. Resolves to the claimed jobs, attempts counted.
+    claimDue({ workerID, leaseSeconds, limit }) {
+        return withTransaction(async (connection) => {
+            await connection.query(`
+                UPDATE ScheduledJob
+                SET status = 'failed', last_error = 'Lease expired on the last attempt', locked_by = NULL, locked_until = NULL
+                WHERE status = 'running' AND locked_until < NOW() AND attempts >= max_attempts
+            `);
+
+            const [jobs] = await connection.query(`
+                SELECT jobID, type, payload, attempts, max_attempts
+                FROM ScheduledJob
+                WHERE (status = 'pending' AND run_at <= NOW())
+                   OR (status = 'running' AND locked_until < NOW() AND attempts < max_attempts)
+                ORDER BY run_at
+                LIMIT ?
+                FOR UPDATE SKIP LOCKED
+            `, [limit]);
+
+            if (jobs.length > 0) {
+                await connection.query(
+                    `UPDATE ScheduledJob
+                     SET status = 'running', attempts = attempts + 1, locked_by = ?,
+                         locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+                     WHERE jobID IN (?)`,
+                    [workerID, leaseSeconds, jobs.map(job => job.jobID)]
+                );
+            }
+
+            return jobs.map(job => ({ ...job, attempts: job.attempts + 1 }));
+        });
+    },
+
+    // Release a job that ran; one rescheduled into the future while it ran
+    // goes back to pending
+    async complete(jobID, workerID) {
+        await pool.query(
+            `UPDATE ScheduledJob
+             SET status = IF(run_at > NOW(), 'pending', 'done'), locked_by = NULL, locked_until = NULL
+             WHERE jobID = ? AND locked_by = ?`,
+            [jobID, workerID]
+        );
+    },
+
+    // Release a job that threw: pending again in retryInSeconds, or failed
+    // for good when retryInSeconds is null
+    async fail(jobID, workerID, { error, retryInSeconds }) {
+        const retry = retryInSeconds !== null;
+        await pool.query(
+            `UPDATE ScheduledJob
+             SET status = ?, last_error = ?, locked_by = NULL, locked_until = NULL,
+                 run_at = IF(?, DATE_ADD(NOW(), INTERVAL ? SECOND), run_at)
+             WHERE jobID = ? AND locked_by = ?`,
+            [retry ? 'pending' : 'failed', error, retry, retryInSeconds ?? 0, jobID, workerID]
+        );
+    }
+});
+
+module.exports = { createJobRepository };
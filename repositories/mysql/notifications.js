@@ -0,0 +1,80 @@
+// ==================== NOTIFICATIONS (MySQL) ====================
+// Contact details of recipients, NotificationPreference and NotificationLog.
+// What is sent, and when, is decided in services/notifications.js.
+
+const createNotificationRepository = (pool) => ({
+    // Name, role, phone number and email of each user
+    async findRecipients(userIDs) {
+        if (userIDs.length === 0) {
+            return [];
+        }
+
+        const [users] = await pool.query(`
+            SELECT u.userID, u.fullName, u.role,
+                COALESCE(p.phoneNumber, c.phoneNumber) as phoneNumber,
+                COALESCE(s.email, v.email, c.email) as email
+            FROM User u
+            LEFT JOIN Participant p ON p.userID = u.userID
+            LEFT JOIN Staff s ON s.userID = u.userID
+            LEFT JOIN Volunteers v ON v.userID = u.userID
+            LEFT JOIN Caregiver c ON c.userID = u.userID
+            WHERE u.userID IN (?)
+        `, [userIDs]);
+        return users;
+    },
+
+    // Stored channel settings of the given users: [{ userID, channel, enabled }]
+    async listPreferences(userIDs) {
+        if (userIDs.length === 0) {
+            return [];
+        }
+
+        const [rows] = await pool.query(
+            'SELECT userID, channel, enabled FROM NotificationPreference WHERE userID IN (?)',
+            [userIDs]
+        );
+        return rows;
+    },
+
+    async setPreference(userID, channel, enabled) {
+        await pool.query(
+            `INSERT INTO NotificationPreference (userID, channel, enabled) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)`,
+            [userID, channel, enabled]
+        );
+    },
+
+    async log(entry) {
+        await pool.query(
+            `INSERT INTO NotificationLog (userID, eventID, template, channel, recipient, subject, message, status, error)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [entry.userID, entry.eventID, entry.template, entry.channel, entry.recipient,
+                entry.subject, entry.message, entry.status, entry.error]
+        );
+    },
+
+    // Newest first; filters on userID, eventID, template and status
+    async listLog(filters, { limit }) {
+        const conditions = [];
+        const values = [];
+        for (const [column, value] of Object.entries(filters)) {
+            if (value !== undefined) {
+                conditions.push(`n.${column} = ?`);
+                values.push(value);
+            }
+        }
+
+        const [entries] = await pool.query(`
+            SELECT n.notificationID, n.userID, u.fullName, n.eventID, n.template, n.channel, n.recipient,
+                n.subject, n.message, n.status, n.error, n.created_at
+            FROM NotificationLog n
+            JOIN User u ON n.userID = u.userID
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY n.notificationID DESC
+            LIMIT ?
+        `, [...values, limit]);
+        return entries;
+    }
+});
+
+module.exports = { createNotificationRepository };
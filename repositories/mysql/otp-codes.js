@@ -0,0 +1,36 @@
+// ==================== OTP CODES (MySQL) ====================
+// One hashed code per phone number and purpose in ParticipantOTP.
+
+const createOtpCodeRepository = (pool) => ({
+    async find(phoneNumber, purpose) {
+        const [rows] = await pool.query(
+            'SELECT code_hash, details, expires_at, attempts, last_sent_at FROM ParticipantOTP WHERE phoneNumber = ? AND purpose = ?',
+            [phoneNumber, purpose]
+        );
+        return rows[0];
+    },
+
+    // Replace any previous code for the purpose (and its details) and reset the attempt counter
+    async save(phoneNumber, purpose, { codeHash, details, expiresAt, sentAt }) {
+        await pool.query(
+            `INSERT INTO ParticipantOTP (phoneNumber, purpose, code_hash, details, expires_at, attempts, last_sent_at)
+             VALUES (?, ?, ?, ?, ?, 0, ?)
+             ON DUPLICATE KEY UPDATE code_hash = VALUES(code_hash), details = VALUES(details),
+                 expires_at = VALUES(expires_at), attempts = 0, last_sent_at = VALUES(last_sent_at)`,
+            [phoneNumber, purpose, codeHash, details ?? null, expiresAt, sentAt]
+        );
+    },
+
+    async recordFailedAttempt(phoneNumber, purpose) {
+        await pool.query(
+            'UPDATE ParticipantOTP SET attempts = attempts + 1 WHERE phoneNumber = ? AND purpose = ?',
+            [phoneNumber, purpose]
+        );
+    },
+
+    async delete(phoneNumber, purpose) {
+        await pool.query('DELETE FROM ParticipantOTP WHERE phoneNumber = ? AND purpose = ?', [phoneNumber, purpose]);
+    }
+});
+
+module.exports = { createOtpCodeRepository };
@@ -0,0 +1,117 @@
+const identity = require('../../services/identity');
+
+// ==================== PARTICIPANTS (MySQL) ====================
+// NRIC is stored encrypted; responses mask it (middleware/privacy.js)
+
+// Declared accessibility needs (services/accessibility.js); the BOOLEAN ones default to false
+const NEED_COLUMNS = [
+    'needs_wheelchair_access', 'needs_hearing_loop', 'needs_seating', 'needs_accessible_toilet', 'max_walking_distance_m'
+];
+
+const PARTICIPANT_COLUMNS = `u.userID, u.fullName, u.NRIC, u.role, u.image_url, p.phoneNumber, p.birthdate, p.created_at,
+    ${NEED_COLUMNS.map(column => `p.${column}`).join(', ')}`;
+
+const createParticipantRepository = (pool, withTransaction) => ({
+    async findAll() {
+        const [participants] = await pool.query(
+            `SELECT ${PARTICIPANT_COLUMNS} FROM Participant p JOIN User u ON p.userID = u.userID`
+        );
+        return participants;
+    },
+
+    async findById(userID) {
+        const [participants] = await pool.query(
+            `SELECT ${PARTICIPANT_COLUMNS} FROM Participant p JOIN User u ON p.userID = u.userID WHERE p.userID = ?`,
+            [userID]
+        );
+        return participants[0];
+    },
+
+    async findByPhone(phoneNumber) {
+        const [participants] = await pool.query(
+            `SELECT ${PARTICIPANT_COLUMNS} FROM Participant p JOIN User u ON p.userID = u.userID WHERE p.phoneNumber = ?`,
+            [phoneNumber]
+        );
+        return participants[0];
+    },
+
+    async findByNric(nric) {
+        const [participants] = await pool.query(
+            `SELECT ${PARTICIPANT_COLUMNS} FROM Participant p JOIN User u ON p.userID = u.userID WHERE u.NRIC_hash = ?`,
+            [identity.nricIndex(nric)]
+        );
+        return participants[0];
+    },
+
+    // Participant matching all three login details, or undefined
+    async findByCredentials(phoneNumber, birthdate, fullName) {
+        const [participants] = await pool.query(
+            `SELECT ${PARTICIPANT_COLUMNS} FROM Participant p JOIN User u ON p.userID = u.userID
+             WHERE p.phoneNumber = ? AND p.birthdate = ? AND u.fullName = ?`,
+            [phoneNumber, birthdate, fullName]
+        );
+        return participants[0];
+    },
+
+    // Create the User and Participant rows; resolves to the new userID
+    create({ fullName, phoneNumber, birthdate, image_url, NRIC, ...needs }) {
+        return withTransaction(async (connection) => {
+            const [userResult] = await connection.query(
+                'INSERT INTO User (fullName, NRIC, NRIC_hash, role, image_url) VALUES (?, ?, ?, ?, ?)',
+                [fullName, NRIC ? identity.encryptNric(NRIC) : null, NRIC ? identity.nricIndex(NRIC) : null, 'participant', image_url]
+            );
+            await connection.query(
+                `INSERT INTO Participant (userID, phoneNumber, birthdate, full_name, ${NEED_COLUMNS.join(', ')})
+                 VALUES (?, ?, ?, ?, ${NEED_COLUMNS.map(() => '?').join(', ')})`,
+                [
+                    userResult.insertId, phoneNumber, birthdate, fullName,
+                    ...NEED_COLUMNS.map(column => needs[column] ?? (column === 'max_walking_distance_m' ? null : false))
+                ]
+            );
+            return userResult.insertId;
+        });
+    },
+
+    // Change the given fields only
+    async update(userID, { fullName, phoneNumber, birthdate, NRIC, ...needs }) {
+        if (fullName) {
+            await pool.query('UPDATE User SET fullName = ? WHERE userID = ?', [fullName, userID]);
+        }
+        if (NRIC) {
+            await pool.query(
+                'UPDATE User SET NRIC = ?, NRIC_hash = ? WHERE userID = ?',
+                [identity.encryptNric(NRIC), identity.nricIndex(NRIC), userID]
+            );
+        }
+
+        const fields = [];
+        const values = [];
+        if (fullName) {
+            fields.push('full_name = ?');
+            values.push(fullName);
+        }
+        if (phoneNumber !== undefined) {
+            fields.push('phoneNumber = ?');
+            values.push(phoneNumber);
+        }
+        if (birthdate !== undefined) {
+            fields.push('birthdate = ?');
+            values.push(birthdate);
+        }
+        for (const column of NEED_COLUMNS.filter(column => needs[column] !== undefined)) {
+            fields.push(`${column} = ?`);
+            values.push(needs[column]);
+        }
+        if (fields.length > 0) {
+            await pool.query(`UPDATE Participant SET ${fields.join(', ')} WHERE userID = ?`, [...values, userID]);
+        }
+    },
+
+    // Resolves to whether a participant was deleted
+    async delete(userID) {
+        const [result] = await pool.query('DELETE FROM Participant WHERE userID = ?', [userID]);
+        return result.affectedRows > 0;
+    }
+});
+
+module.exports = { createParticipantRepository, NEED_COLUMNS };
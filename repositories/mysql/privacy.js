@@ -0,0 +1,157 @@
+// ==================== PERSONAL DATA (MySQL) ====================
+// What the data export collects, the anonymisation applied on erasure, and
+// the ErasureRequest / PersonalDataAudit tables behind the review workflow.
+
+const REQUEST_COLUMNS = `r.requestID, r.userID, r.requested_by, r.reason, r.status, r.reviewed_by,
+    r.review_note, r.requested_at, r.reviewed_at, u.fullName, u.role`;
+
+const createPrivacyRepository = (pool, withTransaction) => ({
+    // Everything held about a user apart from the profile itself
+    async collect(userID) {
+        const query = async (sql, params = [userID]) => (await pool.query(sql, params))[0];
+
+        return {
+            participantRegistrations: await query(
+                `SELECT e.eventID, e.eventName, e.start_time, e.end_time, e.location, r.signed_at
+                 FROM ParticipantEvent r JOIN Event e ON r.eventID = e.eventID WHERE r.participantID = ? ORDER BY e.start_time`
+            ),
+            volunteerRegistrations: await query(
+                `SELECT e.eventID, e.eventName, e.start_time, e.end_time, e.location, r.signed_at
+                 FROM VolunteerEvent r JOIN Event e ON r.eventID = e.eventID WHERE r.volunteerID = ? ORDER BY e.start_time`
+            ),
+            attendance: await query(
+                `SELECT a.eventID, e.eventName, a.role, a.status, a.method, a.checked_in_at, a.checked_out_at, a.cancelled_at
+                 FROM EventAttendance a JOIN Event e ON a.eventID = e.eventID WHERE a.userID = ? ORDER BY e.start_time`
+            ),
+            waitlist: await query(
+                `SELECT w.eventID, e.eventName, w.role, w.status, w.created_at, w.promoted_at
+                 FROM EventWaitlist w JOIN Event e ON w.eventID = e.eventID WHERE w.userID = ? ORDER BY w.created_at`
+            ),
+            caregiverLinks: await query(
+                `SELECT caregiverID, participantID, relationship, status, requested_at, consented_at, revoked_at
+                 FROM CaregiverParticipant WHERE caregiverID = ? OR participantID = ?`,
+                [userID, userID]
+            ),
+            notificationPreferences: await query('SELECT channel, enabled, updated_at FROM NotificationPreference WHERE userID = ?'),
+            notifications: await query(
+                `SELECT eventID, template, channel, recipient, subject, message, status, created_at
+                 FROM NotificationLog WHERE userID = ? ORDER BY created_at`
+            ),
+            sessions: await query(
+                'SELECT created_at, last_used_at, revoked_at, user_agent, ip_address FROM AuthSession WHERE userID = ? ORDER BY created_at'
+            )
+        };
+    },
+
+    // Strip everything that identifies the user while keeping the rows that
+    // event statistics count: the User row, past registrations and attendance.
+    // Logins stop working and the person no longer receives messages.
+    anonymise(userID) {
+        return withTransaction(async (connection) => {
+            const id = Number(userID);
+            const [participants] = await connection.query('SELECT phoneNumber FROM Participant WHERE userID = ?', [id]);
+
+            await connection.query(
+                `UPDATE User SET fullName = 'Deleted user', NRIC = NULL, NRIC_hash = NULL, image_url = NULL,
+                 anonymised_at = NOW() WHERE userID = ?`,
+                [id]
+            );
+            // Only the birth year is kept, for age statistics; accessibility needs go
+            await connection.query(
+                `UPDATE Participant SET phoneNumber = ?, full_name = NULL,
+                 birthdate = IF(birthdate IS NULL, NULL, MAKEDATE(YEAR(birthdate), 1)),
+                 needs_wheelchair_access = FALSE, needs_hearing_loop = FALSE, needs_seating = FALSE,
+                 needs_accessible_toilet = FALSE, max_walking_distance_m = NULL WHERE userID = ?`,
+                [`erased:${id}`, id]
+            );
+            for (const table of ['Volunteers', 'Staff', 'Caregiver']) {
+                await connection.query(`UPDATE ${table} SET email = ?, password = '!' WHERE userID = ?`, [`erased-${id}@erased.invalid`, id]);
+            }
+            await connection.query('UPDATE Caregiver SET phoneNumber = NULL WHERE userID = ?', [id]);
+            if (participants.length > 0) {
+                await connection.query('DELETE FROM ParticipantOTP WHERE phoneNumber = ?', [participants[0].phoneNumber]);
+            }
+
+            await connection.query(
+                `UPDATE CaregiverParticipant SET status = 'revoked', revoked_at = NOW()
+                 WHERE (caregiverID = ? OR participantID = ?) AND status != 'revoked'`,
+                [id, id]
+            );
+            await connection.query("UPDATE EventWaitlist SET status = 'removed' WHERE userID = ? AND status = 'waiting'", [id]);
+            await connection.query('DELETE FROM NotificationPreference WHERE userID = ?', [id]);
+            await connection.query(
+                "UPDATE NotificationLog SET recipient = NULL, subject = NULL, message = '[erased]' WHERE userID = ?",
+                [id]
+            );
+            await connection.query('UPDATE AuthSession SET revoked_at = NOW() WHERE userID = ? AND revoked_at IS NULL', [id]);
+            await connection.query('UPDATE AuthSession SET user_agent = NULL, ip_address = NULL WHERE userID = ?', [id]);
+        });
+    },
+
+    // ==================== ERASURE REQUESTS ====================
+
+    async createErasureRequest({ userID, requestedBy, reason }) {
+        const [result] = await pool.query(
+            'INSERT INTO ErasureRequest (userID, requested_by, reason) VALUES (?, ?, ?)',
+            [userID, requestedBy, reason ?? null]
+        );
+        return result.insertId;
+    },
+
+    async findErasureRequest(requestID) {
+        const [requests] = await pool.query(
+            `SELECT ${REQUEST_COLUMNS} FROM ErasureRequest r JOIN User u ON r.userID = u.userID WHERE r.requestID = ?`,
+            [requestID]
+        );
+        return requests[0];
+    },
+
+    async findPendingErasureRequest(userID) {
+        const [requests] = await pool.query(
+            `SELECT ${REQUEST_COLUMNS} FROM ErasureRequest r JOIN User u ON r.userID = u.userID
+             WHERE r.userID = ? AND r.status = 'pending'`,
+            [userID]
+        );
+        return requests[0];
+    },
+
+    // Oldest first, optionally only those with one status
+    async listErasureRequests({ status } = {}) {
+        const [requests] = await pool.query(
+            `SELECT ${REQUEST_COLUMNS} FROM ErasureRequest r JOIN User u ON r.userID = u.userID
+             ${status ? 'WHERE r.status = ?' : ''} ORDER BY r.requested_at, r.requestID`,
+            status ? [status] : []
+        );
+        return requests;
+    },
+
+    // Resolves to false when the request was no longer pending
+    async reviewErasureRequest(requestID, { status, reviewedBy, note }) {
+        const [result] = await pool.query(
+            `UPDATE ErasureRequest SET status = ?, reviewed_by = ?, review_note = ?, reviewed_at = NOW()
+             WHERE requestID = ? AND status = 'pending'`,
+            [status, reviewedBy, note ?? null, requestID]
+        );
+        return result.affectedRows > 0;
+    },
+
+    // ==================== AUDIT TRAIL ====================
+
+    async addAudit({ userID, actorID, requestID, action, details }) {
+        await pool.query(
+            'INSERT INTO PersonalDataAudit (userID, actorID, requestID, action, details) VALUES (?, ?, ?, ?, ?)',
+            [userID, actorID ?? null, requestID ?? null, action, details ?? null]
+        );
+    },
+
+    async listAudit(userID) {
+        const [entries] = await pool.query(
+            `SELECT auditID, userID, actorID, requestID, action, details, created_at
+             FROM PersonalDataAudit WHERE userID = ? ORDER BY created_at, auditID`,
+            [userID]
+        );
+        return entries;
+    }
+});
+
+module.exports = { createPrivacyRepository };
@@ -0,0 +1,203 @@
+const { ROLES, createRegistrationOperations } = require('../../services/registration');
+const { ATTENDANCE_STATUS_SQL } = require('./attendance');
+
+// ==================== REGISTRATIONS (MySQL) ====================
+// Sign-ups run the rules in services/registration.js on the storage steps
+// below; the event and user rows are locked with SELECT ... FOR UPDATE.
+
+const createTx = (connection) => ({
+    // Lock the event row and read its status, time slot, capacity for the role and current registration count
+    async lockEvent(eventID, role) {
+        const { table, capacityColumn } = ROLES[role];
+        const [events] = await connection.query(
+            `SELECT eventID, eventName, status, start_time, end_time, ${capacityColumn} as capacity
+             FROM Event WHERE eventID = ? FOR UPDATE`,
+            [eventID]
+        );
+        if (events.length === 0) {
+            return undefined;
+        }
+
+        const [count] = await connection.query(`SELECT COUNT(*) as current_count FROM ${table} WHERE eventID = ?`, [eventID]);
+        return { ...events[0], current_count: count[0].current_count };
+    },
+
+    async lockUser(userID) {
+        const [users] = await connection.query('SELECT userID FROM User WHERE userID = ? FOR UPDATE', [userID]);
+        return users.length > 0;
+    },
+
+    async lockSeriesOccurrences(seriesID) {
+        const [events] = await connection.query(
+            "SELECT eventID, start_time FROM Event WHERE seriesID = ? AND start_time > NOW() AND status = 'published' ORDER BY eventID FOR UPDATE",
+            [seriesID]
+        );
+        return events;
+    },
+
+    async isRegistered(role, userID, eventID) {
+        const { table, idColumn } = ROLES[role];
+        const [existing] = await connection.query(`SELECT 1 FROM ${table} WHERE ${idColumn} = ? AND eventID = ?`, [userID, eventID]);
+        return existing.length > 0;
+    },
+
+    async listRegisteredEvents(role, userID) {
+        const { table, idColumn } = ROLES[role];
+        const [events] = await connection.query(
+            `SELECT e.eventID, e.eventName, e.start_time, e.end_time
+             FROM ${table} r JOIN Event e ON r.eventID = e.eventID
+             WHERE r.${idColumn} = ? AND e.status <> 'cancelled'`,
+            [userID]
+        );
+        return events;
+    },
+
+    async insertRegistration(role, userID, eventID) {
+        const { table, idColumn } = ROLES[role];
+        await connection.query(`INSERT INTO ${table} (${idColumn}, eventID) VALUES (?, ?)`, [userID, eventID]);
+    },
+
+    async deleteRegistration(role, userID, eventID) {
+        const { table, idColumn } = ROLES[role];
+        const [result] = await connection.query(`DELETE FROM ${table} WHERE ${idColumn} = ? AND eventID = ?`, [userID, eventID]);
+        return result.affectedRows > 0;
+    },
+
+    async listWaiting(eventID, role) {
+        const [entries] = await connection.query(
+            "SELECT waitlistID, userID FROM EventWaitlist WHERE eventID = ? AND role = ? AND status = 'waiting' ORDER BY waitlistID",
+            [eventID, role]
+        );
+        return entries;
+    },
+
+    async addWaitlistEntry(eventID, role, userID) {
+        await connection.query(
+            "INSERT INTO EventWaitlist (eventID, userID, role, status) VALUES (?, ?, ?, 'waiting')",
+            [eventID, userID, role]
+        );
+    },
+
+    async setWaitlistStatus(waitlistID, status) {
+        const [result] = await connection.query(
+            `UPDATE EventWaitlist SET status = ?, promoted_at = IF(? = 'promoted', NOW(), promoted_at)
+             WHERE waitlistID = ? AND status = 'waiting'`,
+            [status, status, waitlistID]
+        );
+        return result.affectedRows > 0;
+    },
+
+    async recordWaitlistAudit(eventID, role, userID, action, reason = null) {
+        await connection.query(
+            'INSERT INTO WaitlistAudit (eventID, userID, role, action, reason) VALUES (?, ?, ?, ?, ?)',
+            [eventID, userID, role, action, reason]
+        );
+    },
+
+    // Unregistering leaves a 'cancelled' attendance row behind
+    async markCancelled(eventID, userID, role) {
+        await connection.query(
+            `INSERT INTO EventAttendance (eventID, userID, role, status, cancelled_at)
+             VALUES (?, ?, ?, 'cancelled', NOW())
+             ON DUPLICATE KEY UPDATE status = 'cancelled', cancelled_at = NOW(),
+                 checked_in_at = NULL, checked_out_at = NULL`,
+            [eventID, userID, role]
+        );
+    },
+
+    // Re-registering wipes an earlier cancellation
+    async clearCancellation(eventID, userID, role) {
+        await connection.query(
+            "DELETE FROM EventAttendance WHERE eventID = ? AND userID = ? AND role = ? AND status = 'cancelled'",
+            [eventID, userID, role]
+        );
+    }
+});
+
+const createRegistrationRepository = (pool, withTransaction) => ({
+    ...createRegistrationOperations((work) => withTransaction((connection) => work(createTx(connection)))),
+
+    // Outside a transaction, for reads that do not lock anything
+    async isRegistered(role, userID, eventID) {
+        return createTx(pool).isRegistered(role, userID, eventID);
+    },
+
+    // Waiting entries for an event, both roles, in queue order
+    async getWaitlist(eventID) {
+        const [entries] = await pool.query(`
+            SELECT w.waitlistID, w.userID, u.fullName, w.role, w.created_at
+            FROM EventWaitlist w
+            JOIN User u ON w.userID = u.userID
+            WHERE w.eventID = ? AND w.status = 'waiting'
+            ORDER BY w.role, w.waitlistID
+        `, [eventID]);
+        return entries;
+    },
+
+    // Users registered for an event in a role, with signed_at
+    async listForEvent(role, eventID) {
+        const { table, idColumn } = ROLES[role];
+        const [users] = await pool.query(
+            `SELECT u.*, r.signed_at FROM ${table} r JOIN User u ON r.${idColumn} = u.userID WHERE r.eventID = ?`,
+            [eventID]
+        );
+        return users;
+    },
+
+    // Events a user is registered for in a role, with signed_at
+    async listForUser(role, userID) {
+        const { table, idColumn } = ROLES[role];
+        const [events] = await pool.query(
+            `SELECT e.*, r.signed_at FROM ${table} r JOIN Event e ON r.eventID = e.eventID WHERE r.${idColumn} = ?`,
+            [userID]
+        );
+        return events;
+    },
+
+    // Registrants in a role with their attendance status and check-in times
+    async listAttendees(role, eventID) {
+        const { table, idColumn } = ROLES[role];
+        const [attendees] = await pool.query(`
+            SELECT u.userID, u.fullName, u.image_url, r.signed_at,
+                ${ATTENDANCE_STATUS_SQL} as attendance_status,
+                a.checked_in_at, a.checked_out_at
+            FROM ${table} r
+            JOIN User u ON r.${idColumn} = u.userID
+            JOIN Event e ON r.eventID = e.eventID
+            LEFT JOIN EventAttendance a ON a.eventID = r.eventID AND a.userID = r.${idColumn} AND a.role = ?
+            WHERE r.eventID = ?
+        `, [role, eventID]);
+        return attendees;
+    },
+
+    // Every registration in a role, optionally only for events starting
+    // before a date, with the event's start_time and the attendance status;
+    // oldest event first
+    async listParticipation(role, { before } = {}) {
+        const { table, idColumn } = ROLES[role];
+        const [rows] = await pool.query(`
+            SELECT r.${idColumn} as userID, r.eventID, e.start_time, r.signed_at,
+                ${ATTENDANCE_STATUS_SQL} as attendance_status
+            FROM ${table} r
+            JOIN Event e ON r.eventID = e.eventID
+            LEFT JOIN EventAttendance a ON a.eventID = r.eventID AND a.userID = r.${idColumn} AND a.role = ?
+            WHERE ? IS NULL OR e.start_time < ?
+            ORDER BY e.start_time, r.eventID
+        `, [role, before ?? null, before ?? null]);
+        return rows;
+    },
+
+    // Cancelled registrations, most recent first
+    async listCancellations(eventID) {
+        const [rows] = await pool.query(`
+            SELECT a.userID, u.fullName, a.role, a.cancelled_at
+            FROM EventAttendance a
+            JOIN User u ON a.userID = u.userID
+            WHERE a.eventID = ? AND a.status = 'cancelled'
+            ORDER BY a.cancelled_at DESC
+        `, [eventID]);
+        return rows;
+    }
+});
+
+module.exports = { createRegistrationRepository };
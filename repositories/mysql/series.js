@@ -0,0 +1,147 @@
+// ==================== EVENT SERIES (MySQL) ====================
+// EventSeries rows and their occurrences, which are ordinary Event rows with
+// seriesID and occurrence_date set. Scoped edits and deletes
+// (services/series.js) run on the storage steps of transaction().
+
+const SERIES_COLUMNS = [
+    'eventName', 'eventDescription', 'disabled_friendly', 'location', 'additional_information',
+    'max_participants', 'max_volunteers', 'created_by', 'first_start_time', 'duration_minutes',
+    'frequency', 'interval_count', 'by_weekday', 'until_date', 'occurrence_count', 'exception_dates',
+    'wheelchair_accessible', 'hearing_loop', 'seating_available', 'accessible_toilet', 'walking_distance_m', 'venueID'
+];
+
+const OCCURRENCE_COLUMNS = [
+    'eventName', 'eventDescription', 'disabled_friendly', 'start_time', 'end_time', 'location',
+    'additional_information', 'created_by', 'max_participants', 'max_volunteers', 'seriesID', 'occurrence_date',
+    'wheelchair_accessible', 'hearing_loop', 'seating_available', 'accessible_toilet', 'walking_distance_m', 'venueID', 'status'
+];
+
+const insert = async (connection, table, columns, row) => {
+    const [result] = await connection.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column] ?? null)
+    );
+    return result.insertId;
+};
+
+// SET clause for the given columns
+const assignments = (fields) => {
+    const columns = Object.keys(fields);
+    return { sql: columns.map(column => `${column} = ?`).join(', '), values: columns.map(column => fields[column]) };
+};
+
+const createTx = (connection) => ({
+    // Lock an event and read what a scoped change needs, or undefined
+    async lockEvent(eventID) {
+        const [events] = await connection.query(
+            'SELECT eventID, seriesID, status, start_time, occurrence_date FROM Event WHERE eventID = ? FOR UPDATE',
+            [eventID]
+        );
+        return events[0];
+    },
+
+    // Lock a series' occurrences, optionally only those starting at or after `from`; eventID order
+    async lockOccurrences(seriesID, { from } = {}) {
+        const [events] = await connection.query(
+            `SELECT eventID, status, start_time, end_time FROM Event
+             WHERE seriesID = ? ${from ? 'AND start_time >= ?' : ''}
+             ORDER BY eventID FOR UPDATE`,
+            from ? [seriesID, from] : [seriesID]
+        );
+        return events;
+    },
+
+    // The whole event row, as this transaction sees it
+    async findEvent(eventID) {
+        const [events] = await connection.query('SELECT * FROM Event WHERE eventID = ?', [eventID]);
+        return events[0];
+    },
+
+    async lockSeries(seriesID) {
+        const [series] = await connection.query('SELECT * FROM EventSeries WHERE seriesID = ? FOR UPDATE', [seriesID]);
+        return series[0];
+    },
+
+    // Registrations plus waiting waitlist entries across the events
+    async countRegistrations(eventIDs) {
+        const [[{ registered }]] = await connection.query(
+            `SELECT (SELECT COUNT(*) FROM ParticipantEvent WHERE eventID IN (?))
+                  + (SELECT COUNT(*) FROM VolunteerEvent WHERE eventID IN (?))
+                  + (SELECT COUNT(*) FROM EventWaitlist WHERE eventID IN (?) AND status = 'waiting') AS registered`,
+            [eventIDs, eventIDs, eventIDs]
+        );
+        return Number(registered);
+    },
+
+    // Change the given columns of an event
+    async updateEvent(eventID, fields) {
+        const set = assignments(fields);
+        await connection.query(`UPDATE Event SET ${set.sql} WHERE eventID = ?`, [...set.values, eventID]);
+    },
+
+    // Change the given columns of a series
+    async updateSeries(seriesID, fields) {
+        const set = assignments(fields);
+        await connection.query(`UPDATE EventSeries SET ${set.sql} WHERE seriesID = ?`, [...set.values, seriesID]);
+    },
+
+    async deleteEvents(eventIDs) {
+        await connection.query('DELETE FROM Event WHERE eventID IN (?)', [eventIDs]);
+    },
+
+    async deleteSeries(seriesID) {
+        await connection.query('DELETE FROM EventSeries WHERE seriesID = ?', [seriesID]);
+    }
+});
+
+const createSeriesRepository = (pool, withTransaction) => ({
+    transaction(work) {
+        return withTransaction((connection) => work(createTx(connection)));
+    },
+
+    // Insert a series and its occurrences (Event rows without seriesID, which
+    // is filled in). Resolves to { seriesID, eventIDs }.
+    create(series, occurrences) {
+        return withTransaction(async (connection) => {
+            const seriesID = await insert(connection, 'EventSeries', SERIES_COLUMNS, series);
+            const eventIDs = [];
+            for (const occurrence of occurrences) {
+                eventIDs.push(await insert(connection, 'Event', OCCURRENCE_COLUMNS, { ...occurrence, seriesID }));
+            }
+            return { seriesID, eventIDs };
+        });
+    },
+
+    // Newest first, with how many occurrences each has and when the next one starts
+    async findAll() {
+        const [series] = await pool.query(`
+            SELECT s.*, COUNT(e.eventID) as occurrences, MIN(CASE WHEN e.start_time > NOW() THEN e.start_time END) as next_start_time
+            FROM EventSeries s
+            LEFT JOIN Event e ON e.seriesID = s.seriesID
+            GROUP BY s.seriesID
+            ORDER BY s.first_start_time DESC
+        `);
+        return series;
+    },
+
+    async findById(seriesID) {
+        const [series] = await pool.query('SELECT * FROM EventSeries WHERE seriesID = ?', [seriesID]);
+        return series[0];
+    },
+
+    // Occurrences with their registration counts, earliest first
+    async listOccurrences(seriesID) {
+        const [occurrences] = await pool.query(`
+            SELECT
+                e.eventID, e.start_time, e.end_time, e.occurrence_date, e.max_participants, e.max_volunteers,
+                (SELECT COUNT(*) FROM ParticipantEvent pe WHERE pe.eventID = e.eventID) as registered_participants,
+                (SELECT COUNT(*) FROM VolunteerEvent ve WHERE ve.eventID = e.eventID) as registered_volunteers
+            FROM Event e
+            WHERE e.seriesID = ?
+            ORDER BY e.start_time
+        `, [seriesID]);
+        return occurrences;
+    }
+});
+
+module.exports = { createSeriesRepository, SERIES_COLUMNS };
@@ -0,0 +1,85 @@
+// ==================== SESSIONS (MySQL) ====================
+// AuthSession rows and the chain of hashed refresh tokens each one owns.
+
+const createSessionRepository = (pool) => ({
+    async create({ sessionID, userID, expiresAt, userAgent, ipAddress }) {
+        await pool.query(
+            'INSERT INTO AuthSession (sessionID, userID, expires_at, user_agent, ip_address) VALUES (?, ?, ?, ?, ?)',
+            [sessionID, userID, expiresAt, userAgent, ipAddress]
+        );
+    },
+
+    // Revocation and expiry of a session, or undefined
+    async findById(sessionID) {
+        const [rows] = await pool.query(
+            'SELECT sessionID, userID, revoked_at, expires_at FROM AuthSession WHERE sessionID = ?',
+            [sessionID]
+        );
+        return rows[0];
+    },
+
+    async touch(sessionID) {
+        await pool.query('UPDATE AuthSession SET last_used_at = NOW() WHERE sessionID = ?', [sessionID]);
+    },
+
+    async revoke(sessionID) {
+        const [result] = await pool.query(
+            'UPDATE AuthSession SET revoked_at = NOW() WHERE sessionID = ? AND revoked_at IS NULL',
+            [sessionID]
+        );
+        return result.affectedRows > 0;
+    },
+
+    // Resolves to how many sessions were revoked
+    async revokeAllForUser(userID) {
+        const [result] = await pool.query(
+            'UPDATE AuthSession SET revoked_at = NOW() WHERE userID = ? AND revoked_at IS NULL',
+            [userID]
+        );
+        return result.affectedRows;
+    },
+
+    async revokeByRefreshToken(tokenHash) {
+        const [result] = await pool.query(
+            `UPDATE AuthSession s
+             JOIN RefreshToken rt ON rt.sessionID = s.sessionID
+             SET s.revoked_at = NOW()
+             WHERE rt.token_hash = ? AND s.revoked_at IS NULL`,
+            [tokenHash]
+        );
+        return result.affectedRows > 0;
+    },
+
+    async addRefreshToken(tokenHash, sessionID, expiresAt) {
+        await pool.query(
+            'INSERT INTO RefreshToken (token_hash, sessionID, expires_at) VALUES (?, ?, ?)',
+            [tokenHash, sessionID, expiresAt]
+        );
+    },
+
+    // Refresh token with its session state and the session's user
+    async findRefreshToken(tokenHash) {
+        const [rows] = await pool.query(
+            `SELECT rt.token_hash, rt.expires_at, rt.used_at, s.sessionID, s.revoked_at,
+                    s.expires_at AS session_expires_at,
+                    u.userID, u.fullName, u.role
+             FROM RefreshToken rt
+             JOIN AuthSession s ON rt.sessionID = s.sessionID
+             JOIN User u ON s.userID = u.userID
+             WHERE rt.token_hash = ?`,
+            [tokenHash]
+        );
+        return rows[0];
+    },
+
+    // Resolves to false when the token had already been used
+    async markRefreshTokenUsed(tokenHash) {
+        const [result] = await pool.query(
+            'UPDATE RefreshToken SET used_at = NOW() WHERE token_hash = ? AND used_at IS NULL',
+            [tokenHash]
+        );
+        return result.affectedRows > 0;
+    }
+});
+
+module.exports = { createSessionRepository };
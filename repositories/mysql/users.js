@@ -0,0 +1,87 @@
+// ==================== USERS (MySQL) ====================
+
+const createUserRepository = (pool) => ({
+    async findAll() {
+        const [users] = await pool.query('SELECT * FROM User');
+        return users;
+    },
+
+    async findById(userID) {
+        const [users] = await pool.query('SELECT * FROM User WHERE userID = ?', [userID]);
+        return users[0];
+    },
+
+    // User row plus the contact details kept on their role's table
+    async findProfile(userID) {
+        const [users] = await pool.query('SELECT * FROM User WHERE userID = ?', [userID]);
+        if (users.length === 0) {
+            return undefined;
+        }
+
+        const user = users[0];
+        const details = {
+            staff: 'SELECT email FROM Staff WHERE userID = ?',
+            volunteer: 'SELECT email FROM Volunteers WHERE userID = ?',
+            caregiver: 'SELECT email, phoneNumber FROM Caregiver WHERE userID = ?',
+            participant: 'SELECT phoneNumber, birthdate FROM Participant WHERE userID = ?'
+        }[user.role];
+
+        if (!details) {
+            return user;
+        }
+        const [rows] = await pool.query(details, [userID]);
+        return { ...user, ...rows[0] };
+    },
+
+    // Staff, volunteer or caregiver login record (with password hash) by email
+    async findLoginByEmail(email) {
+        for (const table of ['Staff', 'Volunteers', 'Caregiver']) {
+            const [users] = await pool.query(
+                `SELECT u.userID, u.fullName, u.role, u.image_url, t.email, t.password
+                 FROM User u JOIN ${table} t ON u.userID = t.userID WHERE t.email = ?`,
+                [email]
+            );
+            if (users.length > 0) {
+                return users[0];
+            }
+        }
+        return undefined;
+    },
+
+    async create({ fullName, role, image_url }) {
+        const [result] = await pool.query(
+            'INSERT INTO User (fullName, role, image_url) VALUES (?, ?, ?)',
+            [fullName, role, image_url]
+        );
+        return result.insertId;
+    },
+
+    // Change the given fields only
+    async update(userID, { fullName, image_url }) {
+        const fields = [];
+        const values = [];
+        if (fullName !== undefined) {
+            fields.push('fullName = ?');
+            values.push(fullName);
+        }
+        if (image_url !== undefined) {
+            fields.push('image_url = ?');
+            values.push(image_url);
+        }
+        if (fields.length > 0) {
+            await pool.query(`UPDATE User SET ${fields.join(', ')} WHERE userID = ?`, [...values, userID]);
+        }
+    },
+
+    // Delete a user and their role and caregiver records
+    async delete(userID) {
+        await pool.query('DELETE FROM Staff WHERE userID = ?', [userID]);
+        await pool.query('DELETE FROM Volunteers WHERE userID = ?', [userID]);
+        await pool.query('DELETE FROM Participant WHERE userID = ?', [userID]);
+        await pool.query('DELETE FROM CaregiverParticipant WHERE caregiverID = ? OR participantID = ?', [userID, userID]);
+        await pool.query('DELETE FROM Caregiver WHERE userID = ?', [userID]);
+        await pool.query('DELETE FROM User WHERE userID = ?', [userID]);
+    }
+});
+
+module.exports = { createUserRepository };
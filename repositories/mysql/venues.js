@@ -0,0 +1,69 @@
+// ==================== VENUES (MySQL) ====================
+
+const VENUE_COLUMNS = [
+    'name', 'room', 'address', 'postal_code', 'capacity',
+    'wheelchair_accessible', 'hearing_loop', 'seating_available', 'accessible_toilet', 'walking_distance_m'
+];
+
+// Condition on Event `e` for time slots that overlap or nest inside the given
+// one, as slotsOverlap() in services/registration.js decides it
+const overlapCondition = (slot) => ({
+    sql: `(
+                (e.start_time < ? AND e.end_time > ?) OR
+                (e.start_time >= ? AND e.end_time <= ?)
+            )`,
+    values: [slot.end_time, slot.start_time, slot.start_time, slot.end_time]
+});
+
+const createVenueRepository = (pool) => ({
+    // By name, then room
+    async findAll() {
+        const [venues] = await pool.query('SELECT * FROM Venue ORDER BY name, room, venueID');
+        return venues;
+    },
+
+    async findById(venueID) {
+        const [venues] = await pool.query('SELECT * FROM Venue WHERE venueID = ?', [venueID]);
+        return venues[0];
+    },
+
+    // Resolves to the new venueID
+    async create(fields) {
+        const [result] = await pool.query(
+            `INSERT INTO Venue (${VENUE_COLUMNS.join(', ')}) VALUES (${VENUE_COLUMNS.map(() => '?').join(', ')})`,
+            VENUE_COLUMNS.map(column => fields[column] ?? null)
+        );
+        return result.insertId;
+    },
+
+    // Overwrite every column; resolves to whether the venue exists
+    async update(venueID, fields) {
+        const [result] = await pool.query(
+            `UPDATE Venue SET ${VENUE_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE venueID = ?`,
+            [...VENUE_COLUMNS.map(column => fields[column] ?? null), venueID]
+        );
+        return result.affectedRows > 0;
+    },
+
+    // Events booked into it are unlinked (ON DELETE SET NULL)
+    async delete(venueID) {
+        const [result] = await pool.query('DELETE FROM Venue WHERE venueID = ?', [venueID]);
+        return result.affectedRows > 0;
+    },
+
+    // Events in the venue whose time slot overlaps the given one, earliest first;
+    // cancelled events no longer hold the room
+    async findBookings(venueID, slot, { exceptEventID } = {}) {
+        const overlap = overlapCondition(slot);
+        const [events] = await pool.query(`
+            SELECT e.eventID, e.eventName, e.start_time, e.end_time
+            FROM Event e
+            WHERE e.venueID = ? AND e.eventID != ? AND e.status != 'cancelled'
+            AND ${overlap.sql}
+            ORDER BY e.start_time, e.eventID
+        `, [venueID, exceptEventID ?? 0, ...overlap.values]);
+        return events;
+    }
+});
+
+module.exports = { createVenueRepository, VENUE_COLUMNS };
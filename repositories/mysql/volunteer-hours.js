@@ -0,0 +1,36 @@
+// ==================== VOLUNTEER HOURS (MySQL) ====================
+
+const createVolunteerHoursRepository = (pool) => ({
+    // Events a volunteer is registered for, oldest first, with their check-in/out times
+    async listServices(volunteerID) {
+        const [rows] = await pool.query(`
+            SELECT e.eventID, e.eventName, e.start_time, e.end_time, e.location, e.status,
+                a.status as attendance_status, a.checked_in_at, a.checked_out_at
+            FROM VolunteerEvent r
+            JOIN Event e ON r.eventID = e.eventID
+            LEFT JOIN EventAttendance a ON a.eventID = r.eventID AND a.userID = r.volunteerID AND a.role = 'volunteer'
+            WHERE r.volunteerID = ?
+            ORDER BY e.start_time, e.eventID
+        `, [volunteerID]);
+        return rows;
+    },
+
+    // Oldest first; DECIMAL hours come back from the driver as strings
+    async listAdjustments(volunteerID) {
+        const [rows] = await pool.query(
+            'SELECT * FROM VolunteerHoursAdjustment WHERE volunteerID = ? ORDER BY created_at, adjustmentID',
+            [volunteerID]
+        );
+        return rows.map(row => ({ ...row, hours: Number(row.hours) }));
+    },
+
+    async addAdjustment({ volunteerID, eventID, hours, reason, adjusted_by }) {
+        const [result] = await pool.query(
+            'INSERT INTO VolunteerHoursAdjustment (volunteerID, eventID, hours, reason, adjusted_by) VALUES (?, ?, ?, ?, ?)',
+            [volunteerID, eventID, hours, reason, adjusted_by]
+        );
+        return result.insertId;
+    }
+});
+
+module.exports = { createVolunteerHoursRepository };
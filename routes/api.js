@@ -1,31 +1,97 @@
 const { Router } = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const router = Router();
 
-// Import pool from db
-const { pool } = require('../db');
+const { getRepositories } = require('../repositories');
+const otp = require('../services/otp');
+const tokens = require('../services/tokens');
+const registration = require('../services/registration');
+const attendance = require('../services/attendance');
+const events = require('../services/events');
+const series = require('../services/series');
+const notifications = require('../services/notifications');
+const reminders = require('../services/reminders');
+const identity = require('../services/identity');
+const privacy = require('../services/privacy');
+const imports = require('../services/imports');
+const exportsService = require('../services/exports');
+const analytics = require('../services/analytics');
+const volunteerHours = require('../services/volunteer-hours');
+const accessibility = require('../services/accessibility');
+const venues = require('../services/venues');
+const eventStatus = require('../services/event-status');
+const { verifyToken, optionalToken, requirePermission, hasPermission, fromParam, fromBody } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { audit, fromUser, fromResult, keyOf } = require('../middleware/audit');
 
-// ==================== MIDDLEWARE ====================
+// ==================== HELPERS ====================
 
-// Verify JWT token middleware
-const verifyToken = (req, res, next) => {
-    try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-            return res.status(401).json({ success: false, error: 'Authorization header missing' });
-        }
-        
-        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-        
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_secret_key_change_in_production');
-        req.user = decoded;
-        next();
-    } catch (error) {
-        res.status(401).json({ success: false, error: 'Invalid or expired token' });
+// Respond with the status and details carried by a service error
+// (OtpError, RegistrationError, AttendanceError, RecurrenceError, EventQueryError, PrivacyError,
+// ImportError, ExportError, VolunteerHoursError, AccessibilityError, VenueError, EventStatusError)
+const sendServiceError = (res, error) => {
+    if (error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+    }
+    res.status(error.status).json({ success: false, error: error.message, ...error.details });
+};
+
+// Whether the name and birthdate (YYYY-MM-DD, optionally with a time) are the
+// ones a participant registered with. The phone number finds the account;
+// these must match before anyone acts on it.
+const sameParticipant = (participant, fullName, birthdate) => {
+    // Normalize dates for comparison (handle timezone issues)
+    const stored = participant.birthdate;
+    const storedBirthdate = stored ?
+        `${stored.getFullYear()}-${String(stored.getMonth() + 1).padStart(2, '0')}-${String(stored.getDate()).padStart(2, '0')}` : null;
+    return participant.fullName === fullName && storedBirthdate === String(birthdate).split('T')[0];
+};
+
+// Notifications are sent in the background once a change has been saved;
+// delivery problems are recorded in NotificationLog, not reported to the caller
+
+// Confirm a sign-up, or tell them their place on the waitlist
+const notifyRegistration = (userID, eventID, result) => {
+    if (result.status === 'waitlisted') {
+        notifications.notifyAboutEvent('waitlisted', [userID], eventID, { position: result.position });
+    } else {
+        notifications.notifyAboutEvent('registration_confirmed', [userID], eventID);
+    }
+};
+
+// Tell people promoted off a waitlist ([userID] or { participants, volunteers })
+const notifyPromotions = (eventID, promoted) => {
+    const userIDs = Array.isArray(promoted) ? promoted : [...promoted.participants, ...promoted.volunteers];
+    if (userIDs.length > 0) {
+        notifications.notifyAboutEvent('waitlist_promoted', userIDs, eventID);
+    }
+};
+
+// Confirm a cancellation and tell whoever took the freed spot
+const notifyUnregistration = (userID, eventID, result) => {
+    if (result.removed) {
+        notifications.notifyAboutEvent('registration_cancelled', [userID], eventID);
+    }
+    notifyPromotions(eventID, result.promoted);
+};
+
+// Summarise a series sign-up in one message
+const notifySeriesRegistration = (userID, results) => {
+    const signedUp = results.filter(result => result.status !== 'already_registered');
+    if (signedUp.length > 0) {
+        notifications.notifyAboutEvent('series_registered', [userID], signedUp[0].eventID, { count: signedUp.length });
     }
 };
 
+// Queue, move or cancel the reminder jobs of events that were created,
+// edited or deleted. Runs in the background like notifications.
+const syncReminders = (eventIDs, { deleted = false } = {}) => {
+    const work = eventIDs.map(eventID => deleted
+        ? reminders.cancelEventReminders(eventID)
+        : reminders.scheduleEventReminders(eventID));
+    Promise.all(work).catch(error => console.error('Failed to update event reminders:', error.message));
+};
+
 // ==================== USER CRUD ====================
 
 /**
@@ -56,51 +122,16 @@ const verifyToken = (req, res, next) => {
  *         description: Server error
  */
 // GET current user from token
-router.get('/me', verifyToken, async (req, res) => {
+router.get('/me', verifyToken, validateRequest, async (req, res) => {
     try {
-        const userID = req.user.userID;
-        const connection = await pool.getConnection();
+        // User row plus the contact details kept for their role
+        const user = await getRepositories().users.findProfile(req.user.userID);
         
-        // Get base user info
-        const [users] = await connection.query('SELECT * FROM User WHERE userID = ?', [userID]);
-        
-        if (!users || users.length === 0) {
-            connection.release();
+        if (!user) {
             return res.status(404).json({ success: false, error: 'User not found' });
         }
         
-        const user = users[0];
-        
-        // Get additional info based on role
-        let additionalInfo = {};
-        
-        if (user.role === 'staff') {
-            const [staff] = await connection.query('SELECT email FROM Staff WHERE userID = ?', [userID]);
-            if (staff && staff.length > 0) {
-                additionalInfo.email = staff[0].email;
-            }
-        } else if (user.role === 'volunteer') {
-            const [volunteer] = await connection.query('SELECT email FROM Volunteers WHERE userID = ?', [userID]);
-            if (volunteer && volunteer.length > 0) {
-                additionalInfo.email = volunteer[0].email;
-            }
-        } else if (user.role === 'participant') {
-            const [participant] = await connection.query('SELECT phoneNumber, birthdate FROM Participant WHERE userID = ?', [userID]);
-            if (participant && participant.length > 0) {
-                additionalInfo.phoneNumber = participant[0].phoneNumber;
-                additionalInfo.birthdate = participant[0].birthdate;
-            }
-        }
-        
-        connection.release();
-        
-        res.json({ 
-            success: true, 
-            data: {
-                ...user,
-                ...additionalInfo
-            }
-        });
+        res.json({ success: true, data: user });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -114,6 +145,8 @@ router.get('/me', verifyToken, async (req, res) => {
  *     description: Retrieve a list of all users in the system
  *     tags:
  *       - Users
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of users retrieved successfully
@@ -128,6 +161,10 @@ router.get('/me', verifyToken, async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -136,11 +173,9 @@ router.get('/me', verifyToken, async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 // GET all users
-router.get('/users', async (req, res) => {
+router.get('/users', verifyToken, requirePermission('users:read'), validateRequest, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        const [users] = await connection.query('SELECT * FROM User');
-        connection.release();
+        const users = await getRepositories().users.findAll();
         res.json({ success: true, data: users });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -155,6 +190,8 @@ router.get('/users', async (req, res) => {
  *     description: Create a new user with basic information
  *     tags:
  *       - Users
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -167,9 +204,11 @@ router.get('/users', async (req, res) => {
  *             properties:
  *               fullName:
  *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
  *               role:
  *                 type: string
- *                 enum: [participant, volunteer, staff]
+ *                 enum: [participant, volunteer, staff, caregiver]
  *               image_url:
  *                 type: string
  *     responses:
@@ -184,6 +223,10 @@ router.get('/users', async (req, res) => {
  *                   type: boolean
  *                 userID:
  *                   type: integer
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -192,16 +235,11 @@ router.get('/users', async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 // CREATE user
-router.post('/users', async (req, res) => {
+router.post('/users', verifyToken, requirePermission('users:create'), validateRequest, audit('user', fromResult('userID')), async (req, res) => {
     try {
         const { fullName, role, image_url } = req.body;
-        const connection = await pool.getConnection();
-        const [result] = await connection.query(
-            'INSERT INTO User (fullName, role, image_url) VALUES (?, ?, ?)',
-            [fullName, role, image_url]
-        );
-        connection.release();
-        res.status(201).json({ success: true, userID: result.insertId });
+        const userID = await getRepositories().users.create({ fullName, role, image_url });
+        res.status(201).json({ success: true, userID });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -222,6 +260,7 @@ router.post('/users', async (req, res) => {
  *         name: userID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
  *         description: The user ID
  *     requestBody:
@@ -233,63 +272,50 @@ router.post('/users', async (req, res) => {
  *             properties:
  *               fullName:
  *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
  *               image_url:
  *                 type: string
  *               phoneNumber:
  *                 type: string
+ *                 format: sg-mobile
  *               birthdate:
  *                 type: string
  *                 format: date
  *     responses:
  *       200:
  *         description: User updated successfully
+ *       401:
+ *         description: Unauthorized - invalid or missing token
  *       403:
  *         description: Forbidden - can only update own profile
  *       500:
  *         description: Server error
  */
 // UPDATE user (only own profile)
-router.put('/users/:userID', verifyToken, async (req, res) => {
+router.put('/users/:userID', verifyToken, requirePermission('users:update', fromParam('userID')), validateRequest, audit('user', fromParam('userID')), async (req, res) => {
     try {
-        // Only allow user to update their own profile
-        if (req.user.userID !== parseInt(req.params.userID)) {
-            return res.status(403).json({ success: false, error: 'You can only update your own profile' });
-        }
-        
         const { fullName, image_url, phoneNumber, birthdate } = req.body;
-        const connection = await pool.getConnection();
-        
-        // Get user with participant details
-        const [users] = await connection.query(
-            `SELECT u.*, p.phoneNumber, p.birthdate 
-             FROM User u 
-             LEFT JOIN Participant p ON u.userID = p.userID 
-             WHERE u.userID = ?`,
-            [req.params.userID]
-        );
+        const { users, participants } = getRepositories();
         
-        if (!users || users.length === 0) {
-            connection.release();
+        const user = await users.findById(req.params.userID);
+        
+        if (!user) {
             return res.status(404).json({ success: false, error: 'User not found' });
         }
         
-        const user = users[0];
-        
-        // Update User table (only update if provided, otherwise keep existing)
-        await connection.query(
-            'UPDATE User SET fullName = ?, image_url = ? WHERE userID = ?',
-            [fullName || user.fullName, image_url !== undefined ? image_url : user.image_url, req.params.userID]
-        );
+        // Only the fields provided change; the rest keep their current values
+        await users.update(req.params.userID, { fullName: fullName || undefined, image_url });
         
-        // Update Participant table if user is a participant
+        // Participants also keep their phone number and birthdate on the Participant record
         if (user.role === 'participant') {
-            await connection.query(
-                'UPDATE Participant SET phoneNumber = ?, birthdate = ?, full_name = ? WHERE userID = ?',
-                [phoneNumber || user.phoneNumber, birthdate || user.birthdate, fullName || user.fullName, req.params.userID]
-            );
+            await participants.update(req.params.userID, {
+                fullName,
+                phoneNumber: phoneNumber ? identity.normalizePhone(phoneNumber) : undefined,
+                birthdate: birthdate || undefined
+            });
         }
         
-        connection.release();
         res.json({ success: true, message: 'User updated' });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -300,8 +326,12 @@ router.put('/users/:userID', verifyToken, async (req, res) => {
  * @swagger
  * /api/users/{userID}:
  *   delete:
- *     summary: Delete own user account
- *     description: Delete user account (only for the authenticated user's own account)
+ *     summary: Request erasure of own account
+ *     description: |
+ *       Files a request to erase the authenticated user's own account. Nothing is removed until a
+ *       staff member approves it through /api/erasure-requests/{requestID}/approve; the account is
+ *       then anonymised rather than deleted, so past registrations and attendance still count
+ *       towards event statistics.
  *     tags:
  *       - Users
  *     security:
@@ -311,84 +341,142 @@ router.put('/users/:userID', verifyToken, async (req, res) => {
  *         name: userID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
  *         description: The user ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
  *     responses:
- *       200:
- *         description: User deleted successfully
+ *       202:
+ *         description: Erasure requested and waiting for staff approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ErasureRequest'
+ *       400:
+ *         description: The account has already been erased, or a request is already pending (its requestID is returned)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
  *       403:
  *         description: Forbidden - can only delete own account
+ *       404:
+ *         description: User not found
  *       500:
  *         description: Server error
  */
-// DELETE user (only own account)
-router.delete('/users/:userID', verifyToken, async (req, res) => {
+// DELETE user (only own account) - files an erasure request for staff to approve
+router.delete('/users/:userID', verifyToken, requirePermission('users:delete', fromParam('userID')), validateRequest, audit('erasure-request', fromResult('data.requestID'), { action: 'request_erasure' }), async (req, res) => {
     try {
-        // Only allow user to delete their own account
-        if (req.user.userID !== parseInt(req.params.userID)) {
-            return res.status(403).json({ success: false, error: 'You can only delete your own account' });
-        }
-        
-        const connection = await pool.getConnection();
-        
-        // Delete from role-specific tables first (due to foreign key constraints)
-        await connection.query('DELETE FROM Staff WHERE userID = ?', [req.params.userID]);
-        await connection.query('DELETE FROM Volunteers WHERE userID = ?', [req.params.userID]);
-        await connection.query('DELETE FROM Participant WHERE userID = ?', [req.params.userID]);
-        
-        // Delete from User table
-        await connection.query('DELETE FROM User WHERE userID = ?', [req.params.userID]);
-        connection.release();
-        res.json({ success: true, message: 'User deleted' });
+        const data = await privacy.requestErasure(req.params.userID, req.user.userID, req.body.reason);
+        res.status(202).json({ success: true, message: 'Erasure requested; a staff member will review it', data });
     } catch (error) {
+        if (error instanceof privacy.PrivacyError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ==================== AUTHENTICATION ====================
+// ==================== PERSONAL DATA ====================
 
 /**
  * @swagger
- * /api/login:
- *   post:
- *     summary: Login staff/volunteer
- *     description: Authenticate a staff member or volunteer with email and password to receive a JWT token
+ * /api/users/{userID}/personal-data:
+ *   get:
+ *     summary: Download personal data
+ *     description: |
+ *       Everything held about a user: profile, registrations, attendance, waitlist entries, caregiver
+ *       links, notification preferences and messages, and login sessions. Users can download their own
+ *       data, with their NRIC in full; staff can download anyone's, with the NRIC masked. Every export is recorded in
+ *       the personal-data audit trail.
  *     tags:
- *       - Authentication
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
+ *       - Personal Data
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *         description: A JSON document, or a ZIP with one JSON file per section
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: The personal data, as an attachment
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
- *       400:
- *         description: Missing required fields
- *         content:
- *           application/json:
+ *               type: object
+ *               properties:
+ *                 exported_at:
+ *                   type: string
+ *                   format: date-time
+ *                 profile:
+ *                   type: object
+ *                 participantRegistrations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 volunteerRegistrations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 attendance:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 waitlist:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 caregiverLinks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 notificationPreferences:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *           application/zip:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: string
+ *               format: binary
  *       401:
- *         description: Invalid credentials
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - can only download own data
+ *       404:
+ *         description: User not found
  *       500:
  *         description: Server error
  *         content:
@@ -396,103 +484,49 @@ router.delete('/users/:userID', verifyToken, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// LOGIN - Staff/Volunteer authentication with email and password
-router.post('/login', async (req, res) => {
+// GET personal data export (JSON or ZIP)
+router.get('/users/:userID/personal-data', verifyToken, requirePermission('personal-data:export', fromParam('userID')), validateRequest, async (req, res) => {
     try {
-        const { email, password } = req.body;
-        
-        if (!email || !password) {
-            return res.status(400).json({ success: false, error: 'Email and password are required' });
-        }
-        
-        const connection = await pool.getConnection();
-        
-        // Try to find in Staff table first
-        let [users] = await connection.query(
-            'SELECT u.userID, u.fullName, u.role, u.image_url, s.email, s.password FROM User u JOIN Staff s ON u.userID = s.userID WHERE s.email = ?',
-            [email]
-        );
-        
-        // If not found in Staff, try Volunteers table
-        if (!users || users.length === 0) {
-            [users] = await connection.query(
-                'SELECT u.userID, u.fullName, u.role, u.image_url, v.email, v.password FROM User u JOIN Volunteers v ON u.userID = v.userID WHERE v.email = ?',
-                [email]
-            );
-        }
-        
-        connection.release();
-        
-        if (!users || users.length === 0) {
-            return res.status(401).json({ success: false, error: 'Invalid email or password' });
-        }
-        
-        const user = users[0];
-        
-        // Compare provided password with hashed password
-        const isPasswordValid = await bcrypt.compare(password, user.password);
+        const bundle = await privacy.exportPersonalData(req.params.userID, req.user.userID);
+        const filename = `lumen-personal-data-${req.params.userID}`;
         
-        if (!isPasswordValid) {
-            return res.status(401).json({ success: false, error: 'Invalid email or password' });
+        if (req.query.format === 'zip') {
+            res.attachment(`${filename}.zip`);
+            return res.type('application/zip').send(privacy.toZip(bundle));
         }
         
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userID: user.userID, 
-                email: user.email, 
-                role: user.role 
-            },
-            process.env.JWT_SECRET || 'your_secret_key_change_in_production',
-            { expiresIn: '24h' }
-        );
-        
-        // Return user info and token (exclude password)
-        res.json({ 
-            success: true, 
-            token,
-            data: {
-                userID: user.userID,
-                fullName: user.fullName,
-                email: user.email,
-                role: user.role,
-                image_url: user.image_url
-            }
-        });
+        // The export is the one response that carries the person's NRIC in full,
+        // and only to the person themselves
+        res.locals.revealNric = String(req.params.userID) === String(req.user.userID);
+        res.attachment(`${filename}.json`);
+        res.json(bundle);
     } catch (error) {
+        if (error instanceof privacy.PrivacyError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * @swagger
- * /api/participant/check-or-create:
- *   post:
- *     summary: Check or create participant
- *     description: Check if participant exists with given credentials, create if not, then send OTP
+ * /api/erasure-requests:
+ *   get:
+ *     summary: List erasure requests
+ *     description: Erasure requests, oldest first (staff only)
  *     tags:
- *       - Authentication
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - phoneNumber
- *               - fullName
- *               - birthdate
- *             properties:
- *               phoneNumber:
- *                 type: string
- *               fullName:
- *                 type: string
- *               birthdate:
- *                 type: string
- *                 format: date
+ *       - Personal Data
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
  *     responses:
  *       200:
- *         description: OTP sent successfully
+ *         description: Erasure requests
  *         content:
  *           application/json:
  *             schema:
@@ -500,110 +534,26 @@ router.post('/login', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 isNewUser:
- *                   type: boolean
- *                 message:
- *                   type: string
- *       400:
- *         description: Missing required fields
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ErasureRequest'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-// CHECK OR CREATE participant and send OTP
-router.post('/participant/check-or-create', async (req, res) => {
+// GET erasure requests
+router.get('/erasure-requests', verifyToken, requirePermission('erasure-requests:review'), validateRequest, async (req, res) => {
     try {
-        const { phoneNumber, fullName, birthdate } = req.body;
-        
-        if (!phoneNumber || !fullName || !birthdate) {
-            return res.status(400).json({ success: false, error: 'Phone number, full name, and birthdate are required' });
-        }
-        
-        const connection = await pool.getConnection();
-        
-        // Check if phone number is already registered (phone is the unique identifier)
-        const [existingParticipant] = await connection.query(
-            `SELECT p.userID, p.phoneNumber, p.birthdate, u.fullName, u.role, u.image_url 
-             FROM Participant p 
-             JOIN User u ON p.userID = u.userID 
-             WHERE p.phoneNumber = ?`,
-            [phoneNumber]
-        );
-        
-        let isNewUser = false;
-        let user;
-        
-        if (!existingParticipant || existingParticipant.length === 0) {
-            // Phone not registered - create new User and Participant
-            isNewUser = true;
-            
-            try {
-                // Create User first
-                const [userResult] = await connection.query(
-                    'INSERT INTO User (fullName, role, image_url) VALUES (?, ?, ?)',
-                    [fullName, 'participant', '']
-                );
-                
-                const newUserID = userResult.insertId;
-                console.log('Created new User with ID:', newUserID);
-                
-                // Then create Participant with the new userID
-                await connection.query(
-                    'INSERT INTO Participant (userID, phoneNumber, birthdate, full_name) VALUES (?, ?, ?, ?)',
-                    [newUserID, phoneNumber, birthdate, fullName]
-                );
-                
-                user = {
-                    userID: newUserID,
-                    fullName: fullName,
-                    phoneNumber: phoneNumber,
-                    birthdate: birthdate,
-                    role: 'participant'
-                };
-            } catch (insertError) {
-                connection.release();
-                console.error('Error creating user/participant:', insertError);
-                return res.status(500).json({ success: false, error: 'Failed to create account: ' + insertError.message });
-            }
-        } else {
-            // Phone exists - verify fullName and birthdate match
-            const existing = existingParticipant[0];
-            
-            // Normalize dates for comparison (handle timezone issues)
-            const existingDate = existing.birthdate;
-            const existingBirthdate = existingDate ? 
-                `${existingDate.getFullYear()}-${String(existingDate.getMonth() + 1).padStart(2, '0')}-${String(existingDate.getDate()).padStart(2, '0')}` : null;
-            
-            // Input birthdate comes as YYYY-MM-DD string from frontend
-            const inputBirthdate = birthdate.split('T')[0];
-            
-            if (existing.fullName !== fullName || existingBirthdate !== inputBirthdate) {
-                connection.release();
-                return res.status(401).json({ 
-                    success: false, 
-                    error: 'Credentials do not match. Please check your name and birthdate.' 
-                });
-            }
-            
-            user = {
-                userID: existing.userID,
-                fullName: existing.fullName,
-                phoneNumber: existing.phoneNumber,
-                birthdate: existing.birthdate,
-                role: existing.role
-            };
-        }
-        
-        connection.release();
-        
-        // In production, send actual OTP via SMS here
-        // For demo, we'll just return success
-        
-        res.json({ 
-            success: true, 
-            isNewUser,
-            message: isNewUser ? 'Account created. OTP sent!' : 'OTP sent!',
-            userID: user.userID  // Used for OTP verification
-        });
+        const data = await getRepositories().privacy.listErasureRequests({ status: req.query.status });
+        res.json({ success: true, data });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -611,106 +561,149 @@ router.post('/participant/check-or-create', async (req, res) => {
 
 /**
  * @swagger
- * /api/login-otp:
- *   post:
- *     summary: Login with OTP
- *     description: Authenticate a participant with phone number and OTP
+ * /api/erasure-requests/{requestID}:
+ *   get:
+ *     summary: Get an erasure request
+ *     description: The request with the person's personal-data audit trail (exports, requests, decisions and anonymisation)
  *     tags:
- *       - Authentication
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - phone
- *               - otp
- *             properties:
- *               phone:
- *                 type: string
- *               otp:
- *                 type: string
+ *       - Personal Data
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: The erasure request
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ErasureRequest'
+ *                     - type: object
+ *                       properties:
+ *                         audit:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/PersonalDataAudit'
  *       401:
- *         description: Invalid OTP
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Erasure request not found
+ *       500:
+ *         description: Server error
+ */
+// GET erasure request with its audit trail
+router.get('/erasure-requests/:requestID', verifyToken, requirePermission('erasure-requests:review'), validateRequest, async (req, res) => {
+    try {
+        const data = await privacy.getErasureRequest(req.params.requestID);
+        res.json({ success: true, data });
+    } catch (error) {
+        if (error instanceof privacy.PrivacyError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/erasure-requests/{requestID}/approve:
+ *   post:
+ *     summary: Approve an erasure request
+ *     description: |
+ *       Cancels the person's upcoming registrations (promoting from waitlists) and anonymises the
+ *       account: name, NRIC, photo, phone number, email and password are removed, the birthdate is
+ *       reduced to its year, sessions are revoked, caregiver links end and sent messages are blanked.
+ *       Past registrations and attendance are kept for event statistics. Staff cannot approve their own request.
+ *     tags:
+ *       - Personal Data
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 255
+ *     responses:
+ *       200:
+ *         description: Request approved and the account anonymised
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ErasureRequest'
+ *       400:
+ *         description: The request has already been reviewed
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions, or the request is the reviewer's own
+ *       404:
+ *         description: Erasure request not found
  *       500:
  *         description: Server error
  */
-// LOGIN with OTP - Participant authentication
-router.post('/login-otp', async (req, res) => {
+// APPROVE erasure request - anonymise the account
+router.post('/erasure-requests/:requestID/approve', verifyToken, requirePermission('erasure-requests:review'), validateRequest, audit('erasure-request', fromParam('requestID'), { action: 'approve' }), async (req, res) => {
     try {
-        const { phone, otp } = req.body;
-        
-        if (!phone || !otp) {
-            return res.status(400).json({ success: false, error: 'Phone and OTP are required' });
-        }
-        
-        // Demo OTP validation - accept 123456
-        if (otp !== '123456') {
-            return res.status(401).json({ success: false, error: 'Invalid OTP' });
-        }
-        
-        const connection = await pool.getConnection();
-        
-        // Find participant with this phone number (should exist from check-or-create)
-        let [participants] = await connection.query(
-            `SELECT u.userID, u.fullName, u.role, u.image_url, p.phoneNumber, p.birthdate 
-             FROM User u 
-             JOIN Participant p ON u.userID = p.userID 
-             WHERE p.phoneNumber = ?`,
-            [phone]
-        );
-        
-        connection.release();
-        
-        if (!participants || participants.length === 0) {
-            return res.status(401).json({ success: false, error: 'Participant not found. Please register first.' });
+        const { request, promoted } = await privacy.approveErasure(req.params.requestID, req.user.userID, req.body.note);
+        for (const spot of promoted) {
+            notifyPromotions(spot.eventID, spot.promoted);
         }
-        
-        const user = participants[0];
-        
-        // Generate JWT token
-        const token = jwt.sign(
-            { userID: user.userID, fullName: user.fullName, role: user.role },
-            process.env.JWT_SECRET || 'your_secret_key_change_in_production',
-            { expiresIn: '7d' }
-        );
-        
-        // Return user info and token
-        res.json({ 
-            success: true, 
-            token,
-            data: {
-                userID: user.userID,
-                fullName: user.fullName,
-                phone: user.phone || phone,
-                role: user.role || 'participant'
-            }
-        });
+        res.json({ success: true, message: 'Account anonymised', data: request });
     } catch (error) {
+        if (error instanceof privacy.PrivacyError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * @swagger
- * /api/login/participant:
+ * /api/erasure-requests/{requestID}/reject:
  *   post:
- *     summary: Login participant
- *     description: Authenticate a participant with phone number, birthdate and full name
+ *     summary: Reject an erasure request
+ *     description: Leaves the account as it is and records why in the audit trail
  *     tags:
- *       - Authentication
+ *       - Personal Data
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
  *     requestBody:
  *       required: true
  *       content:
@@ -718,100 +711,118 @@ router.post('/login-otp', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
- *               - birthdate
- *               - fullName
+ *               - note
  *             properties:
- *               phoneNumber:
- *                 type: string
- *               birthdate:
- *                 type: string
- *                 format: date
- *               fullName:
+ *               note:
  *                 type: string
+ *                 maxLength: 255
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Request rejected
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ErasureRequest'
  *       400:
- *         description: Missing required fields
+ *         description: Missing note, or the request has already been reviewed
  *       401:
- *         description: Invalid credentials
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions, or the request is the reviewer's own
+ *       404:
+ *         description: Erasure request not found
  *       500:
  *         description: Server error
  */
-// LOGIN - Participant authentication with phone + birthdate + name
-router.post('/login/participant', async (req, res) => {
+// REJECT erasure request
+router.post('/erasure-requests/:requestID/reject', verifyToken, requirePermission('erasure-requests:review'), validateRequest, audit('erasure-request', fromParam('requestID'), { action: 'reject' }), async (req, res) => {
     try {
-        const { phoneNumber, birthdate, fullName } = req.body;
-        
-        if (!phoneNumber || !birthdate || !fullName) {
-            return res.status(400).json({ success: false, error: 'Phone number, birthdate, and full name are required' });
-        }
-        
-        const connection = await pool.getConnection();
-        
-        // Find participant by phone number and verify birthdate and name
-        const [participants] = await connection.query(
-            `SELECT u.userID, u.fullName, u.role, u.image_url, p.phoneNumber, p.birthdate 
-             FROM User u 
-             JOIN Participant p ON u.userID = p.userID 
-             WHERE p.phoneNumber = ? AND p.birthdate = ? AND u.fullName = ?`,
-            [phoneNumber, birthdate, fullName]
-        );
-        
-        connection.release();
-        
-        if (!participants || participants.length === 0) {
-            return res.status(401).json({ success: false, error: 'Invalid credentials. Please check your phone number, birthdate, and name.' });
-        }
-        
-        const participant = participants[0];
-        
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userID: participant.userID, 
-                phoneNumber: participant.phoneNumber, 
-                role: participant.role 
-            },
-            process.env.JWT_SECRET || 'your_secret_key_change_in_production',
-            { expiresIn: '24h' }
-        );
-        
-        // Return participant info and token
-        res.json({ 
-            success: true, 
-            token,
-            data: {
-                userID: participant.userID,
-                fullName: participant.fullName,
-                phoneNumber: participant.phoneNumber,
-                role: participant.role,
-                image_url: participant.image_url
-            }
-        });
+        const data = await privacy.rejectErasure(req.params.requestID, req.user.userID, req.body.note);
+        res.json({ success: true, message: 'Erasure request rejected', data });
     } catch (error) {
+        if (error instanceof privacy.PrivacyError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ==================== PARTICIPANT CRUD ====================
+// ==================== AUDIT LOG ====================
 
 /**
  * @swagger
- * /api/participants:
+ * /api/audit-log:
  *   get:
- *     summary: Get all participants
- *     description: Retrieve a list of all participants
+ *     summary: Get the audit log
+ *     description: |
+ *       Every successful write through the API, newest first: who made it, what it changed (before and after),
+ *       the request body, IP address and request ID. Filters are optional and combined with AND. Snapshots of
+ *       people whose accounts have been erased are blanked.
  *     tags:
- *       - Participants
+ *       - Audit Log
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *         description: e.g. event, participant, participant-registration, attendance
+ *       - in: query
+ *         name: entityID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: subjectID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Changes about this person
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Includes that whole day
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
  *     responses:
  *       200:
- *         description: List of participants retrieved successfully
+ *         description: Audit log entries
  *         content:
  *           application/json:
  *             schema:
@@ -822,7 +833,11 @@ router.post('/login/participant', async (req, res) => {
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/User'
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -830,28 +845,30 @@ router.post('/login/participant', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// GET all participants
-router.get('/participants', async (req, res) => {
+// GET audit log
+router.get('/audit-log', verifyToken, requirePermission('audit-log:read'), validateRequest, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        const [participants] = await connection.query(
-            'SELECT u.userID, u.fullName, u.role, u.image_url, p.phoneNumber, p.birthdate, p.created_at FROM Participant p JOIN User u ON p.userID = u.userID'
+        const { entity, entityID, actorID, subjectID, action, requestID, from, to, limit, offset } = req.query;
+        const data = await getRepositories().auditLog.list(
+            { entity, entityID, actorID, subjectID, action, requestID, from, to },
+            { limit, offset }
         );
-        connection.release();
-        res.json({ success: true, data: participants });
+        res.json({ success: true, data });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ==================== AUTHENTICATION ====================
+
 /**
  * @swagger
- * /api/participants:
+ * /api/login:
  *   post:
- *     summary: Create a new participant
- *     description: Create a new participant in the system
+ *     summary: Login staff/volunteer/caregiver
+ *     description: Authenticate a staff member, volunteer or caregiver with email and password to receive a JWT token
  *     tags:
- *       - Participants
+ *       - Authentication
  *     requestBody:
  *       required: true
  *       content:
@@ -859,31 +876,34 @@ router.get('/participants', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - fullName
- *               - phoneNumber
- *               - birthdate
+ *               - email
+ *               - password
  *             properties:
- *               fullName:
- *                 type: string
- *               phoneNumber:
- *                 type: string
- *               birthdate:
+ *               email:
  *                 type: string
- *                 format: date
- *               image_url:
+ *                 format: email
+ *               password:
  *                 type: string
+ *                 minLength: 1
  *     responses:
- *       201:
- *         description: Participant created successfully
+ *       200:
+ *         description: Login successful
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 userID:
- *                   type: integer
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing required fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -891,42 +911,42 @@ router.get('/participants', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// CREATE participant
-router.post('/participants', async (req, res) => {
+// LOGIN - Staff/Volunteer/Caregiver authentication with email and password
+router.post('/login', validateRequest, audit('session', fromResult('data.userID'), { action: 'login', actorFromResult: true }), async (req, res) => {
     try {
-        const { fullName, phoneNumber, birthdate, image_url } = req.body;
+        const { email, password } = req.body;
         
-        if (!fullName || !phoneNumber || !birthdate) {
-            return res.status(400).json({ success: false, error: 'fullName, phoneNumber, and birthdate are required' });
-        }
+        // Staff first, then volunteers, then caregivers
+        const user = await getRepositories().users.findLoginByEmail(email);
         
-        const connection = await pool.getConnection();
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Invalid email or password' });
+        }
         
-        // Check if phone number is already registered
-        const [existingPhone] = await connection.query(
-            'SELECT userID FROM Participant WHERE phoneNumber = ?',
-            [phoneNumber]
-        );
+        // Compare provided password with hashed password
+        const isPasswordValid = await bcrypt.compare(password, user.password);
         
-        if (existingPhone && existingPhone.length > 0) {
-            connection.release();
-            return res.status(400).json({ success: false, error: 'This phone number is already registered' });
+        if (!isPasswordValid) {
+            return res.status(401).json({ success: false, error: 'Invalid email or password' });
         }
         
-        // Insert into User table
-        const [userResult] = await connection.query(
-            'INSERT INTO User (fullName, role, image_url) VALUES (?, ?, ?)',
-            [fullName, 'participant', image_url]
-        );
-        
-        // Insert into Participant table with phoneNumber and birthdate
-        await connection.query(
-            'INSERT INTO Participant (userID, phoneNumber, birthdate) VALUES (?, ?, ?)', 
-            [userResult.insertId, phoneNumber, birthdate]
-        );
-        connection.release();
+        // Open a session and issue access + refresh tokens
+        const { token, refreshToken, expiresIn } = await tokens.issueTokens(user, req);
         
-        res.status(201).json({ success: true, userID: userResult.insertId });
+        // Return user info and token (exclude password)
+        res.json({ 
+            success: true, 
+            token,
+            refreshToken,
+            expiresIn,
+            data: {
+                userID: user.userID,
+                fullName: user.fullName,
+                email: user.email,
+                role: user.role,
+                image_url: user.image_url
+            }
+        });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -934,45 +954,3980 @@ router.post('/participants', async (req, res) => {
 
 /**
  * @swagger
- * /api/participants/{userID}:
- *   delete:
- *     summary: Delete a participant
- *     description: Remove a participant from the system
+ * /api/participant/check-or-create:
+ *   post:
+ *     summary: Check or create participant
+ *     description: Check the details against the participant registered with the phone number, then send an OTP to it via the configured SMS provider. For a phone number nobody has registered, the details are kept with the code and the account is only created once the code is verified at /api/login-otp.
  *     tags:
- *       - Participants
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - fullName
+ *               - birthdate
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 format: sg-mobile
+ *               fullName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               birthdate:
+ *                 type: string
+ *                 format: date
+ *               NRIC:
+ *                 type: string
+ *                 format: nric
+ *                 description: Optional NRIC or FIN, saved for new participants only; checked against its check letter and stored encrypted
+ *     responses:
+ *       200:
+ *         description: OTP sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 isNewUser:
+ *                   type: boolean
+ *                   description: True when verifying the code will create a new account
+ *                 message:
+ *                   type: string
+ *                 userID:
+ *                   type: integer
+ *                   description: The existing participant's ID; absent for new participants until they verify the code
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing required fields or NRIC already registered
+ *       401:
+ *         description: Name or birthdate does not match the registered phone number
+ *       429:
+ *         description: OTP requested again before the resend cooldown elapsed
+ *       502:
+ *         description: OTP could not be delivered
+ *       500:
+ *         description: Server error
+ */
+// CHECK OR CREATE participant and send OTP
+router.post('/participant/check-or-create', validateRequest, audit('participant', fromResult('userID'), { action: 'request_otp' }), async (req, res) => {
+    try {
+        const { fullName, birthdate, NRIC } = req.body;
+        const phoneNumber = identity.normalizePhone(req.body.phoneNumber);
+        
+        const { participants } = getRepositories();
+        
+        // Check if phone number is already registered (phone is the unique identifier)
+        const existing = await participants.findByPhone(phoneNumber);
+        
+        if (!existing) {
+            // Phone not registered - the account is created by /login-otp once
+            // the code proves the phone number is theirs
+            if (NRIC && await participants.findByNric(NRIC)) {
+                return res.status(400).json({ success: false, error: 'This NRIC is already registered' });
+            }
+            
+            const { expiresAt } = await otp.sendCode(phoneNumber, 'login', {
+                details: { fullName, birthdate, NRIC: NRIC ? identity.encryptNric(NRIC) : null }
+            });
+            return res.json({ success: true, isNewUser: true, message: 'OTP sent! Enter it to create your account.', expiresAt });
+        }
+        
+        // Phone exists - verify fullName and birthdate match
+        if (!sameParticipant(existing, fullName, birthdate)) {
+            return res.status(401).json({ 
+                success: false, 
+                error: 'Credentials do not match. Please check your name and birthdate.' 
+            });
+        }
+        
+        // Send OTP via the configured SMS provider
+        const { expiresAt } = await otp.sendCode(existing.phoneNumber);
+        
+        res.json({ 
+            success: true, 
+            isNewUser: false,
+            message: 'OTP sent!',
+            userID: existing.userID,
+            expiresAt
+        });
+    } catch (error) {
+        if (error instanceof otp.OtpError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login-otp:
+ *   post:
+ *     summary: Login with OTP
+ *     description: Authenticate a participant with phone number and the OTP sent by /api/participant/check-or-create. For a new participant this creates the account from the details given there (isNewUser is true).
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - otp
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 format: sg-mobile
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid, expired or missing OTP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The phone number or NRIC was registered by someone else before the code was verified
+ *       429:
+ *         description: Too many incorrect attempts - a new OTP must be requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+// LOGIN with OTP - Participant authentication
+router.post('/login-otp', validateRequest, audit('session', fromResult('data.userID'), { action: (req, result) => (result.isNewUser ? 'sign_up' : 'login'), actorFromResult: true }), async (req, res) => {
+    try {
+        const { otp: code } = req.body;
+        const phone = identity.normalizePhone(req.body.phone);
+        const { participants } = getRepositories();
+        
+        // Verify (and consume) the code sent by /participant/check-or-create
+        const { details } = await otp.verifyCode(phone, code);
+        
+        let user = await participants.findByPhone(phone);
+        const isNewUser = Boolean(details);
+        
+        if (isNewUser) {
+            // Sign-up details wait with the code; the phone number is now proven
+            const NRIC = details.NRIC && identity.decryptNric(details.NRIC);
+            if (user || (NRIC && await participants.findByNric(NRIC))) {
+                return res.status(409).json({ success: false, error: 'This phone number or NRIC has been registered in the meantime. Please sign in again.' });
+            }
+            const userID = await participants.create({ fullName: details.fullName, phoneNumber: phone, birthdate: details.birthdate, image_url: '', NRIC });
+            user = await participants.findById(userID);
+        }
+        
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Participant not found. Please register first.' });
+        }
+        
+        // Open a session and issue access + refresh tokens
+        const { token, refreshToken, expiresIn } = await tokens.issueTokens(user, req);
+        
+        // Return user info and token
+        res.json({ 
+            success: true, 
+            isNewUser,
+            token,
+            refreshToken,
+            expiresIn,
+            data: {
+                userID: user.userID,
+                fullName: user.fullName,
+                phone: user.phone || phone,
+                role: user.role || 'participant'
+            }
+        });
+    } catch (error) {
+        if (error instanceof otp.OtpError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new access token and a new refresh token. Each refresh token can only be used once; reusing one revokes the whole session.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Refresh token invalid, expired, reused or revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+// REFRESH access token
+router.post('/auth/refresh', validateRequest, audit('session', null, { action: 'refresh' }), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        const issued = await tokens.rotateRefreshToken(refreshToken);
+        
+        res.json({ success: true, ...issued });
+    } catch (error) {
+        if (error instanceof tokens.TokenError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out
+ *     description: End the session the refresh token belongs to. Its refresh tokens and any access tokens issued for it stop working immediately.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: Missing refresh token
+ *       500:
+ *         description: Server error
+ */
+// LOGOUT current session
+router.post('/auth/logout', validateRequest, audit('session', null, { action: 'logout' }), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        // Respond the same way whether or not the token matched a live session
+        await tokens.revokeByRefreshToken(refreshToken);
+        
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out everywhere
+ *     description: Revoke every session of the authenticated user, including the current one
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revokedSessions:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Server error
+ */
+// LOGOUT all sessions
+router.post('/auth/logout-all', verifyToken, validateRequest, audit('session', fromUser, { action: 'logout_all' }), async (req, res) => {
+    try {
+        const revokedSessions = await tokens.revokeAllSessions(req.user.userID);
+        res.json({ success: true, message: 'Logged out of all sessions', revokedSessions });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== PARTICIPANT CRUD ====================
+
+/**
+ * @swagger
+ * /api/participants:
+ *   get:
+ *     summary: Get all participants
+ *     description: Retrieve a list of all participants
+ *     tags:
+ *       - Participants
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of participants retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET all participants
+router.get('/participants', verifyToken, requirePermission('participants:read'), validateRequest, async (req, res) => {
+    try {
+        const participants = await getRepositories().participants.findAll();
+        res.json({ success: true, data: participants });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/participants:
+ *   post:
+ *     summary: Create a new participant
+ *     description: Create a new participant in the system
+ *     tags:
+ *       - Participants
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fullName
+ *               - phoneNumber
+ *               - birthdate
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               phoneNumber:
+ *                 type: string
+ *                 format: sg-mobile
+ *               birthdate:
+ *                 type: string
+ *                 format: date
+ *               NRIC:
+ *                 type: string
+ *                 format: nric
+ *                 description: Optional NRIC or FIN, checked against its check letter and stored encrypted
+ *               image_url:
+ *                 type: string
+ *               needs_wheelchair_access:
+ *                 type: boolean
+ *                 description: Accessibility needs matched against events on registration
+ *               needs_hearing_loop:
+ *                 type: boolean
+ *               needs_seating:
+ *                 type: boolean
+ *               needs_accessible_toilet:
+ *                 type: boolean
+ *               max_walking_distance_m:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Furthest the participant can walk, in metres (null for no limit)
+ *     responses:
+ *       201:
+ *         description: Participant created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 userID:
+ *                   type: integer
+ *       400:
+ *         description: Invalid input, or the phone number or NRIC is already registered
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// CREATE participant
+router.post('/participants', verifyToken, requirePermission('participants:create'), validateRequest, audit('participant', fromResult('userID')), async (req, res) => {
+    try {
+        const { fullName, birthdate, image_url, NRIC } = req.body;
+        const { needs_wheelchair_access, needs_hearing_loop, needs_seating, needs_accessible_toilet, max_walking_distance_m } = req.body;
+        const phoneNumber = identity.normalizePhone(req.body.phoneNumber);
+        
+        const { participants } = getRepositories();
+        
+        // Check if phone number is already registered
+        if (await participants.findByPhone(phoneNumber)) {
+            return res.status(400).json({ success: false, error: 'This phone number is already registered' });
+        }
+        
+        if (NRIC && await participants.findByNric(NRIC)) {
+            return res.status(400).json({ success: false, error: 'This NRIC is already registered' });
+        }
+        
+        const userID = await participants.create({
+            fullName, phoneNumber, birthdate, image_url, NRIC,
+            needs_wheelchair_access, needs_hearing_loop, needs_seating, needs_accessible_toilet, max_walking_distance_m
+        });
+        
+        res.status(201).json({ success: true, userID });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/participants/import:
+ *   post:
+ *     summary: Import participants from a CSV or XLSX sheet
+ *     description: |
+ *       Upload a sign-up sheet with a header row naming the columns: name, phone number and birthdate are
+ *       required, NRIC is optional (common spellings such as "Full Name", "Mobile" or "DOB" are recognised).
+ *       Birthdates may be written YYYY-MM-DD or DD/MM/YYYY. Each row is validated and matched with existing
+ *       participants by phone number, name and birthdate.
+ *
+ *       By default nothing is saved: the response previews which rows would create or update a participant,
+ *       which are unchanged, and which conflict with existing records or are invalid. Send the same file
+ *       with `dryRun: false` to commit it; conflicts and invalid rows are skipped. With an `eventID`,
+ *       every imported participant is also registered for that event.
+ *     tags:
+ *       - Participants
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - filename
+ *               - file
+ *             properties:
+ *               filename:
+ *                 type: string
+ *                 pattern: '\.(csv|xlsx|CSV|XLSX)$'
+ *                 example: sign-ups.csv
+ *               file:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: The file contents, base64-encoded
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *               eventID:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Register every imported participant for this event
+ *               joinWaitlist:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Put participants on the waitlist once the event is full
+ *     responses:
+ *       200:
+ *         description: Preview or result of the import
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 dryRun:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   description: Number of rows per action, plus registration outcomes when an event was given
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRow'
+ *       400:
+ *         description: The file cannot be read, is missing a required column or has too many rows
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// IMPORT participants
+router.post('/participants/import', verifyToken, requirePermission('participants:create'), validateRequest, audit('participant-import', null, { action: (req) => (req.body.dryRun === false ? 'import' : 'import_preview') }), async (req, res) => {
+    try {
+        const { filename, file, eventID, joinWaitlist, dryRun } = req.body;
+        const result = await imports.importParticipants({ filename, file, eventID, joinWaitlist, dryRun: dryRun !== false });
+        
+        for (const row of result.rows) {
+            if (row.registration && row.registration.status !== 'failed') {
+                notifyRegistration(row.participantID, eventID, row.registration);
+            }
+        }
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error instanceof imports.ImportError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/participants/{userID}:
+ *   delete:
+ *     summary: Delete a participant
+ *     description: Remove a participant from the system
+ *     tags:
+ *       - Participants
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The participant user ID
+ *     responses:
+ *       200:
+ *         description: Participant deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Participant not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// DELETE participant
+router.delete('/participants/:userID', verifyToken, requirePermission('participants:delete'), validateRequest, audit('participant', fromParam('userID')), async (req, res) => {
+    try {
+        if (!(await getRepositories().participants.delete(req.params.userID))) {
+            return res.status(404).json({ success: false, error: 'Participant not found' });
+        }
+        res.json({ success: true, message: 'Participant deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/participants/{userID}:
+ *   put:
+ *     summary: Update a participant
+ *     description: Update participant information
+ *     tags:
+ *       - Participants
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The participant user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               phoneNumber:
+ *                 type: string
+ *                 format: sg-mobile
+ *               birthdate:
+ *                 type: string
+ *                 format: date
+ *               NRIC:
+ *                 type: string
+ *                 format: nric
+ *                 description: Optional NRIC or FIN, checked against its check letter and stored encrypted
+ *               needs_wheelchair_access:
+ *                 type: boolean
+ *                 description: Accessibility needs matched against events on registration
+ *               needs_hearing_loop:
+ *                 type: boolean
+ *               needs_seating:
+ *                 type: boolean
+ *               needs_accessible_toilet:
+ *                 type: boolean
+ *               max_walking_distance_m:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Furthest the participant can walk, in metres (null for no limit)
+ *     responses:
+ *       200:
+ *         description: Participant updated successfully
+ *       400:
+ *         description: Invalid input, or the phone number or NRIC belongs to another participant
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+// UPDATE participant
+router.put('/participants/:userID', verifyToken, requirePermission('participants:update', fromParam('userID')), validateRequest, audit('participant', fromParam('userID')), async (req, res) => {
+    try {
+        const { fullName, birthdate, NRIC } = req.body;
+        const { needs_wheelchair_access, needs_hearing_loop, needs_seating, needs_accessible_toilet, max_walking_distance_m } = req.body;
+        const phoneNumber = identity.normalizePhone(req.body.phoneNumber);
+        const { participants } = getRepositories();
+        
+        // Phone number and NRIC identify a participant, so neither may belong to someone else
+        const phoneOwner = phoneNumber && await participants.findByPhone(phoneNumber);
+        if (phoneOwner && phoneOwner.userID !== Number(req.params.userID)) {
+            return res.status(400).json({ success: false, error: 'This phone number is already registered' });
+        }
+        
+        const nricOwner = NRIC && await participants.findByNric(NRIC);
+        if (nricOwner && nricOwner.userID !== Number(req.params.userID)) {
+            return res.status(400).json({ success: false, error: 'This NRIC is already registered' });
+        }
+        
+        // Participants have no email; they are reached by phone
+        await participants.update(req.params.userID, {
+            fullName, phoneNumber, birthdate, NRIC,
+            needs_wheelchair_access, needs_hearing_loop, needs_seating, needs_accessible_toilet, max_walking_distance_m
+        });
+        
+        res.json({ success: true, message: 'Participant updated' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== VOLUNTEERS CRUD ====================
+
+/**
+ * @swagger
+ * /api/volunteers:
+ *   get:
+ *     summary: Get all volunteers
+ *     description: Retrieve a list of all volunteers
+ *     tags:
+ *       - Volunteers
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of volunteers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET all volunteers
+router.get('/volunteers', verifyToken, requirePermission('volunteers:read'), validateRequest, async (req, res) => {
+    try {
+        const volunteers = await getRepositories().volunteers.findAll();
+        res.json({ success: true, data: volunteers });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/volunteers:
+ *   post:
+ *     summary: Create a new volunteer
+ *     description: Create a new volunteer with email and password
+ *     tags:
+ *       - Volunteers
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fullName
+ *               - email
+ *               - password
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 1
+ *               image_url:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Volunteer created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 userID:
+ *                   type: integer
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// CREATE volunteer
+router.post('/volunteers', validateRequest, audit('volunteer', fromResult('userID')), async (req, res) => {
+    try {
+        const { fullName, email, password, image_url } = req.body;
+        
+        // Hash the password
+        const hashedPassword = await bcrypt.hash(password, 10);
+        
+        const userID = await getRepositories().volunteers.create({ fullName, email, password: hashedPassword, image_url });
+        
+        res.status(201).json({ success: true, userID });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/volunteers/{userID}:
+ *   delete:
+ *     summary: Delete a volunteer
+ *     description: Remove a volunteer from the system
+ *     tags:
+ *       - Volunteers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The volunteer user ID
+ *     responses:
+ *       200:
+ *         description: Volunteer deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Volunteer not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// DELETE volunteer
+router.delete('/volunteers/:userID', verifyToken, requirePermission('volunteers:delete'), validateRequest, audit('volunteer', fromParam('userID')), async (req, res) => {
+    try {
+        if (!(await getRepositories().volunteers.delete(req.params.userID))) {
+            return res.status(404).json({ success: false, error: 'Volunteer not found' });
+        }
+        res.json({ success: true, message: 'Volunteer deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/volunteers/{userID}:
+ *   put:
+ *     summary: Update a volunteer
+ *     description: Update volunteer information
+ *     tags:
+ *       - Volunteers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The volunteer user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Volunteer updated successfully
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+// UPDATE volunteer
+router.put('/volunteers/:userID', verifyToken, requirePermission('volunteers:update', fromParam('userID')), validateRequest, audit('volunteer', fromParam('userID')), async (req, res) => {
+    try {
+        const { fullName, email } = req.body;
+        
+        // Email lives on the Volunteers table
+        await getRepositories().volunteers.update(req.params.userID, { fullName, email });
+        
+        res.json({ success: true, message: 'Volunteer updated' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== STAFF CRUD ====================
+
+/**
+ * @swagger
+ * /api/staff:
+ *   get:
+ *     summary: Get all staff members
+ *     description: Retrieve a list of all staff members
+ *     tags:
+ *       - Staff
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of staff members retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET all staff
+router.get('/staff', verifyToken, requirePermission('staff:read'), validateRequest, async (req, res) => {
+    try {
+        const staff = await getRepositories().staff.findAll();
+        res.json({ success: true, data: staff });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/staff:
+ *   post:
+ *     summary: Create a new staff member (Admin only)
+ *     description: Create a new staff member with email and password. Only authenticated staff/admin can create new staff accounts.
+ *     tags:
+ *       - Staff
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fullName
+ *               - email
+ *               - password
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 1
+ *               image_url:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Staff member created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 userID:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - only staff/admin can create staff accounts
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// CREATE staff (Admin only)
+router.post('/staff', verifyToken, requirePermission('staff:create'), validateRequest, audit('staff', fromResult('userID')), async (req, res) => {
+    try {
+        const { fullName, email, password, image_url } = req.body;
+        
+        const { staff } = getRepositories();
+        
+        // Check if email already exists
+        if (await staff.findByEmail(email)) {
+            return res.status(400).json({ success: false, error: 'Email already registered' });
+        }
+        
+        // Hash the password
+        const hashedPassword = await bcrypt.hash(password, 10);
+        
+        const userID = await staff.create({ fullName, email, password: hashedPassword, image_url });
+        
+        res.status(201).json({ success: true, userID });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/staff/{userID}:
+ *   put:
+ *     summary: Update a staff member
+ *     description: Update the name, email or password of a staff member. Only the fields sent are changed.
+ *     tags:
+ *       - Staff
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The staff member user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: Staff member updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// UPDATE staff 
+router.put('/staff/:userID', verifyToken, requirePermission('staff:update'), validateRequest, audit('staff', fromParam('userID')), async (req, res) => {
+    try {
+        const { fullName, email, password } = req.body;
+        
+        // Email and password live on the Staff table
+        await getRepositories().staff.update(req.params.userID, {
+            fullName,
+            email,
+            password: password ? await bcrypt.hash(password, 10) : undefined
+        });
+        
+        res.json({ success: true, message: 'Staff updated' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/staff/{userID}:
+ *   delete:
+ *     summary: Delete a staff member
+ *     description: Remove a staff member from the system
+ *     tags:
+ *       - Staff
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The staff member user ID
+ *     responses:
+ *       200:
+ *         description: Staff member deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Staff member not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// DELETE staff
+router.delete('/staff/:userID', verifyToken, requirePermission('staff:delete'), validateRequest, audit('staff', fromParam('userID')), async (req, res) => {
+    try {
+        if (!(await getRepositories().staff.delete(req.params.userID))) {
+            return res.status(404).json({ success: false, error: 'Staff member not found' });
+        }
+        res.json({ success: true, message: 'Staff deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== CAREGIVER CRUD ====================
+
+/**
+ * @swagger
+ * /api/caregivers:
+ *   get:
+ *     summary: Get all caregivers
+ *     description: Retrieve a list of all caregivers
+ *     tags:
+ *       - Caregivers
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of caregivers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET all caregivers
+router.get('/caregivers', verifyToken, requirePermission('caregivers:read'), validateRequest, async (req, res) => {
+    try {
+        const caregivers = await getRepositories().caregivers.findAll();
+        res.json({ success: true, data: caregivers });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/caregivers:
+ *   post:
+ *     summary: Create a new caregiver
+ *     description: Create a caregiver account with email and password. Caregivers log in through /api/login.
+ *     tags:
+ *       - Caregivers
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fullName
+ *               - email
+ *               - password
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 1
+ *               phoneNumber:
+ *                 type: string
+ *                 format: sg-mobile
+ *               image_url:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Caregiver created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 userID:
+ *                   type: integer
+ *       400:
+ *         description: Missing required fields or email already registered
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// CREATE caregiver
+router.post('/caregivers', validateRequest, audit('caregiver', fromResult('userID')), async (req, res) => {
+    try {
+        const { fullName, email, password, image_url } = req.body;
+        const phoneNumber = identity.normalizePhone(req.body.phoneNumber);
+        
+        const { caregivers } = getRepositories();
+        
+        // Check if email already exists
+        if (await caregivers.findByEmail(email)) {
+            return res.status(400).json({ success: false, error: 'Email already registered' });
+        }
+        
+        // Hash the password
+        const hashedPassword = await bcrypt.hash(password, 10);
+        
+        const userID = await caregivers.create({ fullName, email, password: hashedPassword, phoneNumber, image_url });
+        
+        res.status(201).json({ success: true, userID });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== EVENT CRUD ====================
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Get all events
+ *     description: |
+ *       Retrieve events with their registration counts. All filters are optional and combined with AND.
+ *       Without `page`, `limit` or `cursor` every matching event is returned; otherwise results are paginated
+ *       by page number or, for stable infinite scrolling, by the `nextCursor` of the previous response.
+ *       Draft events are only listed when a staff token is sent.
+ *     tags:
+ *       - Events
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: when
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, past, all]
+ *           default: all
+ *         description: Upcoming events have not ended yet; past events have
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Earliest start (date or date-time)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Latest start (date-time, or a date to include that whole day)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Comma-separated statuses to list: draft, published, cancelled, completed (default all).
+ *           Drafts are only listed for staff.
+ *       - in: query
+ *         name: disabled_friendly
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: venueID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only events booked into this venue
+ *       - in: query
+ *         name: needs
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Comma-separated accessibility needs the event must be confirmed to meet:
+ *           wheelchair_access, hearing_loop, seating, accessible_toilet
+ *       - in: query
+ *         name: max_walking_distance
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only events whose walking distance is known and at most this many metres
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match anywhere in the location
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Free-text search over event name and description
+ *       - in: query
+ *         name: has_participant_spots
+ *         schema:
+ *           type: boolean
+ *         description: Only events with (true) or without (false) free participant places
+ *       - in: query
+ *         name: has_volunteer_spots
+ *         schema:
+ *           type: boolean
+ *         description: Only events with (true) or without (false) free volunteer places
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [start_time, end_time, eventName]
+ *           default: start_time
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page (cannot be combined with page)
+ *     responses:
+ *       200:
+ *         description: List of events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Event'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameter (field names the parameter)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid or revoked token (the token is optional)
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET all events
+// GET all events with registration counts, filtered, sorted and paginated
+router.get('/events', optionalToken, validateRequest, async (req, res) => {
+    try {
+        const options = events.parseEventQuery(req.query, { drafts: hasPermission(req.user, 'event-drafts:read') });
+        const result = await events.listEvents(options);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error instanceof events.EventQueryError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventID}:
+ *   get:
+ *     summary: Get a single event
+ *     description: Retrieve details of a specific event by ID with an attendance summary. Callers who may read event rosters (staff and volunteers) also get the registered participants and volunteers, their attendance status (registered, attended or no_show) and cancelled registrations. Draft events are only shown when a staff token is sent.
+ *     tags:
+ *       - Events
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: Event retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Event'
+ *                     - type: object
+ *                       properties:
+ *                         participants:
+ *                           type: array
+ *                           description: Staff and volunteers only
+ *                           items:
+ *                             $ref: '#/components/schemas/AttendanceRecord'
+ *                         volunteers:
+ *                           type: array
+ *                           description: Staff and volunteers only
+ *                           items:
+ *                             $ref: '#/components/schemas/AttendanceRecord'
+ *                         cancelled:
+ *                           type: array
+ *                           description: Staff and volunteers only
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               userID:
+ *                                 type: integer
+ *                               fullName:
+ *                                 type: string
+ *                               role:
+ *                                 type: string
+ *                               cancelled_at:
+ *                                 type: string
+ *                                 format: date-time
+ *                         attendance_summary:
+ *                           type: object
+ *                           properties:
+ *                             registered:
+ *                               type: integer
+ *                             attended:
+ *                               type: integer
+ *                             no_show:
+ *                               type: integer
+ *                             cancelled:
+ *                               type: integer
+ *       401:
+ *         description: Invalid or revoked token (the token is optional)
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET single event
+// GET single event with registration counts and lists
+router.get('/events/:eventID', optionalToken, validateRequest, async (req, res) => {
+    try {
+        const { events: eventRepository, registrations } = getRepositories();
+        const event = await eventRepository.findById(req.params.eventID);
+        
+        // Drafts do not exist as far as the public is concerned
+        if (!event || (event.status === 'draft' && !hasPermission(req.user, 'event-drafts:read'))) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+        
+        // Registrants with their attendance, and registrations that were cancelled
+        const participants = await registrations.listAttendees('participant', req.params.eventID);
+        const volunteers = await registrations.listAttendees('volunteer', req.params.eventID);
+        const cancelled = await registrations.listCancellations(req.params.eventID);
+        
+        // Who signed up is only shown to those who may read the rosters; everyone sees the counts
+        const rosters = hasPermission(req.user, 'event-rosters:read') ? { participants, volunteers, cancelled } : {};
+        
+        res.json({ 
+            success: true, 
+            data: {
+                ...event,
+                ...rosters,
+                attendance_summary: attendance.summarise(participants, volunteers, cancelled)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events:
+ *   post:
+ *     summary: Create a new event
+ *     description: Create a new event (staff only). It is published straight away unless created as a draft.
+ *     tags:
+ *       - Events
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventName
+ *               - eventDescription
+ *               - start_time
+ *               - end_time
+ *               - location
+ *             properties:
+ *               eventName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               eventDescription:
+ *                 type: string
+ *                 minLength: 1
+ *               disabled_friendly:
+ *                 type: boolean
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *                 x-after: start_time
+ *                 description: Must be after start_time
+ *               location:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               additional_information:
+ *                 type: string
+ *                 nullable: true
+ *               max_participants:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Participant capacity (null for unlimited)
+ *               max_volunteers:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Volunteer capacity (null for unlimited)
+ *               wheelchair_accessible:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: Step-free access throughout (null when unknown, as for the other attributes)
+ *               hearing_loop:
+ *                 type: boolean
+ *                 nullable: true
+ *               seating_available:
+ *                 type: boolean
+ *                 nullable: true
+ *               accessible_toilet:
+ *                 type: boolean
+ *                 nullable: true
+ *               walking_distance_m:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Walking distance in metres from the nearest drop-off point
+ *               venueID:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: |
+ *                   Room the event is booked into. Its capacity and accessibility attributes fill in any the
+ *                   event leaves out, and its name any missing location
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *                 default: published
+ *                 description: Create the event as a draft to publish it later
+ *     responses:
+ *       201:
+ *         description: Event created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 eventID:
+ *                   type: integer
+ *                 venueClashes:
+ *                   type: array
+ *                   description: Events already in the venue at this time (only saved when VENUE_BOOKING_POLICY is warn)
+ *                   items:
+ *                     $ref: '#/components/schemas/VenueClash'
+ *       400:
+ *         description: Invalid input, unknown venue, or more participant places than the venue holds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - only staff can create events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The venue is already booked at this time (venueClashes lists the events)
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// CREATE event
+router.post('/events', verifyToken, requirePermission('events:create'), validateRequest, audit('event', fromResult('eventID')), async (req, res) => {
+    try {
+        const { eventName, eventDescription, disabled_friendly, start_time, end_time, location, additional_information, max_participants, max_volunteers } = req.body;
+        const { wheelchair_accessible, hearing_loop, seating_available, accessible_toilet, walking_distance_m, venueID, status } = req.body;
+        const created_by = req.user.userID;
+        
+        // Convert ISO 8601 timestamps to MySQL DATETIME format
+        // Parse the timestamp and convert to a MySQL-compatible format
+        const formatDateTime = (isoString) => {
+            if (!isoString) return null;
+            const date = new Date(isoString);
+            // Create date string in local timezone (YYYY-MM-DD HH:MM:SS)
+            const year = date.getFullYear();
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            const hours = String(date.getHours()).padStart(2, '0');
+            const minutes = String(date.getMinutes()).padStart(2, '0');
+            const seconds = String(date.getSeconds()).padStart(2, '0');
+            return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+        };
+        
+        const formatted_start_time = formatDateTime(start_time);
+        const formatted_end_time = formatDateTime(end_time);
+        
+        // Details left out come from the venue, which must be free at this time
+        const { fields, venueClashes } = await venues.applyVenue({
+            eventName, eventDescription, disabled_friendly,
+            start_time: formatted_start_time, end_time: formatted_end_time,
+            location, additional_information, created_by, max_participants, max_volunteers,
+            wheelchair_accessible, hearing_loop, seating_available, accessible_toilet, walking_distance_m, venueID, status
+        });
+        
+        // Create event
+        const eventID = await getRepositories().events.create(fields);
+        syncReminders([eventID]);
+        res.status(201).json({ success: true, eventID, venueClashes });
+    } catch (error) {
+        if (error instanceof venues.VenueError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventID}:
+ *   put:
+ *     summary: Update an event
+ *     description: |
+ *       Update event information. Fields left out keep their current values. If capacity was raised, people on
+ *       the waitlists are promoted into the free spots. Cancelled and completed events can no longer be edited.
+ *
+ *       For an occurrence of a recurring series, pass `scope` to edit this occurrence, this and following
+ *       occurrences, or the whole series. Scoped edits only change the fields that are sent; a new
+ *       start_time/end_time keeps each occurrence on its own date and moves it to the new time of day.
+ *     tags:
+ *       - Events
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, following, all]
+ *         description: Which occurrences of the event's series to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               eventName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               eventDescription:
+ *                 type: string
+ *                 minLength: 1
+ *               disabled_friendly:
+ *                 type: boolean
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *                 x-after: start_time
+ *                 description: Must be after start_time when both are sent
+ *               location:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               additional_information:
+ *                 type: string
+ *                 nullable: true
+ *               max_participants:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *               max_volunteers:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *               wheelchair_accessible:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: Step-free access throughout (null when unknown, as for the other attributes)
+ *               hearing_loop:
+ *                 type: boolean
+ *                 nullable: true
+ *               seating_available:
+ *                 type: boolean
+ *                 nullable: true
+ *               accessible_toilet:
+ *                 type: boolean
+ *                 nullable: true
+ *               walking_distance_m:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Walking distance in metres from the nearest drop-off point
+ *               venueID:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: |
+ *                   Room the event is booked into. Its capacity and accessibility attributes fill in any the
+ *                   event leaves out, and its name any missing location
+ *     responses:
+ *       200:
+ *         description: Event updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 eventIDs:
+ *                   type: array
+ *                   description: Occurrences changed by a scoped edit
+ *                   items:
+ *                     type: integer
+ *                 venueClashes:
+ *                   type: array
+ *                   description: Events already in the venue at the new time (only saved when VENUE_BOOKING_POLICY is warn)
+ *                   items:
+ *                     $ref: '#/components/schemas/VenueClash'
+ *       400:
+ *         description: Invalid scope, the event is not part of a series, unknown venue, or more participant places than the venue holds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The event is cancelled or completed, or the venue is already booked at this time (venueClashes lists the events)
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// UPDATE event
+router.put('/events/:eventID', verifyToken, requirePermission('events:update'), validateRequest, audit('event', fromParam('eventID')), async (req, res) => {
+    if (req.query.scope) {
+        try {
+            const { eventIDs, venueClashes } = await series.updateOccurrences(req.params.eventID, req.query.scope, req.body);
+            syncReminders(eventIDs);
+            
+            const promoted = {};
+            for (const eventID of eventIDs) {
+                promoted[eventID] = await getRepositories().registrations.refill(eventID);
+                notifyPromotions(eventID, promoted[eventID]);
+                notifications.notifyRegistrants('event_updated', eventID, {},
+                    [...promoted[eventID].participants, ...promoted[eventID].volunteers]);
+            }
+            return res.json({ success: true, message: 'Events updated', eventIDs, promoted, venueClashes });
+        } catch (error) {
+            if (error instanceof series.RecurrenceError || error instanceof venues.VenueError) {
+                return sendServiceError(res, error);
+            }
+            return res.status(500).json({ success: false, error: error.message });
+        }
+    }
+    
+    try {
+        const { eventName, eventDescription, disabled_friendly, start_time, end_time, location, additional_information, max_participants, max_volunteers } = req.body;
+        const { wheelchair_accessible, hearing_loop, seating_available, accessible_toilet, walking_distance_m, venueID } = req.body;
+        const { events: eventRepository, registrations } = getRepositories();
+        const event = await eventRepository.findById(req.params.eventID);
+        
+        if (!event) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+        eventStatus.checkEditable(event);
+        
+        // Fields left out keep their stored values
+        const changes = {
+            eventName, eventDescription, disabled_friendly, start_time, end_time,
+            location, additional_information, max_participants, max_volunteers,
+            wheelchair_accessible, hearing_loop, seating_available, accessible_toilet, walking_distance_m, venueID
+        };
+        const merged = {};
+        for (const [column, value] of Object.entries(changes)) {
+            merged[column] = value === undefined ? event[column] : value;
+        }
+        if (new Date(merged.end_time) <= new Date(merged.start_time)) {
+            return res.status(400).json({ success: false, error: 'end_time must be after start_time', field: 'end_time' });
+        }
+        
+        // The event's own booking is not a clash with itself
+        const { fields, venueClashes } = await venues.applyVenue(merged, { eventID: req.params.eventID });
+        await eventRepository.update(req.params.eventID, fields);
+        
+        // Raised capacity (or a new time slot) may let people off the waitlists
+        syncReminders([req.params.eventID]);
+        
+        const promoted = await registrations.refill(req.params.eventID);
+        notifyPromotions(req.params.eventID, promoted);
+        notifications.notifyRegistrants('event_updated', req.params.eventID, {},
+            [...promoted.participants, ...promoted.volunteers]);
+        res.json({ success: true, message: 'Event updated', promoted, venueClashes });
+    } catch (error) {
+        if (error instanceof venues.VenueError || error instanceof eventStatus.EventStatusError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventID}:
+ *   delete:
+ *     summary: Delete a draft event
+ *     description: |
+ *       Remove a draft event that nobody has registered for. Published, cancelled and completed events,
+ *       and any event with registrations, are refused with 409: call off those with
+ *       `POST /api/events/{eventID}/cancel`, which keeps their registration history.
+ *
+ *       For an occurrence of a recurring series, pass `scope` to delete this occurrence (recorded as an
+ *       exception date), this and following occurrences (the series now ends the day before), or the
+ *       whole series. Every occurrence in scope must be deletable.
+ *     tags:
+ *       - Events
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, following, all]
+ *         description: Which occurrences of the event's series to delete
+ *     responses:
+ *       200:
+ *         description: Event deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 eventIDs:
+ *                   type: array
+ *                   description: Occurrences removed by a scoped delete
+ *                   items:
+ *                     type: integer
+ *       400:
+ *         description: Invalid scope, or the event is not part of a series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The event is not a draft or has registrations; cancel it instead
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// DELETE event
+router.delete('/events/:eventID', verifyToken, requirePermission('events:delete'), validateRequest, audit('event', fromParam('eventID')), async (req, res) => {
+    if (req.query.scope) {
+        try {
+            const eventIDs = await series.deleteOccurrences(req.params.eventID, req.query.scope);
+            syncReminders(eventIDs, { deleted: true });
+            return res.json({ success: true, message: 'Events deleted', eventIDs });
+        } catch (error) {
+            if (error instanceof series.RecurrenceError || error instanceof eventStatus.EventStatusError) {
+                return sendServiceError(res, error);
+            }
+            return res.status(500).json({ success: false, error: error.message });
+        }
+    }
+    
+    try {
+        const eventRepository = getRepositories().events;
+        const event = await eventRepository.findById(req.params.eventID);
+        if (!event) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+        // Nobody has signed up for what is deleted, so there is nobody to tell
+        await eventStatus.checkDeletable(event);
+        
+        await eventRepository.delete(req.params.eventID);
+        syncReminders([req.params.eventID], { deleted: true });
+        res.json({ success: true, message: 'Event deleted' });
+    } catch (error) {
+        if (error instanceof eventStatus.EventStatusError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventID}/publish:
+ *   post:
+ *     summary: Publish a draft event
+ *     description: Makes a draft event visible to everyone and opens it for sign-ups (staff only)
+ *     tags:
+ *       - Events
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: Event published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Event'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The event is not a draft (eventStatus gives its status)
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// PUBLISH event
+router.post('/events/:eventID/publish', verifyToken, requirePermission('events:update'), validateRequest, audit('event', fromParam('eventID'), { action: 'publish' }), async (req, res) => {
+    try {
+        const data = await eventStatus.publishEvent(req.params.eventID);
+        syncReminders([data.eventID]);
+        res.json({ success: true, message: 'Event published', data });
+    } catch (error) {
+        if (error instanceof eventStatus.EventStatusError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventID}/cancel:
+ *   post:
+ *     summary: Cancel an event
+ *     description: |
+ *       Calls off a draft or published event that has not ended (staff only). Registrations are kept
+ *       but nobody can sign up any more; everyone registered is told, with the reason.
+ *     tags:
+ *       - Events
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Event cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Missing or blank reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The event is already cancelled or completed, or has ended (eventStatus gives its status)
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// CANCEL event - keeps its registrations
+router.post('/events/:eventID/cancel', verifyToken, requirePermission('events:update'), validateRequest, audit('event', fromParam('eventID'), { action: 'cancel' }), async (req, res) => {
+    try {
+        const data = await eventStatus.cancelEvent(req.params.eventID, req.body, req.user.userID);
+        syncReminders([data.eventID], { deleted: true });
+        notifications.notifyRegistrants('event_cancelled_with_reason', data.eventID, {});
+        res.json({ success: true, message: 'Event cancelled', data });
+    } catch (error) {
+        if (error instanceof eventStatus.EventStatusError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== VENUES ====================
+
+/**
+ * @swagger
+ * /api/venues:
+ *   get:
+ *     summary: Get all venues
+ *     description: List the rooms events can be booked into, by name and room
+ *     tags:
+ *       - Venues
+ *     responses:
+ *       200:
+ *         description: List of venues
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Venue'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET all venues
+router.get('/venues', validateRequest, async (req, res) => {
+    try {
+        res.json({ success: true, data: await venues.listVenues() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/venues/{venueID}:
+ *   get:
+ *     summary: Get a venue
+ *     description: A venue's details. Its events are listed by GET /api/events?venueID=
+ *     tags:
+ *       - Venues
+ *     parameters:
+ *       - in: path
+ *         name: venueID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The venue ID
+ *     responses:
+ *       200:
+ *         description: Venue details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Venue'
+ *       404:
+ *         description: Venue not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET venue by ID
+router.get('/venues/:venueID', validateRequest, async (req, res) => {
+    try {
+        res.json({ success: true, data: await venues.getVenue(req.params.venueID) });
+    } catch (error) {
+        if (error instanceof venues.VenueError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/venues:
+ *   post:
+ *     summary: Create a venue
+ *     description: Add a bookable room (staff only)
+ *     tags:
+ *       - Venues
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VenueInput'
+ *     responses:
+ *       201:
+ *         description: Venue created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 venueID:
+ *                   type: integer
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - only staff can manage venues
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// CREATE venue
+router.post('/venues', verifyToken, requirePermission('venues:manage'), validateRequest, audit('venue', fromResult('venueID')), async (req, res) => {
+    try {
+        const venueID = await venues.createVenue(req.body);
+        res.status(201).json({ success: true, venueID });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/venues/{venueID}:
+ *   put:
+ *     summary: Update a venue
+ *     description: Replace a venue's details (staff only). Events already booked keep their own location, places and accessibility attributes.
+ *     tags:
+ *       - Venues
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The venue ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VenueInput'
+ *     responses:
+ *       200:
+ *         description: Venue updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - only staff can manage venues
+ *       404:
+ *         description: Venue not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// UPDATE venue
+router.put('/venues/:venueID', verifyToken, requirePermission('venues:manage'), validateRequest, audit('venue', fromParam('venueID')), async (req, res) => {
+    try {
+        await venues.updateVenue(req.params.venueID, req.body);
+        res.json({ success: true, message: 'Venue updated' });
+    } catch (error) {
+        if (error instanceof venues.VenueError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/venues/{venueID}:
+ *   delete:
+ *     summary: Delete a venue
+ *     description: Remove a venue (staff only). Past events booked into it keep their location text.
+ *     tags:
+ *       - Venues
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The venue ID
+ *     responses:
+ *       200:
+ *         description: Venue deleted
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - only staff can manage venues
+ *       404:
+ *         description: Venue not found
+ *       409:
+ *         description: The venue has upcoming events (eventIDs lists them)
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// DELETE venue
+router.delete('/venues/:venueID', verifyToken, requirePermission('venues:manage'), validateRequest, audit('venue', fromParam('venueID')), async (req, res) => {
+    try {
+        await venues.deleteVenue(req.params.venueID);
+        res.json({ success: true, message: 'Venue deleted' });
+    } catch (error) {
+        if (error instanceof venues.VenueError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== PARTICIPANT EVENT CRUD ====================
+
+/**
+ * @swagger
+ * /api/events/{eventID}/participants:
+ *   get:
+ *     summary: Get participants for an event
+ *     description: Retrieve all participants registered for a specific event
+ *     tags:
+ *       - ParticipantEvents
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: List of participants retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET participants for an event
+router.get('/events/:eventID/participants', verifyToken, requirePermission('event-rosters:read'), validateRequest, async (req, res) => {
+    try {
+        const participants = await getRepositories().registrations.listForEvent('participant', req.params.eventID);
+        res.json({ success: true, data: participants });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/participants/{participantID}/events:
+ *   get:
+ *     summary: Get events for a participant
+ *     description: Retrieve all events a participant is registered for
+ *     tags:
+ *       - ParticipantEvents
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participantID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The participant ID
+ *     responses:
+ *       200:
+ *         description: List of events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Event'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET events for a participant
+router.get('/participants/:participantID/events', verifyToken, requirePermission('participant-registrations:read', fromParam('participantID')), validateRequest, async (req, res) => {
+    try {
+        const events = await getRepositories().registrations.listForUser('participant', req.params.participantID);
+        res.json({ success: true, data: events });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/participant-events:
+ *   post:
+ *     summary: Register participant to event
+ *     description: Sign a participant up for an event
+ *     tags:
+ *       - ParticipantEvents
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - participantID
+ *               - eventID
+ *             properties:
+ *               participantID:
+ *                 type: integer
+ *               eventID:
+ *                 type: integer
+ *               joinWaitlist:
+ *                 type: boolean
+ *                 description: Join the waitlist instead of failing when the event is full
+ *     responses:
+ *       201:
+ *         description: Participant registered to event, or added to the waitlist when the event is full and joinWaitlist was set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 waitlisted:
+ *                   type: boolean
+ *                 position:
+ *                   type: integer
+ *                   description: Place in the waitlist (only when waitlisted)
+ *                 message:
+ *                   type: string
+ *                 unmetNeeds:
+ *                   type: array
+ *                   description: Declared accessibility needs the event does not meet (empty when all are met)
+ *                   items:
+ *                     $ref: '#/components/schemas/UnmetNeed'
+ *       400:
+ *         description: Event is full (waitlistAvailable is true), already registered or time conflict
+ *       409:
+ *         description: The event does not meet the participant's accessibility needs and ACCESSIBILITY_POLICY is block (unmetNeeds lists them)
+ *       404:
+ *         description: Event not found
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// PARTICIPANT SIGNS EVENT
+router.post('/participant-events', verifyToken, requirePermission('participant-registrations:write', fromBody('participantID')), validateRequest, audit('participant-registration', keyOf({ participantID: fromBody('participantID'), eventID: fromBody('eventID') })), async (req, res) => {
+    try {
+        const { participantID, eventID, joinWaitlist } = req.body;
+        // Throws under the block policy; otherwise the unmet needs are passed back as warnings
+        const unmetNeeds = await accessibility.checkRegistration(participantID, eventID);
+        const result = await getRepositories().registrations.register('participant', participantID, eventID, { joinWaitlist });
+        notifyRegistration(participantID, eventID, result);
+        
+        if (result.status === 'waitlisted') {
+            return res.status(201).json({ success: true, waitlisted: true, position: result.position, message: 'Event is full. Participant added to waitlist', unmetNeeds });
+        }
+        
+        res.status(201).json({ success: true, waitlisted: false, message: 'Participant signed to event', unmetNeeds });
+    } catch (error) {
+        if (error instanceof registration.RegistrationError || error instanceof accessibility.AccessibilityError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/participant-events/{participantID}/{eventID}:
+ *   delete:
+ *     summary: Unregister participant from event
+ *     description: Remove a participant from an event. The freed spot goes to the next eligible participant on the waitlist.
+ *     tags:
+ *       - ParticipantEvents
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participantID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The participant ID
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: Participant removed from event successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Registration not found
+ *       409:
+ *         description: The event has been cancelled; its registrations are kept
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// PARTICIPANT UNREGISTER FROM EVENT
+router.delete('/participant-events/:participantID/:eventID', verifyToken, requirePermission('participant-registrations:write', fromParam('participantID')), validateRequest, audit('participant-registration', keyOf({ participantID: fromParam('participantID'), eventID: fromParam('eventID') })), async (req, res) => {
+    try {
+        const result = await getRepositories().registrations.unregister('participant', req.params.participantID, req.params.eventID);
+        
+        if (!result.removed) {
+            return res.status(404).json({ success: false, error: 'Registration not found' });
+        }
+        
+        notifyUnregistration(req.params.participantID, req.params.eventID, result);
+        res.json({ success: true, message: 'Participant removed from event', promoted: result.promoted });
+    } catch (error) {
+        if (error instanceof registration.RegistrationError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== VOLUNTEER EVENT CRUD ====================
+
+/**
+ * @swagger
+ * /api/events/{eventID}/volunteers:
+ *   get:
+ *     summary: Get volunteers for an event
+ *     description: Retrieve all volunteers registered for a specific event
+ *     tags:
+ *       - VolunteerEvents
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: List of volunteers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET volunteers for an event
+router.get('/events/:eventID/volunteers', verifyToken, requirePermission('event-rosters:read'), validateRequest, async (req, res) => {
+    try {
+        const volunteers = await getRepositories().registrations.listForEvent('volunteer', req.params.eventID);
+        res.json({ success: true, data: volunteers });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/volunteers/{volunteerID}/events:
+ *   get:
+ *     summary: Get events for a volunteer
+ *     description: Retrieve all events a volunteer is registered for
+ *     tags:
+ *       - VolunteerEvents
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: volunteerID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The volunteer ID
+ *     responses:
+ *       200:
+ *         description: List of events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Event'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET events for a volunteer
+router.get('/volunteers/:volunteerID/events', verifyToken, requirePermission('volunteer-registrations:read', fromParam('volunteerID')), validateRequest, async (req, res) => {
+    try {
+        const events = await getRepositories().registrations.listForUser('volunteer', req.params.volunteerID);
+        res.json({ success: true, data: events });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/volunteer-events:
+ *   post:
+ *     summary: Register volunteer to event
+ *     description: Sign a volunteer up for an event
+ *     tags:
+ *       - VolunteerEvents
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - volunteerID
+ *               - eventID
+ *             properties:
+ *               volunteerID:
+ *                 type: integer
+ *               eventID:
+ *                 type: integer
+ *               joinWaitlist:
+ *                 type: boolean
+ *                 description: Join the waitlist instead of failing when the event is full
+ *     responses:
+ *       201:
+ *         description: Volunteer registered to event, or added to the waitlist when the event is full and joinWaitlist was set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 waitlisted:
+ *                   type: boolean
+ *                 position:
+ *                   type: integer
+ *                   description: Place in the waitlist (only when waitlisted)
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Event is full (waitlistAvailable is true), already registered or time conflict
+ *       404:
+ *         description: Event not found
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// VOLUNTEER SIGNS EVENT
+router.post('/volunteer-events', verifyToken, requirePermission('volunteer-registrations:write', fromBody('volunteerID')), validateRequest, audit('volunteer-registration', keyOf({ volunteerID: fromBody('volunteerID'), eventID: fromBody('eventID') })), async (req, res) => {
+    try {
+        const { volunteerID, eventID, joinWaitlist } = req.body;
+        const result = await getRepositories().registrations.register('volunteer', volunteerID, eventID, { joinWaitlist });
+        notifyRegistration(volunteerID, eventID, result);
+        
+        if (result.status === 'waitlisted') {
+            return res.status(201).json({ success: true, waitlisted: true, position: result.position, message: 'Event is full. Volunteer added to waitlist' });
+        }
+        
+        res.status(201).json({ success: true, waitlisted: false, message: 'Volunteer signed to event' });
+    } catch (error) {
+        if (error instanceof registration.RegistrationError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/volunteer-events/{volunteerID}/{eventID}:
+ *   delete:
+ *     summary: Unregister volunteer from event
+ *     description: Remove a volunteer from an event. The freed spot goes to the next eligible volunteer on the waitlist.
+ *     tags:
+ *       - VolunteerEvents
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: volunteerID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The volunteer ID
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: Volunteer removed from event successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Registration not found
+ *       409:
+ *         description: The event has been cancelled; its registrations are kept
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// VOLUNTEER UNREGISTER FROM EVENT
+router.delete('/volunteer-events/:volunteerID/:eventID', verifyToken, requirePermission('volunteer-registrations:write', fromParam('volunteerID')), validateRequest, audit('volunteer-registration', keyOf({ volunteerID: fromParam('volunteerID'), eventID: fromParam('eventID') })), async (req, res) => {
+    try {
+        const result = await getRepositories().registrations.unregister('volunteer', req.params.volunteerID, req.params.eventID);
+        
+        if (!result.removed) {
+            return res.status(404).json({ success: false, error: 'Registration not found' });
+        }
+        
+        notifyUnregistration(req.params.volunteerID, req.params.eventID, result);
+        res.json({ success: true, message: 'Volunteer removed from event', promoted: result.promoted });
+    } catch (error) {
+        if (error instanceof registration.RegistrationError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== VOLUNTEER HOURS ====================
+
+/**
+ * @swagger
+ * /api/volunteers/{volunteerID}/hours:
+ *   get:
+ *     summary: Get a volunteer's hours
+ *     description: |
+ *       Hours served at each event the volunteer was registered for that has ended, with the total.
+ *       Hours come from a staff adjustment when there is one, otherwise from check-in to check-out
+ *       when both were recorded, otherwise from the event's start and end times.
+ *     tags:
+ *       - Volunteer Hours
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: volunteerID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The volunteer ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or before this date
+ *     responses:
+ *       200:
+ *         description: Hours retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     volunteer:
+ *                       type: object
+ *                       properties:
+ *                         userID:
+ *                           type: integer
+ *                         fullName:
+ *                           type: string
+ *                     from:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                     to:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                     totalHours:
+ *                       type: number
+ *                     eventCount:
+ *                       type: integer
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/VolunteerHoursEntry'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - can only view own hours
+ *       404:
+ *         description: Volunteer not found
+ *       500:
+ *         description: Server error
+ */
+// GET VOLUNTEER HOURS
+router.get('/volunteers/:volunteerID/hours', verifyToken, requirePermission('volunteer-hours:read', fromParam('volunteerID')), validateRequest, async (req, res) => {
+    try {
+        const summary = await volunteerHours.getHoursSummary(req.params.volunteerID, req.query);
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        if (error instanceof volunteerHours.VolunteerHoursError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/volunteers/{volunteerID}/hours/certificate:
+ *   get:
+ *     summary: Download a certificate of volunteer service
+ *     description: |
+ *       A4 landscape PDF certifying the volunteer's total hours and events in the period, listing the
+ *       events served. Without from/to it covers all their service.
+ *     tags:
+ *       - Volunteer Hours
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: volunteerID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The volunteer ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or before this date
+ *     responses:
+ *       200:
+ *         description: The certificate, as an attachment
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - can only download own certificate
+ *       404:
+ *         description: Volunteer not found, or no service in the period
+ *       500:
+ *         description: Server error
+ */
+// DOWNLOAD VOLUNTEER SERVICE CERTIFICATE
+router.get('/volunteers/:volunteerID/hours/certificate', verifyToken, requirePermission('volunteer-hours:read', fromParam('volunteerID')), validateRequest, async (req, res) => {
+    try {
+        const pdf = await volunteerHours.createCertificate(req.params.volunteerID, req.query);
+        res.attachment(`volunteer-${req.params.volunteerID}-service-certificate.pdf`);
+        res.type('application/pdf').send(pdf);
+    } catch (error) {
+        if (error instanceof volunteerHours.VolunteerHoursError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/volunteers/{volunteerID}/hours/{eventID}:
+ *   put:
+ *     summary: Adjust a volunteer's hours for an event
+ *     description: |
+ *       Replace the hours the volunteer served at an event, e.g. when they stayed to help clear up or
+ *       forgot to check out. The latest adjustment counts; earlier ones are kept with their reasons.
+ *     tags:
+ *       - Volunteer Hours
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: volunteerID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The volunteer ID
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hours
+ *               - reason
+ *             properties:
+ *               hours:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 24
+ *               reason:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 500
+ *                 example: Stayed an extra hour to help pack up
+ *     responses:
+ *       200:
+ *         description: Hours adjusted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/VolunteerHoursEntry'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Volunteer not found, or not registered for the event
+ *       500:
+ *         description: Server error
+ */
+// ADJUST VOLUNTEER HOURS
+router.put('/volunteers/:volunteerID/hours/:eventID', verifyToken, requirePermission('volunteer-hours:adjust'), validateRequest, audit('volunteer-hours', keyOf({ volunteerID: fromParam('volunteerID'), eventID: fromParam('eventID') }), { action: 'adjust' }), async (req, res) => {
+    try {
+        const entry = await volunteerHours.adjustHours(req.params.volunteerID, req.params.eventID, req.body, req.user.userID);
+        res.json({ success: true, message: 'Volunteer hours adjusted', data: entry });
+    } catch (error) {
+        if (error instanceof volunteerHours.VolunteerHoursError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== EVENT SERIES ====================
+
+/**
+ * @swagger
+ * /api/series:
+ *   get:
+ *     summary: Get all event series
+ *     description: List recurring event series with their recurrence rule, number of occurrences and next upcoming start time
+ *     tags:
+ *       - EventSeries
+ *     responses:
+ *       200:
+ *         description: List of series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventSeries'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET all series
+router.get('/series', validateRequest, async (req, res) => {
+    try {
+        const data = await series.getAllSeries();
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/series/{seriesID}:
+ *   get:
+ *     summary: Get an event series
+ *     description: Retrieve a series with its recurrence rule and every occurrence, including registration counts
+ *     tags:
+ *       - EventSeries
+ *     parameters:
+ *       - in: path
+ *         name: seriesID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The series ID
+ *     responses:
+ *       200:
+ *         description: Series details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EventSeries'
+ *       404:
+ *         description: Series not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET series by ID
+router.get('/series/:seriesID', validateRequest, async (req, res) => {
+    try {
+        const data = await series.getSeries(req.params.seriesID);
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'Series not found' });
+        }
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/series:
+ *   post:
+ *     summary: Create a recurring event series
+ *     description: Create a series from an event template and a recurrence rule (staff only). Every occurrence is created as a normal event linked to the series, published unless status is draft.
+ *     tags:
+ *       - EventSeries
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventName
+ *               - eventDescription
+ *               - start_time
+ *               - end_time
+ *               - location
+ *               - recurrence
+ *             properties:
+ *               eventName:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               eventDescription:
+ *                 type: string
+ *                 minLength: 1
+ *               disabled_friendly:
+ *                 type: boolean
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the first occurrence
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *                 x-after: start_time
+ *                 description: End of the first occurrence
+ *               location:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               additional_information:
+ *                 type: string
+ *                 nullable: true
+ *               max_participants:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *               max_volunteers:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *               wheelchair_accessible:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: Step-free access throughout (null when unknown, as for the other attributes)
+ *               hearing_loop:
+ *                 type: boolean
+ *                 nullable: true
+ *               seating_available:
+ *                 type: boolean
+ *                 nullable: true
+ *               accessible_toilet:
+ *                 type: boolean
+ *                 nullable: true
+ *               walking_distance_m:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Walking distance in metres from the nearest drop-off point
+ *               venueID:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: |
+ *                   Room every occurrence is booked into. Its capacity and accessibility attributes fill in any the
+ *                   series leaves out, and the room must be free for each occurrence
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *                 default: published
+ *                 description: Create every occurrence as a draft to publish them later
+ *               recurrence:
+ *                 $ref: '#/components/schemas/RecurrenceRule'
+ *     responses:
+ *       201:
+ *         description: Series and occurrences created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 seriesID:
+ *                   type: integer
+ *                 eventIDs:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                 venueClashes:
+ *                   type: array
+ *                   description: Events already in the venue during an occurrence (only saved when VENUE_BOOKING_POLICY is warn)
+ *                   items:
+ *                     $ref: '#/components/schemas/VenueClash'
+ *       400:
+ *         description: Invalid recurrence rule or time slot, unknown venue, or more participant places than the venue holds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - only staff can create events
+ *       409:
+ *         description: The venue is already booked during an occurrence (venueClashes lists the events)
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// CREATE series
+router.post('/series', verifyToken, requirePermission('events:create'), validateRequest, audit('series', fromResult('seriesID')), async (req, res) => {
+    try {
+        const { start_time, end_time, recurrence, status, ...template } = req.body;
+        const result = await series.createSeries({
+            template,
+            start_time,
+            end_time,
+            recurrence,
+            status,
+            createdBy: req.user.userID
+        });
+        syncReminders(result.eventIDs);
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        if (error instanceof series.RecurrenceError || error instanceof venues.VenueError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/series/{seriesID}/participants:
+ *   post:
+ *     summary: Register participant for a whole series
+ *     description: |
+ *       Sign a participant up for every upcoming occurrence of a series in one go. Each occurrence gets the
+ *       usual capacity, duplicate, time-conflict and accessibility checks; if any occurrence fails, nothing is
+ *       registered and the error names that occurrence. Occurrences the participant is already registered for
+ *       are skipped. Under the warn accessibility policy, each new occurrence lists the needs it does not meet.
+ *     tags:
+ *       - EventSeries
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - participantID
+ *             properties:
+ *               participantID:
+ *                 type: integer
+ *               joinWaitlist:
+ *                 type: boolean
+ *                 description: Join the waitlist of full occurrences instead of failing
+ *     responses:
+ *       201:
+ *         description: Participant registered for the series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SeriesRegistration'
+ *       400:
+ *         description: An occurrence is full, or clashes with another event (eventID and start_time name the occurrence)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Series not found or has no upcoming occurrences
+ *       409:
+ *         description: An occurrence does not meet the participant's accessibility needs and ACCESSIBILITY_POLICY is block (eventID names it, unmetNeeds lists the needs)
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// PARTICIPANT SIGNS SERIES
+router.post('/series/:seriesID/participants', verifyToken, requirePermission('participant-registrations:write', fromBody('participantID')), validateRequest, audit('series-registration', keyOf({ seriesID: fromParam('seriesID'), userID: fromBody('participantID') })), async (req, res) => {
+    try {
+        const { participantID, joinWaitlist } = req.body;
+        // Each new occurrence is checked against the participant's accessibility needs
+        const data = await getRepositories().registrations.registerForSeries('participant', participantID, req.params.seriesID, {
+            joinWaitlist,
+            screen: async (event) => ({ unmetNeeds: await accessibility.checkRegistration(participantID, event.eventID) })
+        });
+        notifySeriesRegistration(participantID, data);
+        res.status(201).json({ success: true, data });
+    } catch (error) {
+        if (error instanceof registration.RegistrationError || error instanceof accessibility.AccessibilityError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/series/{seriesID}/volunteers:
+ *   post:
+ *     summary: Register volunteer for a whole series
+ *     description: Sign a volunteer up for every upcoming occurrence of a series, all or nothing, with the same checks as single sign-ups
+ *     tags:
+ *       - EventSeries
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - volunteerID
+ *             properties:
+ *               volunteerID:
+ *                 type: integer
+ *               joinWaitlist:
+ *                 type: boolean
+ *                 description: Join the waitlist of full occurrences instead of failing
+ *     responses:
+ *       201:
+ *         description: Volunteer registered for the series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SeriesRegistration'
+ *       400:
+ *         description: An occurrence is full, or clashes with another event (eventID and start_time name the occurrence)
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Series not found or has no upcoming occurrences
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// VOLUNTEER SIGNS SERIES
+router.post('/series/:seriesID/volunteers', verifyToken, requirePermission('volunteer-registrations:write', fromBody('volunteerID')), validateRequest, audit('series-registration', keyOf({ seriesID: fromParam('seriesID'), userID: fromBody('volunteerID') })), async (req, res) => {
+    try {
+        const { volunteerID, joinWaitlist } = req.body;
+        const data = await getRepositories().registrations.registerForSeries('volunteer', volunteerID, req.params.seriesID, { joinWaitlist });
+        notifySeriesRegistration(volunteerID, data);
+        res.status(201).json({ success: true, data });
+    } catch (error) {
+        if (error instanceof registration.RegistrationError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== EVENT WAITLIST ====================
+
+/**
+ * @swagger
+ * /api/events/{eventID}/waitlist:
+ *   get:
+ *     summary: Get the waitlist for an event
+ *     description: Retrieve everyone waiting for a spot, grouped by role in queue order
+ *     tags:
+ *       - Waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: Waitlist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     participants:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WaitlistEntry'
+ *                     volunteers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WaitlistEntry'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+// GET waitlist for an event
+router.get('/events/:eventID/waitlist', verifyToken, requirePermission('event-rosters:read'), validateRequest, async (req, res) => {
+    try {
+        const entries = await getRepositories().registrations.getWaitlist(req.params.eventID);
+        
+        const withPosition = (role) => entries
+            .filter(entry => entry.role === role)
+            .map((entry, index) => ({ ...entry, position: index + 1 }));
+        
+        res.json({
+            success: true,
+            data: {
+                participants: withPosition('participant'),
+                volunteers: withPosition('volunteer')
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventID}/waitlist/participants/{participantID}:
+ *   delete:
+ *     summary: Remove participant from waitlist
+ *     description: Take a participant off an event's waitlist
+ *     tags:
+ *       - Waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *       - in: path
+ *         name: participantID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The participant ID
+ *     responses:
+ *       200:
+ *         description: Participant removed from waitlist
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Participant is not on the waitlist
+ *       500:
+ *         description: Server error
+ */
+// PARTICIPANT LEAVES WAITLIST
+router.delete('/events/:eventID/waitlist/participants/:participantID', verifyToken, requirePermission('participant-registrations:write', fromParam('participantID')), validateRequest, audit('participant-registration', keyOf({ participantID: fromParam('participantID'), eventID: fromParam('eventID') }), { action: 'leave_waitlist' }), async (req, res) => {
+    try {
+        const removed = await getRepositories().registrations.leaveWaitlist('participant', req.params.participantID, req.params.eventID);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Participant is not on the waitlist' });
+        }
+        
+        res.json({ success: true, message: 'Participant removed from waitlist' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventID}/waitlist/volunteers/{volunteerID}:
+ *   delete:
+ *     summary: Remove volunteer from waitlist
+ *     description: Take a volunteer off an event's waitlist
+ *     tags:
+ *       - Waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *       - in: path
+ *         name: volunteerID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The volunteer ID
+ *     responses:
+ *       200:
+ *         description: Volunteer removed from waitlist
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Volunteer is not on the waitlist
+ *       500:
+ *         description: Server error
+ */
+// VOLUNTEER LEAVES WAITLIST
+router.delete('/events/:eventID/waitlist/volunteers/:volunteerID', verifyToken, requirePermission('volunteer-registrations:write', fromParam('volunteerID')), validateRequest, audit('volunteer-registration', keyOf({ volunteerID: fromParam('volunteerID'), eventID: fromParam('eventID') }), { action: 'leave_waitlist' }), async (req, res) => {
+    try {
+        const removed = await getRepositories().registrations.leaveWaitlist('volunteer', req.params.volunteerID, req.params.eventID);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Volunteer is not on the waitlist' });
+        }
+        
+        res.json({ success: true, message: 'Volunteer removed from waitlist' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== ATTENDANCE ====================
+
+// Work out who is being checked in/out from a scanned QR token or an explicit userID and role
+const resolveAttendee = (eventID, body) => {
+    if (body.qrToken) {
+        return { ...attendance.verifyCheckInToken(body.qrToken, eventID), method: 'qr' };
+    }
+    if (body.userID && (body.role === 'participant' || body.role === 'volunteer')) {
+        return { userID: body.userID, role: body.role, method: 'manual' };
+    }
+    return null;
+};
+
+// Audit key of the attendee being checked in/out; walk-ins are only known once the response names them
+const attendeeKey = (req, result) => {
+    const attendee = result?.data || resolveAttendee(req.params.eventID, req.body);
+    return attendee ? { eventID: req.params.eventID, userID: attendee.userID, role: attendee.role } : undefined;
+};
+
+/**
+ * @swagger
+ * /api/participant-events/{participantID}/{eventID}/qr:
+ *   get:
+ *     summary: Get a participant's check-in QR code
+ *     description: Retrieve the signed check-in token for a participant's registration, plus a QR code image of it
+ *     tags:
+ *       - Attendance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participantID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The participant ID
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: QR code retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckInQr'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Registration not found
+ *       500:
+ *         description: Server error
+ */
+// GET participant check-in QR code
+router.get('/participant-events/:participantID/:eventID/qr', verifyToken, requirePermission('participant-registrations:read', fromParam('participantID')), validateRequest, async (req, res) => {
+    try {
+        if (!(await getRepositories().registrations.isRegistered('participant', req.params.participantID, req.params.eventID))) {
+            return res.status(404).json({ success: false, error: 'Registration not found' });
+        }
+        
+        const qr = await attendance.createCheckInQr(req.params.eventID, req.params.participantID, 'participant');
+        res.json({ success: true, data: qr });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/volunteer-events/{volunteerID}/{eventID}/qr:
+ *   get:
+ *     summary: Get a volunteer's check-in QR code
+ *     description: Retrieve the signed check-in token for a volunteer's registration, plus a QR code image of it
+ *     tags:
+ *       - Attendance
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: userID
+ *         name: volunteerID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
- *         description: The participant user ID
+ *         description: The volunteer ID
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
  *     responses:
  *       200:
- *         description: Participant deleted successfully
+ *         description: QR code retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/CheckInQr'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Registration not found
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// DELETE participant
-router.delete('/participants/:userID', async (req, res) => {
+// GET volunteer check-in QR code
+router.get('/volunteer-events/:volunteerID/:eventID/qr', verifyToken, requirePermission('volunteer-registrations:read', fromParam('volunteerID')), validateRequest, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        await connection.query('DELETE FROM Participant WHERE userID = ?', [req.params.userID]);
-        connection.release();
-        res.json({ success: true, message: 'Participant deleted' });
+        if (!(await getRepositories().registrations.isRegistered('volunteer', req.params.volunteerID, req.params.eventID))) {
+            return res.status(404).json({ success: false, error: 'Registration not found' });
+        }
+        
+        const qr = await attendance.createCheckInQr(req.params.eventID, req.params.volunteerID, 'volunteer');
+        res.json({ success: true, data: qr });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -980,19 +4935,22 @@ router.delete('/participants/:userID', async (req, res) => {
 
 /**
  * @swagger
- * /api/participants/{userID}:
- *   put:
- *     summary: Update a participant
- *     description: Update participant information
+ * /api/events/{eventID}/check-in:
+ *   post:
+ *     summary: Check someone in
+ *     description: Check a registered participant or volunteer in at the door. Identify them by a scanned qrToken, by userID and role, or by (part of) their fullName. A name matching several registrants returns the candidates with 409.
  *     tags:
- *       - Participants
+ *       - Attendance
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: userID
+ *         name: eventID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
- *         description: The participant user ID
+ *         description: The event ID
  *     requestBody:
  *       required: true
  *       content:
@@ -1000,388 +4958,526 @@ router.delete('/participants/:userID', async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               fullName:
- *                 type: string
- *               email:
+ *               qrToken:
  *                 type: string
- *               phoneNumber:
+ *               userID:
+ *                 type: integer
+ *               role:
  *                 type: string
- *               birthdate:
+ *                 enum: [participant, volunteer]
+ *               fullName:
  *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 255
  *     responses:
  *       200:
- *         description: Participant updated successfully
+ *         description: Checked in
+ *       400:
+ *         description: Invalid QR code, missing identification or already checked in
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - staff and volunteers only
+ *       404:
+ *         description: Not registered for this event
+ *       409:
+ *         description: Name matches more than one registrant
  *       500:
  *         description: Server error
  */
-// UPDATE participant
-router.put('/participants/:userID', async (req, res) => {
+// CHECK IN to event
+router.post('/events/:eventID/check-in', verifyToken, requirePermission('attendance:manage'), validateRequest, audit('attendance', attendeeKey, { action: 'check_in' }), async (req, res) => {
     try {
-        const { fullName, email, phoneNumber, birthdate } = req.body;
-        const connection = await pool.getConnection();
-        
-        // Update User table
-        const userUpdateFields = [];
-        const userUpdateValues = [];
+        let attendee = resolveAttendee(req.params.eventID, req.body);
         
-        if (fullName) {
-            userUpdateFields.push('fullName = ?');
-            userUpdateValues.push(fullName);
-        }
-        if (email) {
-            userUpdateFields.push('email = ?');
-            userUpdateValues.push(email);
-        }
-        
-        if (userUpdateFields.length > 0) {
-            userUpdateValues.push(req.params.userID);
-            await connection.query(
-                `UPDATE User SET ${userUpdateFields.join(', ')} WHERE userID = ?`,
-                userUpdateValues
-            );
+        // Manual check-in by name
+        if (!attendee && req.body.fullName) {
+            const matches = await attendance.findRegistrationsByName(req.params.eventID, req.body.fullName);
+            
+            if (matches.length === 0) {
+                return res.status(404).json({ success: false, error: 'No registrant with that name' });
+            }
+            if (matches.length > 1) {
+                return res.status(409).json({ success: false, error: 'More than one registrant matches that name', matches });
+            }
+            attendee = { userID: matches[0].userID, role: matches[0].role, method: 'manual' };
         }
         
-        // Update Participant table
-        const participantUpdateFields = [];
-        const participantUpdateValues = [];
-        
-        if (phoneNumber !== undefined) {
-            participantUpdateFields.push('phoneNumber = ?');
-            participantUpdateValues.push(phoneNumber);
-        }
-        if (birthdate !== undefined) {
-            participantUpdateFields.push('birthdate = ?');
-            participantUpdateValues.push(birthdate);
+        if (!attendee) {
+            return res.status(400).json({ success: false, error: 'Provide qrToken, userID and role, or fullName' });
         }
         
-        if (participantUpdateFields.length > 0) {
-            participantUpdateValues.push(req.params.userID);
-            await connection.query(
-                `UPDATE Participant SET ${participantUpdateFields.join(', ')} WHERE userID = ?`,
-                participantUpdateValues
-            );
-        }
+        const checkedIn = await attendance.checkIn(req.params.eventID, attendee.userID, attendee.role, {
+            method: attendee.method,
+            checkedInBy: req.user.userID
+        });
         
-        connection.release();
-        res.json({ success: true, message: 'Participant updated' });
+        res.json({ success: true, message: `${checkedIn.fullName} checked in`, data: checkedIn });
     } catch (error) {
+        if (error instanceof attendance.AttendanceError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ==================== VOLUNTEERS CRUD ====================
-
 /**
  * @swagger
- * /api/volunteers:
- *   get:
- *     summary: Get all volunteers
- *     description: Retrieve a list of all volunteers
+ * /api/events/{eventID}/check-out:
+ *   post:
+ *     summary: Check someone out
+ *     description: Record when a checked-in participant or volunteer leaves. Identify them by a scanned qrToken or by userID and role.
  *     tags:
- *       - Volunteers
+ *       - Attendance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               qrToken:
+ *                 type: string
+ *               userID:
+ *                 type: integer
+ *               role:
+ *                 type: string
+ *                 enum: [participant, volunteer]
  *     responses:
  *       200:
- *         description: List of volunteers retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
+ *         description: Checked out
+ *       400:
+ *         description: Invalid QR code, not checked in or already checked out
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - staff and volunteers only
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// GET all volunteers
-router.get('/volunteers', async (req, res) => {
+// CHECK OUT of event
+router.post('/events/:eventID/check-out', verifyToken, requirePermission('attendance:manage'), validateRequest, audit('attendance', attendeeKey, { action: 'check_out' }), async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        const [volunteers] = await connection.query(
-            'SELECT u.userID, u.fullName, u.role, u.image_url, v.email, v.created_at FROM Volunteers v JOIN User u ON v.userID = u.userID'
-        );
-        connection.release();
-        res.json({ success: true, data: volunteers });
+        const attendee = resolveAttendee(req.params.eventID, req.body);
+        
+        if (!attendee) {
+            return res.status(400).json({ success: false, error: 'Provide qrToken, or userID and role' });
+        }
+        
+        const checkedOut = await attendance.checkOut(req.params.eventID, attendee.userID, attendee.role);
+        
+        res.json({ success: true, message: `${checkedOut.fullName} checked out`, data: checkedOut });
     } catch (error) {
+        if (error instanceof attendance.AttendanceError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * @swagger
- * /api/volunteers:
+ * /api/events/{eventID}/walk-ins:
  *   post:
- *     summary: Create a new volunteer
- *     description: Create a new volunteer with email and password
+ *     summary: Register a walk-in participant
+ *     description: Register and check in a participant who turned up at the door. Pass participantID for an existing participant, or fullName, phoneNumber and birthdate to look them up by phone or create them; an existing participant's name and birthdate must match. Staff can set overrideCapacity to admit them to a full event. The sign-up gets the same accessibility check as any other (unmetNeeds warns, or the block policy refuses it). A participant created here is removed again if the registration or check-in is refused.
  *     tags:
- *       - Volunteers
+ *       - Attendance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - fullName
- *               - email
- *               - password
  *             properties:
+ *               participantID:
+ *                 type: integer
  *               fullName:
  *                 type: string
- *               email:
- *                 type: string
- *                 format: email
- *               password:
+ *                 minLength: 1
+ *                 maxLength: 255
+ *               phoneNumber:
  *                 type: string
- *               image_url:
+ *                 format: sg-mobile
+ *               birthdate:
  *                 type: string
+ *                 format: date
+ *               overrideCapacity:
+ *                 type: boolean
  *     responses:
  *       201:
- *         description: Volunteer created successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 userID:
- *                   type: integer
+ *         description: Walk-in registered and checked in; unmetNeeds lists accessibility needs the event does not meet
+ *       400:
+ *         description: Missing details, event full, time conflict or already checked in
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - staff and volunteers only; overrideCapacity is staff only
+ *       404:
+ *         description: Event or participant not found
+ *       409:
+ *         description: The phone number belongs to a participant with a different name or birthdate, or the event does not meet their accessibility needs and ACCESSIBILITY_POLICY is block
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// CREATE volunteer
-router.post('/volunteers', async (req, res) => {
+// WALK-IN registration at the door
+router.post('/events/:eventID/walk-ins', verifyToken, requirePermission('attendance:manage'), validateRequest, audit('attendance', attendeeKey, { action: 'walk_in' }), async (req, res) => {
     try {
-        const { fullName, email, password, image_url } = req.body;
+        const { fullName, birthdate, overrideCapacity } = req.body;
+        const phoneNumber = identity.normalizePhone(req.body.phoneNumber);
+        let { participantID } = req.body;
         
-        if (!fullName || !email || !password) {
-            return res.status(400).json({ success: false, error: 'fullName, email, and password are required' });
+        if (overrideCapacity && !hasPermission(req.user, 'attendance:override-capacity')) {
+            return res.status(403).json({ success: false, error: 'Only staff can admit a walk-in beyond capacity' });
         }
         
-        const connection = await pool.getConnection();
+        const { participants, registrations, users } = getRepositories();
+        let created = false;
         
-        // Hash the password
-        const hashedPassword = await bcrypt.hash(password, 10);
-        
-        const [userResult] = await connection.query(
-            'INSERT INTO User (fullName, role, image_url) VALUES (?, ?, ?)',
-            [fullName, 'volunteer', image_url]
-        );
+        if (!participantID) {
+            if (!fullName || !phoneNumber || !birthdate) {
+                return res.status(400).json({ success: false, error: 'Provide participantID, or fullName, phoneNumber and birthdate' });
+            }
+            
+            // Phone number is the unique identifier for participants
+            const existing = await participants.findByPhone(phoneNumber);
+            if (existing && !sameParticipant(existing, fullName, birthdate)) {
+                return res.status(409).json({ success: false, error: 'This phone number is registered to someone with a different name or birthdate' });
+            }
+            
+            if (existing) {
+                participantID = existing.userID;
+            } else {
+                participantID = await participants.create({ fullName, phoneNumber, birthdate, image_url: '' });
+                created = true;
+            }
+        }
         
-        await connection.query(
-            'INSERT INTO Volunteers (userID, email, password) VALUES (?, ?, ?)', 
-            [userResult.insertId, email, hashedPassword]
-        );
-        connection.release();
+        let checkedIn;
+        let unmetNeeds = [];
+        try {
+            // Someone who pre-registered but came to the walk-in desk only needs checking in
+            if (!(await registrations.isRegistered('participant', participantID, req.params.eventID))) {
+                unmetNeeds = await accessibility.checkRegistration(participantID, req.params.eventID);
+                await registrations.register('participant', participantID, req.params.eventID, { ignoreCapacity: Boolean(overrideCapacity) });
+            }
+            
+            checkedIn = await attendance.checkIn(req.params.eventID, participantID, 'participant', {
+                method: 'walk_in',
+                checkedInBy: req.user.userID
+            });
+        } catch (error) {
+            // Do not leave behind an account for someone who was turned away
+            if (created) {
+                await users.delete(participantID);
+            }
+            throw error;
+        }
         
-        res.status(201).json({ success: true, userID: userResult.insertId });
+        res.status(201).json({ success: true, message: `${checkedIn.fullName} registered and checked in`, data: checkedIn, unmetNeeds });
     } catch (error) {
+        if (error instanceof registration.RegistrationError || error instanceof attendance.AttendanceError || error instanceof accessibility.AccessibilityError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ==================== REGISTRATION EXPORTS ====================
+
+// Send a roster (CSV or XLSX) as a download named after what it covers
+const sendRoster = (res, rows, format, name) => {
+    const file = exportsService.toRosterFile(rows, format);
+    res.attachment(`${name}.${file.extension}`);
+    res.type(file.contentType).send(file.content);
+};
+
 /**
  * @swagger
- * /api/volunteers/{userID}:
- *   delete:
- *     summary: Delete a volunteer
- *     description: Remove a volunteer from the system
+ * /api/events/{eventID}/export:
+ *   get:
+ *     summary: Export an event's registrations
+ *     description: |
+ *       Download everyone registered for the event (participants, then volunteers) with their phone
+ *       number or email, age on the day of the event, registration time and attendance, as CSV or XLSX.
  *     tags:
- *       - Volunteers
+ *       - Exports
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: userID
+ *         name: eventID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
- *         description: The volunteer user ID
+ *         description: The event ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
  *     responses:
  *       200:
- *         description: Volunteer deleted successfully
+ *         description: The roster, as an attachment
  *         content:
- *           application/json:
+ *           text/csv:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Event not found
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// DELETE volunteer
-router.delete('/volunteers/:userID', async (req, res) => {
+// EXPORT EVENT REGISTRATIONS
+router.get('/events/:eventID/export', verifyToken, requirePermission('event-rosters:export'), validateRequest, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        await connection.query('DELETE FROM Volunteers WHERE userID = ?', [req.params.userID]);
-        connection.release();
-        res.json({ success: true, message: 'Volunteer deleted' });
+        const { rows } = await exportsService.eventRoster(req.params.eventID);
+        sendRoster(res, rows, req.query.format, `event-${req.params.eventID}-registrations`);
     } catch (error) {
+        if (error instanceof exportsService.ExportError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * @swagger
- * /api/volunteers/{userID}:
- *   put:
- *     summary: Update a volunteer
- *     description: Update volunteer information
+ * /api/registrations/export:
+ *   get:
+ *     summary: Export registrations for a date range
+ *     description: |
+ *       Download the registrations of every event starting between two dates, in event order, with the
+ *       same columns as the single-event export.
+ *     tags:
+ *       - Exports
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Includes that whole day
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: The roster, as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+// EXPORT REGISTRATIONS FOR A DATE RANGE
+router.get('/registrations/export', verifyToken, requirePermission('event-rosters:export'), validateRequest, async (req, res) => {
+    try {
+        const { from, to, format } = req.query;
+        const { rows } = await exportsService.rangeRoster({ from, to });
+        sendRoster(res, rows, format, `registrations-${from}-to-${to}`);
+    } catch (error) {
+        if (error instanceof exportsService.ExportError) {
+            return sendServiceError(res, error);
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventID}/sign-in-sheet:
+ *   get:
+ *     summary: Print an event's sign-in sheet
+ *     description: |
+ *       A4 PDF listing the registered participants with their phone number and age, and boxes for a
+ *       signature and arrival time, plus blank rows for walk-ins.
  *     tags:
- *       - Volunteers
+ *       - Exports
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: userID
+ *         name: eventID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
- *         description: The volunteer user ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               fullName:
- *                 type: string
- *               email:
- *                 type: string
+ *         description: The event ID
  *     responses:
  *       200:
- *         description: Volunteer updated successfully
+ *         description: The sign-in sheet, as an attachment
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Event not found
  *       500:
  *         description: Server error
  */
-// UPDATE volunteer
-router.put('/volunteers/:userID', async (req, res) => {
+// PRINT EVENT SIGN-IN SHEET
+router.get('/events/:eventID/sign-in-sheet', verifyToken, requirePermission('event-rosters:export'), validateRequest, async (req, res) => {
     try {
-        const { fullName, email } = req.body;
-        const connection = await pool.getConnection();
-        
-        // Update User table
-        const updateFields = [];
-        const updateValues = [];
-        
-        if (fullName) {
-            updateFields.push('fullName = ?');
-            updateValues.push(fullName);
-        }
-        if (email) {
-            updateFields.push('email = ?');
-            updateValues.push(email);
-        }
-        
-        if (updateFields.length > 0) {
-            updateValues.push(req.params.userID);
-            await connection.query(
-                `UPDATE User SET ${updateFields.join(', ')} WHERE userID = ?`,
-                updateValues
-            );
-        }
-        
-        connection.release();
-        res.json({ success: true, message: 'Volunteer updated' });
+        const pdf = await exportsService.signInSheet(req.params.eventID);
+        res.attachment(`event-${req.params.eventID}-sign-in-sheet.pdf`);
+        res.type('application/pdf').send(pdf);
     } catch (error) {
+        if (error instanceof exportsService.ExportError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ==================== STAFF CRUD ====================
-
 /**
  * @swagger
- * /api/staff:
+ * /api/events/{eventID}/badges:
  *   get:
- *     summary: Get all staff members
- *     description: Retrieve a list of all staff members
+ *     summary: Print name badges for an event
+ *     description: A4 PDF of name badges, ten to a page with cutting lines, for everyone registered for the event
  *     tags:
- *       - Staff
+ *       - Exports
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The event ID
  *     responses:
  *       200:
- *         description: List of staff members retrieved successfully
+ *         description: The badges, as an attachment
  *         content:
- *           application/json:
+ *           application/pdf:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *       404:
+ *         description: Event not found
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// GET all staff
-router.get('/staff', async (req, res) => {
+// PRINT EVENT NAME BADGES
+router.get('/events/:eventID/badges', verifyToken, requirePermission('event-rosters:export'), validateRequest, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        const [staff] = await connection.query(
-            'SELECT u.userID, u.fullName, u.role, u.image_url, s.email, s.created_at FROM Staff s JOIN User u ON s.userID = u.userID'
-        );
-        connection.release();
-        res.json({ success: true, data: staff });
+        const pdf = await exportsService.badges(req.params.eventID);
+        res.attachment(`event-${req.params.eventID}-badges.pdf`);
+        res.type('application/pdf').send(pdf);
     } catch (error) {
+        if (error instanceof exportsService.ExportError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ==================== ANALYTICS ====================
+
 /**
  * @swagger
- * /api/staff:
- *   post:
- *     summary: Create a new staff member (Admin only)
- *     description: Create a new staff member with email and password. Only authenticated staff/admin can create new staff accounts.
+ * /api/analytics/participation:
+ *   get:
+ *     summary: Participation over time
+ *     description: |
+ *       Registrations, attendance, no-shows and first-time versus returning participants per week or
+ *       month, with totals. Periods without events are included. A participant is first-time in the
+ *       period holding their earliest registration, at any location.
  *     tags:
- *       - Staff
+ *       - Analytics
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - fullName
- *               - email
- *               - password
- *             properties:
- *               fullName:
- *                 type: string
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *               image_url:
- *                 type: string
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or before this date
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match anywhere in the event location
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [week, month]
+ *           default: month
+ *         description: Weeks start on Monday
  *     responses:
- *       201:
- *         description: Staff member created successfully
+ *       200:
+ *         description: Figures retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1389,89 +5485,79 @@ router.get('/staff', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 userID:
- *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     interval:
+ *                       type: string
+ *                     periods:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/AnalyticsSummary'
+ *                           - type: object
+ *                             properties:
+ *                               period:
+ *                                 type: string
+ *                                 format: date
+ *                                 description: First day of the week or month
+ *                               firstTimeParticipants:
+ *                                 type: integer
+ *                               returningParticipants:
+ *                                 type: integer
+ *                     totals:
+ *                       $ref: '#/components/schemas/AnalyticsSummary'
  *       401:
  *         description: Unauthorized - invalid or missing token
  *       403:
- *         description: Forbidden - only staff/admin can create staff accounts
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// CREATE staff (Admin only)
-router.post('/staff', verifyToken, async (req, res) => {
+// GET PARTICIPATION OVER TIME
+router.get('/analytics/participation', verifyToken, requirePermission('analytics:read'), validateRequest, async (req, res) => {
     try {
-        // Only allow staff/admin to create new staff accounts
-        if (req.user.role !== 'staff') {
-            return res.status(403).json({ success: false, error: 'Only admin/staff can create staff accounts' });
-        }
-        
-        const { fullName, email, password, image_url } = req.body;
-        
-        if (!fullName || !email || !password) {
-            return res.status(400).json({ success: false, error: 'fullName, email, and password are required' });
-        }
-        
-        const connection = await pool.getConnection();
-        
-        // Check if email already exists
-        const [existingStaff] = await connection.query('SELECT userID FROM Staff WHERE email = ?', [email]);
-        if (existingStaff && existingStaff.length > 0) {
-            connection.release();
-            return res.status(400).json({ success: false, error: 'Email already registered' });
-        }
-        
-        // Hash the password
-        const hashedPassword = await bcrypt.hash(password, 10);
-        
-        const [userResult] = await connection.query(
-            'INSERT INTO User (fullName, role, image_url) VALUES (?, ?, ?)',
-            [fullName, 'staff', image_url]
-        );
-        
-        await connection.query('INSERT INTO Staff (userID, email, password) VALUES (?, ?, ?)', 
-            [userResult.insertId, email, hashedPassword]);
-        connection.release();
-        
-        res.status(201).json({ success: true, userID: userResult.insertId });
+        const data = await analytics.participationOverTime(req.query);
+        res.json({ success: true, data });
     } catch (error) {
+        if (error instanceof events.EventQueryError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * @swagger
- * /api/staff/{userID}:
- *   put:
- *     summary: Update staff member password
- *     description: Update the password of a staff member
+ * /api/analytics/events:
+ *   get:
+ *     summary: Fill and no-show rates per event
+ *     description: Each event (oldest first) with its registrations against max_participants and max_volunteers, attendance and no-shows, plus the totals
  *     tags:
- *       - Staff
+ *       - Analytics
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: userID
+ *       - in: query
+ *         name: from
  *         schema:
- *           type: integer
- *         required: true
- *         description: The staff member user ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - password
- *             properties:
- *               password:
- *                 type: string
+ *           type: string
+ *           format: date
+ *         description: Events starting on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or before this date
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match anywhere in the event location
  *     responses:
  *       200:
- *         description: Staff member updated successfully
+ *         description: Figures retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1479,75 +5565,101 @@ router.post('/staff', verifyToken, async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 message:
- *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           eventID:
+ *                             type: integer
+ *                           eventName:
+ *                             type: string
+ *                           start_time:
+ *                             type: string
+ *                             format: date-time
+ *                           location:
+ *                             type: string
+ *                           disabled_friendly:
+ *                             type: boolean
+ *                           max_participants:
+ *                             type: integer
+ *                             nullable: true
+ *                           registered_participants:
+ *                             type: integer
+ *                           participantFillRate:
+ *                             type: number
+ *                             nullable: true
+ *                           max_volunteers:
+ *                             type: integer
+ *                             nullable: true
+ *                           registered_volunteers:
+ *                             type: integer
+ *                           volunteerFillRate:
+ *                             type: number
+ *                             nullable: true
+ *                           attended:
+ *                             type: integer
+ *                           noShows:
+ *                             type: integer
+ *                           noShowRate:
+ *                             type: number
+ *                             nullable: true
+ *                     totals:
+ *                       $ref: '#/components/schemas/AnalyticsSummary'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// UPDATE staff 
-router.put('/staff/:userID', async (req, res) => {
+// GET EVENT FILL AND NO-SHOW RATES
+router.get('/analytics/events', verifyToken, requirePermission('analytics:read'), validateRequest, async (req, res) => {
     try {
-        const { fullName, email, password } = req.body;
-        const connection = await pool.getConnection();
-        
-        // Update User table for fullName
-        if (fullName) {
-            await connection.query('UPDATE User SET fullName = ? WHERE userID = ?', 
-                [fullName, req.params.userID]);
-        }
-        
-        // Update Staff table for email and password
-        const staffUpdateFields = [];
-        const staffUpdateValues = [];
-        
-        if (email) {
-            staffUpdateFields.push('email = ?');
-            staffUpdateValues.push(email);
-        }
-        if (password) {
-            // Hash the password
-            const hashedPassword = await bcrypt.hash(password, 10);
-            staffUpdateFields.push('password = ?');
-            staffUpdateValues.push(hashedPassword);
-        }
-        
-        if (staffUpdateFields.length > 0) {
-            staffUpdateValues.push(req.params.userID);
-            await connection.query(
-                `UPDATE Staff SET ${staffUpdateFields.join(', ')} WHERE userID = ?`,
-                staffUpdateValues
-            );
-        }
-        
-        connection.release();
-        res.json({ success: true, message: 'Staff updated' });
+        const data = await analytics.eventPerformance(req.query);
+        res.json({ success: true, data });
     } catch (error) {
+        if (error instanceof events.EventQueryError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * @swagger
- * /api/staff/{userID}:
- *   delete:
- *     summary: Delete a staff member
- *     description: Remove a staff member from the system
+ * /api/analytics/age-bands:
+ *   get:
+ *     summary: Participation by age band
+ *     description: Participant registrations, attendance and no-shows by age on the day of the event (under 60, 60-69, 70-79, 80-89, 90+, unknown)
  *     tags:
- *       - Staff
+ *       - Analytics
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: userID
+ *       - in: query
+ *         name: from
  *         schema:
- *           type: integer
- *         required: true
- *         description: The staff member user ID
+ *           type: string
+ *           format: date
+ *         description: Events starting on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or before this date
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match anywhere in the event location
  *     responses:
  *       200:
- *         description: Staff member deleted successfully
+ *         description: Figures retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1555,40 +5667,76 @@ router.put('/staff/:userID', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 message:
- *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       band:
+ *                         type: string
+ *                         example: 70-79
+ *                       participants:
+ *                         type: integer
+ *                       registrations:
+ *                         type: integer
+ *                       attended:
+ *                         type: integer
+ *                       noShows:
+ *                         type: integer
+ *                       noShowRate:
+ *                         type: number
+ *                         nullable: true
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// DELETE staff
-router.delete('/staff/:userID', async (req, res) => {
+// GET PARTICIPATION BY AGE BAND
+router.get('/analytics/age-bands', verifyToken, requirePermission('analytics:read'), validateRequest, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        await connection.query('DELETE FROM Staff WHERE userID = ?', [req.params.userID]);
-        connection.release();
-        res.json({ success: true, message: 'Staff deleted' });
+        const data = await analytics.ageBands(req.query);
+        res.json({ success: true, data });
     } catch (error) {
+        if (error instanceof events.EventQueryError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ==================== EVENT CRUD ====================
-
 /**
  * @swagger
- * /api/events:
+ * /api/analytics/disabled-friendly:
  *   get:
- *     summary: Get all events
- *     description: Retrieve a list of all events sorted by date
+ *     summary: Compare disabled-friendly events with the rest
+ *     description: The same figures for disabled-friendly events and for all other events, with the average participant registrations per event
  *     tags:
- *       - Events
+ *       - Analytics
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Events starting on or before this date
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match anywhere in the event location
  *     responses:
  *       200:
- *         description: List of events retrieved successfully
+ *         description: Figures retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1597,57 +5745,47 @@ router.delete('/staff/:userID', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Event'
+ *                   type: object
+ *                   properties:
+ *                     disabledFriendly:
+ *                       $ref: '#/components/schemas/AnalyticsComparison'
+ *                     other:
+ *                       $ref: '#/components/schemas/AnalyticsComparison'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// GET all events
-// GET all events with registration counts
-router.get('/events', async (req, res) => {
-    try {
-        const connection = await pool.getConnection();
-        const [events] = await connection.query(`
-            SELECT 
-                e.*,
-                COUNT(DISTINCT pe.participantID) as registered_participants,
-                COUNT(DISTINCT ve.volunteerID) as registered_volunteers
-            FROM Event e
-            LEFT JOIN ParticipantEvent pe ON e.eventID = pe.eventID
-            LEFT JOIN VolunteerEvent ve ON e.eventID = ve.eventID
-            GROUP BY e.eventID
-            ORDER BY e.start_time DESC
-        `);
-        connection.release();
-        res.json({ success: true, data: events });
+// GET DISABLED-FRIENDLY COMPARISON
+router.get('/analytics/disabled-friendly', verifyToken, requirePermission('analytics:read'), validateRequest, async (req, res) => {
+    try {
+        const data = await analytics.disabledFriendlyComparison(req.query);
+        res.json({ success: true, data });
     } catch (error) {
+        if (error instanceof events.EventQueryError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-/**
- * @swagger
- * /api/events/{eventID}:
- *   get:
- *     summary: Get a single event
- *     description: Retrieve details of a specific event by ID
- *     tags:
- *       - Events
- *     parameters:
- *       - in: path
- *         name: eventID
- *         schema:
- *           type: integer
- *         required: true
- *         description: The event ID
+// ==================== CAREGIVER DEPENDANTS ====================
+
+/**
+ * @swagger
+ * /api/caregivers/dependants:
+ *   get:
+ *     summary: Get the caregiver's dependants
+ *     description: List the participants linked to the authenticated caregiver, including pending and revoked link requests
+ *     tags:
+ *       - Caregivers
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Event retrieved successfully
+ *         description: List of dependants retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1656,64 +5794,21 @@ router.get('/events', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/Event'
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CaregiverLink'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - caregivers only
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// GET single event
-// GET single event with registration counts and lists
-router.get('/events/:eventID', async (req, res) => {
-    try {
-        const connection = await pool.getConnection();
-        
-        // Get event with counts
-        const [event] = await connection.query(`
-            SELECT 
-                e.*,
-                COUNT(DISTINCT pe.participantID) as registered_participants,
-                COUNT(DISTINCT ve.volunteerID) as registered_volunteers
-            FROM Event e
-            LEFT JOIN ParticipantEvent pe ON e.eventID = pe.eventID
-            LEFT JOIN VolunteerEvent ve ON e.eventID = ve.eventID
-            WHERE e.eventID = ?
-            GROUP BY e.eventID
-        `, [req.params.eventID]);
-        
-        if (!event || event.length === 0) {
-            connection.release();
-            return res.status(404).json({ success: false, error: 'Event not found' });
-        }
-        
-        // Get registered participants
-        const [participants] = await connection.query(`
-            SELECT u.userID, u.fullName, u.image_url, pe.signed_at
-            FROM ParticipantEvent pe
-            JOIN User u ON pe.participantID = u.userID
-            WHERE pe.eventID = ?
-        `, [req.params.eventID]);
-        
-        // Get registered volunteers
-        const [volunteers] = await connection.query(`
-            SELECT u.userID, u.fullName, u.image_url, ve.signed_at
-            FROM VolunteerEvent ve
-            JOIN User u ON ve.volunteerID = u.userID
-            WHERE ve.eventID = ?
-        `, [req.params.eventID]);
-        
-        connection.release();
-        
-        res.json({ 
-            success: true, 
-            data: {
-                ...event[0],
-                participants,
-                volunteers
-            }
-        });
+// GET dependants of the logged-in caregiver
+router.get('/caregivers/dependants', verifyToken, requirePermission('dependants:manage'), validateRequest, async (req, res) => {
+    try {
+        const dependants = await getRepositories().caregivers.listDependants(req.user.userID);
+        res.json({ success: true, data: dependants });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -1721,12 +5816,12 @@ router.get('/events/:eventID', async (req, res) => {
 
 /**
  * @swagger
- * /api/events:
+ * /api/caregivers/dependants:
  *   post:
- *     summary: Create a new event
- *     description: Create a new event (staff only)
+ *     summary: Request a link to a participant
+ *     description: Start linking the authenticated caregiver to a participant. A consent code naming the caregiver is sent by SMS to the participant's phone; the link becomes active once the code is submitted to the consent endpoint. Consent codes are kept apart from login codes, so they cannot be used at /login-otp and do not replace a login code or start its resend cooldown.
  *     tags:
- *       - Events
+ *       - Caregivers
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -1736,31 +5831,18 @@ router.get('/events/:eventID', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - eventName
- *               - eventDescription
- *               - start_time
-*                - end_time
- *               - location
+ *               - phoneNumber
  *             properties:
- *               eventName:
- *                 type: string
- *               eventDescription:
- *                 type: string
- *               disabled_friendly:
- *                 type: boolean
- *               start_time:
- *                 type: string
- *                 format: date-time
- *               end_time:
- *                 type: string
- *                 format: date-time
- *               location:
+ *               phoneNumber:
  *                 type: string
- *               additional_information:
+ *                 format: sg-mobile
+ *                 description: The participant's registered phone number
+ *               relationship:
  *                 type: string
+ *                 example: daughter
  *     responses:
- *       201:
- *         description: Event created successfully
+ *       200:
+ *         description: Consent code sent to the participant
  *         content:
  *           application/json:
  *             schema:
@@ -1768,249 +5850,168 @@ router.get('/events/:eventID', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 eventID:
+ *                 participantID:
  *                   type: integer
- *       401:
- *         description: Unauthorized - invalid or missing token
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Missing phone number or participant already linked
  *       403:
- *         description: Forbidden - only staff can create events
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Forbidden - caregivers only
+ *       404:
+ *         description: No participant registered with this phone number
+ *       429:
+ *         description: Consent code requested again before the resend cooldown elapsed
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// CREATE event
-router.post('/events', verifyToken, async (req, res) => {
+// REQUEST link to a participant
+router.post('/caregivers/dependants', verifyToken, requirePermission('dependants:manage'), validateRequest, audit('caregiver-link', keyOf({ caregiverID: fromUser, participantID: fromResult('participantID') })), async (req, res) => {
     try {
-        const { eventName, eventDescription, disabled_friendly, start_time, end_time, location, additional_information, max_participants, max_volunteers } = req.body;
-        const created_by = req.user.userID;
-        
-        const connection = await pool.getConnection();
+        const { relationship } = req.body;
+        const phoneNumber = identity.normalizePhone(req.body.phoneNumber);
         
-        // Check if user has staff role (already verified in token, but double-check)
-        const [user] = await connection.query('SELECT role FROM User WHERE userID = ?', [created_by]);
+        const { participants, caregivers } = getRepositories();
         
-        if (!user || user.length === 0) {
-            connection.release();
-            return res.status(401).json({ success: false, error: 'User not found' });
+        const participant = await participants.findByPhone(phoneNumber);
+        if (!participant) {
+            return res.status(404).json({ success: false, error: 'No participant registered with this phone number' });
         }
         
-        if (user[0].role !== 'staff') {
-            connection.release();
-            return res.status(403).json({ success: false, error: 'Only staff members can create events' });
+        const participantID = participant.userID;
+        
+        if (await caregivers.hasActiveLink(req.user.userID, participantID)) {
+            return res.status(400).json({ success: false, error: 'Participant is already linked to you' });
         }
         
-        // Convert ISO 8601 timestamps to MySQL DATETIME format
-        // Parse the timestamp and convert to a MySQL-compatible format
-        const formatDateTime = (isoString) => {
-            if (!isoString) return null;
-            const date = new Date(isoString);
-            // Create date string in local timezone (YYYY-MM-DD HH:MM:SS)
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
-            const hours = String(date.getHours()).padStart(2, '0');
-            const minutes = String(date.getMinutes()).padStart(2, '0');
-            const seconds = String(date.getSeconds()).padStart(2, '0');
-            return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-        };
+        // Create or re-open the link request; it stays pending until the participant consents
+        await caregivers.requestLink(req.user.userID, participantID, relationship);
         
-        const formatted_start_time = formatDateTime(start_time);
-        const formatted_end_time = formatDateTime(end_time);
+        // The code only confirms this caregiver's request, and the SMS says who is asking
+        const caregiver = await caregivers.findById(req.user.userID);
+        await otp.sendCode(phoneNumber, 'caregiver_consent', {
+            details: { caregiverID: caregiver.userID, caregiverName: caregiver.fullName }
+        });
         
-        // Create event
-        const [result] = await connection.query(
-            'INSERT INTO Event (eventName, eventDescription, disabled_friendly, start_time, end_time, location, additional_information, created_by, max_participants, max_volunteers) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [eventName, eventDescription, disabled_friendly, formatted_start_time, formatted_end_time, location, additional_information, created_by, max_participants, max_volunteers]
-        );
-        connection.release();
-        res.status(201).json({ success: true, eventID: result.insertId });
+        res.json({
+            success: true,
+            participantID,
+            message: "Consent code sent to the participant's phone"
+        });
     } catch (error) {
+        if (error instanceof otp.OtpError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * @swagger
- * /api/events/{eventID}:
- *   put:
- *     summary: Update an event
- *     description: Update event information
+ * /api/caregivers/dependants/{participantID}/consent:
+ *   post:
+ *     summary: Confirm participant consent
+ *     description: Activate a pending caregiver link with the consent code sent to the participant's phone. The code only confirms the request it was sent for, so a code sent because another caregiver asked to link is refused.
  *     tags:
- *       - Events
+ *       - Caregivers
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: eventID
+ *         name: participantID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
- *         description: The event ID
+ *         description: The participant user ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - otp
  *             properties:
- *               eventName:
- *                 type: string
- *               eventDescription:
- *                 type: string
- *               disabled_friendly:
- *                 type: boolean
- *               start_time:
- *                 type: string
- *                 format: date-time
- *               end_time:
- *                 type: string
- *                 format: date-time
- *               location:
- *                 type: string
- *               additional_information:
+ *               otp:
  *                 type: string
- *               max_participants:
- *                 type: integer
- *               max_volunteers:
- *                 type: integer
  *     responses:
  *       200:
- *         description: Event updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *         description: Link activated
+ *       401:
+ *         description: Invalid or expired consent code, or a code sent for another caregiver's request
+ *       403:
+ *         description: Forbidden - caregivers only
+ *       404:
+ *         description: No pending link request for this participant
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// UPDATE event
-router.put('/events/:eventID', async (req, res) => {
+// CONFIRM participant consent
+router.post('/caregivers/dependants/:participantID/consent', verifyToken, requirePermission('dependants:manage'), validateRequest, audit('caregiver-link', keyOf({ caregiverID: fromUser, participantID: fromParam('participantID') }), { action: 'consent' }), async (req, res) => {
     try {
-        const { eventName, eventDescription, disabled_friendly, start_time, end_time, location, additional_information, max_participants, max_volunteers } = req.body;
-        const connection = await pool.getConnection();
-        await connection.query(
-            'UPDATE Event SET eventName = ?, eventDescription = ?, disabled_friendly = ?, start_time = ?, end_time = ?, location = ?, additional_information = ?, max_participants = ?, max_volunteers = ? WHERE eventID = ?',
-            [eventName, eventDescription, disabled_friendly, start_time, end_time, location, additional_information, max_participants, max_volunteers, req.params.eventID]
-        );
-        connection.release();
-        res.json({ success: true, message: 'Event updated' });
+        const { otp: code } = req.body;
+        
+        const { participants, caregivers } = getRepositories();
+        
+        const link = await caregivers.findLink(req.user.userID, req.params.participantID);
+        const participant = link?.status === 'pending' && await participants.findById(req.params.participantID);
+        if (!participant) {
+            return res.status(404).json({ success: false, error: 'No pending link request for this participant' });
+        }
+        
+        // A code sent for another caregiver's request cannot confirm this one
+        const { details } = await otp.verifyCode(participant.phoneNumber, code, 'caregiver_consent');
+        if (Number(details?.caregiverID) !== Number(req.user.userID)) {
+            return res.status(401).json({ success: false, error: 'Consent code was not sent for your request' });
+        }
+        await caregivers.activateLink(req.user.userID, req.params.participantID);
+        
+        res.json({ success: true, message: 'Participant linked' });
     } catch (error) {
+        if (error instanceof otp.OtpError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * @swagger
- * /api/events/{eventID}:
+ * /api/caregivers/dependants/{participantID}:
  *   delete:
- *     summary: Delete an event
- *     description: Remove an event from the system
- *     tags:
- *       - Events
- *     parameters:
- *       - in: path
- *         name: eventID
- *         schema:
- *           type: integer
- *         required: true
- *         description: The event ID
- *     responses:
- *       200:
- *         description: Event deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *       500:
- *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- */
-// DELETE event
-router.delete('/events/:eventID', async (req, res) => {
-    try {
-        const connection = await pool.getConnection();
-        await connection.query('DELETE FROM Event WHERE eventID = ?', [req.params.eventID]);
-        connection.release();
-        res.json({ success: true, message: 'Event deleted' });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// ==================== PARTICIPANT EVENT CRUD ====================
-
-/**
- * @swagger
- * /api/events/{eventID}/participants:
- *   get:
- *     summary: Get participants for an event
- *     description: Retrieve all participants registered for a specific event
+ *     summary: Unlink a dependant
+ *     description: Revoke the authenticated caregiver's link to a participant. The link is kept as revoked for the record.
  *     tags:
- *       - ParticipantEvents
+ *       - Caregivers
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: eventID
+ *         name: participantID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
- *         description: The event ID
+ *         description: The participant user ID
  *     responses:
  *       200:
- *         description: List of participants retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
+ *         description: Link revoked
+ *       403:
+ *         description: Forbidden - caregivers only
+ *       404:
+ *         description: Link not found
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// GET participants for an event
-router.get('/events/:eventID/participants', async (req, res) => {
+// UNLINK dependant
+router.delete('/caregivers/dependants/:participantID', verifyToken, requirePermission('dependants:manage'), validateRequest, audit('caregiver-link', keyOf({ caregiverID: fromUser, participantID: fromParam('participantID') })), async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        const [participants] = await connection.query(
-            'SELECT u.*, pe.signed_at FROM ParticipantEvent pe JOIN User u ON pe.participantID = u.userID WHERE pe.eventID = ?',
-            [req.params.eventID]
-        );
-        connection.release();
-        res.json({ success: true, data: participants });
+        if (!(await getRepositories().caregivers.revokeLink(req.user.userID, req.params.participantID))) {
+            return res.status(404).json({ success: false, error: 'Link not found' });
+        }
+        
+        res.json({ success: true, message: 'Dependant unlinked' });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -2018,19 +6019,22 @@ router.get('/events/:eventID/participants', async (req, res) => {
 
 /**
  * @swagger
- * /api/participants/{participantID}/events:
+ * /api/caregivers/dependants/{participantID}/events:
  *   get:
- *     summary: Get events for a participant
- *     description: Retrieve all events a participant is registered for
+ *     summary: Get a dependant's events
+ *     description: Retrieve all events a linked dependant is registered for
  *     tags:
- *       - ParticipantEvents
+ *       - Caregivers
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: participantID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
- *         description: The participant ID
+ *         description: The participant user ID
  *     responses:
  *       200:
  *         description: List of events retrieved successfully
@@ -2045,22 +6049,20 @@ router.get('/events/:eventID/participants', async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Event'
+ *       403:
+ *         description: Forbidden - not linked to this participant
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// GET events for a participant
-router.get('/participants/:participantID/events', async (req, res) => {
+// GET events for a dependant
+router.get('/caregivers/dependants/:participantID/events', verifyToken, requirePermission('dependants:manage'), validateRequest, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        const [events] = await connection.query(
-            'SELECT e.*, pe.signed_at FROM ParticipantEvent pe JOIN Event e ON pe.eventID = e.eventID WHERE pe.participantID = ?',
-            [req.params.participantID]
-        );
-        connection.release();
+        if (!(await getRepositories().caregivers.hasActiveLink(req.user.userID, req.params.participantID))) {
+            return res.status(403).json({ success: false, error: 'You are not linked to this participant' });
+        }
+        
+        const events = await getRepositories().registrations.listForUser('participant', req.params.participantID);
+        events.sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
         res.json({ success: true, data: events });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -2069,12 +6071,22 @@ router.get('/participants/:participantID/events', async (req, res) => {
 
 /**
  * @swagger
- * /api/participant-events:
+ * /api/caregivers/dependants/{participantID}/events:
  *   post:
- *     summary: Register participant to event
- *     description: Sign a participant up for an event
+ *     summary: Register a dependant for an event
+ *     description: Sign a linked dependant up for an event. The same capacity, duplicate and time-conflict checks as /api/participant-events apply to the dependant.
  *     tags:
- *       - ParticipantEvents
+ *       - Caregivers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: participantID
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The participant user ID
  *     requestBody:
  *       required: true
  *       content:
@@ -2082,232 +6094,201 @@ router.get('/participants/:participantID/events', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - participantID
  *               - eventID
  *             properties:
- *               participantID:
- *                 type: integer
  *               eventID:
  *                 type: integer
+ *               joinWaitlist:
+ *                 type: boolean
+ *                 description: Join the waitlist instead of failing when the event is full
  *     responses:
  *       201:
- *         description: Participant registered to event successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *         description: Dependant registered to event, or added to the waitlist when the event is full and joinWaitlist was set; unmetNeeds lists accessibility needs the event does not meet
+ *       400:
+ *         description: Event is full, already registered or time conflict
+ *       409:
+ *         description: The event does not meet the dependant's accessibility needs and ACCESSIBILITY_POLICY is block
+ *       403:
+ *         description: Forbidden - not linked to this participant
+ *       404:
+ *         description: Event not found
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// PARTICIPANT SIGNS EVENT
-router.post('/participant-events', async (req, res) => {
-    try {
-        const { participantID, eventID } = req.body;
-        const connection = await pool.getConnection();
-        
-        // Get the event details including time
-        const [event] = await connection.query(`
-            SELECT 
-                e.eventID,
-                e.start_time,
-                e.end_time,
-                e.max_participants,
-                COUNT(pe.participantID) as current_count
-            FROM Event e
-            LEFT JOIN ParticipantEvent pe ON e.eventID = pe.eventID
-            WHERE e.eventID = ?
-            GROUP BY e.eventID
-        `, [eventID]);
-        
-        if (!event || event.length === 0) {
-            connection.release();
-            return res.status(404).json({ success: false, error: 'Event not found' });
-        }
+// REGISTER dependant for event
+router.post('/caregivers/dependants/:participantID/events', verifyToken, requirePermission('dependants:manage'), validateRequest, audit('participant-registration', keyOf({ participantID: fromParam('participantID'), eventID: fromBody('eventID') })), async (req, res) => {
+    try {
+        const { eventID, joinWaitlist } = req.body;
         
-        // Check if event is full (only if max_participants is set)
-        if (event[0].max_participants !== null && event[0].current_count >= event[0].max_participants) {
-            connection.release();
-            return res.status(400).json({ success: false, error: 'Event is full' });
+        if (!(await getRepositories().caregivers.hasActiveLink(req.user.userID, req.params.participantID))) {
+            return res.status(403).json({ success: false, error: 'You are not linked to this participant' });
         }
         
-        // Check if already registered
-        const [existing] = await connection.query(
-            'SELECT * FROM ParticipantEvent WHERE participantID = ? AND eventID = ?',
-            [participantID, eventID]
-        );
+        const unmetNeeds = await accessibility.checkRegistration(req.params.participantID, eventID);
+        const result = await getRepositories().registrations.register('participant', req.params.participantID, eventID, { joinWaitlist });
+        notifyRegistration(req.params.participantID, eventID, result);
         
-        if (existing.length > 0) {
-            connection.release();
-            return res.status(400).json({ success: false, error: 'Already registered' });
-        }
-        
-        // Check for time slot conflicts with other registered events
-        const [conflictingEvents] = await connection.query(`
-            SELECT e.eventID, e.eventName, e.start_time, e.end_time
-            FROM ParticipantEvent pe
-            JOIN Event e ON pe.eventID = e.eventID
-            WHERE pe.participantID = ?
-            AND (
-                (e.start_time < ? AND e.end_time > ?) OR
-                (e.start_time < ? AND e.end_time > ?) OR
-                (e.start_time >= ? AND e.end_time <= ?)
-            )
-        `, [participantID, event[0].end_time, event[0].start_time, event[0].end_time, event[0].start_time, event[0].start_time, event[0].end_time]);
-        
-        if (conflictingEvents.length > 0) {
-            connection.release();
-            return res.status(400).json({ 
-                success: false, 
-                error: `You already have an event "${conflictingEvents[0].eventName}" scheduled during this time slot` 
-            });
+        if (result.status === 'waitlisted') {
+            return res.status(201).json({ success: true, waitlisted: true, position: result.position, message: 'Event is full. Participant added to waitlist', unmetNeeds });
         }
         
-        await connection.query(
-            'INSERT INTO ParticipantEvent (participantID, eventID) VALUES (?, ?)',
-            [participantID, eventID]
-        );
-        connection.release();
-        res.status(201).json({ success: true, message: 'Participant signed to event' });
+        res.status(201).json({ success: true, waitlisted: false, message: 'Participant signed to event', unmetNeeds });
     } catch (error) {
+        if (error instanceof registration.RegistrationError || error instanceof accessibility.AccessibilityError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * @swagger
- * /api/participant-events/{participantID}/{eventID}:
+ * /api/caregivers/dependants/{participantID}/events/{eventID}:
  *   delete:
- *     summary: Unregister participant from event
- *     description: Remove a participant from an event
+ *     summary: Unregister a dependant from an event
+ *     description: Remove a linked dependant from an event
  *     tags:
- *       - ParticipantEvents
+ *       - Caregivers
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: participantID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
- *         description: The participant ID
+ *         description: The participant user ID
  *       - in: path
  *         name: eventID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
  *         description: The event ID
  *     responses:
  *       200:
- *         description: Participant removed from event successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *         description: Dependant removed from event successfully
+ *       403:
+ *         description: Forbidden - not linked to this participant
+ *       404:
+ *         description: Registration not found
+ *       409:
+ *         description: The event has been cancelled; its registrations are kept
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// PARTICIPANT UNREGISTER FROM EVENT
-router.delete('/participant-events/:participantID/:eventID', async (req, res) => {
+// UNREGISTER dependant from event
+router.delete('/caregivers/dependants/:participantID/events/:eventID', verifyToken, requirePermission('dependants:manage'), validateRequest, audit('participant-registration', keyOf({ participantID: fromParam('participantID'), eventID: fromParam('eventID') })), async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        await connection.query(
-            'DELETE FROM ParticipantEvent WHERE participantID = ? AND eventID = ?',
-            [req.params.participantID, req.params.eventID]
-        );
-        connection.release();
-        res.json({ success: true, message: 'Participant removed from event' });
+        if (!(await getRepositories().caregivers.hasActiveLink(req.user.userID, req.params.participantID))) {
+            return res.status(403).json({ success: false, error: 'You are not linked to this participant' });
+        }
+        
+        const result = await getRepositories().registrations.unregister('participant', req.params.participantID, req.params.eventID);
+        
+        if (!result.removed) {
+            return res.status(404).json({ success: false, error: 'Registration not found' });
+        }
+        
+        notifyUnregistration(req.params.participantID, req.params.eventID, result);
+        res.json({ success: true, message: 'Participant removed from event', promoted: result.promoted });
     } catch (error) {
+        if (error instanceof registration.RegistrationError) {
+            return sendServiceError(res, error);
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ==================== VOLUNTEER EVENT CRUD ====================
-
 /**
  * @swagger
- * /api/events/{eventID}/volunteers:
+ * /api/me/caregivers:
  *   get:
- *     summary: Get volunteers for an event
- *     description: Retrieve all volunteers registered for a specific event
+ *     summary: Get my caregivers
+ *     description: List the caregivers linked to the authenticated participant
  *     tags:
- *       - VolunteerEvents
+ *       - Caregivers
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of caregivers retrieved successfully
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - participants only
+ *       500:
+ *         description: Server error
+ */
+// GET caregivers of the logged-in participant
+router.get('/me/caregivers', verifyToken, requirePermission('caregiver-consent:manage'), validateRequest, async (req, res) => {
+    try {
+        const caregivers = await getRepositories().caregivers.listCaregivers(req.user.userID);
+        res.json({ success: true, data: caregivers });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/me/caregivers/{caregiverID}:
+ *   delete:
+ *     summary: Withdraw consent from a caregiver
+ *     description: Revoke a caregiver's access to the authenticated participant's registrations
+ *     tags:
+ *       - Caregivers
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: eventID
+ *         name: caregiverID
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         required: true
- *         description: The event ID
+ *         description: The caregiver user ID
  *     responses:
  *       200:
- *         description: List of volunteers retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
+ *         description: Consent withdrawn
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - participants only
+ *       404:
+ *         description: Link not found
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-// GET volunteers for an event
-router.get('/events/:eventID/volunteers', async (req, res) => {
+// WITHDRAW consent from a caregiver
+router.delete('/me/caregivers/:caregiverID', verifyToken, requirePermission('caregiver-consent:manage'), validateRequest, audit('caregiver-link', keyOf({ caregiverID: fromParam('caregiverID'), participantID: fromUser }), { action: 'withdraw_consent' }), async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        const [volunteers] = await connection.query(
-            'SELECT u.*, ve.signed_at FROM VolunteerEvent ve JOIN User u ON ve.volunteerID = u.userID WHERE ve.eventID = ?',
-            [req.params.eventID]
-        );
-        connection.release();
-        res.json({ success: true, data: volunteers });
+        if (!(await getRepositories().caregivers.revokeLink(req.params.caregiverID, req.user.userID))) {
+            return res.status(404).json({ success: false, error: 'Link not found' });
+        }
+        
+        res.json({ success: true, message: 'Caregiver consent withdrawn' });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ==================== NOTIFICATIONS ====================
+
 /**
  * @swagger
- * /api/volunteers/{volunteerID}/events:
+ * /api/me/notification-preferences:
  *   get:
- *     summary: Get events for a volunteer
- *     description: Retrieve all events a volunteer is registered for
+ *     summary: Get my notification preferences
+ *     description: Which channels the logged-in user is notified on, and which channels they have contact details for. Participants default to SMS, everyone else to email.
  *     tags:
- *       - VolunteerEvents
- *     parameters:
- *       - in: path
- *         name: volunteerID
- *         schema:
- *           type: integer
- *         required: true
- *         description: The volunteer ID
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of events retrieved successfully
+ *         description: Notification preferences
  *         content:
  *           application/json:
  *             schema:
@@ -2316,9 +6297,9 @@ router.get('/events/:eventID/volunteers', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Event'
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
  *       500:
  *         description: Server error
  *         content:
@@ -2326,16 +6307,14 @@ router.get('/events/:eventID/volunteers', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// GET events for a volunteer
-router.get('/volunteers/:volunteerID/events', async (req, res) => {
+// GET my notification preferences
+router.get('/me/notification-preferences', verifyToken, validateRequest, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        const [events] = await connection.query(
-            'SELECT e.*, ve.signed_at FROM VolunteerEvent ve JOIN Event e ON ve.eventID = e.eventID WHERE ve.volunteerID = ?',
-            [req.params.volunteerID]
-        );
-        connection.release();
-        res.json({ success: true, data: events });
+        const data = await notifications.getPreferences(req.user.userID);
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        res.json({ success: true, data });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -2343,29 +6322,28 @@ router.get('/volunteers/:volunteerID/events', async (req, res) => {
 
 /**
  * @swagger
- * /api/volunteer-events:
- *   post:
- *     summary: Register volunteer to event
- *     description: Sign a volunteer up for an event
+ * /api/me/notification-preferences:
+ *   put:
+ *     summary: Update my notification preferences
+ *     description: Turn notification channels on or off for the logged-in user. Channels left out keep their current setting.
  *     tags:
- *       - VolunteerEvents
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - volunteerID
- *               - eventID
  *             properties:
- *               volunteerID:
- *                 type: integer
- *               eventID:
- *                 type: integer
+ *               sms:
+ *                 type: boolean
+ *               email:
+ *                 type: boolean
  *     responses:
- *       201:
- *         description: Volunteer registered to event successfully
+ *       200:
+ *         description: Preferences updated
  *         content:
  *           application/json:
  *             schema:
@@ -2373,8 +6351,16 @@ router.get('/volunteers/:volunteerID/events', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 message:
- *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Invalid value, or enabling a channel without contact details for it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
  *       500:
  *         description: Server error
  *         content:
@@ -2382,96 +6368,29 @@ router.get('/volunteers/:volunteerID/events', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// VOLUNTEER SIGNS EVENT
-router.post('/volunteer-events', async (req, res) => {
-    try {
-        const { volunteerID, eventID } = req.body;
-        const connection = await pool.getConnection();
-        
-        // Get event details including time
-        const [event] = await connection.query(`
-            SELECT 
-                e.eventID,
-                e.eventName,
-                e.start_time,
-                e.end_time,
-                e.max_volunteers,
-                COUNT(ve.volunteerID) as current_count
-            FROM Event e
-            LEFT JOIN VolunteerEvent ve ON e.eventID = ve.eventID
-            WHERE e.eventID = ?
-            GROUP BY e.eventID
-        `, [eventID]);
-        
-        if (!event || event.length === 0) {
-            connection.release();
-            return res.status(404).json({ success: false, error: 'Event not found' });
-        }
-        
-        // Check if event is full (only if max_volunteers is set)
-        if (event[0].max_volunteers !== null && event[0].current_count >= event[0].max_volunteers) {
-            connection.release();
-            return res.status(400).json({ success: false, error: 'Event is full' });
+// UPDATE my notification preferences
+router.put('/me/notification-preferences', verifyToken, validateRequest, audit('notification-preferences', fromUser), async (req, res) => {
+    try {
+        const current = await notifications.getPreferences(req.user.userID);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'User not found' });
         }
         
-        // Check if already registered
-        const [existing] = await connection.query(
-            'SELECT * FROM VolunteerEvent WHERE volunteerID = ? AND eventID = ?',
-            [volunteerID, eventID]
-        );
-        
-        if (existing.length > 0) {
-            connection.release();
-            return res.status(400).json({ success: false, error: 'Already registered for this event' });
-        }
-        
-        // Check for time slot conflicts with other events (both as volunteer and participant)
-        const newStart = event[0].start_time;
-        const newEnd = event[0].end_time;
-        
-        // Check volunteer events for time conflicts
-        const [volunteerConflicts] = await connection.query(`
-            SELECT e.eventID, e.eventName, e.start_time, e.end_time
-            FROM VolunteerEvent ve
-            JOIN Event e ON ve.eventID = e.eventID
-            WHERE ve.volunteerID = ?
-            AND e.eventID != ?
-            AND (
-                (e.start_time < ? AND e.end_time > ?) OR
-                (e.start_time >= ? AND e.start_time < ?) OR
-                (e.end_time > ? AND e.end_time <= ?)
-            )
-        `, [volunteerID, eventID, newEnd, newStart, newStart, newEnd, newStart, newEnd]);
-        
-        // Check participant events for time conflicts
-        const [participantConflicts] = await connection.query(`
-            SELECT e.eventID, e.eventName, e.start_time, e.end_time
-            FROM ParticipantEvent pe
-            JOIN Event e ON pe.eventID = e.eventID
-            WHERE pe.participantID = ?
-            AND (
-                (e.start_time < ? AND e.end_time > ?) OR
-                (e.start_time >= ? AND e.start_time < ?) OR
-                (e.end_time > ? AND e.end_time <= ?)
-            )
-        `, [volunteerID, newEnd, newStart, newStart, newEnd, newStart, newEnd]);
-        
-        const allConflicts = [...volunteerConflicts, ...participantConflicts];
-        
-        if (allConflicts.length > 0) {
-            connection.release();
-            return res.status(400).json({ 
-                success: false, 
-                error: `Time conflict with "${allConflicts[0].eventName}". You cannot register for events with overlapping time slots.`
-            });
+        for (const channel of notifications.CHANNELS) {
+            const value = req.body[channel];
+            if (value === undefined) {
+                continue;
+            }
+            if (typeof value !== 'boolean') {
+                return res.status(400).json({ success: false, error: `${channel} must be true or false` });
+            }
+            if (value && !current.available[channel]) {
+                return res.status(400).json({ success: false, error: `No ${channel === 'sms' ? 'phone number' : 'email'} on file for ${channel} notifications` });
+            }
         }
         
-        await connection.query(
-            'INSERT INTO VolunteerEvent (volunteerID, eventID) VALUES (?, ?)',
-            [volunteerID, eventID]
-        );
-        connection.release();
-        res.status(201).json({ success: true, message: 'Volunteer signed to event' });
+        const data = await notifications.setPreferences(req.user.userID, req.body);
+        res.json({ success: true, data });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -2479,28 +6398,94 @@ router.post('/volunteer-events', async (req, res) => {
 
 /**
  * @swagger
- * /api/volunteer-events/{volunteerID}/{eventID}:
- *   delete:
- *     summary: Unregister volunteer from event
- *     description: Remove a volunteer from an event
+ * /api/me/notifications:
+ *   get:
+ *     summary: Get my notifications
+ *     description: Notifications sent to the logged-in user, newest first
  *     tags:
- *       - VolunteerEvents
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: volunteerID
+ *       - in: query
+ *         name: limit
  *         schema:
  *           type: integer
- *         required: true
- *         description: The volunteer ID
- *       - in: path
+ *           minimum: 1
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Notification log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// GET my notifications
+router.get('/me/notifications', verifyToken, validateRequest, async (req, res) => {
+    try {
+        const data = await notifications.getLog({ userID: req.user.userID, limit: req.query.limit });
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the notification log
+ *     description: Query every notification attempt, newest first (staff only)
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userID
+ *         schema:
+ *           type: integer
+ *       - in: query
  *         name: eventID
  *         schema:
  *           type: integer
- *         required: true
- *         description: The event ID
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *           enum: [registration_confirmed, waitlisted, waitlist_promoted, registration_cancelled, series_registered, event_updated, event_reminder, event_cancelled]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, failed, skipped]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 100
+ *           maximum: 500
  *     responses:
  *       200:
- *         description: Volunteer removed from event successfully
+ *         description: Notification log entries
  *         content:
  *           application/json:
  *             schema:
@@ -2508,8 +6493,14 @@ router.post('/volunteer-events', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 message:
- *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *       403:
+ *         description: Forbidden - insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -2517,16 +6508,12 @@ router.post('/volunteer-events', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// VOLUNTEER UNREGISTER FROM EVENT
-router.delete('/volunteer-events/:volunteerID/:eventID', async (req, res) => {
+// GET notification log
+router.get('/notifications', verifyToken, requirePermission('notifications:read'), validateRequest, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        await connection.query(
-            'DELETE FROM VolunteerEvent WHERE volunteerID = ? AND eventID = ?',
-            [req.params.volunteerID, req.params.eventID]
-        );
-        connection.release();
-        res.json({ success: true, message: 'Volunteer removed from event' });
+        const { userID, eventID, template, status, limit } = req.query;
+        const data = await notifications.getLog({ userID, eventID, template, status, limit });
+        res.json({ success: true, data });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
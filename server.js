@@ -3,14 +3,22 @@ const express = require('express');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./swagger');
 const { pool } = require('./db');
+const { getRepositories } = require('./repositories');
 const apiRoutes = require('./routes/api');
+const { maskNrics } = require('./middleware/privacy');
+const { assignRequestId } = require('./middleware/audit');
+const scheduler = require('./services/scheduler');
+const reminders = require('./services/reminders');
+const eventStatus = require('./services/event-status');
 
 const app = express();
 const port = 3001;
 
 // Middleware
-app.use(express.json());
+// Sign-up sheets for /api/participants/import arrive base64-encoded in JSON
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(assignRequestId);
 
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
@@ -18,7 +26,8 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
 // CORS
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Request-ID');
+    res.header('Access-Control-Expose-Headers', 'X-Request-ID, Content-Disposition');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
@@ -28,19 +37,21 @@ app.use((req, res, next) => {
 
 
 
-// Test connection on startup
-pool.getConnection()
-    .then(connection => {
-        console.log('✅ Database connection successful!');
-        connection.release();
-    })
-    .catch(error => {
-        console.error('❌ Database connection failed:', error.message);
-        console.error('📌 Make sure Cloud SQL Proxy is running on port', process.env.DB_PORT || 3307);
-    });
+// Test connection on startup (DB_BACKEND=memory runs without a database)
+if (getRepositories().backend === 'mysql') {
+    pool.getConnection()
+        .then(connection => {
+            console.log('✅ Database connection successful!');
+            connection.release();
+        })
+        .catch(error => {
+            console.error('❌ Database connection failed:', error.message);
+            console.error('📌 Make sure Cloud SQL Proxy is running on port', process.env.DB_PORT || 3307);
+        });
+}
 
-// Routes
-app.use('/api', apiRoutes);
+// Routes (NRICs in API responses are always masked)
+app.use('/api', maskNrics, apiRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -52,15 +63,28 @@ app.use((req, res) => {
     res.status(404).json({ success: false, message: 'Route not found' });
 });
 
-// Start server
-app.listen(port, () => {
-    console.log(`🚀 Server running at http://localhost:${port}/`);
-    console.log(`📚 API Documentation: http://localhost:${port}/api-docs`);
-    console.log(`   Users: GET/POST/PUT/DELETE /api/users`);
-    console.log(`   Participants: GET/POST/DELETE /api/participants`);
-    console.log(`   Volunteers: GET/POST/DELETE /api/volunteers`);
-    console.log(`   Staff: GET/POST/PUT/DELETE /api/staff`);
-    console.log(`   Events: GET/POST/PUT/DELETE /api/events`);
-    console.log(`   ParticipantEvent: GET/POST/DELETE /api/participant-events`);
-    console.log(`   VolunteerEvent: GET/POST/DELETE /api/volunteer-events`);
-});
+// Start server when run directly; tests require the app and listen on their own port
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`🚀 Server running at http://localhost:${port}/`);
+        console.log(`📚 API Documentation: http://localhost:${port}/api-docs`);
+        console.log(`   Users: GET/POST/PUT/DELETE /api/users`);
+        console.log(`   Participants: GET/POST/DELETE /api/participants`);
+        console.log(`   Volunteers: GET/POST/DELETE /api/volunteers`);
+        console.log(`   Staff: GET/POST/PUT/DELETE /api/staff`);
+        console.log(`   Events: GET/POST/PUT/DELETE /api/events`);
+        console.log(`   ParticipantEvent: GET/POST/DELETE /api/participant-events`);
+        console.log(`   VolunteerEvent: GET/POST/DELETE /api/volunteer-events`);
+        
+        // Background jobs (event reminders, completing ended events); set SCHEDULER_ENABLED=false on instances that should not run them
+        if (process.env.SCHEDULER_ENABLED !== 'false') {
+            reminders.scheduleUpcomingReminders()
+                .catch(error => console.error('❌ Could not queue event reminders:', error.message));
+            eventStatus.scheduleCompletion(0)
+                .catch(error => console.error('❌ Could not queue event completion:', error.message));
+            scheduler.start();
+        }
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,93 @@
+const { getRepositories } = require('../repositories');
+
+// ==================== ACCESSIBILITY ====================
+// Needs a participant can declare on their profile, and the event attribute
+// that meets each one. Event attributes are true, false or null (unknown);
+// only a confirmed attribute meets a need. A maximum walking distance is met
+// when the event's walking distance is known and within it.
+//
+// ACCESSIBILITY_POLICY decides what happens when a participant signs up for
+// an event that does not meet their needs: warn (default) registers them and
+// lists the unmet needs, block refuses the registration.
+
+// Error carrying the HTTP status the route should respond with
+class AccessibilityError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'AccessibilityError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Need name (as in GET /events?needs=) -> Participant column, Event column and wording
+const NEEDS = {
+    wheelchair_access: { participantColumn: 'needs_wheelchair_access', eventColumn: 'wheelchair_accessible', label: 'wheelchair access' },
+    hearing_loop: { participantColumn: 'needs_hearing_loop', eventColumn: 'hearing_loop', label: 'hearing loop' },
+    seating: { participantColumn: 'needs_seating', eventColumn: 'seating_available', label: 'seating' },
+    accessible_toilet: { participantColumn: 'needs_accessible_toilet', eventColumn: 'accessible_toilet', label: 'accessible toilet' }
+};
+
+const POLICIES = ['warn', 'block'];
+
+// Read on each registration; anything unrecognised falls back to warn
+const registrationPolicy = () => {
+    const policy = String(process.env.ACCESSIBILITY_POLICY || 'warn').toLowerCase();
+    return POLICIES.includes(policy) ? policy : 'warn';
+};
+
+// The participant's declared needs the event does not meet, as { need, message }
+const unmetNeeds = (participant, event) => {
+    const unmet = [];
+    for (const [need, { participantColumn, eventColumn, label }] of Object.entries(NEEDS)) {
+        if (!participant[participantColumn] || event[eventColumn]) {
+            continue;
+        }
+        unmet.push({
+            need,
+            message: event[eventColumn] === null || event[eventColumn] === undefined
+                ? `The event's ${label} is not confirmed`
+                : `The event has no ${label}`
+        });
+    }
+
+    const maxDistance = participant.max_walking_distance_m;
+    if (maxDistance !== null && maxDistance !== undefined) {
+        if (event.walking_distance_m === null || event.walking_distance_m === undefined) {
+            unmet.push({ need: 'max_walking_distance', message: "The event's walking distance is not confirmed" });
+        } else if (event.walking_distance_m > maxDistance) {
+            unmet.push({
+                need: 'max_walking_distance',
+                message: `The event needs ${event.walking_distance_m} m of walking; the participant can manage ${maxDistance} m`
+            });
+        }
+    }
+    return unmet;
+};
+
+// Check a participant sign-up against the policy. Resolves to the unmet needs
+// (empty when they are all met); throws an AccessibilityError naming the
+// event when blocked.
+const checkRegistration = async (participantID, eventID) => {
+    const { participants, events } = getRepositories();
+    const participant = await participants.findById(participantID);
+    const event = await events.findById(eventID);
+    // Unknown participants and events are reported by the registration itself
+    if (!participant || !event) {
+        return [];
+    }
+
+    const unmet = unmetNeeds(participant, event);
+    if (unmet.length > 0 && registrationPolicy() === 'block') {
+        throw new AccessibilityError("This event does not meet the participant's accessibility needs", 409, { eventID: event.eventID, unmetNeeds: unmet });
+    }
+    return unmet;
+};
+
+module.exports = {
+    AccessibilityError,
+    NEEDS,
+    registrationPolicy,
+    unmetNeeds,
+    checkRegistration
+};
@@ -0,0 +1,248 @@
+const { getRepositories } = require('../repositories');
+const { parseEventQuery } = require('./events');
+const { ageOn } = require('./exports');
+const { toDateString } = require('./recurrence');
+
+// ==================== ANALYTICS ====================
+// Aggregate figures for the staff dashboard. Every report covers the events
+// starting in an optional from/to date range at an optional location (same
+// matching as GET /events), leaving out drafts and cancelled events.
+// Definitions:
+//   - fill rate: registrations / capacity, over events that have a capacity
+//   - no-show rate: no-shows / (attended + no-shows), over events that have ended
+//   - first-time participant: their earliest registration (at any location)
+//     is for an event in the period; everyone else is returning
+// Rates are fractions rounded to three places, or null when nothing counts
+// towards them.
+
+// [label, lowest age] of each band, oldest last
+const AGE_BANDS = [
+    ['under 60', 0],
+    ['60-69', 60],
+    ['70-79', 70],
+    ['80-89', 80],
+    ['90+', 90]
+];
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+
+// ==================== LOADING ====================
+
+// The events in the filters, oldest first, and every participant registration
+// up to their end (earlier ones tell first-time participants from returning ones)
+const loadData = async ({ from, to, location }) => {
+    const { events, registrations } = getRepositories();
+    const options = parseEventQuery({ from, to, location, status: 'published,completed', order: 'asc' });
+    const { rows } = await events.list(options);
+    const history = (await registrations.listParticipation('participant', { before: options.to }))
+        .filter(row => row.attendance_status !== 'cancelled');
+
+    const byEvent = new Map(rows.map(event => [event.eventID, []]));
+    for (const row of history) {
+        byEvent.get(row.eventID)?.push(row);
+    }
+    return { events: rows, history, byEvent, range: options };
+};
+
+// eventID of each participant's earliest registration
+const firstEvents = (history) => {
+    const first = new Map();
+    for (const row of history) {
+        if (!first.has(row.userID)) {
+            first.set(row.userID, row.eventID);
+        }
+    }
+    return first;
+};
+
+// ==================== FIGURES ====================
+
+// Registration, fill-rate and attendance figures of a group of events
+const summarise = (events, byEvent) => {
+    const totals = {
+        events: events.length,
+        participantRegistrations: 0,
+        volunteerRegistrations: 0,
+        attended: 0,
+        noShows: 0
+    };
+    const capacity = { participant: [0, 0], volunteer: [0, 0] };
+    const participants = new Set();
+
+    for (const event of events) {
+        const registrations = byEvent.get(event.eventID);
+        totals.participantRegistrations += registrations.length;
+        totals.volunteerRegistrations += event.registered_volunteers;
+        for (const row of registrations) {
+            participants.add(row.userID);
+            totals.attended += row.attendance_status === 'attended' ? 1 : 0;
+            totals.noShows += row.attendance_status === 'no_show' ? 1 : 0;
+        }
+        if (event.max_participants !== null) {
+            capacity.participant[0] += event.registered_participants;
+            capacity.participant[1] += event.max_participants;
+        }
+        if (event.max_volunteers !== null) {
+            capacity.volunteer[0] += event.registered_volunteers;
+            capacity.volunteer[1] += event.max_volunteers;
+        }
+    }
+
+    return {
+        ...totals,
+        uniqueParticipants: participants.size,
+        participantFillRate: rate(...capacity.participant),
+        volunteerFillRate: rate(...capacity.volunteer),
+        noShowRate: rate(totals.noShows, totals.attended + totals.noShows)
+    };
+};
+
+// Start of the week (Monday) or month a date falls in, as YYYY-MM-DD
+const periodStart = (value, interval) => {
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    if (interval === 'month') {
+        date.setDate(1);
+    } else {
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    }
+    return date;
+};
+
+const nextPeriod = (date, interval) => {
+    const next = new Date(date);
+    if (interval === 'month') {
+        next.setMonth(next.getMonth() + 1);
+    } else {
+        next.setDate(next.getDate() + 7);
+    }
+    return next;
+};
+
+// ==================== REPORTS ====================
+
+// Figures per week or month, including periods without events, from the
+// start of the range (or the first event) to its end (or the last event)
+const participationOverTime = async ({ interval = 'month', ...filters }) => {
+    const { events, history, byEvent, range } = await loadData(filters);
+    const firstEventOf = firstEvents(history);
+
+    const groups = new Map();
+    for (const event of events) {
+        const key = toDateString(periodStart(event.start_time, interval));
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(event);
+    }
+
+    const periods = [];
+    const rangeStart = range.from || events[0]?.start_time;
+    const rangeEnd = range.to ? new Date(range.to.getTime() - 1) : events[events.length - 1]?.start_time;
+    for (let start = periodStart(rangeStart, interval); rangeStart && start <= new Date(rangeEnd); start = nextPeriod(start, interval)) {
+        const key = toDateString(start);
+        const periodEvents = groups.get(key) || [];
+        const summary = summarise(periodEvents, byEvent);
+        const firstTime = new Set(periodEvents.flatMap(event =>
+            byEvent.get(event.eventID).filter(row => firstEventOf.get(row.userID) === event.eventID).map(row => row.userID)));
+        periods.push({
+            period: key,
+            ...summary,
+            firstTimeParticipants: firstTime.size,
+            returningParticipants: summary.uniqueParticipants - firstTime.size
+        });
+    }
+
+    // Over the whole range, first-timers are those whose first event is any event in it
+    const inRange = new Set(events.map(event => event.eventID));
+    const totals = summarise(events, byEvent);
+    const participants = new Set(events.flatMap(event => byEvent.get(event.eventID).map(row => row.userID)));
+    const firstTime = [...participants].filter(userID => inRange.has(firstEventOf.get(userID))).length;
+
+    return {
+        interval,
+        periods,
+        totals: { ...totals, firstTimeParticipants: firstTime, returningParticipants: totals.uniqueParticipants - firstTime }
+    };
+};
+
+// Fill and no-show rates of each event, oldest first, with the totals
+const eventPerformance = async (filters) => {
+    const { events, byEvent } = await loadData(filters);
+    return {
+        events: events.map(event => {
+            const summary = summarise([event], byEvent);
+            return {
+                eventID: event.eventID,
+                eventName: event.eventName,
+                start_time: event.start_time,
+                location: event.location,
+                disabled_friendly: Boolean(event.disabled_friendly),
+                max_participants: event.max_participants,
+                registered_participants: event.registered_participants,
+                participantFillRate: summary.participantFillRate,
+                max_volunteers: event.max_volunteers,
+                registered_volunteers: event.registered_volunteers,
+                volunteerFillRate: summary.volunteerFillRate,
+                attended: summary.attended,
+                noShows: summary.noShows,
+                noShowRate: summary.noShowRate
+            };
+        }),
+        totals: summarise(events, byEvent)
+    };
+};
+
+// Participant registrations and attendance by age band, with ages on the day of each event
+const ageBands = async (filters) => {
+    const { events, byEvent } = await loadData(filters);
+    const birthdates = new Map((await getRepositories().participants.findAll())
+        .map(participant => [participant.userID, participant.birthdate]));
+
+    const bands = new Map([...AGE_BANDS.map(([label]) => label), 'unknown'].map(label => [label, {
+        band: label, participants: new Set(), registrations: 0, attended: 0, noShows: 0
+    }]));
+    for (const event of events) {
+        for (const row of byEvent.get(event.eventID)) {
+            const age = ageOn(birthdates.get(row.userID), event.start_time);
+            const label = age === null ? 'unknown' : AGE_BANDS.filter(([, lowest]) => age >= lowest).pop()[0];
+            const band = bands.get(label);
+            band.participants.add(row.userID);
+            band.registrations++;
+            band.attended += row.attendance_status === 'attended' ? 1 : 0;
+            band.noShows += row.attendance_status === 'no_show' ? 1 : 0;
+        }
+    }
+
+    return [...bands.values()].map(band => ({
+        ...band,
+        participants: band.participants.size,
+        noShowRate: rate(band.noShows, band.attended + band.noShows)
+    }));
+};
+
+// Disabled-friendly events against the rest
+const disabledFriendlyComparison = async (filters) => {
+    const { events, byEvent } = await loadData(filters);
+    const compare = (group) => {
+        const summary = summarise(group, byEvent);
+        return {
+            ...summary,
+            averageParticipants: summary.events > 0
+                ? Math.round((summary.participantRegistrations / summary.events) * 10) / 10
+                : null
+        };
+    };
+    return {
+        disabledFriendly: compare(events.filter(event => event.disabled_friendly)),
+        other: compare(events.filter(event => !event.disabled_friendly))
+    };
+};
+
+module.exports = {
+    AGE_BANDS,
+    participationOverTime,
+    eventPerformance,
+    ageBands,
+    disabledFriendlyComparison
+};
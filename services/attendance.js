@@ -0,0 +1,122 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { getRepositories } = require('../repositories');
+const { JWT_SECRET } = require('./tokens');
+
+// ==================== ATTENDANCE ====================
+// Check-in/out state for registrations lives in EventAttendance, keyed by
+// (eventID, userID, role). Registrations without a row are still 'registered'
+// until the event ends, after which they count as 'no_show'. Unregistering
+// leaves a 'cancelled' row behind so the history is not lost.
+
+const QR_TOKEN_SECRET = process.env.QR_TOKEN_SECRET || JWT_SECRET;
+
+const ROLES = ['participant', 'volunteer'];
+
+// Error carrying the HTTP status the route should respond with
+class AttendanceError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'AttendanceError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// ==================== QR TOKENS ====================
+
+// Signed token identifying one registration; encoded into the QR code
+const createCheckInToken = (eventID, userID, role) => jwt.sign(
+    { typ: 'checkin', eventID: Number(eventID), userID: Number(userID), role },
+    QR_TOKEN_SECRET
+);
+
+const createCheckInQr = async (eventID, userID, role) => {
+    const token = createCheckInToken(eventID, userID, role);
+    return { token, qrDataUrl: await QRCode.toDataURL(token) };
+};
+
+// Decode a scanned token; it must have been issued for this event
+const verifyCheckInToken = (token, eventID) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, QR_TOKEN_SECRET);
+    } catch (error) {
+        throw new AttendanceError('Invalid QR code', 400);
+    }
+    
+    if (decoded.typ !== 'checkin' || !ROLES.includes(decoded.role)) {
+        throw new AttendanceError('Invalid QR code', 400);
+    }
+    if (decoded.eventID !== Number(eventID)) {
+        throw new AttendanceError('This QR code is for a different event', 400);
+    }
+    return { userID: decoded.userID, role: decoded.role };
+};
+
+// ==================== CHECK-IN / CHECK-OUT ====================
+// Each runs in one attendance repository transaction, with the attendance
+// row locked while it is checked and written.
+
+// Mark a registrant as attended. method is 'qr', 'manual' or 'walk_in'.
+const checkIn = (eventID, userID, role, { method, checkedInBy }) => getRepositories().attendance.transaction(async (tx) => {
+    const registration = await tx.findRegistration(eventID, userID, role);
+    if (!registration) {
+        throw new AttendanceError(`This ${role} is not registered for the event`, 404);
+    }
+    if (registration.event_status === 'cancelled') {
+        throw new AttendanceError('Event has been cancelled', 400, { eventStatus: 'cancelled' });
+    }
+    
+    const existing = await tx.lockAttendance(eventID, userID, role);
+    if (existing && existing.checked_in_at) {
+        throw new AttendanceError(`${registration.fullName} is already checked in`, 400, {
+            checked_in_at: existing.checked_in_at
+        });
+    }
+    
+    await tx.recordCheckIn(eventID, userID, role, { method, checkedInBy });
+    
+    return { userID: Number(userID), fullName: registration.fullName, role };
+});
+
+const checkOut = (eventID, userID, role) => getRepositories().attendance.transaction(async (tx) => {
+    const attendance = await tx.lockAttendance(eventID, userID, role);
+    
+    if (!attendance || attendance.status !== 'attended' || !attendance.checked_in_at) {
+        throw new AttendanceError('Not checked in', 400);
+    }
+    if (attendance.checked_out_at) {
+        throw new AttendanceError(`${attendance.fullName} is already checked out`, 400, {
+            checked_out_at: attendance.checked_out_at
+        });
+    }
+    
+    await tx.recordCheckOut(eventID, userID, role);
+    
+    return { userID: Number(userID), fullName: attendance.fullName, role };
+});
+
+// Registrants of an event whose name contains the search text, for manual check-in
+const findRegistrationsByName = (eventID, fullName) => getRepositories().attendance.findByName(eventID, fullName);
+
+// ==================== REPORTING ====================
+
+// Count registrants by attendance status
+const summarise = (participants, volunteers, cancelled) => {
+    const summary = { registered: 0, attended: 0, no_show: 0, cancelled: cancelled.length };
+    for (const person of [...participants, ...volunteers]) {
+        summary[person.attendance_status]++;
+    }
+    return summary;
+};
+
+module.exports = {
+    AttendanceError,
+    createCheckInQr,
+    verifyCheckInToken,
+    checkIn,
+    checkOut,
+    findRegistrationsByName,
+    summarise
+};
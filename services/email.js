@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==================== EMAIL PROVIDERS ====================
+// Same idea as the SMS providers: every provider exposes
+// { name, send(to, subject, body) }. Pick one with EMAIL_PROVIDER
+// (console | file | http); console is the default for local development.
+
+// Prints messages to stdout - handy for local development
+const createConsoleProvider = () => ({
+    name: 'console',
+    async send(to, subject, body) {
+        console.log(`📧 Email to ${to}: ${subject}\n${body}`);
+        return { delivered: true };
+    }
+});
+
+// Appends messages as JSON lines to a file so tests and scripts can read them back
+const createFileProvider = (filePath = process.env.EMAIL_LOG_FILE || 'email-outbox.log') => ({
+    name: 'file',
+    filePath: path.resolve(filePath),
+    async send(to, subject, body) {
+        const line = JSON.stringify({ to, subject, body, sent_at: new Date().toISOString() });
+        await fs.promises.appendFile(this.filePath, line + '\n');
+        return { delivered: true };
+    }
+});
+
+// Posts messages to an HTTP email API as JSON
+const createHttpProvider = ({
+    url = process.env.EMAIL_HTTP_URL,
+    token = process.env.EMAIL_HTTP_TOKEN,
+    from = process.env.EMAIL_FROM || 'no-reply@lumen.local',
+    timeoutMs = parseInt(process.env.EMAIL_HTTP_TIMEOUT_MS) || 10000
+} = {}) => {
+    if (!url) {
+        throw new Error('EMAIL_HTTP_URL must be set to use the http email provider');
+    }
+
+    return {
+        name: 'http',
+        async send(to, subject, body) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) {
+                headers.Authorization = `Bearer ${token}`;
+            }
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ to, from, subject, text: body }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Email API responded with ${response.status}`);
+            }
+            return { delivered: true };
+        }
+    };
+};
+
+const providers = {
+    console: createConsoleProvider,
+    file: createFileProvider,
+    http: createHttpProvider
+};
+
+const createEmailProvider = (name = process.env.EMAIL_PROVIDER || 'console', options) => {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown email provider "${name}"`);
+    }
+    return factory(options);
+};
+
+// Lazily created shared provider; tests can swap it with setEmailProvider()
+let emailProvider;
+
+const getEmailProvider = () => {
+    if (!emailProvider) {
+        emailProvider = createEmailProvider();
+    }
+    return emailProvider;
+};
+
+const setEmailProvider = (provider) => {
+    emailProvider = provider;
+};
+
+module.exports = {
+    createEmailProvider,
+    getEmailProvider,
+    setEmailProvider
+};
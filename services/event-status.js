@@ -0,0 +1,124 @@
+const { getRepositories } = require('../repositories');
+const scheduler = require('./scheduler');
+
+// ==================== EVENT STATUS ====================
+// Every event is in one of four states:
+//   - draft: being prepared; only staff can see it and nobody can sign up
+//   - published: listed and open for sign-ups (the default for new events)
+//   - cancelled: called off with a reason; registrations are kept as history
+//   - completed: has ended; set automatically once end_time passes
+// Staff publish drafts and cancel drafts or published events that have not
+// ended. Cancelled and completed events are final and can no longer be edited.
+
+// Error carrying the HTTP status the route should respond with
+class EventStatusError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'EventStatusError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const STATUSES = ['draft', 'published', 'cancelled', 'completed'];
+
+// Statuses each status may be moved to by staff
+const TRANSITIONS = {
+    draft: ['published', 'cancelled'],
+    published: ['cancelled'],
+    cancelled: [],
+    completed: []
+};
+
+const findEvent = async (eventID) => {
+    const event = await getRepositories().events.findById(eventID);
+    if (!event) {
+        throw new EventStatusError('Event not found', 404);
+    }
+    return event;
+};
+
+// Cancelled and completed events keep the details people registered under
+const checkEditable = (event) => {
+    if (TRANSITIONS[event.status].length === 0) {
+        throw new EventStatusError(`A ${event.status} event can no longer be edited`, 409, { eventStatus: event.status });
+    }
+};
+
+// Only drafts nobody has signed up for can be deleted. Anything that has been
+// published is cancelled instead, so registrants hear about it and the
+// history is kept.
+const checkDeletable = async (event) => {
+    const instead = `cancel it with POST /events/${event.eventID}/cancel instead`;
+    if (event.status !== 'draft') {
+        throw new EventStatusError(`A ${event.status} event cannot be deleted; ${instead}`, 409, { eventStatus: event.status });
+    }
+    if (await getRepositories().events.countRegistrations(event.eventID) > 0) {
+        throw new EventStatusError(`An event with registrations cannot be deleted; ${instead}`, 409, { eventStatus: event.status });
+    }
+};
+
+// Move an event to `status`, with any other changes to record alongside it.
+// Resolves to the updated event.
+const transition = async (eventID, status, changes = {}) => {
+    const event = await findEvent(eventID);
+    if (!TRANSITIONS[event.status].includes(status)) {
+        throw new EventStatusError(`A ${event.status} event cannot be ${status}`, 409, { eventStatus: event.status });
+    }
+    if (status === 'cancelled' && new Date(event.end_time) < new Date()) {
+        throw new EventStatusError('The event has already ended', 409, { eventStatus: event.status });
+    }
+
+    // Refused if someone else changed the status since it was read
+    const changed = await getRepositories().events.setStatus(event.eventID, { ...changes, status }, { from: [event.status] });
+    if (!changed) {
+        throw new EventStatusError('The event was changed at the same time; try again', 409);
+    }
+    return getRepositories().events.findById(event.eventID);
+};
+
+const publishEvent = (eventID) => transition(eventID, 'published');
+
+const cancelEvent = async (eventID, { reason }, cancelledBy) => {
+    if (!reason.trim()) {
+        throw new EventStatusError('A reason is required', 400, { field: 'reason' });
+    }
+    return transition(eventID, 'cancelled', {
+        cancellation_reason: reason.trim(),
+        cancelled_at: new Date(),
+        cancelled_by: cancelledBy
+    });
+};
+
+// Mark published events that have ended as completed; resolves to how many were
+const completeEndedEvents = () => getRepositories().events.completeEnded();
+
+// ==================== AUTOMATIC COMPLETION ====================
+// One job, rescheduled by itself every COMPLETION_INTERVAL_MS, sweeps ended
+// events.
+
+const COMPLETION_INTERVAL_MS = parseInt(process.env.EVENT_COMPLETION_INTERVAL_MS) || 5 * 60 * 1000;
+const JOB_TYPE = 'complete_ended_events';
+const JOB_KEY = 'complete-ended-events';
+
+// Queue the sweep `delay` ms from now (safe to repeat)
+const scheduleCompletion = async (delay = COMPLETION_INTERVAL_MS) => {
+    await scheduler.schedule(JOB_TYPE, null, new Date(Date.now() + delay), { key: JOB_KEY });
+};
+
+scheduler.registerHandler(JOB_TYPE, async () => {
+    await completeEndedEvents();
+    await scheduleCompletion();
+});
+
+module.exports = {
+    EventStatusError,
+    STATUSES,
+    TRANSITIONS,
+    checkEditable,
+    checkDeletable,
+    publishEvent,
+    cancelEvent,
+    completeEndedEvents,
+    scheduleCompletion
+};
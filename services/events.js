@@ -0,0 +1,195 @@
+const { getRepositories } = require('../repositories');
+const { NEEDS } = require('./accessibility');
+const { STATUSES } = require('./event-status');
+
+// ==================== EVENT LISTING ====================
+// Turns GET /events query parameters into filter, sort and paging options for
+// the events repository, and wraps its rows in the pagination envelope.
+// Filters are ANDed together.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const WHEN = ['upcoming', 'past', 'all'];
+const SORT_FIELDS = ['start_time', 'end_time', 'eventName'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Error carrying the HTTP status the route should respond with
+class EventQueryError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'EventQueryError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const invalid = (field, message) => new EventQueryError(message, 400, { field });
+
+const parseBoolean = (value, field) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (['true', '1'].includes(String(value))) {
+        return true;
+    }
+    if (['false', '0'].includes(String(value))) {
+        return false;
+    }
+    throw invalid(field, `${field} must be true or false`);
+};
+
+const parsePositiveInt = (value, field) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw invalid(field, `${field} must be a positive integer`);
+    }
+    return number;
+};
+
+// `from`/`to` accept a date-time or a plain date; a plain `to` date covers that whole day
+const parseDate = (value, field) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    const date = DATE_ONLY.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    if (isNaN(date)) {
+        throw invalid(field, `${field} must be a date or date-time`);
+    }
+    if (field === 'to' && DATE_ONLY.test(value)) {
+        date.setDate(date.getDate() + 1);
+    }
+    return date;
+};
+
+const encodeCursor = (event, sort) => Buffer.from(JSON.stringify({
+    value: event[sort],
+    eventID: event.eventID
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    try {
+        const { value, eventID } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!Number.isInteger(eventID) || value === undefined) {
+            throw new Error();
+        }
+        return { value: sort === 'eventName' ? value : new Date(value), eventID };
+    } catch (error) {
+        throw invalid('cursor', 'cursor is not valid for this query');
+    }
+};
+
+// Comma-separated need names -> the event columns that must be confirmed
+const parseNeeds = (value) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    const needs = String(value).split(',').map(need => need.trim()).filter(Boolean);
+    const unknown = needs.find(need => !NEEDS[need]);
+    if (unknown) {
+        throw invalid('needs', `needs must be a comma-separated list of ${Object.keys(NEEDS).join(', ')}`);
+    }
+    return [...new Set(needs)].map(need => NEEDS[need].eventColumn);
+};
+
+// Comma-separated statuses; without drafts they are left out of the list (or the default of every status)
+const parseStatuses = (value, drafts) => {
+    let statuses;
+    if (value !== undefined) {
+        statuses = [...new Set(String(value).split(',').map(status => status.trim()).filter(Boolean))];
+        if (statuses.some(status => !STATUSES.includes(status))) {
+            throw invalid('status', `status must be a comma-separated list of ${STATUSES.join(', ')}`);
+        }
+    }
+    if (!drafts) {
+        statuses = (statuses || STATUSES).filter(status => status !== 'draft');
+    }
+    return statuses;
+};
+
+// Validate the query string of GET /events. options.drafts is false for
+// callers who may not see draft events.
+const parseEventQuery = (query, { drafts = true } = {}) => {
+    const when = query.when || 'all';
+    if (!WHEN.includes(when)) {
+        throw invalid('when', `when must be one of ${WHEN.join(', ')}`);
+    }
+
+    const sort = query.sort || 'start_time';
+    if (!SORT_FIELDS.includes(sort)) {
+        throw invalid('sort', `sort must be one of ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const order = (query.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+        throw invalid('order', 'order must be asc or desc');
+    }
+
+    const page = parsePositiveInt(query.page, 'page');
+    const limit = parsePositiveInt(query.limit, 'limit');
+    if (limit > MAX_LIMIT) {
+        throw invalid('limit', `limit must be at most ${MAX_LIMIT}`);
+    }
+    if (page !== undefined && query.cursor !== undefined) {
+        throw invalid('cursor', 'Use either page or cursor, not both');
+    }
+
+    return {
+        when,
+        from: parseDate(query.from, 'from'),
+        to: parseDate(query.to, 'to'),
+        statuses: parseStatuses(query.status, drafts),
+        disabledFriendly: parseBoolean(query.disabled_friendly, 'disabled_friendly'),
+        venueID: parsePositiveInt(query.venueID, 'venueID'),
+        features: parseNeeds(query.needs),
+        maxWalkingDistance: parsePositiveInt(query.max_walking_distance, 'max_walking_distance'),
+        location: query.location ? String(query.location).trim() : undefined,
+        search: query.q ? String(query.q).trim() : undefined,
+        hasParticipantSpots: parseBoolean(query.has_participant_spots, 'has_participant_spots'),
+        hasVolunteerSpots: parseBoolean(query.has_volunteer_spots, 'has_volunteer_spots'),
+        sort,
+        order,
+        // Without page, limit or cursor every matching event is returned, as before
+        paginated: page !== undefined || limit !== undefined || query.cursor !== undefined,
+        page: page || 1,
+        limit: limit || DEFAULT_LIMIT,
+        cursor: query.cursor !== undefined ? decodeCursor(String(query.cursor), sort) : undefined
+    };
+};
+
+// Resolves to { data, pagination }
+const listEvents = async (options) => {
+    if (!options.paginated) {
+        const { rows, total } = await getRepositories().events.list(options);
+        return { data: rows, pagination: { total } };
+    }
+
+    // One extra row is fetched to tell whether there is a next page
+    const { rows, total } = await getRepositories().events.list(options, {
+        limit: options.limit + 1,
+        offset: options.cursor ? 0 : (options.page - 1) * options.limit
+    });
+
+    const hasMore = rows.length > options.limit;
+    const data = hasMore ? rows.slice(0, options.limit) : rows;
+    const pagination = {
+        total,
+        limit: options.limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1], options.sort) : null
+    };
+    if (!options.cursor) {
+        pagination.page = options.page;
+        pagination.totalPages = Math.ceil(total / options.limit);
+    }
+
+    return { data, pagination };
+};
+
+module.exports = {
+    EventQueryError,
+    parseEventQuery,
+    listEvents
+};
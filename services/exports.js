@@ -0,0 +1,279 @@
+const { getRepositories } = require('../repositories');
+const spreadsheet = require('./spreadsheet');
+const { createPdf, textWidth } = require('./pdf');
+const { toDateString } = require('./recurrence');
+const { parseEventQuery } = require('./events');
+
+// ==================== REGISTRATION EXPORTS ====================
+// Rosters of who registered for events and whether they came, as CSV or
+// XLSX for one event or every event in a date range, plus print-ready PDF
+// sign-in sheets and name badges for an event. Rows cover participants and
+// volunteers; participants have a phone number and age (on the day of the
+// event), volunteers an email address.
+
+// Error carrying the HTTP status the route should respond with
+class ExportError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'ExportError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const ROLES = ['participant', 'volunteer'];
+
+// [header, field] of each roster column, in order
+const ROSTER_COLUMNS = [
+    ['Event ID', 'eventID'],
+    ['Event', 'eventName'],
+    ['Start', 'start_time'],
+    ['Location', 'location'],
+    ['Role', 'role'],
+    ['User ID', 'userID'],
+    ['Name', 'fullName'],
+    ['Phone', 'phoneNumber'],
+    ['Email', 'email'],
+    ['Age', 'age'],
+    ['Registered At', 'signed_at'],
+    ['Attendance', 'attendance_status'],
+    ['Checked In', 'checked_in_at'],
+    ['Checked Out', 'checked_out_at']
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local 'YYYY-MM-DD HH:MM', or null
+const formatDateTime = (value) => {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(value);
+    return `${toDateString(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Whole years between a birthdate and a day
+const ageOn = (birthdate, day) => {
+    if (!birthdate) {
+        return null;
+    }
+    const born = new Date(birthdate);
+    const on = new Date(day);
+    let age = on.getFullYear() - born.getFullYear();
+    if (on.getMonth() < born.getMonth() || (on.getMonth() === born.getMonth() && on.getDate() < born.getDate())) {
+        age--;
+    }
+    return age;
+};
+
+// ==================== ROSTERS ====================
+
+// Contact details of everyone who could be on a roster, looked up once per export
+const loadPeople = async () => {
+    const { participants, volunteers } = getRepositories();
+    return {
+        participant: new Map((await participants.findAll()).map(person => [person.userID, person])),
+        volunteer: new Map((await volunteers.findAll()).map(person => [person.userID, person]))
+    };
+};
+
+// Roster rows of one event: participants then volunteers, each sorted by name
+const rosterRows = async (event, people) => {
+    const { registrations } = getRepositories();
+    const rows = [];
+
+    for (const role of ROLES) {
+        const attendees = (await registrations.listAttendees(role, event.eventID))
+            .sort((a, b) => a.fullName.localeCompare(b.fullName));
+        for (const attendee of attendees) {
+            const person = people[role].get(attendee.userID) || {};
+            rows.push({
+                eventID: event.eventID,
+                eventName: event.eventName,
+                start_time: formatDateTime(event.start_time),
+                location: event.location,
+                role,
+                userID: attendee.userID,
+                fullName: attendee.fullName,
+                phoneNumber: person.phoneNumber ?? null,
+                email: person.email ?? null,
+                age: role === 'participant' ? ageOn(person.birthdate, event.start_time) : null,
+                signed_at: formatDateTime(attendee.signed_at),
+                attendance_status: attendee.attendance_status,
+                checked_in_at: formatDateTime(attendee.checked_in_at),
+                checked_out_at: formatDateTime(attendee.checked_out_at)
+            });
+        }
+    }
+    return rows;
+};
+
+const findEvent = async (eventID) => {
+    const event = await getRepositories().events.findById(eventID);
+    if (!event) {
+        throw new ExportError('Event not found', 404);
+    }
+    return event;
+};
+
+// Resolves to { event, rows } for one event
+const eventRoster = async (eventID) => {
+    const event = await findEvent(eventID);
+    return { event, rows: await rosterRows(event, await loadPeople()) };
+};
+
+// Resolves to { events, rows } for every event starting from `from` up to the end of `to` (dates)
+const rangeRoster = async ({ from, to }) => {
+    if (to < from) {
+        throw new ExportError('to must not be before from', 400, { field: 'to' });
+    }
+
+    // Same date handling as GET /events: `to` includes the whole day
+    const { rows: events } = await getRepositories().events.list(parseEventQuery({ from, to, order: 'asc' }));
+
+    const people = await loadPeople();
+    const rows = [];
+    for (const event of events) {
+        rows.push(...await rosterRows(event, people));
+    }
+    return { events, rows };
+};
+
+// ==================== FILES ====================
+
+const toTable = (rows) => [
+    ROSTER_COLUMNS.map(([header]) => header),
+    ...rows.map(row => ROSTER_COLUMNS.map(([, field]) => row[field]))
+];
+
+// Roster as { content, contentType, extension } in the requested format
+const toRosterFile = (rows, format, sheetName = 'Registrations') => {
+    if (format === 'xlsx') {
+        return {
+            content: spreadsheet.createXlsx([{ name: sheetName, rows: toTable(rows) }]),
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            extension: 'xlsx'
+        };
+    }
+    return { content: spreadsheet.toCsv(toTable(rows)), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+};
+
+// ==================== PRINT LAYOUTS ====================
+
+const MARGIN = 40;
+const SIGN_IN_ROW_HEIGHT = 26;
+// Empty rows at the end of a sign-in sheet for walk-ins
+const BLANK_ROWS = 5;
+
+const eventHeading = (event) =>
+    [formatDateTime(event.start_time), formatDateTime(event.end_time).slice(11), event.location].filter(Boolean).join('  |  ');
+
+// A4 sign-in sheet of an event's participants: number, name, phone, age and
+// boxes for a signature and the arrival time, with room for walk-ins
+const signInSheet = async (eventID) => {
+    const { event, rows } = await eventRoster(eventID);
+    const participants = rows.filter(row => row.role === 'participant');
+    const lines = [...participants, ...Array(BLANK_ROWS).fill(null)];
+
+    const pdf = createPdf({ title: `Sign-in sheet: ${event.eventName}` });
+    const width = pdf.width - MARGIN * 2;
+    const columns = [
+        { header: 'No.', width: 30 },
+        { header: 'Name', width: width * 0.34 },
+        { header: 'Phone', width: width * 0.18 },
+        { header: 'Age', width: 32 },
+        { header: 'Signature', width: 0 },
+        { header: 'Time in', width: 56 }
+    ];
+    columns[4].width = width - columns.reduce((total, column) => total + column.width, 0);
+
+    const perPage = Math.floor((pdf.height - MARGIN * 2 - 110) / SIGN_IN_ROW_HEIGHT);
+    const pageCount = Math.max(1, Math.ceil(lines.length / perPage));
+
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+        const page = pdf.addPage();
+        page.text(MARGIN, MARGIN, event.eventName, { size: 18, bold: true, maxWidth: width });
+        page.text(MARGIN, MARGIN + 26, eventHeading(event), { size: 10, grey: 0.3, maxWidth: width });
+        page.text(MARGIN, MARGIN + 42, `Participant sign-in  |  ${participants.length} registered`, { size: 10, grey: 0.3 });
+
+        let y = MARGIN + 70;
+        let x = MARGIN;
+        page.rect(MARGIN, y, width, SIGN_IN_ROW_HEIGHT, { fill: 0.9 });
+        for (const column of columns) {
+            page.text(x + 5, y + 8, column.header, { size: 10, bold: true });
+            x += column.width;
+        }
+
+        for (const [offset, line] of lines.slice(pageIndex * perPage, (pageIndex + 1) * perPage).entries()) {
+            y += SIGN_IN_ROW_HEIGHT;
+            const cells = line
+                ? [String(pageIndex * perPage + offset + 1), line.fullName, line.phoneNumber, line.age ?? '', '', '']
+                : ['', '', '', '', '', ''];
+            x = MARGIN;
+            for (const [index, column] of columns.entries()) {
+                page.rect(x, y, column.width, SIGN_IN_ROW_HEIGHT);
+                if (cells[index] !== '') {
+                    page.text(x + 5, y + 8, cells[index], { size: 10, maxWidth: column.width - 10 });
+                }
+                x += column.width;
+            }
+        }
+
+        page.text(pdf.width / 2, pdf.height - MARGIN, `Page ${pageIndex + 1} of ${pageCount}`, { size: 8, align: 'center', grey: 0.4 });
+    }
+    return pdf.toBuffer();
+};
+
+const BADGE = { columns: 2, rows: 5, height: 150, gap: 12 };
+
+// A4 sheets of name badges (two across, five down) with dashed cutting
+// lines: everyone registered for the event, participants first
+const badges = async (eventID) => {
+    const { event, rows } = await eventRoster(eventID);
+    const pdf = createPdf({ title: `Name badges: ${event.eventName}` });
+    const badgeWidth = (pdf.width - MARGIN * 2 - BADGE.gap * (BADGE.columns - 1)) / BADGE.columns;
+    const perPage = BADGE.columns * BADGE.rows;
+    const top = (pdf.height - BADGE.rows * BADGE.height - (BADGE.rows - 1) * BADGE.gap) / 2;
+
+    let page;
+    rows.forEach((row, index) => {
+        const slot = index % perPage;
+        if (slot === 0) {
+            page = pdf.addPage();
+        }
+        const x = MARGIN + (slot % BADGE.columns) * (badgeWidth + BADGE.gap);
+        const y = top + Math.floor(slot / BADGE.columns) * (BADGE.height + BADGE.gap);
+        const centre = x + badgeWidth / 2;
+        const inner = badgeWidth - 24;
+
+        page.rect(x, y, badgeWidth, BADGE.height, { dashed: true, grey: 0.6 });
+        page.text(centre, y + 16, event.eventName, { size: 10, align: 'center', grey: 0.3, maxWidth: inner });
+
+        // Largest size (down to 14pt) at which the whole name fits
+        let size = 26;
+        while (size > 14 && textWidth(row.fullName, size, true) > inner) {
+            size -= 2;
+        }
+        page.text(centre, y + 62, row.fullName, { size, bold: true, align: 'center', maxWidth: inner });
+
+        const role = row.role === 'volunteer' ? 'VOLUNTEER' : 'PARTICIPANT';
+        page.rect(centre - 50, y + BADGE.height - 38, 100, 20, { fill: row.role === 'volunteer' ? 0.2 : 0.85, grey: 0.5 });
+        page.text(centre, y + BADGE.height - 33, role, { size: 9, bold: true, align: 'center', grey: row.role === 'volunteer' ? 1 : 0 });
+    });
+
+    if (!page) {
+        pdf.addPage().text(MARGIN, MARGIN, `No one is registered for ${event.eventName} yet.`, { size: 12 });
+    }
+    return pdf.toBuffer();
+};
+
+module.exports = {
+    ExportError,
+    ROSTER_COLUMNS,
+    ageOn,
+    eventRoster,
+    rangeRoster,
+    toRosterFile,
+    signInSheet,
+    badges
+};
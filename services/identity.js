@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// ==================== SINGAPORE IDENTITY ====================
+// NRIC/FIN checksums, +65 mobile numbers, and NRIC protection. NRICs are
+// stored encrypted (AES-256-GCM) next to a keyed hash used for lookups and
+// uniqueness, and API responses only ever show them masked (S****567A).
+
+// A default key would be readable by anyone with this repository, and NRICs
+// encrypted with it could not be re-keyed without migrating them, so a missing
+// key stops the server from starting. Only the test run has a fixed one.
+if (!process.env.NRIC_ENCRYPTION_KEY && process.env.NODE_ENV !== 'test') {
+    throw new Error('NRIC_ENCRYPTION_KEY must be set');
+}
+const NRIC_SECRET = process.env.NRIC_ENCRYPTION_KEY || 'nric-key-for-tests-only';
+
+// Separate keys for encryption and the lookup hash, both derived from the secret
+const ENCRYPTION_KEY = crypto.createHash('sha256').update(`encrypt:${NRIC_SECRET}`).digest();
+const INDEX_KEY = crypto.createHash('sha256').update(`index:${NRIC_SECRET}`).digest();
+
+const CIPHER_PREFIX = 'v1';
+
+// ==================== NRIC / FIN ====================
+
+const NRIC_PATTERN = /^[STFGM]\d{7}[A-Z]$/;
+const WEIGHTS = [2, 7, 6, 5, 4, 3, 2];
+
+// Check letters by remainder for each prefix, and the offset added to the sum
+// (S/T: citizens and PRs, F/G/M: foreigners; T, G and M are issued from 2000/2022)
+const CHECK_LETTERS = {
+    S: { offset: 0, letters: 'JZIHGFEDCBA' },
+    T: { offset: 4, letters: 'JZIHGFEDCBA' },
+    F: { offset: 0, letters: 'XWUTRQPNMLK' },
+    G: { offset: 4, letters: 'XWUTRQPNMLK' },
+    M: { offset: 3, letters: 'XWUTRQPNJLK' }
+};
+
+const normalizeNric = (value) => String(value).trim().toUpperCase();
+
+const isValidNric = (value) => {
+    const nric = normalizeNric(value);
+    if (!NRIC_PATTERN.test(nric)) {
+        return false;
+    }
+
+    const { offset, letters } = CHECK_LETTERS[nric[0]];
+    const sum = WEIGHTS.reduce((total, weight, index) => total + weight * Number(nric[index + 1]), offset);
+    return letters[sum % 11] === nric[8];
+};
+
+// S1234567D -> S****567D
+const maskNric = (nric) => `${nric[0]}****${nric.slice(5)}`;
+
+const encryptNric = (value) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const data = Buffer.concat([cipher.update(normalizeNric(value), 'utf8'), cipher.final()]);
+    const parts = [iv, cipher.getAuthTag(), data].map(part => part.toString('base64'));
+    return [CIPHER_PREFIX, ...parts].join(':');
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${CIPHER_PREFIX}:`);
+
+const decryptNric = (value) => {
+    const [, iv, tag, data] = value.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// Deterministic keyed hash, stored in User.NRIC_hash for lookups and uniqueness
+const nricIndex = (value) => crypto.createHmac('sha256', INDEX_KEY).update(normalizeNric(value)).digest('hex');
+
+// Stored NRIC (encrypted, or plaintext from before encryption) -> masked value
+const maskStoredNric = (stored) => {
+    if (!stored) {
+        return stored;
+    }
+    try {
+        return maskNric(isEncrypted(stored) ? decryptNric(stored) : stored);
+    } catch (error) {
+        // Encrypted with a different key; show nothing rather than fail the response
+        return '*********';
+    }
+};
+
+// ==================== PHONE NUMBERS ====================
+
+const SG_MOBILE = /^\+65[89]\d{7}$/;
+
+// Bring common ways of writing a Singapore number to +65XXXXXXXX:
+// "9123 4567", "6591234567", "+65 9123-4567", "(65) 91234567", "0065 91234567".
+// Anything else is returned with separators removed, for the validator to reject.
+const normalizePhone = (value) => {
+    if (value === undefined || value === null) {
+        return value;
+    }
+    let phone = String(value).trim().replace(/[\s\-.()]/g, '');
+    if (phone.startsWith('00')) {
+        phone = `+${phone.slice(2)}`;
+    }
+    if (/^\d{8}$/.test(phone)) {
+        return `+65${phone}`;
+    }
+    if (/^65\d{8}$/.test(phone)) {
+        return `+${phone}`;
+    }
+    return phone;
+};
+
+const isValidSgMobile = (value) => SG_MOBILE.test(normalizePhone(value));
+
+module.exports = {
+    isValidNric,
+    normalizeNric,
+    maskNric,
+    encryptNric,
+    decryptNric,
+    isEncrypted,
+    nricIndex,
+    maskStoredNric,
+    normalizePhone,
+    isValidSgMobile
+};
@@ -0,0 +1,341 @@
+const { getRepositories } = require('../repositories');
+const identity = require('./identity');
+const spreadsheet = require('./spreadsheet');
+const { RegistrationError } = require('./registration');
+const { AccessibilityError, checkRegistration } = require('./accessibility');
+const { toDateString } = require('./recurrence');
+
+// ==================== PARTICIPANT IMPORT ====================
+// Bulk sign-up sheets (CSV or XLSX) uploaded by staff. Each row is validated
+// and matched against existing participants, then previewed (dry run) or
+// committed. Matching, in order:
+//   - same phone number, and the same name or birthdate: that participant,
+//     updated with whichever of the two differs
+//   - same phone number, different name and birthdate: a conflict
+//   - otherwise the same name and birthdate: that participant, who has
+//     changed phone number (a conflict if several match)
+//   - otherwise a new participant
+// An NRIC on the row must not belong to someone else or contradict the one
+// on record. Committing skips conflicts and invalid rows, so staff can fix
+// those and upload them again.
+
+const MAX_ROWS = 2000;
+
+// Header spellings accepted for each column, compared lowercase without spaces or punctuation
+const COLUMNS = {
+    fullName: ['fullname', 'name', 'participantname', 'participant'],
+    phoneNumber: ['phonenumber', 'phone', 'mobile', 'mobilenumber', 'handphone', 'contactnumber', 'contact'],
+    birthdate: ['birthdate', 'dateofbirth', 'dob', 'birthday'],
+    NRIC: ['nric', 'nricfin', 'fin', 'ic', 'icnumber']
+};
+const REQUIRED_COLUMNS = ['fullName', 'phoneNumber', 'birthdate'];
+
+// Error carrying the HTTP status the route should respond with
+class ImportError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'ImportError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// ==================== READING ROWS ====================
+
+const headerKey = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Column index of each known field, from the header row
+const mapColumns = (header) => {
+    const columns = {};
+    header.forEach((value, index) => {
+        const key = headerKey(value);
+        const field = Object.keys(COLUMNS).find(name => COLUMNS[name].includes(key));
+        if (field && columns[field] === undefined) {
+            columns[field] = index;
+        }
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        throw new ImportError(`Missing column(s): ${missing.join(', ')}`, 400, { expectedColumns: Object.keys(COLUMNS) });
+    }
+    return columns;
+};
+
+const sameName = (a, b) => a.trim().replace(/\s+/g, ' ').toLowerCase() === b.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// YYYY-MM-DD from ISO dates, day-first D/M/YYYY or D-M-YYYY (as written in
+// Singapore), or an Excel date cell; undefined when it is not a real date
+const parseBirthdate = (value) => {
+    if (typeof value === 'number') {
+        return spreadsheet.fromExcelDate(value);
+    }
+    const text = String(value).trim();
+    let parts = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    if (parts) {
+        parts = [parts[1], parts[2], parts[3]];
+    } else {
+        const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+        parts = dayFirst && [dayFirst[3], dayFirst[2], dayFirst[1]];
+    }
+    if (!parts) {
+        return undefined;
+    }
+
+    const [year, month, day] = parts.map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return undefined;
+    }
+    return toDateString(date);
+};
+
+// { row, fullName, phoneNumber, birthdate, NRIC, errors } for one data row
+const readRow = (cells, columns, rowNumber) => {
+    const cell = (field) => {
+        const value = columns[field] === undefined ? '' : cells[columns[field]];
+        return value === undefined || value === null ? '' : value;
+    };
+    const errors = [];
+
+    const fullName = String(cell('fullName')).trim();
+    if (!fullName) {
+        errors.push('fullName is required');
+    } else if (fullName.length > 255) {
+        errors.push('fullName must be at most 255 characters');
+    }
+
+    const phoneNumber = identity.normalizePhone(String(cell('phoneNumber')).trim());
+    if (!phoneNumber) {
+        errors.push('phoneNumber is required');
+    } else if (!identity.isValidSgMobile(phoneNumber)) {
+        errors.push('phoneNumber must be a Singapore mobile number');
+    }
+
+    const rawBirthdate = cell('birthdate');
+    const birthdate = rawBirthdate === '' ? undefined : parseBirthdate(rawBirthdate);
+    if (rawBirthdate === '') {
+        errors.push('birthdate is required');
+    } else if (!birthdate) {
+        errors.push('birthdate must be a date (YYYY-MM-DD or DD/MM/YYYY)');
+    } else if (birthdate > toDateString(new Date())) {
+        errors.push('birthdate cannot be in the future');
+    }
+
+    const rawNric = String(cell('NRIC')).trim();
+    const NRIC = rawNric ? identity.normalizeNric(rawNric) : undefined;
+    if (NRIC && !identity.isValidNric(NRIC)) {
+        errors.push('NRIC must be a valid NRIC or FIN');
+    }
+
+    return { row: rowNumber, fullName, phoneNumber, birthdate, NRIC, errors };
+};
+
+// Data rows of an upload ({ file: base64, filename }), skipping blank lines
+const readUpload = ({ file, filename }) => {
+    let rows;
+    try {
+        rows = spreadsheet.readSheet(Buffer.from(file, 'base64'), filename);
+    } catch (error) {
+        if (error instanceof spreadsheet.SpreadsheetError) {
+            throw new ImportError(error.message);
+        }
+        throw error;
+    }
+
+    const headerIndex = rows.findIndex(cells => cells.some(value => String(value).trim() !== ''));
+    if (headerIndex < 0) {
+        throw new ImportError('The file is empty');
+    }
+    const columns = mapColumns(rows[headerIndex]);
+
+    const dataRows = [];
+    rows.slice(headerIndex + 1).forEach((cells, index) => {
+        if (cells.some(value => String(value).trim() !== '')) {
+            // Row numbers as shown in a spreadsheet program, counting the header
+            dataRows.push(readRow(cells, columns, headerIndex + index + 2));
+        }
+    });
+    if (dataRows.length === 0) {
+        throw new ImportError('The file has no participant rows');
+    }
+    if (dataRows.length > MAX_ROWS) {
+        throw new ImportError(`Import at most ${MAX_ROWS} rows at a time`);
+    }
+    return dataRows;
+};
+
+// ==================== MATCHING ====================
+
+const birthdateOf = (participant) => {
+    if (!participant.birthdate) {
+        return null;
+    }
+    return participant.birthdate instanceof Date ? toDateString(participant.birthdate) : String(participant.birthdate).slice(0, 10);
+};
+
+// Decide what to do with each row: create, update, unchanged, conflict or invalid
+const planRows = async (rows) => {
+    const { participants } = getRepositories();
+    const existing = await participants.findAll();
+    const byPhone = new Map(existing.map(participant => [participant.phoneNumber, participant]));
+
+    const seenPhones = new Map();
+    const seenNrics = new Map();
+    const plans = [];
+
+    for (const row of rows) {
+        const { errors, ...fields } = row;
+        if (errors.length > 0) {
+            plans.push({ ...fields, action: 'invalid', errors });
+            continue;
+        }
+
+        const conflict = (message, participantID) => plans.push({ ...fields, action: 'conflict', participantID, error: message });
+
+        if (seenPhones.has(row.phoneNumber)) {
+            conflict(`Same phone number as row ${seenPhones.get(row.phoneNumber)}`);
+            continue;
+        }
+        if (row.NRIC && seenNrics.has(row.NRIC)) {
+            conflict(`Same NRIC as row ${seenNrics.get(row.NRIC)}`);
+            continue;
+        }
+        seenPhones.set(row.phoneNumber, row.row);
+        if (row.NRIC) {
+            seenNrics.set(row.NRIC, row.row);
+        }
+
+        let match = byPhone.get(row.phoneNumber);
+        if (match && !sameName(match.fullName, row.fullName) && birthdateOf(match) !== row.birthdate) {
+            conflict('Phone number is registered to another participant', match.userID);
+            continue;
+        }
+        if (!match) {
+            const sameDetails = existing.filter(participant =>
+                sameName(participant.fullName, row.fullName) && birthdateOf(participant) === row.birthdate);
+            if (sameDetails.length > 1) {
+                conflict('Name and birthdate match more than one participant');
+                continue;
+            }
+            match = sameDetails[0];
+        }
+
+        if (row.NRIC) {
+            const holder = await participants.findByNric(row.NRIC);
+            if (holder && holder.userID !== match?.userID) {
+                conflict('NRIC is registered to another participant', holder.userID);
+                continue;
+            }
+            if (!holder && match?.NRIC) {
+                conflict('NRIC does not match the one on record', match.userID);
+                continue;
+            }
+        }
+
+        if (!match) {
+            plans.push({ ...fields, action: 'create' });
+            continue;
+        }
+
+        // Only fields that differ are updated; a name differing only in case or spacing is kept
+        const changes = {};
+        if (!sameName(match.fullName, row.fullName)) {
+            changes.fullName = row.fullName;
+        }
+        if (match.phoneNumber !== row.phoneNumber) {
+            changes.phoneNumber = row.phoneNumber;
+        }
+        if (birthdateOf(match) !== row.birthdate) {
+            changes.birthdate = row.birthdate;
+        }
+        if (row.NRIC && !match.NRIC) {
+            changes.NRIC = row.NRIC;
+        }
+        const changed = Object.keys(changes).length > 0;
+        plans.push({ ...fields, action: changed ? 'update' : 'unchanged', participantID: match.userID, ...(changed && { changes }) });
+    }
+    return plans;
+};
+
+// ==================== IMPORT ====================
+
+const summarise = (plans) => {
+    const summary = { total: plans.length, create: 0, update: 0, unchanged: 0, conflict: 0, invalid: 0 };
+    for (const plan of plans) {
+        summary[plan.action]++;
+    }
+    const registrations = plans.filter(plan => plan.registration).map(plan => plan.registration.status);
+    if (registrations.length > 0) {
+        summary.registered = registrations.filter(status => status === 'registered').length;
+        summary.waitlisted = registrations.filter(status => status === 'waitlisted').length;
+        summary.registrationFailed = registrations.filter(status => status === 'failed').length;
+    }
+    return summary;
+};
+
+// Save one planned row; a row that became a duplicate since it was planned turns into a conflict
+const applyPlan = async (plan) => {
+    const { participants } = getRepositories();
+    try {
+        if (plan.action === 'create') {
+            const { fullName, phoneNumber, birthdate, NRIC } = plan;
+            plan.participantID = await participants.create({ fullName, phoneNumber, birthdate, image_url: '', NRIC });
+        } else if (plan.action === 'update') {
+            await participants.update(plan.participantID, plan.changes);
+        }
+    } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') {
+            throw error;
+        }
+        Object.assign(plan, { action: 'conflict', error: 'Phone number or NRIC was registered during the import' });
+    }
+};
+
+// Register an imported participant; failures (already registered, full, time
+// clash, accessibility needs under the block policy) are reported per row, as
+// are needs the event does not meet under the warn policy
+const registerPlan = async (plan, eventID, joinWaitlist) => {
+    try {
+        const unmetNeeds = await checkRegistration(plan.participantID, eventID);
+        const result = await getRepositories().registrations.register('participant', plan.participantID, eventID, { joinWaitlist });
+        plan.registration = {
+            ...(result.status === 'waitlisted' ? { status: 'waitlisted', position: result.position } : { status: 'registered' }),
+            ...(unmetNeeds.length > 0 && { unmetNeeds })
+        };
+    } catch (error) {
+        if (!(error instanceof RegistrationError || error instanceof AccessibilityError)) {
+            throw error;
+        }
+        const { unmetNeeds } = error.details;
+        plan.registration = { status: 'failed', error: error.message, ...(unmetNeeds && { unmetNeeds }) };
+    }
+};
+
+// Preview (dryRun, the default) or commit an upload. Resolves to
+// { dryRun, summary, rows }, where each row has its spreadsheet row number,
+// the values read, the action and, once committed, the participantID and
+// the outcome of any event registration.
+const importParticipants = async ({ file, filename, eventID, joinWaitlist = false, dryRun = true }) => {
+    if (eventID !== undefined && !(await getRepositories().events.findById(eventID))) {
+        throw new ImportError('Event not found', 404);
+    }
+
+    const plans = await planRows(readUpload({ file, filename }));
+    if (!dryRun) {
+        for (const plan of plans) {
+            await applyPlan(plan);
+            if (eventID !== undefined && ['create', 'update', 'unchanged'].includes(plan.action)) {
+                await registerPlan(plan, eventID, joinWaitlist);
+            }
+        }
+    }
+    return { dryRun, summary: summarise(plans), rows: plans };
+};
+
+module.exports = {
+    ImportError,
+    COLUMNS,
+    parseBirthdate,
+    importParticipants
+};
@@ -0,0 +1,247 @@
+const { getRepositories } = require('../repositories');
+const { getSmsProvider } = require('./sms');
+const { getEmailProvider } = require('./email');
+
+// ==================== NOTIFICATIONS ====================
+// Tells people about their registrations and about changes to events they
+// are signed up for. Each message is rendered from a template, sent on every
+// channel the person has enabled and recorded in NotificationLog.
+//
+// Routes fire notifications after their own work has succeeded and do not
+// wait for delivery: notify() never rejects, failures end up in the log.
+
+const CHANNELS = ['sms', 'email'];
+
+// Channels used when someone has not set preferences
+const DEFAULT_CHANNELS = {
+    participant: ['sms'],
+    volunteer: ['email'],
+    staff: ['email'],
+    caregiver: ['email']
+};
+
+// {{placeholders}} are filled from the event, the recipient and any extra values
+const TEMPLATES = {
+    registration_confirmed: {
+        subject: 'You are registered for {{eventName}}',
+        body: 'Hi {{fullName}}, you are registered for {{eventName}} on {{when}} at {{location}}.'
+    },
+    waitlisted: {
+        subject: 'You are on the waitlist for {{eventName}}',
+        body: 'Hi {{fullName}}, {{eventName}} on {{when}} is full. You are number {{position}} on the waitlist and we will let you know if a spot opens up.'
+    },
+    waitlist_promoted: {
+        subject: 'A spot opened up: {{eventName}}',
+        body: 'Hi {{fullName}}, a spot opened up and you are now registered for {{eventName}} on {{when}} at {{location}}.'
+    },
+    registration_cancelled: {
+        subject: 'Registration cancelled: {{eventName}}',
+        body: 'Hi {{fullName}}, your registration for {{eventName}} on {{when}} has been cancelled.'
+    },
+    series_registered: {
+        subject: 'You are registered for {{eventName}}',
+        body: 'Hi {{fullName}}, you are registered for {{count}} sessions of {{eventName}}, starting {{when}} at {{location}}.'
+    },
+    event_updated: {
+        subject: 'Event updated: {{eventName}}',
+        body: 'Hi {{fullName}}, {{eventName}} has been updated. It now takes place on {{when}} at {{location}}.'
+    },
+    event_reminder: {
+        subject: 'Reminder: {{eventName}} {{leadTime}}',
+        body: 'Hi {{fullName}}, a reminder that {{eventName}} is {{leadTime}}, on {{when}} at {{location}}. See you there!'
+    },
+    event_cancelled: {
+        subject: 'Event cancelled: {{eventName}}',
+        body: 'Hi {{fullName}}, {{eventName}} on {{when}} has been cancelled. We are sorry for the inconvenience.'
+    },
+    event_cancelled_with_reason: {
+        subject: 'Event cancelled: {{eventName}}',
+        body: 'Hi {{fullName}}, {{eventName}} on {{when}} has been cancelled ({{cancellation_reason}}). We are sorry for the inconvenience.'
+    }
+};
+
+const render = (text, values) => text.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : '');
+
+const formatWhen = (date) => new Date(date).toLocaleString('en-SG', {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+// ==================== RECIPIENTS & PREFERENCES ====================
+
+// Resolves to { userID: { sms: boolean, email: boolean } } with defaults applied
+const getChannelSettings = async (users) => {
+    const settings = {};
+    for (const user of users) {
+        const defaults = DEFAULT_CHANNELS[user.role] || [];
+        settings[user.userID] = Object.fromEntries(CHANNELS.map(channel => [channel, defaults.includes(channel)]));
+    }
+
+    const rows = await getRepositories().notifications.listPreferences(users.map(user => user.userID));
+    for (const row of rows) {
+        settings[row.userID][row.channel] = Boolean(row.enabled);
+    }
+
+    return settings;
+};
+
+// A user's channel settings plus which channels they have contact details for
+const getPreferences = async (userID) => {
+    const [user] = await getRepositories().notifications.findRecipients([userID]);
+    if (!user) {
+        return undefined;
+    }
+
+    const settings = await getChannelSettings([user]);
+    return {
+        channels: settings[userID],
+        available: {
+            sms: Boolean(user.phoneNumber),
+            email: Boolean(user.email)
+        }
+    };
+};
+
+// Save the channels given (e.g. { sms: false, email: true }); others keep their setting
+const setPreferences = async (userID, channels) => {
+    for (const channel of CHANNELS) {
+        if (channels[channel] === undefined) {
+            continue;
+        }
+        await getRepositories().notifications.setPreference(userID, channel, Boolean(channels[channel]));
+    }
+    return getPreferences(userID);
+};
+
+// ==================== SENDING ====================
+
+const logNotification = (entry) => getRepositories().notifications.log({
+    ...entry,
+    error: entry.error ? entry.error.slice(0, 255) : null
+});
+
+const deliver = async (channel, recipient, subject, message) => {
+    if (channel === 'sms') {
+        return getSmsProvider().send(recipient, message);
+    }
+    return getEmailProvider().send(recipient, subject, message);
+};
+
+const sendToUser = async (templateName, user, channelSettings, event, extra) => {
+    const template = TEMPLATES[templateName];
+    const values = {
+        ...event,
+        when: event.start_time ? formatWhen(event.start_time) : '',
+        ...extra,
+        fullName: user.fullName
+    };
+    const subject = render(template.subject, values);
+    const message = render(template.body, values);
+
+    for (const channel of CHANNELS) {
+        if (!channelSettings[channel]) {
+            continue;
+        }
+
+        const recipient = channel === 'sms' ? user.phoneNumber : user.email;
+        const entry = {
+            userID: user.userID,
+            eventID: event.eventID || null,
+            template: templateName,
+            channel,
+            recipient,
+            subject: channel === 'email' ? subject : null,
+            message
+        };
+
+        if (!recipient) {
+            await logNotification({ ...entry, status: 'skipped', error: `No ${channel === 'sms' ? 'phone number' : 'email'} on file` });
+            continue;
+        }
+
+        try {
+            await deliver(channel, recipient, subject, message);
+            await logNotification({ ...entry, status: 'sent' });
+        } catch (error) {
+            await logNotification({ ...entry, status: 'failed', error: error.message });
+        }
+    }
+};
+
+// Send a templated notification to each user about an event. `event` is an
+// Event row (or snapshot of one); `extra` adds template values. Never rejects.
+const notify = async (templateName, userIDs, event, extra = {}) => {
+    try {
+        if (!TEMPLATES[templateName]) {
+            throw new Error(`Unknown notification template "${templateName}"`);
+        }
+
+        const users = await getRepositories().notifications.findRecipients([...new Set(userIDs.map(Number))]);
+        const settings = await getChannelSettings(users);
+        for (const user of users) {
+            await sendToUser(templateName, user, settings[user.userID], event, extra);
+        }
+    } catch (error) {
+        console.error(`Failed to send ${templateName} notifications:`, error.message);
+    }
+};
+
+// Event row plus everyone registered for it, read before the event changes or
+// disappears. Resolves to undefined when the event does not exist.
+const snapshotEvent = async (eventID) => {
+    const { events, registrations } = getRepositories();
+    const event = await events.findById(eventID);
+    if (!event) {
+        return undefined;
+    }
+
+    const registrants = [
+        ...await registrations.listForEvent('participant', eventID),
+        ...await registrations.listForEvent('volunteer', eventID)
+    ];
+
+    return { event, userIDs: [...new Set(registrants.map(user => user.userID))] };
+};
+
+// Look up an event, then notify the given users about it. Never rejects.
+const notifyAboutEvent = async (templateName, userIDs, eventID, extra) => {
+    try {
+        const snapshot = await snapshotEvent(eventID);
+        if (snapshot) {
+            await notify(templateName, userIDs, snapshot.event, extra);
+        }
+    } catch (error) {
+        console.error(`Failed to send ${templateName} notifications:`, error.message);
+    }
+};
+
+// Notify everyone registered for an event, apart from `exclude`. Never rejects.
+const notifyRegistrants = async (templateName, eventID, extra, exclude = []) => {
+    try {
+        const snapshot = await snapshotEvent(eventID);
+        if (snapshot) {
+            const skip = new Set(exclude.map(Number));
+            await notify(templateName, snapshot.userIDs.filter(userID => !skip.has(userID)), snapshot.event, extra);
+        }
+    } catch (error) {
+        console.error(`Failed to send ${templateName} notifications:`, error.message);
+    }
+};
+
+// Notification log, newest first. Filters: userID, eventID, template, status, limit.
+const getLog = ({ userID, eventID, template, status, limit = 100 } = {}) =>
+    getRepositories().notifications.listLog({ userID, eventID, template, status }, {
+        limit: Math.min(parseInt(limit) || 100, 500)
+    });
+
+module.exports = {
+    CHANNELS,
+    TEMPLATES,
+    notify,
+    notifyAboutEvent,
+    notifyRegistrants,
+    snapshotEvent,
+    getPreferences,
+    setPreferences,
+    getLog
+};
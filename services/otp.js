@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { getRepositories } = require('../repositories');
+const { getSmsProvider } = require('./sms');
+
+// ==================== ONE-TIME PASSWORDS ====================
+// One active code per phone number and purpose, stored hashed in
+// ParticipantOTP. A code only verifies for the purpose it was sent for, so the
+// consent code a participant reads out to a caregiver cannot log anyone in,
+// and requesting one leaves the participant's login code and cooldown alone.
+
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH) || 6;
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS) || 300;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+// What each purpose's SMS tells the participant the code is for; details are
+// those sent with the code
+const PURPOSES = {
+    login: (code, expiry) => `Your LUMEN verification code is ${code}. It expires in ${expiry}.`,
+    caregiver_consent: (code, expiry, { caregiverName }) =>
+        `Your LUMEN code to let ${caregiverName} manage your event registrations is ${code}. Only share it with ${caregiverName}, and only if you trust them. It expires in ${expiry}.`
+};
+
+// Error carrying the HTTP status the route should respond with
+class OtpError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'OtpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const generateCode = () => {
+    const max = 10 ** OTP_LENGTH;
+    return String(crypto.randomInt(0, max)).padStart(OTP_LENGTH, '0');
+};
+
+const requirePurpose = (purpose) => {
+    if (!PURPOSES[purpose]) {
+        throw new Error(`Unknown OTP purpose "${purpose}"`);
+    }
+};
+
+// Generate, store and deliver a fresh code for a phone number. options.details
+// is kept with the code (as JSON) and handed back by verifyCode(), for work
+// that must wait until the phone number is proven, such as creating an account.
+const sendCode = async (phoneNumber, purpose = 'login', { details } = {}) => {
+    requirePurpose(purpose);
+    const { otpCodes } = getRepositories();
+    const existing = await otpCodes.find(phoneNumber, purpose);
+
+    // Enforce resend cooldown
+    if (existing) {
+        const elapsed = (Date.now() - new Date(existing.last_sent_at).getTime()) / 1000;
+        if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+            const retryAfter = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed);
+            throw new OtpError(`Please wait ${retryAfter} seconds before requesting another OTP`, 429, { retryAfter });
+        }
+    }
+
+    const code = generateCode();
+    const codeHash = await bcrypt.hash(code, 10);
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + OTP_TTL_SECONDS * 1000);
+
+    // Replace any previous code and reset the attempt counter
+    await otpCodes.save(phoneNumber, purpose, {
+        codeHash,
+        details: details === undefined ? null : JSON.stringify(details),
+        expiresAt,
+        sentAt: now
+    });
+
+    try {
+        const minutes = Math.ceil(OTP_TTL_SECONDS / 60);
+        await getSmsProvider().send(phoneNumber, PURPOSES[purpose](code, `${minutes} minute${minutes === 1 ? '' : 's'}`, details || {}));
+    } catch (sendError) {
+        // Drop the undelivered code so the user is not stuck behind the cooldown
+        await otpCodes.delete(phoneNumber, purpose);
+        console.error('Failed to deliver OTP:', sendError.message);
+        throw new OtpError('Failed to send OTP. Please try again.', 502);
+    }
+
+    return { expiresAt };
+};
+
+// Check a submitted code against the code sent for the purpose; consumes it on
+// success and resolves to { details } (null when none were sent with it),
+// throws OtpError otherwise
+const verifyCode = async (phoneNumber, code, purpose = 'login') => {
+    requirePurpose(purpose);
+    const { otpCodes } = getRepositories();
+    const record = await otpCodes.find(phoneNumber, purpose);
+
+    if (!record) {
+        throw new OtpError('No OTP requested for this phone number', 401);
+    }
+
+    if (new Date(record.expires_at).getTime() <= Date.now()) {
+        await otpCodes.delete(phoneNumber, purpose);
+        throw new OtpError('OTP has expired. Please request a new one.', 401);
+    }
+
+    if (record.attempts >= OTP_MAX_ATTEMPTS) {
+        await otpCodes.delete(phoneNumber, purpose);
+        throw new OtpError('Too many incorrect attempts. Please request a new OTP.', 429);
+    }
+
+    const isValid = await bcrypt.compare(String(code), record.code_hash);
+
+    if (!isValid) {
+        await otpCodes.recordFailedAttempt(phoneNumber, purpose);
+        const attemptsLeft = OTP_MAX_ATTEMPTS - record.attempts - 1;
+        throw new OtpError('Invalid OTP', 401, { attemptsLeft });
+    }
+
+    await otpCodes.delete(phoneNumber, purpose);
+    return { details: record.details ? JSON.parse(record.details) : null };
+};
+
+module.exports = {
+    OtpError,
+    sendCode,
+    verifyCode
+};
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { loadTrueType } = require('./truetype');
+
+// ==================== PDF DOCUMENTS ====================
+// Writes simple print layouts (sign-in sheets, badges, certificates) as PDF
+// without a rendering library: text, lines and rectangles. Coordinates are in
+// points (1/72 inch) from the top-left corner of the page. Text is set in the
+// built-in Helvetica fonts, which only cover Western European text
+// (WinAnsiEncoding); other scripts (e.g. Chinese or Tamil names) are set in
+// the TrueType fonts listed in PDF_FONTS, embedded as subsets of the glyphs
+// used. A character none of the fonts has prints as '?' so one name cannot
+// stop the rest of the document printing.
+
+const PAGE_SIZES = {
+    A4: [595.28, 841.89]
+};
+
+// Advance widths of the printable ASCII characters (32-126), in 1/1000 of the font size
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+const DEFAULT_WIDTH = 556;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Characters WinAnsiEncoding places at 0x80-0x9f instead of Latin-1's control codes
+const WIN_ANSI = {
+    '\u20ac': 0x80, '\u201a': 0x82, '\u0192': 0x83, '\u201e': 0x84, '\u2026': 0x85, '\u2020': 0x86, '\u2021': 0x87,
+    '\u02c6': 0x88, '\u2030': 0x89, '\u0160': 0x8a, '\u2039': 0x8b, '\u0152': 0x8c, '\u017d': 0x8e, '\u2018': 0x91,
+    '\u2019': 0x92, '\u201c': 0x93, '\u201d': 0x94, '\u2022': 0x95, '\u2013': 0x96, '\u2014': 0x97, '\u02dc': 0x98,
+    '\u2122': 0x99, '\u0161': 0x9a, '\u203a': 0x9b, '\u0153': 0x9c, '\u017e': 0x9e, '\u0178': 0x9f
+};
+
+// TrueType fonts for the characters Helvetica has no glyphs for, tried in
+// the order PDF_FONTS (comma-separated paths) lists them
+const unicodeFonts = () => String(process.env.PDF_FONTS || '')
+    .split(',')
+    .map(file => file.trim())
+    .filter(Boolean)
+    .map(loadTrueType);
+
+// The WinAnsi byte Helvetica prints a character with; control characters
+// become '?', and characters outside WinAnsi are undefined
+const winAnsiCode = (char) => {
+    const code = char.codePointAt(0);
+    if (code < 0x20 || code === 0x7f) {
+        return 0x3f;
+    }
+    return code <= 0xff ? code : WIN_ANSI[char];
+};
+
+// Text split into runs set in one font: { font, codes, chars } where font is
+// null for Helvetica (codes are WinAnsi bytes) or a TrueType font (codes are
+// its glyph IDs). Characters no font has a glyph for become '?'.
+const textRuns = (text) => {
+    const fonts = unicodeFonts();
+    const runs = [];
+    for (const char of String(text ?? '')) {
+        let font = null;
+        let code = winAnsiCode(char);
+        if (code === undefined) {
+            font = fonts.find(candidate => candidate.glyphFor(char.codePointAt(0)) > 0) || null;
+            code = font ? font.glyphFor(char.codePointAt(0)) : 0x3f;
+        }
+
+        const last = runs[runs.length - 1];
+        if (last && last.font === font) {
+            last.codes.push(code);
+            last.chars.push(char);
+        } else {
+            runs.push({ font, codes: [code], chars: [char] });
+        }
+    }
+    return runs;
+};
+
+// Width of a line of text in points
+const textWidth = (text, size, bold = false) => {
+    const widths = WIDTHS[bold ? 'bold' : 'regular'];
+    let total = 0;
+    for (const { font, codes } of textRuns(text)) {
+        for (const code of codes) {
+            total += font ? font.advance(code) : widths[code - 32] ?? DEFAULT_WIDTH;
+        }
+    }
+    return (total * size) / 1000;
+};
+
+// Shorten text with an ellipsis until it fits the width
+const fitText = (text, width, size, bold = false) => {
+    const fitted = [...String(text ?? '')];
+    if (textWidth(fitted.join(''), size, bold) <= width) {
+        return fitted.join('');
+    }
+    while (fitted.length > 0 && textWidth(`${fitted.join('')}...`, size, bold) > width) {
+        fitted.pop();
+    }
+    return `${fitted.join('').trimEnd()}...`;
+};
+
+// PDF string literal of WinAnsi bytes; bytes outside ASCII are written as octal escapes
+const pdfString = (codes) => {
+    let escaped = '';
+    for (const code of codes) {
+        const char = String.fromCharCode(code);
+        if (char === '\\' || char === '(' || char === ')') {
+            escaped += `\\${char}`;
+        } else if (code > 126) {
+            escaped += `\\${code.toString(8).padStart(3, '0')}`;
+        } else {
+            escaped += char;
+        }
+    }
+    return `(${escaped})`;
+};
+
+// Two-byte glyph IDs (or UTF-16 code units) as a PDF hex string
+const hexString = (codes) => `<${codes.map(code => code.toString(16).toUpperCase().padStart(4, '0')).join('')}>`;
+
+const utf16 = (text) => Array.from({ length: text.length }, (_, index) => text.charCodeAt(index));
+
+// Document text string (e.g. the title): plain ASCII, or UTF-16 with a byte order mark
+const infoString = (text) => {
+    const value = String(text ?? '');
+    if (/^[\x20-\x7e]*$/.test(value)) {
+        return pdfString([...value].map(char => char.charCodeAt(0)));
+    }
+    return hexString([0xfeff, ...utf16(value)]);
+};
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+// Grey level 0 (black) to 1 (white)
+const grey = (level) => `${number(level)} ${number(level)} ${number(level)}`;
+
+class PdfPage {
+    // fontResource(run, bold) names the font a run of text is set in
+    constructor(width, height, fontResource) {
+        this.width = width;
+        this.height = height;
+        this.fontResource = fontResource;
+        this.operations = [];
+    }
+
+    // options: size (pt, default 11), bold, align ('left', 'center', 'right' of x), maxWidth (shortens to fit), grey
+    text(x, y, text, options = {}) {
+        const { size = 11, bold = false, align = 'left', maxWidth, grey: level = 0 } = options;
+        const content = maxWidth ? fitText(text, maxWidth, size, bold) : String(text ?? '');
+        const width = textWidth(content, size, bold);
+        const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+
+        const shown = textRuns(content).map((run) => {
+            const string = run.font ? hexString(run.codes) : pdfString(run.codes);
+            return `/${this.fontResource(run, bold)} ${number(size)} Tf ${string} Tj`;
+        });
+        this.operations.push(
+            `BT ${grey(level)} rg ${number(left)} ${number(this.height - y - size * 0.8)} Td ${shown.join(' ')} ET`
+        );
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5, grey: level = 0 } = {}) {
+        this.operations.push(
+            `q ${grey(level)} RG ${number(width)} w ${number(x1)} ${number(this.height - y1)} m ${number(x2)} ${number(this.height - y2)} l S Q`
+        );
+        return this;
+    }
+
+    // options: width (line), grey (line colour), fill (grey level to fill with), dashed
+    rect(x, y, width, height, { width: lineWidth = 0.5, grey: level = 0, fill, dashed = false } = {}) {
+        const path = `${number(x)} ${number(this.height - y - height)} ${number(width)} ${number(height)} re`;
+        if (fill !== undefined) {
+            this.operations.push(`q ${grey(fill)} rg ${path} f Q`);
+        }
+        this.operations.push(`q ${grey(level)} RG ${number(lineWidth)} w ${dashed ? '[4 3] 0 d ' : ''}${path} S Q`);
+        return this;
+    }
+}
+
+// ToUnicode CMap for an embedded font, so text copied or searched in the PDF
+// comes out as the characters rather than glyph IDs
+const toUnicodeCMap = (characters) => {
+    const entries = [...characters].map(([glyph, char]) =>
+        `${hexString([glyph])} ${hexString(utf16(char))}`);
+    const blocks = [];
+    for (let start = 0; start < entries.length; start += 100) {
+        const block = entries.slice(start, start + 100);
+        blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+    }
+    return [
+        '/CIDInit /ProcSet findresource begin', '12 dict begin', 'begincmap',
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+        '/CMapName /Adobe-Identity-UCS def', '/CMapType 2 def',
+        '1 begincodespacerange', '<0000> <FFFF>', 'endcodespacerange',
+        ...blocks,
+        'endcmap', 'CMapName currentdict /CMap defineresource pop', 'end', 'end'
+    ].join('\n');
+};
+
+// Objects for a TrueType font embedded as a subset of the glyphs used:
+// { font, descendant, descriptor, file, toUnicode } keyed by the ID each gets
+const embeddedFontObjects = (font, characters, ids) => {
+    const glyphs = [...characters.keys()].sort((a, b) => a - b);
+    // Subset fonts are named with a tag of six capital letters
+    const tag = [...crypto.createHash('md5').update(`${font.name}:${glyphs.join(',')}`).digest().subarray(0, 6)]
+        .map(byte => String.fromCharCode(65 + (byte % 26)))
+        .join('');
+    const name = `${tag}+${font.name}`;
+    const file = font.subset(glyphs);
+    const compressed = zlib.deflateSync(file);
+    const cmap = Buffer.from(toUnicodeCMap(characters), 'latin1');
+
+    return {
+        [ids.font]: `<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H ` +
+            `/DescendantFonts [${ids.descendant} 0 R] /ToUnicode ${ids.toUnicode} 0 R >>`,
+        [ids.descendant]: `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name} ` +
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+            `/FontDescriptor ${ids.descriptor} 0 R /CIDToGIDMap /Identity ` +
+            `/W [${glyphs.map(glyph => `${glyph} [${font.advance(glyph)}]`).join(' ')}] >>`,
+        [ids.descriptor]: `<< /Type /FontDescriptor /FontName /${name} /Flags 4 /FontBBox [${font.bbox.join(' ')}] ` +
+            `/ItalicAngle 0 /Ascent ${font.ascent} /Descent ${font.descent} /CapHeight ${font.ascent} /StemV 80 ` +
+            `/FontFile2 ${ids.file} 0 R >>`,
+        [ids.file]: Buffer.concat([
+            Buffer.from(`<< /Length ${compressed.length} /Length1 ${file.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            compressed,
+            Buffer.from('\nendstream', 'latin1')
+        ]),
+        [ids.toUnicode]: Buffer.concat([
+            Buffer.from(`<< /Length ${cmap.length} >>\nstream\n`, 'latin1'),
+            cmap,
+            Buffer.from('\nendstream', 'latin1')
+        ])
+    };
+};
+
+// createPdf({ title }) -> { addPage(), toBuffer() }; pages are A4 portrait, or landscape
+const createPdf = ({ title = '', landscape = false } = {}) => {
+    const [short, long] = PAGE_SIZES.A4;
+    const [width, height] = landscape ? [long, short] : [short, long];
+    const pages = [];
+    // TrueType fonts used so far: font -> { resource, characters (glyph ID -> character) }
+    const embedded = new Map();
+
+    const fontResource = (run, bold) => {
+        if (!run.font) {
+            return FONTS[bold ? 'bold' : 'regular'];
+        }
+        if (!embedded.has(run.font)) {
+            embedded.set(run.font, { resource: `F${3 + embedded.size}`, characters: new Map() });
+        }
+        const { resource, characters } = embedded.get(run.font);
+        run.codes.forEach((glyph, index) => characters.set(glyph, run.chars[index]));
+        return resource;
+    };
+
+    const addPage = () => {
+        const page = new PdfPage(width, height, fontResource);
+        pages.push(page);
+        return page;
+    };
+
+    const toBuffer = () => {
+        // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content
+        // stream per page, then five objects per embedded TrueType font
+        const objects = [];
+        const pageIDs = pages.map((page, index) => 6 + index * 2);
+        const fonts = [...embedded].map(([font, { resource, characters }], index) => {
+            const first = 6 + pages.length * 2 + index * 5;
+            return { font, resource, characters, ids: { font: first, descendant: first + 1, descriptor: first + 2, file: first + 3, toUnicode: first + 4 } };
+        });
+        const fontResources = [
+            '/F1 3 0 R /F2 4 0 R',
+            ...fonts.map(({ resource, ids }) => `/${resource} ${ids.font} 0 R`)
+        ].join(' ');
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIDs.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        objects[5] = `<< /Title ${infoString(title)} /Producer (LUMEN) >>`;
+
+        pages.forEach((page, index) => {
+            const contentID = pageIDs[index] + 1;
+            const stream = zlib.deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'));
+            objects[pageIDs[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(width)} ${number(height)}] ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${contentID} 0 R >>`;
+            objects[contentID] = Buffer.concat([
+                Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                stream,
+                Buffer.from('\nendstream', 'latin1')
+            ]);
+        });
+
+        for (const { font, characters, ids } of fonts) {
+            Object.assign(objects, embeddedFontObjects(font, characters, ids));
+        }
+
+        const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        let length = parts[0].length;
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = length;
+            const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+            const part = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+            parts.push(part);
+            length += part.length;
+        }
+
+        const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n'];
+        for (let id = 1; id < objects.length; id++) {
+            xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+        parts.push(Buffer.from(xref.join(''), 'latin1'));
+        return Buffer.concat(parts);
+    };
+
+    return { width, height, addPage, toBuffer };
+};
+
+module.exports = {
+    createPdf,
+    fitText,
+    textWidth
+};
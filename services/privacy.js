@@ -0,0 +1,182 @@
+const { getRepositories } = require('../repositories');
+const identity = require('./identity');
+const { createZip } = require('./zip');
+
+// ==================== PERSONAL DATA ====================
+// PDPA requests. Anyone can download what is held about them, as JSON or as a
+// ZIP with one file per section. Erasure is requested by the person and
+// carried out when a staff member approves it: upcoming registrations are
+// cancelled and the account is anonymised in place, so past registrations and
+// attendance still count towards event statistics, and the snapshots of them
+// in the API audit log are blanked. Every step is recorded in PersonalDataAudit.
+
+// Error carrying the HTTP status the route should respond with
+class PrivacyError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'PrivacyError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// The person's own NRIC in full; an NRIC encrypted under another key stays masked
+const revealNric = (stored) => {
+    if (!stored || !identity.isEncrypted(stored)) {
+        return stored ?? null;
+    }
+    try {
+        return identity.decryptNric(stored);
+    } catch (error) {
+        return identity.maskStoredNric(stored);
+    }
+};
+
+// ==================== EXPORT ====================
+// Only the data subject gets their NRIC in full; staff downloading someone
+// else's data see it masked like everywhere else.
+
+const exportPersonalData = async (userID, actorID) => {
+    const { users, privacy } = getRepositories();
+    const profile = await users.findProfile(userID);
+    if (!profile) {
+        throw new PrivacyError('User not found', 404);
+    }
+
+    const { NRIC_hash, password, ...details } = profile;
+    const bundle = {
+        exported_at: new Date(),
+        profile: {
+            ...details,
+            NRIC: String(actorID) === String(userID) ? revealNric(profile.NRIC) : identity.maskStoredNric(profile.NRIC)
+        },
+        ...(await privacy.collect(userID))
+    };
+
+    await privacy.addAudit({ userID, actorID, action: 'exported' });
+    return bundle;
+};
+
+// One JSON file per section of the bundle
+const toZip = (bundle) => createZip(
+    Object.entries(bundle)
+        .filter(([section]) => section !== 'exported_at')
+        .map(([section, data]) => ({ name: `${section}.json`, content: JSON.stringify(data, null, 2) }))
+        .concat({
+            name: 'README.txt',
+            content: `Personal data held by LUMEN for user ${bundle.profile.userID}, exported ${bundle.exported_at.toISOString()}.\n`
+        })
+);
+
+// ==================== ERASURE ====================
+
+const requestErasure = async (userID, actorID, reason) => {
+    const { users, privacy } = getRepositories();
+    const user = await users.findById(userID);
+    if (!user) {
+        throw new PrivacyError('User not found', 404);
+    }
+    if (user.anonymised_at) {
+        throw new PrivacyError('This account has already been erased');
+    }
+
+    const pending = await privacy.findPendingErasureRequest(userID);
+    if (pending) {
+        throw new PrivacyError('An erasure request is already pending for this account', 400, { requestID: pending.requestID });
+    }
+
+    const requestID = await privacy.createErasureRequest({ userID, requestedBy: actorID, reason });
+    await privacy.addAudit({ userID, actorID, requestID, action: 'erasure_requested', details: reason });
+    return privacy.findErasureRequest(requestID);
+};
+
+// A pending request that the reviewer is allowed to decide on
+const findReviewable = async (requestID, reviewerID) => {
+    const request = await getRepositories().privacy.findErasureRequest(requestID);
+    if (!request) {
+        throw new PrivacyError('Erasure request not found', 404);
+    }
+    if (request.status !== 'pending') {
+        throw new PrivacyError(`Erasure request has already been ${request.status}`);
+    }
+    if (request.userID === Number(reviewerID)) {
+        throw new PrivacyError('You cannot review your own erasure request', 403);
+    }
+    return request;
+};
+
+const markReviewed = async (request, status, reviewerID, note) => {
+    const { privacy } = getRepositories();
+    if (!(await privacy.reviewErasureRequest(request.requestID, { status, reviewedBy: reviewerID, note }))) {
+        throw new PrivacyError('Erasure request has already been reviewed');
+    }
+    await privacy.addAudit({
+        userID: request.userID,
+        actorID: reviewerID,
+        requestID: request.requestID,
+        action: `erasure_${status}`,
+        details: note
+    });
+};
+
+// Resolves to { request, promoted: [{ eventID, promoted }] } so the caller can
+// notify whoever took the spots the erased person held
+const approveErasure = async (requestID, reviewerID, note) => {
+    const { registrations, privacy, auditLog } = getRepositories();
+    const request = await findReviewable(requestID, reviewerID);
+    await markReviewed(request, 'approved', reviewerID, note);
+
+    const promoted = [];
+    let cancelled = 0;
+    for (const role of ['participant', 'volunteer']) {
+        const upcoming = (await registrations.listForUser(role, request.userID))
+            .filter(event => event.status !== 'cancelled' && new Date(event.start_time) > new Date());
+        for (const event of upcoming) {
+            const result = await registrations.unregister(role, request.userID, event.eventID);
+            if (result.removed) {
+                cancelled++;
+            }
+            if (result.promoted.length > 0) {
+                promoted.push({ eventID: event.eventID, promoted: result.promoted });
+            }
+        }
+    }
+
+    await privacy.anonymise(request.userID);
+    await auditLog.redactSubject(request.userID);
+    await privacy.addAudit({
+        userID: request.userID,
+        actorID: reviewerID,
+        requestID: request.requestID,
+        action: 'anonymised',
+        details: `${cancelled} upcoming registration(s) cancelled`
+    });
+
+    return { request: await privacy.findErasureRequest(request.requestID), promoted };
+};
+
+const rejectErasure = async (requestID, reviewerID, note) => {
+    const request = await findReviewable(requestID, reviewerID);
+    await markReviewed(request, 'rejected', reviewerID, note);
+    return getRepositories().privacy.findErasureRequest(request.requestID);
+};
+
+// The request with the person's full personal-data audit trail
+const getErasureRequest = async (requestID) => {
+    const { privacy } = getRepositories();
+    const request = await privacy.findErasureRequest(requestID);
+    if (!request) {
+        throw new PrivacyError('Erasure request not found', 404);
+    }
+    return { ...request, audit: await privacy.listAudit(request.userID) };
+};
+
+module.exports = {
+    PrivacyError,
+    exportPersonalData,
+    toZip,
+    requestErasure,
+    approveErasure,
+    rejectErasure,
+    getErasureRequest
+};
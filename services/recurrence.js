@@ -0,0 +1,163 @@
+// ==================== RECURRENCE RULES ====================
+// Expands a recurrence rule into occurrence time slots. Rules follow a small
+// subset of iCalendar RRULE semantics:
+//   frequency   'daily' | 'weekly' | 'monthly'
+//   interval    repeat every N days/weeks/months (default 1)
+//   byWeekday   weekly only, e.g. ['MO', 'TH'] (default: weekday of the first occurrence)
+//   until       last date (YYYY-MM-DD, inclusive) and/or
+//   count       number of occurrences, counted before exceptions are removed
+//   exceptions  dates (YYYY-MM-DD) to skip
+// All dates are in the server's local time zone, like event start/end times.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_OCCURRENCES = parseInt(process.env.SERIES_MAX_OCCURRENCES) || 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Error carrying the HTTP status the route should respond with
+class RecurrenceError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'RecurrenceError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// YYYY-MM-DD in local time
+const toDateString = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Same wall-clock time n days later (safe across DST changes)
+const addDays = (date, days) => new Date(
+    date.getFullYear(), date.getMonth(), date.getDate() + days,
+    date.getHours(), date.getMinutes(), date.getSeconds()
+);
+
+// Validate a rule from a request body and fill in defaults
+const parseRule = (input) => {
+    if (!input || typeof input !== 'object') {
+        throw new RecurrenceError('recurrence is required');
+    }
+    
+    const { frequency, interval = 1, byWeekday, until, count, exceptions = [] } = input;
+    
+    if (!FREQUENCIES.includes(frequency)) {
+        throw new RecurrenceError(`recurrence.frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+    if (!Number.isInteger(interval) || interval < 1) {
+        throw new RecurrenceError('recurrence.interval must be a positive integer');
+    }
+    if (byWeekday !== undefined) {
+        if (frequency !== 'weekly') {
+            throw new RecurrenceError('recurrence.byWeekday only applies to weekly series');
+        }
+        if (!Array.isArray(byWeekday) || byWeekday.length === 0 || !byWeekday.every(day => WEEKDAYS.includes(day))) {
+            throw new RecurrenceError(`recurrence.byWeekday must be a list of ${WEEKDAYS.join(', ')}`);
+        }
+    }
+    if (until === undefined && count === undefined) {
+        throw new RecurrenceError('recurrence needs an until date or a count');
+    }
+    if (until !== undefined && !DATE_PATTERN.test(until)) {
+        throw new RecurrenceError('recurrence.until must be a date (YYYY-MM-DD)');
+    }
+    if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+        throw new RecurrenceError(`recurrence.count must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+    if (!Array.isArray(exceptions) || !exceptions.every(date => DATE_PATTERN.test(date))) {
+        throw new RecurrenceError('recurrence.exceptions must be a list of dates (YYYY-MM-DD)');
+    }
+    
+    return {
+        frequency,
+        interval,
+        byWeekday: byWeekday ? [...new Set(byWeekday)] : undefined,
+        until,
+        count,
+        exceptions: [...new Set(exceptions)]
+    };
+};
+
+// Candidate start times in order, before until/count/exceptions are applied
+function* candidates(rule, firstStart) {
+    if (rule.frequency === 'daily') {
+        for (let n = 0; ; n += rule.interval) {
+            yield addDays(firstStart, n);
+        }
+    }
+    
+    if (rule.frequency === 'weekly') {
+        const weekdays = (rule.byWeekday || [WEEKDAYS[firstStart.getDay()]])
+            .map(day => WEEKDAYS.indexOf(day))
+            .sort((a, b) => a - b);
+        // Sunday of the first occurrence's week
+        const weekStart = addDays(firstStart, -firstStart.getDay());
+        for (let week = 0; ; week += rule.interval) {
+            for (const weekday of weekdays) {
+                const start = addDays(weekStart, week * 7 + weekday);
+                if (start >= firstStart) {
+                    yield start;
+                }
+            }
+        }
+    }
+    
+    if (rule.frequency === 'monthly') {
+        const dayOfMonth = firstStart.getDate();
+        for (let n = 0; ; n += rule.interval) {
+            const start = new Date(
+                firstStart.getFullYear(), firstStart.getMonth() + n, dayOfMonth,
+                firstStart.getHours(), firstStart.getMinutes(), firstStart.getSeconds()
+            );
+            // Months without this day (e.g. the 31st) are skipped
+            if (start.getDate() === dayOfMonth) {
+                yield start;
+            }
+        }
+    }
+}
+
+// Expand a parsed rule into [{ start, end, date }] starting from the first occurrence
+const expandOccurrences = (rule, firstStart, firstEnd) => {
+    const duration = firstEnd.getTime() - firstStart.getTime();
+    if (!(duration > 0)) {
+        throw new RecurrenceError('end_time must be after start_time');
+    }
+    
+    const exceptions = new Set(rule.exceptions);
+    const occurrences = [];
+    let generated = 0;
+    
+    for (const start of candidates(rule, firstStart)) {
+        const date = toDateString(start);
+        
+        if (rule.until && date > rule.until) {
+            break;
+        }
+        if (rule.count && generated >= rule.count) {
+            break;
+        }
+        if (generated >= MAX_OCCURRENCES) {
+            throw new RecurrenceError(`A series cannot have more than ${MAX_OCCURRENCES} occurrences`);
+        }
+        
+        generated++;
+        if (!exceptions.has(date)) {
+            occurrences.push({ start, end: new Date(start.getTime() + duration), date });
+        }
+    }
+    
+    if (occurrences.length === 0) {
+        throw new RecurrenceError('The recurrence rule does not produce any occurrences');
+    }
+    return occurrences;
+};
+
+module.exports = {
+    RecurrenceError,
+    WEEKDAYS,
+    parseRule,
+    expandOccurrences,
+    toDateString
+};
@@ -0,0 +1,331 @@
+// ==================== EVENT REGISTRATION ====================
+// Shared sign-up rules so every route that registers a participant or
+// volunteer applies the same status, capacity, duplicate and time-conflict
+// checks, plus the per-event waitlists that refill freed spots.
+//
+// Both repository backends run these rules: createRegistrationOperations()
+// is given the backend's transaction(work), which calls work(tx) with the
+// storage steps below and commits when it resolves. Each public operation is
+// one transaction. The event is locked first (serialising capacity checks for
+// that event), then the person (serialising their conflict checks across
+// events). Always taking the locks in that order keeps concurrent sign-ups
+// from deadlocking each other.
+//
+// A tx provides:
+//   lockEvent(eventID, role)                 -> { eventID, eventName, status, start_time, end_time,
+//                                                 capacity, current_count } or undefined
+//   lockUser(userID)                         -> whether the user exists
+//   lockSeriesOccurrences(seriesID)          -> upcoming published [{ eventID, start_time }], eventID order
+//   isRegistered(role, userID, eventID)
+//   listRegisteredEvents(role, userID)       -> [{ eventID, eventName, start_time, end_time }], cancelled events left out
+//   insertRegistration(role, userID, eventID)
+//   deleteRegistration(role, userID, eventID) -> whether there was one
+//   listWaiting(eventID, role)               -> waiting [{ waitlistID, userID }] in queue order
+//   addWaitlistEntry(eventID, role, userID)
+//   setWaitlistStatus(waitlistID, status)    -> whether the entry was still waiting
+//   recordWaitlistAudit(eventID, role, userID, action, reason)
+//   markCancelled(eventID, userID, role) / clearCancellation(eventID, userID, role)
+
+// Error carrying the HTTP status the route should respond with
+class RegistrationError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'RegistrationError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const ROLES = {
+    participant: {
+        table: 'ParticipantEvent',
+        idColumn: 'participantID',
+        capacityColumn: 'max_participants',
+        duplicateMessage: 'Already registered',
+        conflictMessage: (eventName) => `You already have an event "${eventName}" scheduled during this time slot`
+    },
+    volunteer: {
+        table: 'VolunteerEvent',
+        idColumn: 'volunteerID',
+        capacityColumn: 'max_volunteers',
+        duplicateMessage: 'Already registered for this event',
+        conflictMessage: (eventName) => `Time conflict with "${eventName}". You cannot register for events with overlapping time slots.`
+    }
+};
+
+// Only published events take sign-ups. Drafts are not public yet, so they are
+// reported as missing.
+const checkOpen = (event) => {
+    if (event.status === 'draft') {
+        throw new RegistrationError('Event not found', 404);
+    }
+    if (event.status === 'cancelled') {
+        throw new RegistrationError('Event has been cancelled', 400, { eventStatus: event.status });
+    }
+    if (event.status === 'completed') {
+        throw new RegistrationError('Event has already taken place', 400, { eventStatus: event.status });
+    }
+};
+
+const isFull = (event) => event.capacity !== null && event.current_count >= event.capacity;
+
+// ==================== TIME CONFLICTS ====================
+
+const slotOf = (event) => [new Date(event.start_time).getTime(), new Date(event.end_time).getTime()];
+
+// Whether `other` overlaps or nests inside the event's time slot; participant
+// conflicts and venue double-bookings both use it
+const slotsOverlap = (other, event) => {
+    const [start, end] = slotOf(event);
+    const [otherStart, otherEnd] = slotOf(other);
+    return (otherStart < end && otherEnd > start) || (otherStart >= start && otherEnd <= end);
+};
+
+// Volunteers additionally may not start or end one event inside another
+const volunteerSlotsOverlap = (other, event) => {
+    const [start, end] = slotOf(event);
+    const [otherStart, otherEnd] = slotOf(other);
+    return (otherStart < end && otherEnd > start) ||
+        (otherStart >= start && otherStart < end) ||
+        (otherEnd > start && otherEnd <= end);
+};
+
+// Registered events that overlap the given event's time slot
+const findConflicts = async (tx, role, userID, event) => {
+    if (role === 'participant') {
+        return (await tx.listRegisteredEvents('participant', userID)).filter(other => slotsOverlap(other, event));
+    }
+
+    // Volunteers cannot overlap with events they volunteer at or attend as a participant
+    const volunteering = await tx.listRegisteredEvents('volunteer', userID);
+    const attending = await tx.listRegisteredEvents('participant', userID);
+    return [
+        ...volunteering.filter(other => other.eventID !== event.eventID && volunteerSlotsOverlap(other, event)),
+        ...attending.filter(other => volunteerSlotsOverlap(other, event))
+    ];
+};
+
+// ==================== WAITLIST ====================
+
+// 1-based position of a waiting entry, or null when not waiting
+const getWaitlistPosition = async (tx, role, userID, eventID) => {
+    const index = (await tx.listWaiting(eventID, role)).findIndex(entry => entry.userID === userID);
+    return index === -1 ? null : index + 1;
+};
+
+const addToWaitlist = async (tx, role, userID, eventID) => {
+    if (await getWaitlistPosition(tx, role, userID, eventID)) {
+        throw new RegistrationError('Already on the waitlist for this event');
+    }
+
+    await tx.addWaitlistEntry(eventID, role, userID);
+    await tx.recordWaitlistAudit(eventID, role, userID, 'joined');
+
+    return getWaitlistPosition(tx, role, userID, eventID);
+};
+
+// Take someone off a waitlist; returns whether they were waiting
+const removeFromWaitlist = async (tx, role, userID, eventID) => {
+    const entry = (await tx.listWaiting(eventID, role)).find(candidate => candidate.userID === userID);
+    if (!entry || !(await tx.setWaitlistStatus(entry.waitlistID, 'removed'))) {
+        return false;
+    }
+    await tx.recordWaitlistAudit(eventID, role, userID, 'left');
+    return true;
+};
+
+// Fill free spots from the waitlist in order. People whose schedule now
+// clashes with the event are passed over and keep their place.
+const promoteFromWaitlist = async (tx, eventID, role) => {
+    const event = await tx.lockEvent(eventID, role);
+    const promoted = [];
+
+    // Spots freed on a cancelled or past event are not worth promoting into
+    if (!event || event.status !== 'published') {
+        return promoted;
+    }
+
+    let freeSpots = event.capacity === null ? Infinity : event.capacity - event.current_count;
+    if (freeSpots <= 0) {
+        return promoted;
+    }
+
+    for (const entry of await tx.listWaiting(eventID, role)) {
+        if (freeSpots <= 0) {
+            break;
+        }
+
+        await tx.lockUser(entry.userID);
+        const conflicts = await findConflicts(tx, role, entry.userID, event);
+        if (conflicts.length > 0) {
+            await tx.recordWaitlistAudit(eventID, role, entry.userID, 'skipped',
+                `Time conflict with "${conflicts[0].eventName}"`);
+            continue;
+        }
+
+        await tx.insertRegistration(role, entry.userID, eventID);
+        await tx.setWaitlistStatus(entry.waitlistID, 'promoted');
+        await tx.clearCancellation(eventID, entry.userID, role);
+        await tx.recordWaitlistAudit(eventID, role, entry.userID, 'promoted');
+
+        promoted.push(entry.userID);
+        freeSpots--;
+    }
+
+    return promoted;
+};
+
+// ==================== REGISTER / UNREGISTER ====================
+
+// Register someone for an event within the caller's transaction. When the
+// event is full and options.joinWaitlist is set they are queued instead;
+// options.ignoreCapacity lets staff admit walk-ins at the door regardless.
+// Resolves to { status: 'registered' } or { status: 'waitlisted', position }.
+const registerWith = async (tx, role, userID, eventID, options = {}) => {
+    const { duplicateMessage, conflictMessage } = ROLES[role];
+    const event = await tx.lockEvent(eventID, role);
+
+    if (!event) {
+        throw new RegistrationError('Event not found', 404);
+    }
+    checkOpen(event);
+
+    if (!(await tx.lockUser(userID))) {
+        throw new RegistrationError('User not found', 404);
+    }
+
+    if (await tx.isRegistered(role, userID, eventID)) {
+        throw new RegistrationError(duplicateMessage);
+    }
+
+    const full = !options.ignoreCapacity && isFull(event);
+
+    if (full && !options.joinWaitlist) {
+        throw new RegistrationError('Event is full', 400, { waitlistAvailable: true });
+    }
+
+    // Check for time slot conflicts with other registered events
+    const conflicts = await findConflicts(tx, role, userID, event);
+    if (conflicts.length > 0) {
+        throw new RegistrationError(conflictMessage(conflicts[0].eventName));
+    }
+
+    if (full) {
+        const position = await addToWaitlist(tx, role, userID, eventID);
+        return { status: 'waitlisted', position };
+    }
+
+    await tx.insertRegistration(role, userID, eventID);
+    // A direct sign-up supersedes any place they held in the queue
+    await removeFromWaitlist(tx, role, userID, eventID);
+    await tx.clearCancellation(eventID, userID, role);
+
+    return { status: 'registered' };
+};
+
+// Register someone for every upcoming published occurrence of a series, all or nothing.
+// All occurrences are locked up front in eventID order, so a series sign-up
+// still takes event locks before the user lock. Occurrences they are already
+// registered for are left as they are. options.screen(event), when given, is
+// run for each occurrence they are not yet registered for, before it is: it
+// may throw to refuse the series, and resolves to fields added to that
+// occurrence's result (e.g. the accessibility needs it does not meet).
+// Resolves to [{ eventID, start_time, status, position? }].
+const registerForSeriesWith = async (tx, role, userID, seriesID, options = {}) => {
+    const { duplicateMessage } = ROLES[role];
+    const events = await tx.lockSeriesOccurrences(seriesID);
+
+    if (events.length === 0) {
+        throw new RegistrationError('Series not found or has no upcoming occurrences', 404);
+    }
+
+    events.sort((a, b) => a.start_time - b.start_time);
+
+    const results = [];
+    for (const event of events) {
+        try {
+            const screened = options.screen && !(await tx.isRegistered(role, userID, event.eventID))
+                ? await options.screen(event)
+                : {};
+            const result = await registerWith(tx, role, userID, event.eventID, options);
+            results.push({ eventID: event.eventID, start_time: event.start_time, ...result, ...screened });
+        } catch (error) {
+            if (!(error instanceof RegistrationError)) {
+                throw error;
+            }
+            if (error.message === duplicateMessage) {
+                results.push({ eventID: event.eventID, start_time: event.start_time, status: 'already_registered' });
+                continue;
+            }
+            // Name the occurrence that blocked the series sign-up
+            throw new RegistrationError(error.message, error.status, {
+                ...error.details,
+                eventID: event.eventID,
+                start_time: event.start_time
+            });
+        }
+    }
+
+    return results;
+};
+
+// Remove someone from an event and refill their spot from the waitlist.
+// A cancelled event keeps its registrations as history, so nobody can leave it.
+// Resolves to { removed, promoted }.
+const unregisterWith = async (tx, role, userID, eventID) => {
+    const event = await tx.lockEvent(eventID, role);
+    if (!event) {
+        return { removed: false, promoted: [] };
+    }
+    if (event.status === 'cancelled') {
+        throw new RegistrationError('Event has been cancelled', 409, { eventStatus: event.status });
+    }
+
+    if (!(await tx.deleteRegistration(role, userID, eventID))) {
+        return { removed: false, promoted: [] };
+    }
+
+    await tx.markCancelled(eventID, userID, role);
+    const promoted = await promoteFromWaitlist(tx, eventID, role);
+    return { removed: true, promoted };
+};
+
+// The registration methods of a repository, each run in one transaction(work)
+const createRegistrationOperations = (transaction) => ({
+    // Resolves to { status: 'registered' } or { status: 'waitlisted', position };
+    // throws RegistrationError when the sign-up is refused
+    register(role, userID, eventID, options) {
+        return transaction((tx) => registerWith(tx, role, Number(userID), Number(eventID), options));
+    },
+
+    registerForSeries(role, userID, seriesID, options) {
+        return transaction((tx) => registerForSeriesWith(tx, role, Number(userID), Number(seriesID), options));
+    },
+
+    // Resolves to { removed, promoted }
+    unregister(role, userID, eventID) {
+        return transaction((tx) => unregisterWith(tx, role, Number(userID), Number(eventID)));
+    },
+
+    // Take someone off an event's waitlist; resolves to whether they were waiting
+    leaveWaitlist(role, userID, eventID) {
+        return transaction((tx) => removeFromWaitlist(tx, role, Number(userID), Number(eventID)));
+    },
+
+    // Promote from both waitlists after an event's capacity or time slot
+    // changed; resolves to { participants, volunteers }
+    refill(eventID) {
+        return transaction(async (tx) => ({
+            participants: await promoteFromWaitlist(tx, Number(eventID), 'participant'),
+            volunteers: await promoteFromWaitlist(tx, Number(eventID), 'volunteer')
+        }));
+    }
+});
+
+module.exports = {
+    RegistrationError,
+    ROLES,
+    checkOpen,
+    slotsOverlap,
+    createRegistrationOperations
+};
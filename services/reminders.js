@@ -0,0 +1,72 @@
+const { getRepositories } = require('../repositories');
+const scheduler = require('./scheduler');
+const notifications = require('./notifications');
+
+// ==================== EVENT REMINDERS ====================
+// Each event gets one reminder job per entry in REMINDERS, keyed by event so
+// edits reschedule the same jobs and deletes cancel them. Recipients are read
+// when the reminder runs, so later sign-ups are reminded too.
+
+const REMINDERS = [
+    { name: '24h', hoursBefore: 24, leadTime: 'tomorrow' },
+    { name: '2h', hoursBefore: 2, leadTime: 'in 2 hours' }
+];
+
+const JOB_TYPE = 'event_reminder';
+
+const jobKey = (eventID, reminder) => `event-reminder:${eventID}:${reminder.name}`;
+
+// Queue (or move) the reminders for an event's current start time. Reminders
+// whose time has already passed are cancelled rather than sent late.
+const scheduleEventReminders = async (eventID) => {
+    const event = await getRepositories().events.findById(eventID);
+    if (!event) {
+        return cancelEventReminders(eventID);
+    }
+
+    const startTime = new Date(event.start_time);
+    for (const reminder of REMINDERS) {
+        const runAt = new Date(startTime.getTime() - reminder.hoursBefore * 60 * 60 * 1000);
+        if (runAt <= new Date()) {
+            await scheduler.cancel([jobKey(eventID, reminder)]);
+            continue;
+        }
+        await scheduler.schedule(JOB_TYPE, { eventID: Number(eventID), reminder: reminder.name }, runAt, {
+            key: jobKey(eventID, reminder)
+        });
+    }
+};
+
+const cancelEventReminders = async (eventID) => {
+    await scheduler.cancel(REMINDERS.map(reminder => jobKey(eventID, reminder)));
+};
+
+// Make sure every upcoming event has its reminders queued (safe to repeat)
+const scheduleUpcomingReminders = async () => {
+    const { rows } = await getRepositories().events.list({ from: new Date(), sort: 'start_time', order: 'asc' });
+    for (const event of rows) {
+        await scheduleEventReminders(event.eventID);
+    }
+    return rows.length;
+};
+
+// Job handler: remind everyone registered for a published event. Errors reading
+// the event make the job retry; delivery problems are recorded per person in
+// NotificationLog.
+const sendReminder = async ({ eventID, reminder: name }) => {
+    const reminder = REMINDERS.find(entry => entry.name === name);
+    const snapshot = await notifications.snapshotEvent(eventID);
+    if (!reminder || !snapshot || snapshot.event.status !== 'published' || new Date(snapshot.event.start_time) <= new Date()) {
+        return;
+    }
+    await notifications.notify('event_reminder', snapshot.userIDs, snapshot.event, { leadTime: reminder.leadTime });
+};
+
+scheduler.registerHandler(JOB_TYPE, sendReminder);
+
+module.exports = {
+    REMINDERS,
+    scheduleEventReminders,
+    cancelEventReminders,
+    scheduleUpcomingReminders
+};
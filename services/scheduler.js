@@ -0,0 +1,114 @@
+const os = require('os');
+const { getRepositories } = require('../repositories');
+
+// ==================== JOB SCHEDULER ====================
+// Persistent background jobs kept by the jobs repository (ScheduledJob in
+// MySQL), so they survive restarts. Every instance polls for due jobs; a job
+// is claimed and leased for JOB_LEASE_SECONDS, so only one instance runs it.
+// A job whose runner crashed is picked up again once its lease expires,
+// unless that was its last attempt. Failed jobs are retried with exponential
+// backoff until max_attempts is reached.
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_MS) || 30000;
+const LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 300;
+const BATCH_SIZE = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 20;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 60;
+
+const workerID = `${os.hostname()}:${process.pid}`;
+
+// type -> async handler(payload, job)
+const handlers = {};
+
+const registerHandler = (type, handler) => {
+    handlers[type] = handler;
+};
+
+// Schedule a job. With options.key an existing job with the same key is
+// rescheduled instead (and reset to pending unless it is running right now).
+// Resolves to the job's key or ID.
+const schedule = (type, payload, runAt, options = {}) => {
+    const { key = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = options;
+    return getRepositories().jobs.schedule({ key, type, payload: JSON.stringify(payload), runAt, maxAttempts });
+};
+
+// Cancel pending jobs by key; resolves to how many were cancelled
+const cancel = async (keys) => {
+    if (keys.length === 0) {
+        return 0;
+    }
+    return getRepositories().jobs.cancel(keys);
+};
+
+// Claim up to BATCH_SIZE due jobs for this worker. A job whose lease expired
+// counts as a failed attempt: it is retried while it has attempts left, and
+// marked failed after the last one (its handler may be what crashed the process).
+const claimDueJobs = () => getRepositories().jobs.claimDue({ workerID, leaseSeconds: LEASE_SECONDS, limit: BATCH_SIZE });
+
+const runJob = async (job) => {
+    const { jobs } = getRepositories();
+    try {
+        const handler = handlers[job.type];
+        if (!handler) {
+            throw new Error(`No handler for job type "${job.type}"`);
+        }
+        await handler(JSON.parse(job.payload || 'null'), job);
+        await jobs.complete(job.jobID, workerID);
+    } catch (error) {
+        const retry = job.attempts < job.max_attempts;
+        await jobs.fail(job.jobID, workerID, {
+            error: error.message.slice(0, 255),
+            retryInSeconds: retry ? RETRY_BASE_SECONDS * 2 ** (job.attempts - 1) : null
+        });
+        console.error(`Job ${job.jobID} (${job.type}) failed on attempt ${job.attempts}:`, error.message);
+    }
+};
+
+// Run everything that is due; resolves to the number of jobs run
+const runDueJobs = async () => {
+    const jobs = await claimDueJobs();
+    for (const job of jobs) {
+        await runJob(job);
+    }
+    return jobs.length;
+};
+
+let timer;
+let polling = false;
+
+// Start polling for due jobs in this process
+const start = () => {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(async () => {
+        // Skip a tick rather than overlap a slow batch
+        if (polling) {
+            return;
+        }
+        polling = true;
+        try {
+            await runDueJobs();
+        } catch (error) {
+            console.error('Scheduler poll failed:', error.message);
+        } finally {
+            polling = false;
+        }
+    }, POLL_INTERVAL_MS);
+    timer.unref();
+    console.log(`⏰ Job scheduler polling every ${POLL_INTERVAL_MS / 1000}s`);
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = undefined;
+};
+
+module.exports = {
+    registerHandler,
+    schedule,
+    cancel,
+    runDueJobs,
+    start,
+    stop
+};
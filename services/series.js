@@ -0,0 +1,239 @@
+const { getRepositories } = require('../repositories');
+const { RecurrenceError, parseRule, expandOccurrences, toDateString } = require('./recurrence');
+const { applyVenue } = require('./venues');
+
+// ==================== EVENT SERIES ====================
+// A series stores the event template and recurrence rule; each occurrence is
+// an ordinary Event row pointing back at it (seriesID, occurrence_date), so
+// registration, attendance and listing work on occurrences unchanged.
+// Occurrences linked to a venue get the same capacity and double-booking
+// checks as single events (services/venues.js), each against its own slot.
+
+// Event fields an edit may change; also the template copied to every occurrence
+const EDITABLE_FIELDS = [
+    'eventName', 'eventDescription', 'disabled_friendly', 'location',
+    'additional_information', 'max_participants', 'max_volunteers',
+    'wheelchair_accessible', 'hearing_loop', 'seating_available', 'accessible_toilet', 'walking_distance_m', 'venueID'
+];
+
+const EDIT_SCOPES = ['this', 'following', 'all'];
+
+const parseRuleFromSeries = (series) => ({
+    frequency: series.frequency,
+    interval: series.interval_count,
+    byWeekday: series.by_weekday ? series.by_weekday.split(',') : undefined,
+    until: series.until_date ? toDateString(new Date(series.until_date)) : undefined,
+    count: series.occurrence_count || undefined,
+    exceptions: series.exception_dates ? JSON.parse(series.exception_dates) : []
+});
+
+// Shape a series row for API responses
+const formatSeries = (series) => {
+    const { frequency, interval_count, by_weekday, until_date, occurrence_count, exception_dates, ...rest } = series;
+    return {
+        ...rest,
+        recurrence: parseRuleFromSeries(series)
+    };
+};
+
+// Create a series and all of its occurrences, published unless status is
+// 'draft'. Resolves to { seriesID, eventIDs, venueClashes }.
+const createSeries = async ({ template, start_time, end_time, recurrence, status = 'published', createdBy }) => {
+    const rule = parseRule(recurrence);
+    const firstStart = new Date(start_time);
+    const firstEnd = new Date(end_time);
+    
+    if (isNaN(firstStart) || isNaN(firstEnd)) {
+        throw new RecurrenceError('start_time and end_time must be valid date-times');
+    }
+    
+    const occurrences = expandOccurrences(rule, firstStart, firstEnd);
+    // Details left out come from the venue, which must be free for every occurrence
+    const { fields: completed } = await applyVenue(Object.fromEntries(EDITABLE_FIELDS.map(field => [field, template[field]])));
+    const templateFields = Object.fromEntries(EDITABLE_FIELDS.map(field => [field, completed[field] ?? null]));
+    const venueClashes = [];
+    for (const occurrence of occurrences) {
+        const checked = await applyVenue({ ...templateFields, start_time: occurrence.start, end_time: occurrence.end });
+        venueClashes.push(...checked.venueClashes);
+    }
+    
+    const created = await getRepositories().series.create(
+        {
+            ...templateFields,
+            created_by: createdBy,
+            first_start_time: firstStart,
+            duration_minutes: Math.round((firstEnd - firstStart) / 60000),
+            frequency: rule.frequency,
+            interval_count: rule.interval,
+            by_weekday: rule.byWeekday ? rule.byWeekday.join(',') : null,
+            until_date: rule.until || null,
+            occurrence_count: rule.count || null,
+            exception_dates: JSON.stringify(rule.exceptions)
+        },
+        occurrences.map(occurrence => ({
+            ...templateFields,
+            created_by: createdBy,
+            status,
+            start_time: occurrence.start,
+            end_time: occurrence.end,
+            occurrence_date: occurrence.date
+        }))
+    );
+    return { ...created, venueClashes };
+};
+
+// Series with its occurrences, or undefined
+const getSeries = async (seriesID) => {
+    const { series } = getRepositories();
+    const row = await series.findById(seriesID);
+    if (!row) {
+        return undefined;
+    }
+    
+    const occurrences = await series.listOccurrences(seriesID);
+    return { ...formatSeries(row), occurrences };
+};
+
+const getAllSeries = async () => {
+    const series = await getRepositories().series.findAll();
+    return series.map(formatSeries);
+};
+
+// Lock the occurrence and pick the events a scoped edit or delete applies to
+const selectScope = async (tx, eventID, scope) => {
+    if (!EDIT_SCOPES.includes(scope)) {
+        throw new RecurrenceError(`scope must be one of ${EDIT_SCOPES.join(', ')}`);
+    }
+    
+    const event = await tx.lockEvent(eventID);
+    if (!event) {
+        throw new RecurrenceError('Event not found', 404);
+    }
+    if (!event.seriesID) {
+        throw new RecurrenceError('Event is not part of a series');
+    }
+    
+    let targets;
+    if (scope === 'this') {
+        targets = [event];
+    } else {
+        targets = await tx.lockOccurrences(event.seriesID, scope === 'following' ? { from: event.start_time } : {});
+    }
+    
+    return { event, targets };
+};
+
+// Apply changes to this occurrence, this and following, or the whole series.
+// A new start_time/end_time keeps each occurrence on its own date but moves it
+// to the new time of day and duration. Cancelled and completed occurrences are
+// left as they were. Each changed occurrence must still fit its venue, checked
+// against its own slot. Resolves to { eventIDs, venueClashes }.
+const updateOccurrences = (eventID, scope, changes) => getRepositories().series.transaction(async (tx) => {
+    const { event, targets: scoped } = await selectScope(tx, eventID, scope);
+    const targets = scoped.filter(target => !['cancelled', 'completed'].includes(target.status));
+    
+    const fields = Object.fromEntries(EDITABLE_FIELDS
+        .filter(field => changes[field] !== undefined)
+        .map(field => [field, changes[field]]));
+    
+    let newStart;
+    let duration;
+    if (changes.start_time !== undefined || changes.end_time !== undefined) {
+        if (changes.start_time === undefined || changes.end_time === undefined) {
+            throw new RecurrenceError('start_time and end_time must be changed together');
+        }
+        newStart = new Date(changes.start_time);
+        duration = new Date(changes.end_time) - newStart;
+        if (isNaN(newStart) || !(duration > 0)) {
+            throw new RecurrenceError('end_time must be after start_time');
+        }
+    }
+    
+    const venueClashes = [];
+    for (const target of targets) {
+        const targetFields = { ...fields };
+        
+        if (newStart) {
+            let start = newStart;
+            if (scope !== 'this') {
+                const date = new Date(target.start_time);
+                start = new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+                    newStart.getHours(), newStart.getMinutes(), newStart.getSeconds());
+            }
+            targetFields.start_time = start;
+            targetFields.end_time = new Date(start.getTime() + duration);
+        }
+        
+        if (Object.keys(targetFields).length > 0) {
+            // The occurrence's own booking is not a clash with itself
+            const checked = await applyVenue({ ...(await tx.findEvent(target.eventID)), ...targetFields }, { eventID: target.eventID });
+            venueClashes.push(...checked.venueClashes);
+            await tx.updateEvent(target.eventID, Object.fromEntries(
+                Object.keys(targetFields).map(field => [field, checked.fields[field]])
+            ));
+        }
+    }
+    
+    // Whole-series edits also become the template for the series
+    if (scope === 'all') {
+        const seriesFields = { ...fields };
+        if (newStart) {
+            seriesFields.duration_minutes = Math.round(duration / 60000);
+        }
+        if (Object.keys(seriesFields).length > 0) {
+            await tx.updateSeries(event.seriesID, seriesFields);
+        }
+    }
+    
+    return { eventIDs: targets.map(target => target.eventID), venueClashes };
+});
+
+// Delete this occurrence, this and following, or the whole series. Like a
+// single event, every occurrence in scope must be a draft nobody has signed up
+// for. Resolves to the deleted eventIDs.
+const deleteOccurrences = (eventID, scope) => getRepositories().series.transaction(async (tx) => {
+    const { event, targets } = await selectScope(tx, eventID, scope);
+    const eventIDs = targets.map(target => target.eventID);
+    
+    const published = targets.find(target => target.status !== 'draft');
+    if (published) {
+        throw new RecurrenceError(
+            `Occurrence ${published.eventID} is ${published.status} and cannot be deleted; cancel it with POST /events/${published.eventID}/cancel instead`,
+            409, { eventID: published.eventID, eventStatus: published.status }
+        );
+    }
+    if (await tx.countRegistrations(eventIDs) > 0) {
+        throw new RecurrenceError('Occurrences with registrations cannot be deleted; cancel them instead', 409);
+    }
+    
+    const series = await tx.lockSeries(event.seriesID);
+    
+    if (scope === 'this') {
+        // Record the skipped date so the rule still describes the series
+        const exceptions = JSON.parse(series.exception_dates || '[]');
+        exceptions.push(toDateString(new Date(event.occurrence_date || event.start_time)));
+        await tx.updateSeries(event.seriesID, { exception_dates: JSON.stringify([...new Set(exceptions)].sort()) });
+    } else if (scope === 'following') {
+        // End the series the day before this occurrence
+        const until = toDateString(new Date(new Date(event.start_time).getTime() - 24 * 60 * 60 * 1000));
+        await tx.updateSeries(event.seriesID, { until_date: until, occurrence_count: null });
+    }
+    
+    await tx.deleteEvents(eventIDs);
+    
+    if (scope === 'all') {
+        await tx.deleteSeries(event.seriesID);
+    }
+    
+    return eventIDs;
+});
+
+module.exports = {
+    RecurrenceError,
+    EDIT_SCOPES,
+    createSeries,
+    getSeries,
+    getAllSeries,
+    updateOccurrences,
+    deleteOccurrences
+};
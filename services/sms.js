@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==================== SMS PROVIDERS ====================
+// Every provider exposes the same shape: { name, send(to, message) }.
+// Pick one with SMS_PROVIDER (console | file | http); console is the default
+// so local development never needs an SMS gateway.
+
+// Prints messages to stdout - handy for local development
+const createConsoleProvider = () => ({
+    name: 'console',
+    async send(to, message) {
+        console.log(`📱 SMS to ${to}: ${message}`);
+        return { delivered: true };
+    }
+});
+
+// Appends messages as JSON lines to a file so tests and scripts can read them back
+const createFileProvider = (filePath = process.env.SMS_LOG_FILE || 'sms-outbox.log') => ({
+    name: 'file',
+    filePath: path.resolve(filePath),
+    async send(to, message) {
+        const line = JSON.stringify({ to, message, sent_at: new Date().toISOString() });
+        await fs.promises.appendFile(this.filePath, line + '\n');
+        return { delivered: true };
+    }
+});
+
+// Posts messages to an HTTP SMS gateway as JSON
+const createHttpProvider = ({
+    url = process.env.SMS_HTTP_URL,
+    token = process.env.SMS_HTTP_TOKEN,
+    sender = process.env.SMS_SENDER || 'LUMEN',
+    timeoutMs = parseInt(process.env.SMS_HTTP_TIMEOUT_MS) || 10000
+} = {}) => {
+    if (!url) {
+        throw new Error('SMS_HTTP_URL must be set to use the http SMS provider');
+    }
+
+    return {
+        name: 'http',
+        async send(to, message) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) {
+                headers.Authorization = `Bearer ${token}`;
+            }
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ to, from: sender, message }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`SMS gateway responded with ${response.status}`);
+            }
+            return { delivered: true };
+        }
+    };
+};
+
+const providers = {
+    console: createConsoleProvider,
+    file: createFileProvider,
+    http: createHttpProvider
+};
+
+const createSmsProvider = (name = process.env.SMS_PROVIDER || 'console', options) => {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown SMS provider "${name}"`);
+    }
+    return factory(options);
+};
+
+// Lazily created shared provider; tests can swap it with setSmsProvider()
+let smsProvider;
+
+const getSmsProvider = () => {
+    if (!smsProvider) {
+        smsProvider = createSmsProvider();
+    }
+    return smsProvider;
+};
+
+const setSmsProvider = (provider) => {
+    smsProvider = provider;
+};
+
+module.exports = {
+    createSmsProvider,
+    getSmsProvider,
+    setSmsProvider
+};
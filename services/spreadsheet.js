@@ -0,0 +1,330 @@
+const { createZip, openZip } = require('./zip');
+
+// ==================== SPREADSHEETS ====================
+// Reads uploaded CSV and XLSX sheets into rows of cell values, and writes
+// rows back out for downloads. Only what sign-up sheets and rosters need:
+// text, numbers and booleans. Reading takes the first worksheet, with
+// formulas as their last calculated value; writing bolds the header row.
+
+// Error for a file that cannot be read as a spreadsheet
+class SpreadsheetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SpreadsheetError';
+    }
+}
+
+// ==================== CSV ====================
+
+// RFC 4180: comma separated, fields in double quotes may hold commas, line
+// breaks and "" for a quote. Resolves to an array of rows of strings.
+const parseCsv = (text) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[index + 1] === '\n') {
+                index++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new SpreadsheetError('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Cells that start like a formula are prefixed with ' so spreadsheet programs
+// show them as text instead of running them; phone numbers (+65...) are left alone
+const FORMULA_START = /^(=|@|\t|\r|[+-](?![\d\s]))/;
+
+const csvField = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of cells to CSV text, with a byte order mark so Excel reads it as UTF-8
+const toCsv = (rows) => `\uFEFF${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+
+// ==================== XLSX ====================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    }
+    return XML_ENTITIES[name] ?? entity;
+});
+
+const attribute = (attributes, name) => {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+    return match ? decodeXml(match[1]) : undefined;
+};
+
+// All the text runs (<t>) inside a piece of XML, joined
+const textOf = (xml) => [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+
+// Column index of a cell reference: A1 -> 0, AB12 -> 27
+const columnIndex = (reference) => {
+    const letters = /^[A-Z]+/.exec(reference)[0];
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Path of the first worksheet, from the workbook and its relationships
+const firstSheetPath = (files) => {
+    const workbook = files['xl/workbook.xml']?.toString('utf8') || '';
+    const relations = files['xl/_rels/workbook.xml.rels']?.toString('utf8') || '';
+    const sheet = /<sheet\b([^>]*)\/?>/.exec(workbook);
+    const relationID = sheet && attribute(sheet[1], 'r:id');
+
+    for (const [, attributes] of relations.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+        if (relationID && attribute(attributes, 'Id') === relationID) {
+            const target = attribute(attributes, 'Target');
+            return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+};
+
+const cellValue = (attributes, content, sharedStrings) => {
+    const type = attribute(attributes, 't');
+    if (type === 'inlineStr') {
+        return textOf(content);
+    }
+    const raw = /<v>([\s\S]*?)<\/v>/.exec(content);
+    if (!raw) {
+        return '';
+    }
+    const value = decodeXml(raw[1]);
+    if (type === 's') {
+        return sharedStrings[Number(value)] ?? '';
+    }
+    if (type === 'b') {
+        return value === '1';
+    }
+    if (type === 'str' || type === 'e') {
+        return value;
+    }
+    return Number(value);
+};
+
+// Cell references are trusted to lay out the rows, so they are capped before
+// padding: r="XFD1048576" would otherwise allocate a billion empty cells
+const MAX_SHEET_ROWS = 10000;
+const MAX_SHEET_COLUMNS = 200;
+
+// Rows of the first worksheet; cells hold strings, numbers (dates stay as
+// Excel serial numbers) or booleans, with '' for empty cells
+const readXlsx = (buffer) => {
+    // Only the workbook, its relationships, the shared strings and the first
+    // sheet are unpacked; images and other parts are never inflated
+    const files = {};
+    let sheet;
+    try {
+        const zip = openZip(buffer);
+        for (const name of ['xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/sharedStrings.xml']) {
+            files[name] = zip.read(name);
+        }
+        const sheetPath = firstSheetPath(files);
+        sheet = zip.read(sheetPath);
+    } catch (error) {
+        throw new SpreadsheetError(/too large/.test(error.message) ? 'Workbook is too large' : 'File is not a valid XLSX workbook');
+    }
+
+    if (!sheet) {
+        throw new SpreadsheetError('Workbook has no worksheet');
+    }
+    const sharedStrings = [...(files['xl/sharedStrings.xml']?.toString('utf8') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(match => textOf(match[1]));
+
+    const rows = [];
+    for (const [, rowAttributes, rowContent = ''] of sheet.toString('utf8').matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const row = [];
+        for (const [, attributes, content = ''] of rowContent.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const reference = attribute(attributes, 'r');
+            const index = reference ? columnIndex(reference) : row.length;
+            if (index >= MAX_SHEET_COLUMNS) {
+                throw new SpreadsheetError(`Sheet has more than ${MAX_SHEET_COLUMNS} columns`);
+            }
+            while (row.length < index) {
+                row.push('');
+            }
+            row[index] = cellValue(attributes, content, sharedStrings);
+        }
+        // Rows are numbered from 1 and may skip empty ones
+        const number = Number(attribute(rowAttributes, 'r')) || rows.length + 1;
+        if (number > MAX_SHEET_ROWS) {
+            throw new SpreadsheetError(`Sheet has more than ${MAX_SHEET_ROWS} rows`);
+        }
+        while (rows.length < number - 1) {
+            rows.push([]);
+        }
+        rows.push(row);
+    }
+    return rows;
+};
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and line breaks are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+const cellXml = (value, reference, style) => {
+    const styleAttribute = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${reference}"${styleAttribute} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const sheetXml = (rows) => {
+    const rowXml = rows.map((row, rowIndex) => {
+        const cells = row
+            .map((value, column) => (value === undefined || value === null || value === ''
+                ? ''
+                : cellXml(value, `${columnName(column)}${rowIndex + 1}`, rowIndex === 0 ? 1 : 0)))
+            .join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    });
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${rowXml.join('')}</sheetData></worksheet>`;
+};
+
+// Two cell styles: 0 plain, 1 bold (the header row)
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>';
+
+// Sheet names may not hold []:*?/\ or be longer than 31 characters
+const sheetName = (name) => String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet';
+
+// sheets: [{ name, rows }], the first row of each being its header; returns the workbook as a Buffer
+const createXlsx = (sheets) => {
+    const sheetFiles = sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheetXml(sheet.rows) }));
+    const overrides = sheetFiles.map(file =>
+        `<Override PartName="/${file.name}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`);
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                `${overrides.join('')}</Types>`
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                sheets.map((sheet, index) =>
+                    `<sheet name="${escapeXml(sheetName(sheet.name))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheetFiles.map((file, index) =>
+                    `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        { name: 'xl/styles.xml', content: STYLES_XML },
+        ...sheetFiles
+    ]);
+};
+
+// Convert an Excel serial day number (1900 date system) to YYYY-MM-DD
+const fromExcelDate = (serial) => new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+// Rows of an uploaded file, picking the parser from the file name
+const readSheet = (buffer, filename) => {
+    if (/\.xlsx$/i.test(filename)) {
+        return readXlsx(buffer);
+    }
+    if (/\.csv$/i.test(filename)) {
+        return parseCsv(buffer.toString('utf8'));
+    }
+    throw new SpreadsheetError('Upload a .csv or .xlsx file');
+};
+
+module.exports = {
+    SpreadsheetError,
+    createXlsx,
+    fromExcelDate,
+    parseCsv,
+    readSheet,
+    readXlsx,
+    toCsv
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getRepositories } = require('../repositories');
+
+// ==================== TOKENS & SESSIONS ====================
+// Every login opens an AuthSession. The session ID (sid) is embedded in the
+// short-lived access token and owns a chain of single-use refresh tokens.
+// Revoking the session kills both the refresh chain and any access token
+// that is still within its lifetime.
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_secret_key_change_in_production';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Error carrying the HTTP status the route should respond with
+class TokenError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'TokenError';
+        this.status = status;
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Store a new refresh token for a session and return its plaintext value.
+// The token never outlives the session it belongs to.
+const createRefreshToken = async (sessionID, sessionExpiresAt) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Math.min(
+        Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+        new Date(sessionExpiresAt).getTime()
+    ));
+    await getRepositories().sessions.addRefreshToken(hashToken(refreshToken), sessionID, expiresAt);
+    return refreshToken;
+};
+
+// Same payload for every login path
+const signAccessToken = (user, sessionID) => jwt.sign(
+    {
+        userID: user.userID,
+        fullName: user.fullName,
+        role: user.role,
+        sid: sessionID
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Open a session for a freshly authenticated user and issue its first token pair
+const issueTokens = async (user, req) => {
+    const sessionID = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await getRepositories().sessions.create({
+        sessionID,
+        userID: user.userID,
+        expiresAt,
+        userAgent: (req.get('user-agent') || '').slice(0, 255),
+        ipAddress: req.ip
+    });
+    const refreshToken = await createRefreshToken(sessionID, expiresAt);
+    return {
+        token: signAccessToken(user, sessionID),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+};
+
+// Exchange a refresh token for a new pair. Each refresh token works once;
+// presenting a used one means it leaked, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken) => {
+    const { sessions } = getRepositories();
+    const record = await sessions.findRefreshToken(hashToken(refreshToken));
+
+    if (!record) {
+        throw new TokenError('Invalid refresh token');
+    }
+
+    if (record.revoked_at) {
+        throw new TokenError('Session has been revoked');
+    }
+
+    if (record.used_at) {
+        await sessions.revoke(record.sessionID);
+        throw new TokenError('Refresh token has already been used. Please log in again.');
+    }
+
+    if (new Date(record.expires_at).getTime() <= Date.now()) {
+        throw new TokenError('Refresh token has expired. Please log in again.');
+    }
+
+    // Rotation keeps a session alive only until it expires, not forever
+    if (new Date(record.session_expires_at).getTime() <= Date.now()) {
+        throw new TokenError('Session has expired. Please log in again.');
+    }
+
+    // Guard against two concurrent refreshes with the same token
+    if (!(await sessions.markRefreshTokenUsed(record.token_hash))) {
+        throw new TokenError('Refresh token has already been used. Please log in again.');
+    }
+
+    await sessions.touch(record.sessionID);
+    const nextRefreshToken = await createRefreshToken(record.sessionID, record.session_expires_at);
+
+    return {
+        token: signAccessToken(record, record.sessionID),
+        refreshToken: nextRefreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+};
+
+// Revoke the session a refresh token belongs to; returns whether one was found
+const revokeByRefreshToken = (refreshToken) =>
+    getRepositories().sessions.revokeByRefreshToken(hashToken(refreshToken));
+
+// Revoke a single session by ID
+const revokeSession = async (sessionID) => {
+    await getRepositories().sessions.revoke(sessionID);
+};
+
+// Revoke every session a user has open; returns how many were revoked
+const revokeAllSessions = (userID) => getRepositories().sessions.revokeAllForUser(userID);
+
+// Checked by verifyToken on every authenticated request
+const isSessionActive = async (sessionID) => {
+    const session = await getRepositories().sessions.findById(sessionID);
+    return Boolean(session) && !session.revoked_at && new Date(session.expires_at).getTime() > Date.now();
+};
+
+module.exports = {
+    JWT_SECRET,
+    TokenError,
+    issueTokens,
+    rotateRefreshToken,
+    revokeByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    isSessionActive
+};
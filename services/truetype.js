@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==================== TRUETYPE FONTS ====================
+// Reads TrueType (.ttf) fonts so PDFs can print text the built-in Helvetica
+// fonts cannot (e.g. Chinese or Tamil names): the character-to-glyph map,
+// glyph widths and the metrics a PDF font descriptor needs, and subsets the
+// font to the glyphs a document uses. Glyph IDs are kept as they are (unused
+// glyphs are emptied rather than renumbered), so PDF text can refer to glyphs
+// by their ID in the original font. OpenType fonts with CFF outlines are not
+// supported.
+
+class FontError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FontError';
+    }
+}
+
+// Tables a PDF viewer needs to draw the glyphs; the rest are left out of subsets
+const SUBSET_TABLES = ['cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep'];
+
+// Composite glyph component flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+const readTables = (buffer) => {
+    const tables = {};
+    const count = buffer.readUInt16BE(4);
+    for (let index = 0; index < count; index++) {
+        const entry = 12 + index * 16;
+        const tag = buffer.toString('latin1', entry, entry + 4);
+        const offset = buffer.readUInt32BE(entry + 8);
+        const length = buffer.readUInt32BE(entry + 12);
+        if (offset + length > buffer.length) {
+            throw new FontError(`Font table ${tag.trim()} runs past the end of the file`);
+        }
+        tables[tag] = buffer.subarray(offset, offset + length);
+    }
+    return tables;
+};
+
+// Glyph lookup from the best Unicode cmap subtable: format 12 (full Unicode)
+// or format 4 (Basic Multilingual Plane). Returns codePoint -> glyph ID (0 when missing).
+const readCmap = (cmap) => {
+    const subtables = [];
+    for (let index = 0; index < cmap.readUInt16BE(2); index++) {
+        const record = 4 + index * 8;
+        const platform = cmap.readUInt16BE(record);
+        const encoding = cmap.readUInt16BE(record + 2);
+        const offset = cmap.readUInt32BE(record + 4);
+        const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+        if (unicode) {
+            subtables.push({ format: cmap.readUInt16BE(offset), offset });
+        }
+    }
+
+    const full = subtables.find(subtable => subtable.format === 12);
+    if (full) {
+        const groups = [];
+        for (let index = 0; index < cmap.readUInt32BE(full.offset + 12); index++) {
+            const group = full.offset + 16 + index * 12;
+            groups.push([cmap.readUInt32BE(group), cmap.readUInt32BE(group + 4), cmap.readUInt32BE(group + 8)]);
+        }
+        // Groups are sorted by code point
+        return (codePoint) => {
+            let low = 0;
+            let high = groups.length - 1;
+            while (low <= high) {
+                const middle = (low + high) >> 1;
+                const [start, end, glyph] = groups[middle];
+                if (codePoint < start) {
+                    high = middle - 1;
+                } else if (codePoint > end) {
+                    low = middle + 1;
+                } else {
+                    return glyph + codePoint - start;
+                }
+            }
+            return 0;
+        };
+    }
+
+    const basic = subtables.find(subtable => subtable.format === 4);
+    if (basic) {
+        const segments = cmap.readUInt16BE(basic.offset + 6) / 2;
+        const ends = basic.offset + 14;
+        const starts = ends + segments * 2 + 2;
+        const deltas = starts + segments * 2;
+        const rangeOffsets = deltas + segments * 2;
+        return (codePoint) => {
+            for (let index = 0; index < segments && codePoint <= 0xffff; index++) {
+                if (codePoint > cmap.readUInt16BE(ends + index * 2)) {
+                    continue;
+                }
+                const start = cmap.readUInt16BE(starts + index * 2);
+                if (codePoint < start) {
+                    return 0;
+                }
+                const delta = cmap.readInt16BE(deltas + index * 2);
+                const rangeOffset = cmap.readUInt16BE(rangeOffsets + index * 2);
+                if (rangeOffset === 0) {
+                    return (codePoint + delta) & 0xffff;
+                }
+                const glyph = cmap.readUInt16BE(rangeOffsets + index * 2 + rangeOffset + (codePoint - start) * 2);
+                return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+            }
+            return 0;
+        };
+    }
+
+    throw new FontError('Font has no Unicode character map');
+};
+
+// Table checksum: the sum of its big-endian 32-bit words
+const checksum = (buffer) => {
+    const padded = Buffer.concat([buffer, Buffer.alloc((4 - (buffer.length % 4)) % 4)]);
+    let sum = 0;
+    for (let offset = 0; offset < padded.length; offset += 4) {
+        sum = (sum + padded.readUInt32BE(offset)) >>> 0;
+    }
+    return sum;
+};
+
+// Font file from { tag: Buffer } tables
+const writeFont = (tables) => {
+    const tags = Object.keys(tables).sort();
+    const header = Buffer.alloc(12 + tags.length * 16);
+    const searchRange = 2 ** Math.floor(Math.log2(tags.length)) * 16;
+    header.writeUInt32BE(0x00010000, 0);
+    header.writeUInt16BE(tags.length, 4);
+    header.writeUInt16BE(searchRange, 6);
+    header.writeUInt16BE(Math.floor(Math.log2(tags.length)), 8);
+    header.writeUInt16BE(tags.length * 16 - searchRange, 10);
+
+    const parts = [header];
+    let offset = header.length;
+    tags.forEach((tag, index) => {
+        const table = tables[tag];
+        const entry = 12 + index * 16;
+        header.write(tag, entry, 'latin1');
+        header.writeUInt32BE(checksum(table), entry + 4);
+        header.writeUInt32BE(offset, entry + 8);
+        header.writeUInt32BE(table.length, entry + 12);
+        const padding = Buffer.alloc((4 - (table.length % 4)) % 4);
+        parts.push(table, padding);
+        offset += table.length + padding.length;
+    });
+
+    const font = Buffer.concat(parts);
+    const head = header.readUInt32BE(12 + tags.indexOf('head') * 16 + 8);
+    font.writeUInt32BE((0xb1b0afba - checksum(font)) >>> 0, head + 8);
+    return font;
+};
+
+// Parses a TrueType font. Returns { name, unitsPerEm, ascent, descent, bbox,
+// glyphFor(codePoint), advance(glyph), subset(glyphs) }; metrics are in 1/1000 of the font size.
+const readTrueType = (buffer, name = 'Font') => {
+    let tables;
+    try {
+        tables = readTables(buffer);
+    } catch (error) {
+        throw error instanceof FontError ? error : new FontError('Font file is damaged');
+    }
+    for (const tag of ['cmap', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp']) {
+        if (!tables[tag]) {
+            throw new FontError(tables['CFF '] ? 'Fonts with CFF outlines are not supported; use a TrueType font' : `Font has no ${tag.trim()} table`);
+        }
+    }
+
+    const { head, hhea, hmtx, loca, glyf, maxp } = tables;
+    const unitsPerEm = head.readUInt16BE(18);
+    const scale = (value) => Math.round((value * 1000) / unitsPerEm);
+    const longOffsets = head.readInt16BE(50) === 1;
+    const glyphCount = maxp.readUInt16BE(4);
+    const metricCount = hhea.readUInt16BE(34);
+    const lookup = readCmap(tables.cmap);
+
+    const glyphRange = (glyph) => longOffsets
+        ? [loca.readUInt32BE(glyph * 4), loca.readUInt32BE(glyph * 4 + 4)]
+        : [loca.readUInt16BE(glyph * 2) * 2, loca.readUInt16BE(glyph * 2 + 2) * 2];
+
+    // Glyphs a composite glyph is built from
+    const components = (glyph) => {
+        const [start, end] = glyphRange(glyph);
+        if (end <= start || glyf.readInt16BE(start) >= 0) {
+            return [];
+        }
+        const found = [];
+        let offset = start + 10;
+        let flags;
+        do {
+            flags = glyf.readUInt16BE(offset);
+            found.push(glyf.readUInt16BE(offset + 2));
+            offset += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+            if (flags & WE_HAVE_A_SCALE) {
+                offset += 2;
+            } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+                offset += 4;
+            } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+                offset += 8;
+            }
+        } while (flags & MORE_COMPONENTS);
+        return found;
+    };
+
+    const glyphFor = (codePoint) => {
+        const glyph = lookup(codePoint);
+        return glyph < glyphCount ? glyph : 0;
+    };
+
+    const advance = (glyph) => scale(hmtx.readUInt16BE(Math.min(glyph, metricCount - 1) * 4));
+
+    // Font file keeping only the given glyphs (and .notdef, and the parts of composite glyphs)
+    const subset = (glyphs) => {
+        const keep = new Set([0]);
+        const pending = [...glyphs];
+        while (pending.length > 0) {
+            const glyph = pending.pop();
+            if (!keep.has(glyph)) {
+                keep.add(glyph);
+                pending.push(...components(glyph));
+            }
+        }
+
+        const outlines = [];
+        const offsets = Buffer.alloc((glyphCount + 1) * 4);
+        let length = 0;
+        for (let glyph = 0; glyph < glyphCount; glyph++) {
+            offsets.writeUInt32BE(length, glyph * 4);
+            if (keep.has(glyph)) {
+                const [start, end] = glyphRange(glyph);
+                const outline = glyf.subarray(start, Math.max(start, end));
+                const padding = Buffer.alloc(outline.length % 4 ? 4 - (outline.length % 4) : 0);
+                outlines.push(outline, padding);
+                length += outline.length + padding.length;
+            }
+        }
+        offsets.writeUInt32BE(length, glyphCount * 4);
+
+        // Long loca offsets, and the checksum adjustment recalculated by writeFont
+        const newHead = Buffer.from(head);
+        newHead.writeUInt32BE(0, 8);
+        newHead.writeInt16BE(1, 50);
+
+        const subsetTables = { head: newHead, loca: offsets, glyf: Buffer.concat(outlines) };
+        for (const tag of SUBSET_TABLES) {
+            if (tables[tag] && !subsetTables[tag]) {
+                subsetTables[tag] = tables[tag];
+            }
+        }
+        return writeFont(subsetTables);
+    };
+
+    return {
+        name: name.replace(/[^A-Za-z0-9-]/g, '') || 'Font',
+        unitsPerEm,
+        ascent: scale(hhea.readInt16BE(4)),
+        descent: scale(hhea.readInt16BE(6)),
+        bbox: [36, 38, 40, 42].map(offset => scale(head.readInt16BE(offset))),
+        glyphFor,
+        advance,
+        subset
+    };
+};
+
+// Fonts read from disk, by path
+const loaded = new Map();
+
+// Reads (once) and parses the TrueType font at a path
+const loadTrueType = (file) => {
+    if (!loaded.has(file)) {
+        let buffer;
+        try {
+            buffer = fs.readFileSync(file);
+        } catch (error) {
+            throw new FontError(`Cannot read font ${file}: ${error.message}`);
+        }
+        loaded.set(file, readTrueType(buffer, path.basename(file, path.extname(file))));
+    }
+    return loaded.get(file);
+};
+
+module.exports = {
+    FontError,
+    readTrueType,
+    loadTrueType
+};
@@ -0,0 +1,122 @@
+const { getRepositories } = require('../repositories');
+const { parseEventQuery } = require('./events');
+
+// ==================== VENUES ====================
+// Bookable rooms with an address, capacity and the same accessibility
+// attributes as events. An event linked to a venue (venueID):
+//   - takes the venue's accessibility attributes for any the event does not
+//     give itself, and the venue's name when it has no location
+//   - may not offer more participant places than the room holds; unlimited
+//     places are capped at the room's capacity
+//   - may not overlap another event in the same room, by the same test as
+//     participant time conflicts (services/registration.js); cancelled events
+//     free the room
+//
+// VENUE_BOOKING_POLICY decides what happens to an overlapping booking: block
+// (default) refuses it, warn saves it and lists the clashing events.
+
+// Error carrying the HTTP status the route should respond with
+class VenueError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'VenueError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const ACCESSIBILITY_COLUMNS = ['wheelchair_accessible', 'hearing_loop', 'seating_available', 'accessible_toilet', 'walking_distance_m'];
+
+const POLICIES = ['block', 'warn'];
+
+// Read on each booking; anything unrecognised falls back to block
+const bookingPolicy = () => {
+    const policy = String(process.env.VENUE_BOOKING_POLICY || 'block').toLowerCase();
+    return POLICIES.includes(policy) ? policy : 'block';
+};
+
+// 'Multi-purpose Hall, Community Centre @ Toa Payoh'
+const venueLabel = (venue) => (venue.room ? `${venue.room}, ${venue.name}` : venue.name);
+
+const getVenue = async (venueID) => {
+    const venue = await getRepositories().venues.findById(venueID);
+    if (!venue) {
+        throw new VenueError('Venue not found', 404);
+    }
+    return venue;
+};
+
+const listVenues = () => getRepositories().venues.findAll();
+
+// Resolves to the new venueID
+const createVenue = (fields) => getRepositories().venues.create(fields);
+
+const updateVenue = async (venueID, fields) => {
+    if (!(await getRepositories().venues.update(venueID, fields))) {
+        throw new VenueError('Venue not found', 404);
+    }
+};
+
+// Venues with upcoming events stay until those events move elsewhere or are cancelled
+const deleteVenue = async (venueID) => {
+    await getVenue(venueID);
+    const { rows } = await getRepositories().events.list(parseEventQuery({
+        venueID: String(venueID), when: 'upcoming', status: 'draft,published', order: 'asc'
+    }));
+    if (rows.length > 0) {
+        throw new VenueError('The venue has upcoming events; move or delete them first', 409, { eventIDs: rows.map(event => event.eventID) });
+    }
+    await getRepositories().venues.delete(venueID);
+};
+
+// Complete and check the fields of an event about to be saved (eventID when it
+// already exists). Resolves to { fields, venueClashes }; throws a VenueError
+// for an unknown venue, too many places or, under the block policy, a clash.
+const applyVenue = async (fields, { eventID } = {}) => {
+    if (fields.venueID === undefined || fields.venueID === null) {
+        return { fields, venueClashes: [] };
+    }
+    const venue = await getRepositories().venues.findById(fields.venueID);
+    if (!venue) {
+        throw new VenueError('Venue not found', 400, { field: 'venueID' });
+    }
+
+    const completed = { ...fields, location: fields.location || venueLabel(venue) };
+    for (const column of ACCESSIBILITY_COLUMNS) {
+        if (completed[column] === undefined) {
+            completed[column] = venue[column];
+        }
+    }
+    if (venue.capacity !== null) {
+        if (completed.max_participants === undefined || completed.max_participants === null) {
+            completed.max_participants = venue.capacity;
+        } else if (completed.max_participants > venue.capacity) {
+            throw new VenueError(`max_participants cannot exceed the venue's capacity of ${venue.capacity}`, 400, { field: 'max_participants' });
+        }
+    }
+
+    if (!completed.start_time || !completed.end_time) {
+        return { fields: completed, venueClashes: [] };
+    }
+    const venueClashes = await getRepositories().venues.findBookings(
+        venue.venueID,
+        { start_time: new Date(completed.start_time), end_time: new Date(completed.end_time) },
+        { exceptEventID: eventID }
+    );
+    if (venueClashes.length > 0 && bookingPolicy() === 'block') {
+        throw new VenueError(`${venueLabel(venue)} is already booked for "${venueClashes[0].eventName}" at this time`, 409, { venueClashes });
+    }
+    return { fields: completed, venueClashes };
+};
+
+module.exports = {
+    VenueError,
+    bookingPolicy,
+    venueLabel,
+    getVenue,
+    listVenues,
+    createVenue,
+    updateVenue,
+    deleteVenue,
+    applyVenue
+};
@@ -0,0 +1,208 @@
+const { getRepositories } = require('../repositories');
+const { createPdf } = require('./pdf');
+const { toDateString } = require('./recurrence');
+
+// ==================== VOLUNTEER HOURS ====================
+// Hours served at each event a volunteer was registered for, once it has
+// ended. In order of precedence:
+//   - adjusted: the latest staff adjustment, which always gives a reason
+//   - check_in: from check-in to check-out, when both were recorded
+//   - scheduled: the event's start to end time
+// Cancelled events count only when staff adjusted their hours. Periods
+// (from/to dates, both inclusive) select events by start date.
+
+// Error carrying the HTTP status the route should respond with
+class VolunteerHoursError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'VolunteerHoursError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours between two times to two decimal places, never negative
+const hoursBetween = (start, end) => Math.max(0, Math.round(((new Date(end) - new Date(start)) / HOUR_MS) * 100) / 100);
+
+const sumHours = (entries) => Math.round(entries.reduce((total, entry) => total + entry.hours, 0) * 100) / 100;
+
+// One event's hours and where they came from
+const toEntry = (service, adjustment) => {
+    const scheduledHours = hoursBetween(service.start_time, service.end_time);
+    const checkedInHours = service.checked_in_at && service.checked_out_at
+        ? hoursBetween(service.checked_in_at, service.checked_out_at)
+        : null;
+
+    let hours = scheduledHours;
+    let source = 'scheduled';
+    if (adjustment) {
+        [hours, source] = [adjustment.hours, 'adjusted'];
+    } else if (checkedInHours !== null) {
+        [hours, source] = [checkedInHours, 'check_in'];
+    }
+
+    return {
+        eventID: service.eventID,
+        eventName: service.eventName,
+        start_time: service.start_time,
+        end_time: service.end_time,
+        location: service.location,
+        status: service.status,
+        scheduledHours,
+        checkedInHours,
+        hours,
+        source,
+        adjustment: adjustment
+            ? { hours: adjustment.hours, reason: adjustment.reason, adjusted_by: adjustment.adjusted_by, created_at: adjustment.created_at }
+            : null
+    };
+};
+
+const findVolunteer = async (volunteerID) => {
+    const volunteer = await getRepositories().volunteers.findById(volunteerID);
+    if (!volunteer) {
+        throw new VolunteerHoursError('Volunteer not found', 404);
+    }
+    return volunteer;
+};
+
+// Every event the volunteer is registered for, as entries, oldest first
+const loadEntries = async (volunteerID) => {
+    const { volunteerHours } = getRepositories();
+    const latest = new Map();
+    for (const adjustment of await volunteerHours.listAdjustments(volunteerID)) {
+        latest.set(adjustment.eventID, adjustment);
+    }
+    return (await volunteerHours.listServices(volunteerID)).map(service => toEntry(service, latest.get(service.eventID)));
+};
+
+const inPeriod = (entry, { from, to }) => {
+    const day = toDateString(new Date(entry.start_time));
+    return (!from || day >= from) && (!to || day <= to);
+};
+
+// Resolves to { volunteer, from, to, totalHours, events } for events that have
+// ended within the period and were held (or had their hours adjusted)
+const getHoursSummary = async (volunteerID, { from, to } = {}) => {
+    if (from && to && to < from) {
+        throw new VolunteerHoursError('to must not be before from', 400, { field: 'to' });
+    }
+    const volunteer = await findVolunteer(volunteerID);
+    const now = Date.now();
+    const events = (await loadEntries(volunteer.userID))
+        .filter(entry => new Date(entry.end_time).getTime() <= now && inPeriod(entry, { from, to }))
+        .filter(entry => entry.status !== 'cancelled' || entry.adjustment);
+
+    return {
+        volunteer: { userID: volunteer.userID, fullName: volunteer.fullName },
+        from: from || null,
+        to: to || null,
+        totalHours: sumHours(events),
+        eventCount: events.length,
+        events
+    };
+};
+
+// The hours entry of one registration, or null when the volunteer is not registered for the event
+const getEventHours = async (volunteerID, eventID) =>
+    (await loadEntries(volunteerID)).find(entry => entry.eventID === Number(eventID)) ?? null;
+
+// Record a staff adjustment; resolves to the registration's updated entry
+const adjustHours = async (volunteerID, eventID, { hours, reason }, adjustedBy) => {
+    if (!reason.trim()) {
+        throw new VolunteerHoursError('A reason is required', 400, { field: 'reason' });
+    }
+    await findVolunteer(volunteerID);
+    if (!(await getEventHours(volunteerID, eventID))) {
+        throw new VolunteerHoursError('Volunteer is not registered for this event', 404);
+    }
+
+    await getRepositories().volunteerHours.addAdjustment({
+        volunteerID: Number(volunteerID),
+        eventID: Number(eventID),
+        hours,
+        reason: reason.trim(),
+        adjusted_by: adjustedBy
+    });
+    return getEventHours(volunteerID, eventID);
+};
+
+// ==================== CERTIFICATE ====================
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// '6 January 2020'
+const longDate = (value) => {
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    return `${date.getDate()} ${MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Events listed on the certificate before the rest are summarised
+const LISTED_EVENTS = 8;
+
+// A4 landscape certificate of service for a period; resolves to a PDF Buffer
+const createCertificate = async (volunteerID, { from, to } = {}) => {
+    const summary = await getHoursSummary(volunteerID, { from, to });
+    if (summary.events.length === 0) {
+        throw new VolunteerHoursError('No volunteer service recorded for this period', 404);
+    }
+
+    const { events } = summary;
+    const periodStart = longDate(from || events[0].start_time);
+    const periodEnd = longDate(to || events[events.length - 1].start_time);
+
+    const pdf = createPdf({ title: `Certificate of Volunteer Service: ${summary.volunteer.fullName}`, landscape: true });
+    const page = pdf.addPage();
+    const centre = pdf.width / 2;
+    const textWidth = pdf.width - 160;
+
+    page.rect(24, 24, pdf.width - 48, pdf.height - 48, { width: 2 });
+    page.rect(32, 32, pdf.width - 64, pdf.height - 64, { grey: 0.5 });
+
+    page.text(centre, 70, 'CERTIFICATE OF VOLUNTEER SERVICE', { size: 26, bold: true, align: 'center' });
+    page.text(centre, 122, 'This is to certify that', { size: 13, align: 'center', grey: 0.3 });
+    page.text(centre, 146, summary.volunteer.fullName, { size: 30, bold: true, align: 'center', maxWidth: textWidth });
+    page.line(centre - 200, 186, centre + 200, 186, { grey: 0.5 });
+    page.text(centre, 202, 'has contributed', { size: 13, align: 'center', grey: 0.3 });
+    page.text(centre, 222, `${plural(summary.totalHours, 'hour')} of volunteer service`, { size: 20, bold: true, align: 'center' });
+    page.text(centre, 252, `at ${plural(events.length, 'event')} from ${periodStart} to ${periodEnd}.`, { size: 13, align: 'center', grey: 0.3 });
+
+    // Events served, most recent last
+    let y = 292;
+    const columns = { date: 140, event: 240, hours: pdf.width - 140 };
+    page.text(columns.date, y, 'Date', { size: 10, bold: true });
+    page.text(columns.event, y, 'Event', { size: 10, bold: true });
+    page.text(columns.hours, y, 'Hours', { size: 10, bold: true, align: 'right' });
+    page.line(columns.date, y + 14, columns.hours, y + 14, { grey: 0.6 });
+    for (const entry of events.slice(0, LISTED_EVENTS)) {
+        y += 20;
+        page.text(columns.date, y, longDate(entry.start_time), { size: 10 });
+        page.text(columns.event, y, entry.eventName, { size: 10, maxWidth: columns.hours - columns.event - 50 });
+        page.text(columns.hours, y, String(entry.hours), { size: 10, align: 'right' });
+    }
+    if (events.length > LISTED_EVENTS) {
+        y += 20;
+        const rest = events.slice(LISTED_EVENTS);
+        page.text(columns.event, y, `and ${plural(rest.length, 'more event')}`, { size: 10, grey: 0.3 });
+        page.text(columns.hours, y, String(sumHours(rest)), { size: 10, align: 'right', grey: 0.3 });
+    }
+
+    const footer = pdf.height - 90;
+    page.text(80, footer, `Issued on ${longDate(new Date())}`, { size: 11 });
+    page.line(pdf.width - 300, footer + 8, pdf.width - 80, footer + 8);
+    page.text(pdf.width - 190, footer + 16, 'Authorised signatory, LUMEN', { size: 10, align: 'center', grey: 0.3 });
+
+    return pdf.toBuffer();
+};
+
+module.exports = {
+    VolunteerHoursError,
+    getHoursSummary,
+    getEventHours,
+    adjustHours,
+    createCertificate
+};
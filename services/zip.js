@@ -0,0 +1,199 @@
+const zlib = require('zlib');
+
+// ==================== ZIP ARCHIVES ====================
+// Builds small ZIP files in memory for downloads, and reads uploaded ones
+// (XLSX spreadsheets are ZIPs): stored or deflated entries, no encryption,
+// no zip64 (each entry and the archive stay under 4 GB).
+
+// Largest entry, and largest total, an upload is unpacked to, so a small
+// upload cannot inflate into gigabytes
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields, in local time as unzip tools expect
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// files: [{ name, content }] with content a string or Buffer; returns the archive as a Buffer
+const createZip = (files, modified = new Date()) => {
+    const { time, date } = dosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);              // version needed to extract
+        local.writeUInt16LE(0x0800, 6);          // names are UTF-8
+        local.writeUInt16LE(8, 8);               // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        localParts.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);            // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+// Error for an upload that is not a ZIP archive we can read
+class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+// Reads the central directory at the end of an archive. Resolves to
+// { names, read(name) }: read() unpacks one entry to a Buffer (undefined when
+// there is none), so callers only inflate the parts they need. Each entry may
+// unpack to at most maxEntrySize bytes and all reads together to maxTotalSize.
+// Entries must not share or overlap their local data, or one small deflated
+// stream could be listed thousands of times.
+const openZip = (buffer, { maxEntrySize = MAX_ENTRY_SIZE, maxTotalSize = MAX_TOTAL_SIZE } = {}) => {
+    const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (endOffset < 0 || endOffset + 22 > buffer.length) {
+        throw new ZipError('Not a ZIP archive');
+    }
+
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const entries = new Map();
+
+    for (let index = 0; index < count; index++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new ZipError('Damaged ZIP archive');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+            throw new ZipError('Damaged ZIP archive');
+        }
+        // The local header repeats the name and may carry a different extra field
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const end = start + compressedSize;
+        if (end > buffer.length || entries.has(name)) {
+            throw new ZipError('Damaged ZIP archive');
+        }
+        entries.set(name, { name, method, localOffset, start, end });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const byOffset = [...entries.values()].sort((a, b) => a.localOffset - b.localOffset);
+    for (let index = 1; index < byOffset.length; index++) {
+        if (byOffset[index].localOffset < byOffset[index - 1].end) {
+            throw new ZipError('Damaged ZIP archive');
+        }
+    }
+
+    let unpacked = 0;
+    const read = (name) => {
+        const entry = entries.get(name);
+        if (!entry) {
+            return undefined;
+        }
+        const remaining = maxTotalSize - unpacked;
+        const limit = Math.min(maxEntrySize, remaining);
+        const tooLarge = () => new ZipError(limit === remaining ? 'Archive is too large' : `${name} is too large`);
+        const data = buffer.subarray(entry.start, entry.end);
+
+        let content;
+        if (entry.method === 0) {
+            if (data.length > limit) {
+                throw tooLarge();
+            }
+            content = Buffer.from(data);
+        } else if (entry.method === 8) {
+            // The size in the header can lie, so the limit is enforced while inflating
+            try {
+                content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(limit, 1) });
+            } catch (error) {
+                throw error instanceof RangeError ? tooLarge() : new ZipError('Damaged ZIP archive');
+            }
+            if (content.length > limit) {
+                throw tooLarge();
+            }
+        } else {
+            throw new ZipError(`Unsupported compression in ${name}`);
+        }
+
+        unpacked += content.length;
+        return content;
+    };
+
+    return { names: [...entries.keys()], read };
+};
+
+// Resolves every entry of an archive to { name: Buffer }, within openZip's limits
+const readZip = (buffer, options) => {
+    const zip = openZip(buffer, options);
+    return Object.fromEntries(zip.names.map(name => [name, zip.read(name)]));
+};
+
+module.exports = {
+    MAX_ENTRY_SIZE,
+    MAX_TOTAL_SIZE,
+    ZipError,
+    crc32,
+    createZip,
+    openZip,
+    readZip
+};
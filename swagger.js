@@ -39,11 +39,11 @@ const options = {
             },
             NRIC: {
               type: 'string',
-              description: 'National Registration Identity Card'
+              description: 'NRIC/FIN, always masked in responses (e.g. S****567D)'
             },
             role: {
               type: 'string',
-              enum: ['participant', 'volunteer', 'staff'],
+              enum: ['participant', 'volunteer', 'staff', 'caregiver'],
               description: 'User role'
             },
             image_url: {
@@ -71,10 +71,15 @@ const options = {
               type: 'boolean',
               description: 'Whether the event is disabled-friendly'
             },
-            datetime: {
+            start_time: {
               type: 'string',
               format: 'date-time',
-              description: 'Event date and time'
+              description: 'Event start date and time'
+            },
+            end_time: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Event end date and time'
             },
             location: {
               type: 'string',
@@ -87,6 +92,889 @@ const options = {
             created_by: {
               type: 'integer',
               description: 'ID of staff member who created the event'
+            },
+            max_participants: {
+              type: 'integer',
+              nullable: true,
+              description: 'Participant capacity (null for unlimited)'
+            },
+            max_volunteers: {
+              type: 'integer',
+              nullable: true,
+              description: 'Volunteer capacity (null for unlimited)'
+            },
+            wheelchair_accessible: {
+              type: 'boolean',
+              nullable: true,
+              description: 'Step-free access throughout (null when unknown)'
+            },
+            hearing_loop: {
+              type: 'boolean',
+              nullable: true,
+              description: 'Hearing loop installed (null when unknown)'
+            },
+            seating_available: {
+              type: 'boolean',
+              nullable: true,
+              description: 'Seating provided throughout (null when unknown)'
+            },
+            accessible_toilet: {
+              type: 'boolean',
+              nullable: true,
+              description: 'Accessible toilet on site (null when unknown)'
+            },
+            walking_distance_m: {
+              type: 'integer',
+              nullable: true,
+              description: 'Walking distance in metres from the nearest drop-off point (null when unknown)'
+            },
+            venueID: {
+              type: 'integer',
+              nullable: true,
+              description: 'Venue the event is booked into'
+            },
+            status: {
+              type: 'string',
+              enum: ['draft', 'published', 'cancelled', 'completed'],
+              description: 'Drafts are only visible to staff; only published events take sign-ups; events are completed automatically once they end'
+            },
+            cancellation_reason: {
+              type: 'string',
+              nullable: true
+            },
+            cancelled_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            cancelled_by: {
+              type: 'integer',
+              nullable: true,
+              description: 'Staff member who cancelled the event'
+            },
+            registered_participants: {
+              type: 'integer',
+              description: 'Number of registered participants'
+            },
+            registered_volunteers: {
+              type: 'integer',
+              description: 'Number of registered volunteers'
+            },
+            seriesID: {
+              type: 'integer',
+              nullable: true,
+              description: 'Recurring series this event is an occurrence of'
+            },
+            occurrence_date: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'Date of this occurrence within its series'
+            }
+          }
+        },
+        UnmetNeed: {
+          type: 'object',
+          properties: {
+            need: {
+              type: 'string',
+              enum: ['wheelchair_access', 'hearing_loop', 'seating', 'accessible_toilet', 'max_walking_distance']
+            },
+            message: {
+              type: 'string',
+              description: 'Whether the event lacks the feature or has not confirmed it'
+            }
+          }
+        },
+        VenueInput: {
+          type: 'object',
+          required: ['name', 'address', 'postal_code'],
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 255,
+              description: 'Building or centre, e.g. Community Centre @ Toa Payoh'
+            },
+            room: {
+              type: 'string',
+              maxLength: 255,
+              nullable: true,
+              description: 'Room within the building, e.g. Multi-purpose Hall'
+            },
+            address: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 255
+            },
+            postal_code: {
+              type: 'string',
+              pattern: '^\\d{6}$',
+              description: 'Six-digit Singapore postal code'
+            },
+            capacity: {
+              type: 'integer',
+              minimum: 1,
+              nullable: true,
+              description: 'Most participants the room holds (null for no limit)'
+            },
+            wheelchair_accessible: {
+              type: 'boolean',
+              nullable: true
+            },
+            hearing_loop: {
+              type: 'boolean',
+              nullable: true
+            },
+            seating_available: {
+              type: 'boolean',
+              nullable: true
+            },
+            accessible_toilet: {
+              type: 'boolean',
+              nullable: true
+            },
+            walking_distance_m: {
+              type: 'integer',
+              minimum: 0,
+              nullable: true,
+              description: 'Walking distance in metres from the nearest drop-off point'
+            }
+          }
+        },
+        Venue: {
+          allOf: [
+            {
+              type: 'object',
+              properties: {
+                venueID: {
+                  type: 'integer'
+                },
+                created_at: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            { $ref: '#/components/schemas/VenueInput' }
+          ]
+        },
+        VenueClash: {
+          type: 'object',
+          properties: {
+            eventID: {
+              type: 'integer'
+            },
+            eventName: {
+              type: 'string'
+            },
+            start_time: {
+              type: 'string',
+              format: 'date-time'
+            },
+            end_time: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        CaregiverLink: {
+          type: 'object',
+          properties: {
+            userID: {
+              type: 'integer',
+              description: 'Participant user ID'
+            },
+            fullName: {
+              type: 'string',
+              description: 'Full name of the participant'
+            },
+            phoneNumber: {
+              type: 'string'
+            },
+            birthdate: {
+              type: 'string',
+              format: 'date'
+            },
+            relationship: {
+              type: 'string',
+              description: 'How the caregiver is related to the participant'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'active', 'revoked'],
+              description: 'Links become active once the participant consents'
+            },
+            requested_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            consented_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            revoked_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        WaitlistEntry: {
+          type: 'object',
+          properties: {
+            waitlistID: {
+              type: 'integer'
+            },
+            userID: {
+              type: 'integer'
+            },
+            fullName: {
+              type: 'string'
+            },
+            role: {
+              type: 'string',
+              enum: ['participant', 'volunteer']
+            },
+            position: {
+              type: 'integer',
+              description: '1-based place in the queue for this role'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When they joined the waitlist'
+            }
+          }
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              description: 'Number of events matching the filters'
+            },
+            limit: {
+              type: 'integer'
+            },
+            page: {
+              type: 'integer',
+              description: 'Only for page-based requests'
+            },
+            totalPages: {
+              type: 'integer',
+              description: 'Only for page-based requests'
+            },
+            hasMore: {
+              type: 'boolean'
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Pass as cursor to fetch the next page'
+            }
+          }
+        },
+        NotificationPreferences: {
+          type: 'object',
+          properties: {
+            channels: {
+              type: 'object',
+              description: 'Whether each channel is enabled',
+              properties: {
+                sms: { type: 'boolean' },
+                email: { type: 'boolean' }
+              }
+            },
+            available: {
+              type: 'object',
+              description: 'Whether the user has contact details for each channel',
+              properties: {
+                sms: { type: 'boolean' },
+                email: { type: 'boolean' }
+              }
+            }
+          }
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            notificationID: {
+              type: 'integer'
+            },
+            userID: {
+              type: 'integer'
+            },
+            fullName: {
+              type: 'string'
+            },
+            eventID: {
+              type: 'integer',
+              nullable: true
+            },
+            template: {
+              type: 'string'
+            },
+            channel: {
+              type: 'string',
+              enum: ['sms', 'email']
+            },
+            recipient: {
+              type: 'string',
+              description: 'Phone number or email address the message went to'
+            },
+            subject: {
+              type: 'string',
+              nullable: true
+            },
+            message: {
+              type: 'string'
+            },
+            status: {
+              type: 'string',
+              enum: ['sent', 'failed', 'skipped']
+            },
+            error: {
+              type: 'string',
+              nullable: true
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ErasureRequest: {
+          type: 'object',
+          properties: {
+            requestID: {
+              type: 'integer'
+            },
+            userID: {
+              type: 'integer'
+            },
+            fullName: {
+              type: 'string',
+              description: "'Deleted user' once the request has been approved"
+            },
+            role: {
+              type: 'string'
+            },
+            requested_by: {
+              type: 'integer'
+            },
+            reason: {
+              type: 'string',
+              nullable: true
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'approved', 'rejected']
+            },
+            reviewed_by: {
+              type: 'integer',
+              nullable: true
+            },
+            review_note: {
+              type: 'string',
+              nullable: true
+            },
+            requested_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            reviewed_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        PersonalDataAudit: {
+          type: 'object',
+          properties: {
+            auditID: {
+              type: 'integer'
+            },
+            userID: {
+              type: 'integer'
+            },
+            actorID: {
+              type: 'integer',
+              nullable: true,
+              description: 'Who performed the action'
+            },
+            requestID: {
+              type: 'integer',
+              nullable: true
+            },
+            action: {
+              type: 'string',
+              enum: ['exported', 'erasure_requested', 'erasure_approved', 'erasure_rejected', 'anonymised']
+            },
+            details: {
+              type: 'string',
+              nullable: true
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ImportRow: {
+          type: 'object',
+          properties: {
+            row: {
+              type: 'integer',
+              description: 'Row number in the uploaded sheet, counting the header as row 1'
+            },
+            action: {
+              type: 'string',
+              enum: ['create', 'update', 'unchanged', 'conflict', 'invalid']
+            },
+            participantID: {
+              type: 'integer',
+              description: 'The matched participant, or the new one once committed'
+            },
+            fullName: {
+              type: 'string'
+            },
+            phoneNumber: {
+              type: 'string'
+            },
+            birthdate: {
+              type: 'string',
+              format: 'date'
+            },
+            NRIC: {
+              type: 'string',
+              description: 'Masked'
+            },
+            changes: {
+              type: 'object',
+              description: 'Fields an update changes, with their new values'
+            },
+            error: {
+              type: 'string',
+              description: 'Why the row conflicts with existing records'
+            },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Why the row is invalid'
+            },
+            registration: {
+              type: 'object',
+              description: 'Outcome of the event registration once committed',
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: ['registered', 'waitlisted', 'failed']
+                },
+                position: {
+                  type: 'integer'
+                },
+                error: {
+                  type: 'string'
+                },
+                unmetNeeds: {
+                  type: 'array',
+                  description: "The participant's accessibility needs the event does not meet: a warning, or why the registration failed under the block policy",
+                  items: {
+                    $ref: '#/components/schemas/UnmetNeed'
+                  }
+                }
+              }
+            }
+          }
+        },
+        AuditEntry: {
+          type: 'object',
+          properties: {
+            auditID: {
+              type: 'integer'
+            },
+            request_id: {
+              type: 'string',
+              description: 'X-Request-ID of the request that made the change'
+            },
+            actorID: {
+              type: 'integer',
+              nullable: true,
+              description: 'Who made the change (null for sign-ups and token refreshes)'
+            },
+            actor_role: {
+              type: 'string',
+              nullable: true
+            },
+            action: {
+              type: 'string',
+              description: 'create, update or delete, or a named action such as login, check_in or approve'
+            },
+            entity: {
+              type: 'string',
+              example: 'event'
+            },
+            entityID: {
+              type: 'string',
+              nullable: true,
+              description: "Composite keys are joined with ':', e.g. participantID:eventID"
+            },
+            subjectID: {
+              type: 'integer',
+              nullable: true,
+              description: 'The person the change is about'
+            },
+            method: {
+              type: 'string'
+            },
+            path: {
+              type: 'string'
+            },
+            status_code: {
+              type: 'integer'
+            },
+            before_data: {
+              type: 'object',
+              nullable: true,
+              description: 'The entity before the change (secrets redacted, NRIC masked)'
+            },
+            after_data: {
+              type: 'object',
+              nullable: true,
+              description: 'The entity after the change'
+            },
+            request_body: {
+              type: 'object',
+              nullable: true,
+              description: 'The request body, with passwords, OTPs and tokens redacted'
+            },
+            ip_address: {
+              type: 'string',
+              nullable: true
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        VolunteerHoursEntry: {
+          type: 'object',
+          properties: {
+            eventID: {
+              type: 'integer'
+            },
+            eventName: {
+              type: 'string'
+            },
+            start_time: {
+              type: 'string',
+              format: 'date-time'
+            },
+            end_time: {
+              type: 'string',
+              format: 'date-time'
+            },
+            location: {
+              type: 'string'
+            },
+            status: {
+              type: 'string',
+              description: "The event's status; cancelled events are only listed once their hours were adjusted"
+            },
+            scheduledHours: {
+              type: 'number',
+              description: 'From the event start to end time'
+            },
+            checkedInHours: {
+              type: 'number',
+              nullable: true,
+              description: 'From check-in to check-out, when both were recorded'
+            },
+            hours: {
+              type: 'number',
+              description: 'The hours that count'
+            },
+            source: {
+              type: 'string',
+              enum: ['adjusted', 'check_in', 'scheduled']
+            },
+            adjustment: {
+              type: 'object',
+              nullable: true,
+              description: 'The latest staff adjustment',
+              properties: {
+                hours: {
+                  type: 'number'
+                },
+                reason: {
+                  type: 'string'
+                },
+                adjusted_by: {
+                  type: 'integer',
+                  nullable: true
+                },
+                created_at: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            }
+          }
+        },
+        AnalyticsSummary: {
+          type: 'object',
+          description: 'Figures for a group of events. Rates are fractions (0-1) rounded to three places, or null when nothing counts towards them',
+          properties: {
+            events: {
+              type: 'integer'
+            },
+            participantRegistrations: {
+              type: 'integer'
+            },
+            volunteerRegistrations: {
+              type: 'integer'
+            },
+            attended: {
+              type: 'integer'
+            },
+            noShows: {
+              type: 'integer',
+              description: 'Registrations for events that have ended with no check-in'
+            },
+            uniqueParticipants: {
+              type: 'integer'
+            },
+            participantFillRate: {
+              type: 'number',
+              nullable: true,
+              description: 'Participant registrations / max_participants, over events with a limit'
+            },
+            volunteerFillRate: {
+              type: 'number',
+              nullable: true,
+              description: 'Volunteer registrations / max_volunteers, over events with a limit'
+            },
+            noShowRate: {
+              type: 'number',
+              nullable: true,
+              description: 'noShows / (attended + noShows)'
+            }
+          }
+        },
+        AnalyticsComparison: {
+          allOf: [
+            { $ref: '#/components/schemas/AnalyticsSummary' },
+            {
+              type: 'object',
+              properties: {
+                averageParticipants: {
+                  type: 'number',
+                  nullable: true,
+                  description: 'Participant registrations per event'
+                }
+              }
+            }
+          ]
+        },
+        RecurrenceRule: {
+          type: 'object',
+          required: ['frequency'],
+          description: 'Needs an until date, a count, or both',
+          properties: {
+            frequency: {
+              type: 'string',
+              enum: ['daily', 'weekly', 'monthly']
+            },
+            interval: {
+              type: 'integer',
+              minimum: 1,
+              default: 1,
+              description: 'Repeat every N days, weeks or months'
+            },
+            byWeekday: {
+              type: 'array',
+              description: 'Weekly only; defaults to the weekday of the first occurrence',
+              items: {
+                type: 'string',
+                enum: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+              }
+            },
+            until: {
+              type: 'string',
+              format: 'date',
+              description: 'Last date of the series (inclusive)'
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Number of occurrences, counted before exceptions are removed'
+            },
+            exceptions: {
+              type: 'array',
+              description: 'Dates to skip',
+              items: {
+                type: 'string',
+                format: 'date'
+              }
+            }
+          }
+        },
+        EventSeries: {
+          type: 'object',
+          properties: {
+            seriesID: {
+              type: 'integer'
+            },
+            eventName: {
+              type: 'string'
+            },
+            eventDescription: {
+              type: 'string'
+            },
+            disabled_friendly: {
+              type: 'boolean'
+            },
+            location: {
+              type: 'string'
+            },
+            additional_information: {
+              type: 'string'
+            },
+            max_participants: {
+              type: 'integer'
+            },
+            max_volunteers: {
+              type: 'integer'
+            },
+            wheelchair_accessible: {
+              type: 'boolean',
+              nullable: true
+            },
+            hearing_loop: {
+              type: 'boolean',
+              nullable: true
+            },
+            seating_available: {
+              type: 'boolean',
+              nullable: true
+            },
+            accessible_toilet: {
+              type: 'boolean',
+              nullable: true
+            },
+            walking_distance_m: {
+              type: 'integer',
+              nullable: true
+            },
+            venueID: {
+              type: 'integer',
+              nullable: true
+            },
+            first_start_time: {
+              type: 'string',
+              format: 'date-time'
+            },
+            duration_minutes: {
+              type: 'integer'
+            },
+            recurrence: {
+              $ref: '#/components/schemas/RecurrenceRule'
+            },
+            occurrences: {
+              description: 'Occurrence count in listings; the occurrences themselves for a single series',
+              oneOf: [
+                { type: 'integer' },
+                {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/Event'
+                  }
+                }
+              ]
+            }
+          }
+        },
+        SeriesRegistration: {
+          type: 'object',
+          properties: {
+            eventID: {
+              type: 'integer'
+            },
+            start_time: {
+              type: 'string',
+              format: 'date-time'
+            },
+            status: {
+              type: 'string',
+              enum: ['registered', 'waitlisted', 'already_registered']
+            },
+            position: {
+              type: 'integer',
+              description: 'Place in the waitlist (only when waitlisted)'
+            },
+            unmetNeeds: {
+              type: 'array',
+              description: "Participant series sign-ups: the participant's accessibility needs a newly registered occurrence does not meet",
+              items: {
+                $ref: '#/components/schemas/UnmetNeed'
+              }
+            }
+          }
+        },
+        AttendanceRecord: {
+          type: 'object',
+          properties: {
+            userID: {
+              type: 'integer'
+            },
+            fullName: {
+              type: 'string'
+            },
+            image_url: {
+              type: 'string'
+            },
+            signed_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When they registered'
+            },
+            attendance_status: {
+              type: 'string',
+              enum: ['registered', 'attended', 'no_show'],
+              description: 'no_show applies to registrants who never checked in once the event has ended'
+            },
+            checked_in_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            checked_out_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        CheckInQr: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                token: {
+                  type: 'string',
+                  description: 'Signed check-in token to send as qrToken'
+                },
+                qrDataUrl: {
+                  type: 'string',
+                  description: 'PNG QR code of the token as a data URL'
+                }
+              }
             }
           }
         },
@@ -98,14 +986,22 @@ const options = {
             },
             token: {
               type: 'string',
-              description: 'JWT token for authentication'
+              description: 'Short-lived JWT access token'
+            },
+            refreshToken: {
+              type: 'string',
+              description: 'Single-use token for POST /api/auth/refresh'
+            },
+            expiresIn: {
+              type: 'string',
+              description: 'Access token lifetime, e.g. 15m'
             },
             data: {
               type: 'object',
               properties: {
                 userID: { type: 'integer' },
                 fullName: { type: 'string' },
-                NRIC: { type: 'string' },
+                NRIC: { type: 'string', description: 'Masked NRIC/FIN (e.g. S****567D)' },
                 role: { type: 'string' },
                 image_url: { type: 'string' }
               }
@@ -124,6 +1020,53 @@ const options = {
               description: 'Error message'
             }
           }
+        },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: false
+            },
+            error: {
+              type: 'string',
+              description: 'The first problem found',
+              example: 'end_time must be after start_time'
+            },
+            errors: {
+              type: 'array',
+              description: 'Every problem found, one per field',
+              items: {
+                type: 'object',
+                properties: {
+                  in: {
+                    type: 'string',
+                    enum: ['path', 'query', 'body']
+                  },
+                  field: {
+                    type: 'string',
+                    description: 'Nested fields use dots, list items use [index]',
+                    example: 'end_time'
+                  },
+                  message: {
+                    type: 'string'
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        ValidationError: {
+          description: 'The path, query string or body does not match this documentation',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ValidationError'
+              }
+            }
+          }
         }
       }
     }
@@ -133,4 +1076,17 @@ const options = {
 
 const specs = swaggerJsdoc(options);
 
+// Every route checks its input against these docs (middleware/validate.js), so
+// any operation that takes input can answer 400 even if its block omits it
+for (const operations of Object.values(specs.paths)) {
+  for (const operation of Object.values(operations)) {
+    if ((operation.parameters || operation.requestBody) && !operation.responses[400]) {
+      operation.responses = Object.fromEntries(
+        Object.entries({ ...operation.responses, 400: { $ref: '#/components/responses/ValidationError' } })
+          .sort(([a], [b]) => a.localeCompare(b))
+      );
+    }
+  }
+}
+
 module.exports = specs;
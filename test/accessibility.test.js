@@ -0,0 +1,240 @@
+// Accessibility attributes on events, participant needs, the GET /events
+// needs filter and the warn/block policy on registration.
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { getRepositories } = require('../repositories');
+const { unmetNeeds } = require('../services/accessibility');
+const {
+    startApp, resetData, createStaff, createParticipant, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+let staffToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+});
+
+afterEach(() => {
+    delete process.env.ACCESSIBILITY_POLICY;
+});
+
+const FULLY_ACCESSIBLE = {
+    wheelchair_accessible: true, hearing_loop: true, seating_available: true, accessible_toilet: true, walking_distance_m: 50
+};
+
+describe('unmetNeeds', () => {
+    test('tells missing features from unconfirmed ones', () => {
+        const participant = { needs_wheelchair_access: 1, needs_hearing_loop: 1, needs_seating: 0, max_walking_distance_m: 100 };
+
+        assert.deepStrictEqual(unmetNeeds(participant, { ...FULLY_ACCESSIBLE, seating_available: 0 }), []);
+        assert.deepStrictEqual(unmetNeeds(participant, { wheelchair_accessible: 0, hearing_loop: null, walking_distance_m: 300 }), [
+            { need: 'wheelchair_access', message: 'The event has no wheelchair access' },
+            { need: 'hearing_loop', message: "The event's hearing loop is not confirmed" },
+            { need: 'max_walking_distance', message: 'The event needs 300 m of walking; the participant can manage 100 m' }
+        ]);
+    });
+});
+
+describe('event attributes', () => {
+    test('are saved on create and update, unknown by default', async () => {
+        const fields = {
+            eventName: 'Karaoke', eventDescription: 'Sing along', location: 'Tampines Library',
+            start_time: '2099-01-01T10:00:00', end_time: '2099-01-01T12:00:00'
+        };
+        const created = await api.request('POST', '/events', {
+            token: staffToken,
+            body: { ...fields, wheelchair_accessible: true, walking_distance_m: 120 }
+        });
+        assert.strictEqual(created.status, 201);
+
+        const event = (await api.request('GET', `/events/${created.body.eventID}`)).body.data;
+        assert.strictEqual(event.wheelchair_accessible, 1);
+        assert.strictEqual(event.hearing_loop, null);
+        assert.strictEqual(event.walking_distance_m, 120);
+
+        const updated = await api.request('PUT', `/events/${created.body.eventID}`, {
+            token: staffToken,
+            body: { ...fields, wheelchair_accessible: true, hearing_loop: false }
+        });
+        assert.strictEqual(updated.status, 200);
+        const saved = await getRepositories().events.findById(created.body.eventID);
+        assert.strictEqual(saved.hearing_loop, 0);
+        assert.strictEqual(saved.wheelchair_accessible, 1);
+    });
+
+    test('reject a negative walking distance', async () => {
+        const res = await api.request('POST', '/events', {
+            token: staffToken,
+            body: {
+                eventName: 'Karaoke', eventDescription: 'Sing along', location: 'Tampines Library',
+                start_time: '2099-01-01T10:00:00', end_time: '2099-01-01T12:00:00', walking_distance_m: -5
+            }
+        });
+        assert.strictEqual(res.status, 400);
+    });
+});
+
+describe('participant needs', () => {
+    test('are saved on create and update', async () => {
+        const created = await api.request('POST', '/participants', {
+            token: staffToken,
+            body: { fullName: 'Tan Ah Kow', phoneNumber: '91234567', birthdate: '1948-03-02', needs_wheelchair_access: true, max_walking_distance_m: 200 }
+        });
+        assert.strictEqual(created.status, 201);
+
+        await api.request('PUT', `/participants/${created.body.userID}`, {
+            token: staffToken,
+            body: { needs_seating: true, max_walking_distance_m: null }
+        });
+
+        const participant = await getRepositories().participants.findById(created.body.userID);
+        assert.strictEqual(participant.needs_wheelchair_access, 1);
+        assert.strictEqual(participant.needs_seating, 1);
+        assert.strictEqual(participant.needs_hearing_loop, 0);
+        assert.strictEqual(participant.max_walking_distance_m, null);
+    });
+});
+
+describe('GET /events needs filter', () => {
+    test('keeps only events confirmed to meet every need', async () => {
+        const accessible = await createEvent({ ...FULLY_ACCESSIBLE, eventName: 'Accessible' });
+        await createEvent({ ...FULLY_ACCESSIBLE, eventName: 'No loop', hearing_loop: false });
+        await createEvent({ ...FULLY_ACCESSIBLE, eventName: 'Unknown seating', seating_available: null });
+        await createEvent({ ...FULLY_ACCESSIBLE, eventName: 'Far', walking_distance_m: 800 });
+
+        const res = await api.request('GET', '/events?needs=wheelchair_access,hearing_loop,seating&max_walking_distance=200');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.data.map(event => event.eventID), [accessible]);
+    });
+
+    test('rejects an unknown need', async () => {
+        const res = await api.request('GET', '/events?needs=wheelchair_access,lift');
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.field, 'needs');
+    });
+});
+
+describe('POST /participant-events', () => {
+    const signUp = (participantID, eventID) =>
+        api.request('POST', '/participant-events', { token: staffToken, body: { participantID, eventID } });
+
+    test('warns about unmet needs by default and still registers', async () => {
+        const participantID = await createParticipant({ needs_hearing_loop: true });
+        const eventID = await createEvent({ hearing_loop: false });
+
+        const res = await signUp(participantID, eventID);
+
+        assert.strictEqual(res.status, 201);
+        assert.deepStrictEqual(res.body.unmetNeeds, [{ need: 'hearing_loop', message: 'The event has no hearing loop' }]);
+        const registered = await getRepositories().registrations.listForUser('participant', participantID);
+        assert.deepStrictEqual(registered.map(event => event.eventID), [eventID]);
+    });
+
+    test('blocks the registration under the block policy', async () => {
+        process.env.ACCESSIBILITY_POLICY = 'block';
+        const participantID = await createParticipant({ max_walking_distance_m: 100 });
+        const unknown = await createEvent();
+        const nearby = await createEvent({ walking_distance_m: 80, start_time: '2099-01-02 10:00:00', end_time: '2099-01-02 12:00:00' });
+
+        const blocked = await signUp(participantID, unknown);
+        assert.strictEqual(blocked.status, 409);
+        assert.deepStrictEqual(blocked.body.unmetNeeds.map(need => need.need), ['max_walking_distance']);
+
+        const allowed = await signUp(participantID, nearby);
+        assert.strictEqual(allowed.status, 201);
+        assert.deepStrictEqual(allowed.body.unmetNeeds, []);
+    });
+});
+
+describe('other ways of signing up', () => {
+    const series = async (attributes) => (await api.request('POST', '/series', {
+        token: staffToken,
+        body: {
+            eventName: 'Morning Tai Chi', eventDescription: 'Gentle exercise', location: 'Community Hall',
+            start_time: '2099-01-01T10:00:00', end_time: '2099-01-01T12:00:00', recurrence: { frequency: 'daily', count: 2 },
+            ...attributes
+        }
+    })).body;
+
+    const signUpForSeries = (seriesID, participantID) =>
+        api.request('POST', `/series/${seriesID}/participants`, { token: staffToken, body: { participantID } });
+
+    test('a series sign-up lists the unmet needs of each occurrence', async () => {
+        const participantID = await createParticipant({ needs_seating: 1 });
+        const { seriesID, eventIDs } = await series({ seating_available: false });
+
+        const res = await signUpForSeries(seriesID, participantID);
+
+        assert.strictEqual(res.status, 201);
+        assert.deepStrictEqual(res.body.data.map(result => [result.eventID, result.unmetNeeds.map(need => need.need)]),
+            eventIDs.map(eventID => [eventID, ['seating']]));
+    });
+
+    test('a series sign-up is refused, naming the occurrence, under the block policy', async () => {
+        process.env.ACCESSIBILITY_POLICY = 'block';
+        const participantID = await createParticipant({ needs_wheelchair_access: 1 });
+        const { seriesID, eventIDs } = await series({ wheelchair_accessible: true });
+        await api.request('PUT', `/events/${eventIDs[1]}?scope=this`, { token: staffToken, body: { wheelchair_accessible: false } });
+
+        const res = await signUpForSeries(seriesID, participantID);
+
+        assert.strictEqual(res.status, 409);
+        assert.strictEqual(res.body.eventID, eventIDs[1]);
+        assert.deepStrictEqual(res.body.unmetNeeds.map(need => need.need), ['wheelchair_access']);
+        const registered = await getRepositories().registrations.listForUser('participant', participantID);
+        assert.deepStrictEqual(registered, []);
+    });
+
+    test('an import reports a blocked row as a failed registration', async () => {
+        process.env.ACCESSIBILITY_POLICY = 'block';
+        const eventID = await createEvent({ hearing_loop: false });
+        await createParticipant({ fullName: 'Tan Ah Kow', phoneNumber: '+6591110000', birthdate: '1948-03-02', needs_hearing_loop: 1 });
+
+        const res = await api.request('POST', '/participants/import', {
+            token: staffToken,
+            body: {
+                filename: 'sign-ups.csv',
+                file: Buffer.from('Full Name,Mobile,DOB\r\nTan Ah Kow,91110000,1948-03-02\r\nGoh Siew Lan,91113333,1950-08-15').toString('base64'),
+                eventID,
+                dryRun: false
+            }
+        });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.rows.map(row => row.registration), [
+            {
+                status: 'failed',
+                error: "This event does not meet the participant's accessibility needs",
+                unmetNeeds: [{ need: 'hearing_loop', message: 'The event has no hearing loop' }]
+            },
+            { status: 'registered' }
+        ]);
+    });
+
+    test('a walk-in gets the same check', async () => {
+        const participantID = await createParticipant({ needs_accessible_toilet: 1 });
+        const eventID = await createEvent();
+        const walkIn = (id) => api.request('POST', `/events/${id}/walk-ins`, { token: staffToken, body: { participantID } });
+
+        const warned = await walkIn(eventID);
+        assert.strictEqual(warned.status, 201);
+        assert.deepStrictEqual(warned.body.unmetNeeds.map(need => need.need), ['accessible_toilet']);
+
+        process.env.ACCESSIBILITY_POLICY = 'block';
+        const other = await createEvent({ start_time: '2099-01-02 10:00:00', end_time: '2099-01-02 12:00:00' });
+        const blocked = await walkIn(other);
+        assert.strictEqual(blocked.status, 409);
+        assert.strictEqual(await getRepositories().registrations.isRegistered('participant', participantID, other), false);
+    });
+});
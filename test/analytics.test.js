@@ -0,0 +1,173 @@
+// Staff analytics: participation over time, fill and no-show rates, age bands
+// and disabled-friendly events against the rest.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getRepositories } = require('../repositories');
+const {
+    startApp, resetData, createStaff, createVolunteer, createParticipant, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+let staffToken;
+let seeded;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+const register = (userID, eventID, role = 'participant') => getRepositories().registrations.register(role, userID, eventID);
+
+// Check-in itself runs on MySQL; record the attendance straight in the memory store
+const markAttended = (eventID, userID) => {
+    getRepositories().store.attendance.set(`${eventID}:${userID}:participant`, {
+        eventID, userID, role: 'participant', status: 'attended', checked_in_at: new Date(), checked_out_at: null
+    });
+};
+
+// December: Ah Kow's first event. January: Ah Kow (attended) and Bee Hoon
+// (no-show) at a disabled-friendly Tai Chi class. February: karaoke at the
+// library where Siew Lan attends and Ah Kow does not show up.
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+
+    const ahKow = await createParticipant({ fullName: 'Tan Ah Kow', birthdate: '1950-06-15' });
+    const beeHoon = await createParticipant({ fullName: 'Lim Bee Hoon', birthdate: '1940-01-01' });
+    const siewLan = await createParticipant({ fullName: 'Goh Siew Lan', birthdate: '1985-01-01' });
+    const volunteer = await createVolunteer();
+
+    const december = await createEvent({ eventName: 'Welcome Tea', start_time: '2019-12-02 10:00:00', end_time: '2019-12-02 12:00:00' });
+    const taiChi = await createEvent({
+        start_time: '2020-01-06 10:00:00', end_time: '2020-01-06 12:00:00', max_participants: 4, max_volunteers: 1
+    });
+    const karaoke = await createEvent({
+        eventName: 'Karaoke', location: 'Tampines Library', disabled_friendly: false,
+        start_time: '2020-02-10 14:00:00', end_time: '2020-02-10 16:00:00', max_participants: 2
+    });
+
+    await register(ahKow, december);
+    await register(ahKow, taiChi);
+    await register(beeHoon, taiChi);
+    await register(volunteer, taiChi, 'volunteer');
+    await register(ahKow, karaoke);
+    await register(siewLan, karaoke);
+    markAttended(taiChi, ahKow);
+    markAttended(karaoke, siewLan);
+
+    seeded = { taiChi, karaoke };
+});
+
+const report = (path) => api.request('GET', path, { token: staffToken });
+
+describe('GET /analytics/participation', () => {
+    test('reports each month in the range, telling first-time from returning participants', async () => {
+        const res = await report('/analytics/participation?from=2020-01-01&to=2020-03-31');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.data.interval, 'month');
+        assert.deepStrictEqual(res.body.data.periods.map(period => [
+            period.period, period.events, period.participantRegistrations, period.attended, period.noShows,
+            period.firstTimeParticipants, period.returningParticipants
+        ]), [
+            ['2020-01-01', 1, 2, 1, 1, 1, 1],
+            ['2020-02-01', 1, 2, 1, 1, 1, 1],
+            ['2020-03-01', 0, 0, 0, 0, 0, 0]
+        ]);
+        assert.deepStrictEqual(res.body.data.totals, {
+            events: 2,
+            participantRegistrations: 4,
+            volunteerRegistrations: 1,
+            attended: 2,
+            noShows: 2,
+            uniqueParticipants: 3,
+            participantFillRate: 0.667,
+            volunteerFillRate: 1,
+            noShowRate: 0.5,
+            firstTimeParticipants: 2,
+            returningParticipants: 1
+        });
+    });
+
+    test('groups by week, starting on Monday', async () => {
+        const res = await report('/analytics/participation?from=2020-01-08&to=2020-01-20&interval=week');
+
+        assert.deepStrictEqual(res.body.data.periods.map(period => period.period), ['2020-01-06', '2020-01-13', '2020-01-20']);
+        assert.strictEqual(res.body.data.totals.events, 0);
+    });
+
+    test('rejects an unknown interval', async () => {
+        const res = await report('/analytics/participation?interval=year');
+        assert.strictEqual(res.status, 400);
+    });
+});
+
+describe('GET /analytics/events', () => {
+    test('lists fill and no-show rates per event, filtered by location', async () => {
+        const res = await report('/analytics/events?location=library');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.data.events.map(event => [
+            event.eventID, event.registered_participants, event.participantFillRate, event.volunteerFillRate, event.noShowRate
+        ]), [[seeded.karaoke, 2, 1, null, 0.5]]);
+        assert.strictEqual(res.body.data.totals.events, 1);
+    });
+
+    test('does not count upcoming events as no-shows', async () => {
+        const upcoming = await createEvent({ start_time: '2099-01-01 10:00:00', end_time: '2099-01-01 12:00:00' });
+        await register(await createParticipant(), upcoming);
+
+        const res = await report('/analytics/events?from=2099-01-01');
+
+        assert.deepStrictEqual(res.body.data.totals, {
+            events: 1,
+            participantRegistrations: 1,
+            volunteerRegistrations: 0,
+            attended: 0,
+            noShows: 0,
+            uniqueParticipants: 1,
+            participantFillRate: null,
+            volunteerFillRate: null,
+            noShowRate: null
+        });
+    });
+});
+
+describe('GET /analytics/age-bands', () => {
+    test('bands participants by their age on the day', async () => {
+        const res = await report('/analytics/age-bands?from=2020-01-01');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.data.map(band => [band.band, band.participants, band.registrations, band.attended, band.noShows]), [
+            ['under 60', 1, 1, 1, 0],
+            ['60-69', 1, 2, 1, 1],
+            ['70-79', 0, 0, 0, 0],
+            ['80-89', 1, 1, 0, 1],
+            ['90+', 0, 0, 0, 0],
+            ['unknown', 0, 0, 0, 0]
+        ]);
+    });
+});
+
+describe('GET /analytics/disabled-friendly', () => {
+    test('compares disabled-friendly events with the rest', async () => {
+        const res = await report('/analytics/disabled-friendly?from=2020-01-01');
+
+        assert.strictEqual(res.status, 200);
+        const { disabledFriendly, other } = res.body.data;
+        assert.strictEqual(disabledFriendly.events, 1);
+        assert.strictEqual(disabledFriendly.participantFillRate, 0.5);
+        assert.strictEqual(disabledFriendly.averageParticipants, 2);
+        assert.strictEqual(other.events, 1);
+        assert.strictEqual(other.participantFillRate, 1);
+        assert.strictEqual(other.noShowRate, 0.5);
+    });
+
+    test('is for staff only', async () => {
+        const res = await api.request('GET', '/analytics/disabled-friendly', { token: await tokenFor(await createVolunteer({ email: 'v2@lumen.test' })) });
+        assert.strictEqual(res.status, 403);
+    });
+});
@@ -0,0 +1,243 @@
+// Checking people in and out at the door: QR codes, check-in by token, ID or
+// name, check-out and walk-in registration.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getRepositories } = require('../repositories');
+const attendance = require('../services/attendance');
+const {
+    startApp, resetData, createStaff, createVolunteer, createParticipant, createEvent, at, tokenFor
+} = require('./helpers');
+
+let api;
+let staffToken;
+let volunteerToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+    volunteerToken = await tokenFor(await createVolunteer());
+});
+
+const walkIn = { fullName: 'Wally Walkin', phoneNumber: '+6598880000', birthdate: '1944-04-04' };
+
+const attendanceOf = async (eventID, userID) =>
+    (await getRepositories().registrations.listAttendees('participant', eventID)).find(row => row.userID === userID);
+
+// Sign userID up for eventID in the given role
+const register = (role, userID, eventID) => getRepositories().registrations.register(role, userID, eventID);
+
+describe('check-in QR codes', () => {
+    test('gives a participant the token for their own registration', async () => {
+        const participantID = await createParticipant();
+        const eventID = await createEvent();
+        await register('participant', participantID, eventID);
+        const res = await api.request('GET', `/participant-events/${participantID}/${eventID}/qr`, { token: await tokenFor(participantID) });
+
+        assert.strictEqual(res.status, 200);
+        assert.match(res.body.data.qrDataUrl, /^data:image\/png;base64,/);
+        assert.deepStrictEqual(
+            attendance.verifyCheckInToken(res.body.data.token, eventID),
+            { userID: participantID, role: 'participant' }
+        );
+    });
+
+    test('gives a volunteer the token for their own registration', async () => {
+        const volunteerID = await createVolunteer({ email: 'helper@lumen.test' });
+        const eventID = await createEvent();
+        await register('volunteer', volunteerID, eventID);
+        const res = await api.request('GET', `/volunteer-events/${volunteerID}/${eventID}/qr`, { token: await tokenFor(volunteerID) });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(
+            attendance.verifyCheckInToken(res.body.data.token, eventID),
+            { userID: volunteerID, role: 'volunteer' }
+        );
+    });
+
+    test('returns 404 without a registration', async () => {
+        const participantID = await createParticipant();
+        const res = await api.request('GET', `/participant-events/${participantID}/${await createEvent()}/qr`, {
+            token: await tokenFor(participantID)
+        });
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error, 'Registration not found');
+    });
+});
+
+describe('POST /events/:eventID/check-in', () => {
+    const checkIn = (eventID, body) => api.request('POST', `/events/${eventID}/check-in`, { token: volunteerToken, body });
+
+    test('checks someone in with the token from their QR code', async () => {
+        const participantID = await createParticipant({ fullName: 'Ah Hock' });
+        const eventID = await createEvent();
+        await register('participant', participantID, eventID);
+        const qr = await api.request('GET', `/participant-events/${participantID}/${eventID}/qr`, { token: await tokenFor(participantID) });
+
+        const res = await checkIn(eventID, { qrToken: qr.body.data.token });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.message, 'Ah Hock checked in');
+        const row = await attendanceOf(eventID, participantID);
+        assert.strictEqual(row.attendance_status, 'attended');
+        assert.ok(row.checked_in_at);
+    });
+
+    test('rejects a QR code issued for another event', async () => {
+        const participantID = await createParticipant();
+        const eventID = await createEvent();
+        const otherEventID = await createEvent({ eventName: 'Karaoke', start_time: at(14), end_time: at(16) });
+        await register('participant', participantID, eventID);
+        await register('participant', participantID, otherEventID);
+        const qr = await api.request('GET', `/participant-events/${participantID}/${otherEventID}/qr`, { token: await tokenFor(participantID) });
+
+        const res = await checkIn(eventID, { qrToken: qr.body.data.token });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'This QR code is for a different event');
+    });
+
+    test('checks a volunteer in by userID and role, once', async () => {
+        const volunteerID = await createVolunteer({ email: 'helper@lumen.test', fullName: 'Helen Helper' });
+        const eventID = await createEvent();
+        await register('volunteer', volunteerID, eventID);
+
+        const first = await checkIn(eventID, { userID: volunteerID, role: 'volunteer' });
+        assert.strictEqual(first.status, 200);
+        const [row] = await getRepositories().registrations.listAttendees('volunteer', eventID);
+        assert.strictEqual(row.attendance_status, 'attended');
+
+        const second = await checkIn(eventID, { userID: volunteerID, role: 'volunteer' });
+        assert.strictEqual(second.status, 400);
+        assert.strictEqual(second.body.error, 'Helen Helper is already checked in');
+    });
+
+    test('returns 404 for someone who is not registered', async () => {
+        const res = await checkIn(await createEvent(), { userID: await createParticipant(), role: 'participant' });
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error, 'This participant is not registered for the event');
+    });
+
+    test('checks someone in by name, and lists the candidates when the name is ambiguous', async () => {
+        const eventID = await createEvent();
+        const hockID = await createParticipant({ fullName: 'Tan Ah Hock' });
+        const lianID = await createParticipant({ fullName: 'Tan Mei Lian' });
+        await register('participant', hockID, eventID);
+        await register('participant', lianID, eventID);
+
+        const ambiguous = await checkIn(eventID, { fullName: 'Tan' });
+        assert.strictEqual(ambiguous.status, 409);
+        assert.deepStrictEqual(ambiguous.body.matches.map(match => match.userID).sort(), [hockID, lianID].sort());
+
+        const unique = await checkIn(eventID, { fullName: 'mei lian' });
+        assert.strictEqual(unique.status, 200);
+        assert.strictEqual((await attendanceOf(eventID, lianID)).attendance_status, 'attended');
+        assert.strictEqual((await attendanceOf(eventID, hockID)).attendance_status, 'registered');
+
+        const unknown = await checkIn(eventID, { fullName: 'Lim' });
+        assert.strictEqual(unknown.status, 404);
+    });
+
+    test('requires a way to identify the attendee', async () => {
+        const res = await checkIn(await createEvent(), {});
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'Provide qrToken, userID and role, or fullName');
+    });
+});
+
+describe('POST /events/:eventID/check-out', () => {
+    const checkOut = (eventID, body) => api.request('POST', `/events/${eventID}/check-out`, { token: volunteerToken, body });
+
+    test('records when a checked-in attendee leaves, once', async () => {
+        const participantID = await createParticipant({ fullName: 'Ah Hock' });
+        const eventID = await createEvent();
+        await register('participant', participantID, eventID);
+        await api.request('POST', `/events/${eventID}/check-in`, {
+            token: volunteerToken, body: { userID: participantID, role: 'participant' }
+        });
+
+        const res = await checkOut(eventID, { userID: participantID, role: 'participant' });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.message, 'Ah Hock checked out');
+        assert.ok((await attendanceOf(eventID, participantID)).checked_out_at);
+
+        const again = await checkOut(eventID, { userID: participantID, role: 'participant' });
+        assert.strictEqual(again.status, 400);
+        assert.strictEqual(again.body.error, 'Ah Hock is already checked out');
+    });
+
+    test('refuses someone who never checked in', async () => {
+        const participantID = await createParticipant();
+        const eventID = await createEvent();
+        await register('participant', participantID, eventID);
+
+        const res = await checkOut(eventID, { userID: participantID, role: 'participant' });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'Not checked in');
+        assert.strictEqual((await attendanceOf(eventID, participantID)).checked_out_at, null);
+    });
+});
+
+describe('POST /events/:eventID/walk-ins', () => {
+    test('creates, registers and checks in someone new', async () => {
+        const eventID = await createEvent();
+        const res = await api.request('POST', `/events/${eventID}/walk-ins`, { token: volunteerToken, body: walkIn });
+
+        assert.strictEqual(res.status, 201);
+        const participant = await getRepositories().participants.findByPhone('+6598880000');
+        assert.strictEqual(participant.fullName, 'Wally Walkin');
+        assert.strictEqual((await attendanceOf(eventID, participant.userID)).attendance_status, 'attended');
+    });
+
+    test('uses the existing participant when the name and birthdate match', async () => {
+        const eventID = await createEvent();
+        const participantID = await createParticipant(walkIn);
+        const res = await api.request('POST', `/events/${eventID}/walk-ins`, { token: volunteerToken, body: walkIn });
+
+        assert.strictEqual(res.status, 201);
+        assert.strictEqual(res.body.data.userID, participantID);
+        assert.strictEqual((await getRepositories().participants.findAll()).length, 1);
+    });
+
+    test('refuses a phone number registered to someone else', async () => {
+        const eventID = await createEvent();
+        const participantID = await createParticipant({ phoneNumber: walkIn.phoneNumber });
+        const res = await api.request('POST', `/events/${eventID}/walk-ins`, { token: volunteerToken, body: walkIn });
+
+        assert.strictEqual(res.status, 409);
+        assert.strictEqual(await getRepositories().registrations.isRegistered('participant', participantID, eventID), false);
+    });
+
+    test('only lets staff admit someone to a full event', async () => {
+        const eventID = await createEvent({ max_participants: 1 });
+        await getRepositories().registrations.register('participant', await createParticipant(), eventID);
+
+        const override = await api.request('POST', `/events/${eventID}/walk-ins`, {
+            token: volunteerToken, body: { ...walkIn, overrideCapacity: true }
+        });
+        assert.strictEqual(override.status, 403);
+
+        const full = await api.request('POST', `/events/${eventID}/walk-ins`, { token: volunteerToken, body: walkIn });
+        assert.strictEqual(full.status, 400);
+        assert.strictEqual(full.body.error, 'Event is full');
+        // Nobody is left with an account from being turned away
+        assert.strictEqual(await getRepositories().participants.findByPhone(walkIn.phoneNumber), undefined);
+
+        const admitted = await api.request('POST', `/events/${eventID}/walk-ins`, {
+            token: staffToken, body: { ...walkIn, overrideCapacity: true }
+        });
+        assert.strictEqual(admitted.status, 201);
+        assert.strictEqual((await getRepositories().registrations.listAttendees('participant', eventID)).length, 2);
+    });
+});
@@ -0,0 +1,169 @@
+// The audit log of API writes and the staff query endpoint.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const router = require('../routes/api');
+const { getRepositories } = require('../repositories');
+const {
+    startApp, resetData, createStaff, createVolunteer, createParticipant, createEvent, at, tokenFor, PASSWORD
+} = require('./helpers');
+
+let api;
+let staffID;
+let staffToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffID = await createStaff();
+    staffToken = await tokenFor(staffID);
+});
+
+const auditLog = (query = '') => api.request('GET', `/audit-log${query}`, { token: staffToken });
+
+const eventBody = {
+    eventName: 'Morning Tai Chi',
+    eventDescription: 'Gentle exercise in the park',
+    disabled_friendly: true,
+    start_time: at(10),
+    end_time: at(12),
+    location: 'Community Hall'
+};
+
+describe('audit log', () => {
+    test('every route that changes data is audited', () => {
+        const unaudited = router.stack
+            .filter(layer => layer.route && !layer.route.methods.get)
+            .filter(layer => !layer.route.stack.some(handler => handler.name === 'auditRequest'))
+            .map(layer => `${Object.keys(layer.route.methods)[0].toUpperCase()} ${layer.route.path}`);
+
+        assert.deepStrictEqual(unaudited, []);
+    });
+
+    test('records who changed an event and what it was before and after', async () => {
+        const eventID = await createEvent();
+
+        const res = await api.request('PUT', `/events/${eventID}`, {
+            token: staffToken,
+            body: { ...eventBody, start_time: at(14), end_time: at(16) },
+            headers: { 'X-Request-ID': 'req-123' }
+        });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('x-request-id'), 'req-123');
+
+        const { body } = await auditLog(`?entity=event&entityID=${eventID}`);
+        assert.strictEqual(body.data.length, 1);
+        const [entry] = body.data;
+        assert.strictEqual(entry.action, 'update');
+        assert.strictEqual(entry.actorID, staffID);
+        assert.strictEqual(entry.actor_role, 'staff');
+        assert.strictEqual(entry.request_id, 'req-123');
+        assert.strictEqual(entry.path, `/api/events/${eventID}`);
+        assert.strictEqual(entry.status_code, 200);
+        assert.ok(entry.ip_address);
+        assert.strictEqual(new Date(entry.before_data.start_time).getHours(), 10);
+        assert.strictEqual(new Date(entry.after_data.start_time).getHours(), 14);
+    });
+
+    test('records registrations under a participantID:eventID key', async () => {
+        const participantID = await createParticipant();
+        const eventID = await createEvent();
+        await getRepositories().registrations.register('participant', participantID, eventID);
+
+        const res = await api.request('DELETE', `/participant-events/${participantID}/${eventID}`, { token: await tokenFor(participantID) });
+        assert.strictEqual(res.status, 200);
+
+        const [entry] = (await auditLog('?entity=participant-registration')).body.data;
+        assert.strictEqual(entry.action, 'delete');
+        assert.strictEqual(entry.entityID, `${participantID}:${eventID}`);
+        assert.strictEqual(entry.actorID, participantID);
+        assert.strictEqual(entry.subjectID, participantID);
+        assert.strictEqual(entry.before_data.status, 'registered');
+        assert.strictEqual(entry.after_data, null);
+    });
+
+    test('takes the actor of a login from the account that logged in', async () => {
+        const volunteerID = await createVolunteer();
+
+        await api.request('POST', '/login', { body: { email: 'volunteer@lumen.test', password: PASSWORD } });
+
+        const [entry] = (await auditLog('?action=login')).body.data;
+        assert.strictEqual(entry.actorID, volunteerID);
+        assert.strictEqual(entry.actor_role, 'volunteer');
+        assert.strictEqual(entry.request_body.password, '[redacted]');
+    });
+
+    test('never stores passwords or full NRICs', async () => {
+        await api.request('PUT', `/staff/${staffID}`, { token: staffToken, body: { fullName: 'Sam Staff', password: 'NewSecret123!' } });
+        const participantID = await createParticipant();
+        await api.request('PUT', `/participants/${participantID}`, { token: staffToken, body: { NRIC: 'S1234567D' } });
+
+        const staff = (await auditLog('?entity=staff')).body.data[0];
+        assert.strictEqual(staff.request_body.password, '[redacted]');
+
+        const participant = (await auditLog('?entity=participant')).body.data[0];
+        assert.strictEqual(participant.request_body.NRIC, 'S****567D');
+        assert.strictEqual(participant.after_data.NRIC, 'S****567D');
+        assert.strictEqual('NRIC_hash' in participant.after_data, false);
+    });
+
+    test('does not record requests that fail', async () => {
+        await api.request('PUT', '/events/999', { token: staffToken, body: eventBody });
+        await api.request('POST', '/events', { token: staffToken, body: { eventName: 'Karaoke' } });
+
+        assert.deepStrictEqual((await auditLog()).body.data, []);
+    });
+
+    test('makes up a request ID when none is sent', async () => {
+        const res = await api.request('POST', '/events', { token: staffToken, body: eventBody });
+        const requestID = res.headers.get('x-request-id');
+        assert.match(requestID, /^[0-9a-f-]{36}$/);
+
+        const [entry] = (await auditLog(`?requestID=${requestID}`)).body.data;
+        assert.strictEqual(entry.action, 'create');
+        assert.strictEqual(entry.entityID, String(res.body.eventID));
+        assert.strictEqual(entry.before_data, null);
+        assert.strictEqual(entry.after_data.eventName, 'Morning Tai Chi');
+    });
+
+    test('filters by actor and date, newest first', async () => {
+        const otherStaffID = await createStaff({ email: 'other@lumen.test' });
+        await api.request('POST', '/events', { token: staffToken, body: eventBody });
+        await api.request('POST', '/events', { token: staffToken, body: { ...eventBody, eventName: 'Karaoke' } });
+        await api.request('POST', '/events', { token: await tokenFor(otherStaffID), body: eventBody });
+
+        const mine = (await auditLog(`?actorID=${staffID}`)).body.data;
+        assert.deepStrictEqual(mine.map(entry => entry.after_data.eventName), ['Karaoke', 'Morning Tai Chi']);
+
+        const today = new Date().toLocaleDateString('en-CA');
+        assert.strictEqual((await auditLog(`?from=${today}&to=${today}`)).body.data.length, 3);
+        assert.strictEqual((await auditLog('?to=2000-01-01')).body.data.length, 0);
+        assert.strictEqual((await auditLog('?limit=1&offset=1')).body.data[0].after_data.eventName, 'Karaoke');
+    });
+
+    test('blanks what it holds about a person when their account is erased', async () => {
+        const participantID = await createParticipant({ fullName: 'Tan Ah Kow' });
+        await api.request('PUT', `/participants/${participantID}`, { token: staffToken, body: { fullName: 'Tan Ah Kow Jr' } });
+
+        const { body } = await api.request('DELETE', `/users/${participantID}`, { token: await tokenFor(participantID) });
+        await api.request('POST', `/erasure-requests/${body.data.requestID}/approve`, { token: staffToken });
+
+        const [entry] = (await auditLog(`?entity=participant&subjectID=${participantID}`)).body.data;
+        assert.strictEqual(entry.action, 'update');
+        assert.strictEqual(entry.before_data, null);
+        assert.strictEqual(entry.after_data, null);
+        assert.strictEqual(entry.request_body, null);
+        assert.strictEqual(entry.ip_address, null);
+    });
+
+    test('is only readable by staff', async () => {
+        const res = await api.request('GET', '/audit-log', { token: await tokenFor(await createParticipant()) });
+        assert.strictEqual(res.status, 403);
+    });
+});
@@ -0,0 +1,307 @@
+// Login for every role, OTP sign-in, token refresh and logout.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+    PASSWORD, startApp, resetData, createStaff, createVolunteer, createParticipant, createCaregiver, tokenFor
+} = require('./helpers');
+const { setSmsProvider } = require('../services/sms');
+const { getRepositories } = require('../repositories');
+
+let api;
+let sentSms;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(() => {
+    resetData();
+    sentSms = [];
+    setSmsProvider({ send: async (to, message) => sentSms.push({ to, message }) });
+});
+
+const lastCode = () => /\b(\d{6})\b/.exec(sentSms[sentSms.length - 1].message)[1];
+
+describe('POST /login', () => {
+    test('logs staff in with email and password', async () => {
+        const staffID = await createStaff();
+        const res = await api.request('POST', '/login', { body: { email: 'staff@lumen.test', password: PASSWORD } });
+
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.token);
+        assert.ok(res.body.refreshToken);
+        assert.deepStrictEqual(
+            { userID: res.body.data.userID, role: res.body.data.role, email: res.body.data.email },
+            { userID: staffID, role: 'staff', email: 'staff@lumen.test' }
+        );
+        assert.strictEqual(res.body.data.password, undefined);
+    });
+
+    test('logs volunteers in with email and password', async () => {
+        const volunteerID = await createVolunteer();
+        const res = await api.request('POST', '/login', { body: { email: 'volunteer@lumen.test', password: PASSWORD } });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.data.userID, volunteerID);
+        assert.strictEqual(res.body.data.role, 'volunteer');
+    });
+
+    test('rejects a wrong password', async () => {
+        await createStaff();
+        const res = await api.request('POST', '/login', { body: { email: 'staff@lumen.test', password: 'wrong' } });
+
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.body.error, 'Invalid email or password');
+    });
+
+    test('rejects an unknown email with the same message', async () => {
+        const res = await api.request('POST', '/login', { body: { email: 'nobody@lumen.test', password: PASSWORD } });
+
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.body.error, 'Invalid email or password');
+    });
+
+    test('requires email and password', async () => {
+        const res = await api.request('POST', '/login', { body: { email: 'staff@lumen.test' } });
+        assert.strictEqual(res.status, 400);
+    });
+});
+
+describe('POST /login/participant', () => {
+    test('is gone, so phone, birthdate and name alone never log anyone in', async () => {
+        await createParticipant({ phoneNumber: '+6591110000' });
+        const res = await api.request('POST', '/login/participant', {
+            body: { phoneNumber: '+6591110000', birthdate: '1950-06-15', fullName: 'Pat Participant' }
+        });
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.token, undefined);
+    });
+});
+
+describe('OTP login', () => {
+    test('creates a new participant, texts a code and logs them in with it', async () => {
+        const signUp = await api.request('POST', '/participant/check-or-create', {
+            body: { phoneNumber: '+6592220000', fullName: 'New Person', birthdate: '1948-02-29' }
+        });
+
+        assert.strictEqual(signUp.status, 200);
+        assert.strictEqual(signUp.body.isNewUser, true);
+        assert.strictEqual(sentSms.length, 1);
+        assert.strictEqual(sentSms[0].to, '+6592220000');
+
+        const login = await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: lastCode() } });
+
+        assert.strictEqual(login.status, 200);
+        assert.strictEqual(login.body.isNewUser, true);
+        assert.ok(login.body.token);
+        const participant = await getRepositories().participants.findByPhone('+6592220000');
+        assert.strictEqual(login.body.data.userID, participant.userID);
+        assert.strictEqual(participant.fullName, 'New Person');
+    });
+
+    test('creates the account only once the code is verified', async () => {
+        const body = { phoneNumber: '+6592220000', fullName: 'New Person', birthdate: '1948-02-29', NRIC: 'S1234567D' };
+        const signUp = await api.request('POST', '/participant/check-or-create', { body });
+
+        assert.strictEqual(signUp.status, 200);
+        assert.strictEqual(signUp.body.userID, undefined);
+        assert.strictEqual(await getRepositories().participants.findByPhone('+6592220000'), undefined);
+
+        const wrongCode = lastCode() === '000000' ? '111111' : '000000';
+        await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: wrongCode } });
+        assert.strictEqual(await getRepositories().participants.findByPhone('+6592220000'), undefined);
+
+        const login = await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: lastCode() } });
+        assert.strictEqual(login.status, 200);
+        const participant = await getRepositories().participants.findByNric('S1234567D');
+        assert.strictEqual(participant.userID, login.body.data.userID);
+    });
+
+    test('refuses to sign up a phone number registered while the code was pending', async () => {
+        await api.request('POST', '/participant/check-or-create', {
+            body: { phoneNumber: '+6592220000', fullName: 'New Person', birthdate: '1948-02-29' }
+        });
+        const participantID = await createParticipant({ phoneNumber: '+6592220000' });
+        const res = await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: lastCode() } });
+
+        assert.strictEqual(res.status, 409);
+        assert.strictEqual(res.body.token, undefined);
+        assert.strictEqual((await getRepositories().participants.findByPhone('+6592220000')).userID, participantID);
+    });
+
+    test('logs an existing participant in without creating anyone', async () => {
+        const participantID = await createParticipant({ phoneNumber: '+6592220000' });
+        await api.request('POST', '/participant/check-or-create', {
+            body: { phoneNumber: '+6592220000', fullName: 'Pat Participant', birthdate: '1950-06-15' }
+        });
+        const login = await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: lastCode() } });
+
+        assert.strictEqual(login.status, 200);
+        assert.strictEqual(login.body.isNewUser, false);
+        assert.strictEqual(login.body.data.userID, participantID);
+        assert.strictEqual((await getRepositories().participants.findAll()).length, 1);
+    });
+
+    test('texts an existing participant whose details match', async () => {
+        const participantID = await createParticipant({ phoneNumber: '+6592220000' });
+        const res = await api.request('POST', '/participant/check-or-create', {
+            body: { phoneNumber: '+6592220000', fullName: 'Pat Participant', birthdate: '1950-06-15' }
+        });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.isNewUser, false);
+        assert.strictEqual(res.body.userID, participantID);
+    });
+
+    test('refuses an existing phone number with different details', async () => {
+        await createParticipant({ phoneNumber: '+6592220000' });
+        const res = await api.request('POST', '/participant/check-or-create', {
+            body: { phoneNumber: '+6592220000', fullName: 'Pat Participant', birthdate: '1960-01-01' }
+        });
+
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(sentSms.length, 0);
+    });
+
+    test('rejects a wrong code and counts the attempt', async () => {
+        await api.request('POST', '/participant/check-or-create', {
+            body: { phoneNumber: '+6592220000', fullName: 'New Person', birthdate: '1948-02-29' }
+        });
+        const wrongCode = lastCode() === '000000' ? '111111' : '000000';
+        const res = await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: wrongCode } });
+
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.body.error, 'Invalid OTP');
+        assert.strictEqual(typeof res.body.attemptsLeft, 'number');
+    });
+
+    test('does not accept a code twice', async () => {
+        await api.request('POST', '/participant/check-or-create', {
+            body: { phoneNumber: '+6592220000', fullName: 'New Person', birthdate: '1948-02-29' }
+        });
+        const code = lastCode();
+        await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: code } });
+        const res = await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: code } });
+
+        assert.strictEqual(res.status, 401);
+    });
+
+    test('enforces the resend cooldown', async () => {
+        const body = { phoneNumber: '+6592220000', fullName: 'New Person', birthdate: '1948-02-29' };
+        await api.request('POST', '/participant/check-or-create', { body });
+        const res = await api.request('POST', '/participant/check-or-create', { body });
+
+        assert.strictEqual(res.status, 429);
+        assert.ok(res.body.retryAfter > 0);
+    });
+
+    test('does not accept a caregiver consent code', async () => {
+        await createParticipant({ phoneNumber: '+6592220000' });
+        const caregiverToken = await tokenFor(await createCaregiver());
+        await api.request('POST', '/caregivers/dependants', { token: caregiverToken, body: { phoneNumber: '+6592220000' } });
+        const res = await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: lastCode() } });
+
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.body.error, 'No OTP requested for this phone number');
+    });
+
+    test('keeps the login code and its cooldown when a caregiver asks for consent', async () => {
+        const body = { phoneNumber: '+6592220000', fullName: 'Pat Participant', birthdate: '1950-06-15' };
+        const participantID = await createParticipant({ phoneNumber: '+6592220000' });
+        await api.request('POST', '/participant/check-or-create', { body });
+        const loginCode = lastCode();
+
+        const caregiverToken = await tokenFor(await createCaregiver());
+        const link = await api.request('POST', '/caregivers/dependants', { token: caregiverToken, body: { phoneNumber: '+6592220000' } });
+        assert.strictEqual(link.status, 200);
+        assert.match(sentSms[1].message, /let Cara Caregiver manage your event registrations/);
+
+        const login = await api.request('POST', '/login-otp', { body: { phone: '+6592220000', otp: loginCode } });
+        assert.strictEqual(login.status, 200);
+        assert.strictEqual(login.body.data.userID, participantID);
+    });
+});
+
+describe('sessions', () => {
+    const logIn = async () => {
+        await createStaff();
+        const res = await api.request('POST', '/login', { body: { email: 'staff@lumen.test', password: PASSWORD } });
+        return res.body;
+    };
+
+    test('GET /me returns the logged-in user with their email', async () => {
+        const { token, data } = await logIn();
+        const res = await api.request('GET', '/me', { token });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.data.userID, data.userID);
+        assert.strictEqual(res.body.data.email, 'staff@lumen.test');
+    });
+
+    test('GET /me needs a valid token', async () => {
+        assert.strictEqual((await api.request('GET', '/me')).status, 401);
+        assert.strictEqual((await api.request('GET', '/me', { token: 'not-a-token' })).status, 401);
+    });
+
+    test('deleting a user ends their sessions', async () => {
+        const participantID = await createParticipant();
+        const token = await tokenFor(participantID);
+        await getRepositories().users.delete(participantID);
+
+        assert.strictEqual((await api.request('GET', '/me', { token })).status, 401);
+    });
+
+    test('a refresh token can be exchanged once', async () => {
+        const { refreshToken } = await logIn();
+
+        const first = await api.request('POST', '/auth/refresh', { body: { refreshToken } });
+        assert.strictEqual(first.status, 200);
+        assert.ok(first.body.token);
+        assert.notStrictEqual(first.body.refreshToken, refreshToken);
+
+        // Reuse means the token leaked, so the whole session is revoked
+        const reused = await api.request('POST', '/auth/refresh', { body: { refreshToken } });
+        assert.strictEqual(reused.status, 401);
+        assert.strictEqual((await api.request('GET', '/me', { token: first.body.token })).status, 401);
+    });
+
+    test('an expired session cannot be refreshed', async () => {
+        const { refreshToken } = await logIn();
+        for (const session of getRepositories().store.sessions.values()) {
+            session.expires_at = new Date(Date.now() - 1000);
+        }
+
+        const res = await api.request('POST', '/auth/refresh', { body: { refreshToken } });
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.body.error, 'Session has expired. Please log in again.');
+    });
+
+    test('rejects an unknown refresh token', async () => {
+        const res = await api.request('POST', '/auth/refresh', { body: { refreshToken: 'nope' } });
+        assert.strictEqual(res.status, 401);
+    });
+
+    test('logout revokes the session', async () => {
+        const { token, refreshToken } = await logIn();
+        const res = await api.request('POST', '/auth/logout', { body: { refreshToken } });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual((await api.request('GET', '/me', { token })).status, 401);
+    });
+
+    test('logout-all revokes every session of the user', async () => {
+        const first = await logIn();
+        const second = await api.request('POST', '/login', { body: { email: 'staff@lumen.test', password: PASSWORD } });
+
+        const res = await api.request('POST', '/auth/logout-all', { token: first.token });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.revokedSessions, 2);
+        assert.strictEqual((await api.request('GET', '/me', { token: second.body.token })).status, 401);
+    });
+});
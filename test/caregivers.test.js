@@ -0,0 +1,232 @@
+// Caregiver accounts, linking to a participant with their consent, and
+// managing a linked dependant's registrations.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getRepositories } = require('../repositories');
+const {
+    PASSWORD, startApp, resetData, outbox, createStaff, createParticipant, createCaregiver, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+let caregiverID;
+let caregiverToken;
+let participantID;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    caregiverID = await createCaregiver();
+    caregiverToken = await tokenFor(caregiverID);
+    participantID = await createParticipant({ fullName: 'Ah Ma', phoneNumber: '+6593330000' });
+});
+
+// The consent code last texted to the participant
+const consentCode = () => {
+    const sms = outbox.sms.filter(message => /manage your event registrations/.test(message.message)).pop();
+    return /\b(\d{6})\b/.exec(sms.message)[1];
+};
+
+const requestLink = () => api.request('POST', '/caregivers/dependants', {
+    token: caregiverToken, body: { phoneNumber: '+6593330000', relationship: 'Daughter' }
+});
+
+const consent = (otp) => api.request('POST', `/caregivers/dependants/${participantID}/consent`, {
+    token: caregiverToken, body: { otp }
+});
+
+// Request a link and confirm it with the code the participant received
+const link = async () => {
+    await requestLink();
+    await consent(consentCode());
+};
+
+describe('caregiver accounts', () => {
+    test('POST /caregivers creates an account that can log in', async () => {
+        const res = await api.request('POST', '/caregivers', {
+            body: { fullName: 'Kim Carer', email: 'kim@lumen.test', password: PASSWORD }
+        });
+        assert.strictEqual(res.status, 201);
+
+        const login = await api.request('POST', '/login', { body: { email: 'kim@lumen.test', password: PASSWORD } });
+        assert.strictEqual(login.status, 200);
+        assert.strictEqual(login.body.data.userID, res.body.userID);
+        assert.strictEqual(login.body.data.role, 'caregiver');
+    });
+
+    test('POST /caregivers rejects an email that is already registered', async () => {
+        const res = await api.request('POST', '/caregivers', {
+            body: { fullName: 'Cara Again', email: 'caregiver@lumen.test', password: PASSWORD }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'Email already registered');
+    });
+
+    test('GET /caregivers lists caregivers for staff', async () => {
+        const res = await api.request('GET', '/caregivers', { token: await tokenFor(await createStaff()) });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.data.map(caregiver => caregiver.email), ['caregiver@lumen.test']);
+    });
+});
+
+describe('linking a dependant', () => {
+    test('links the participant once they hand over the consent code', async () => {
+        const requested = await requestLink();
+        assert.strictEqual(requested.status, 200);
+        assert.strictEqual(requested.body.participantID, participantID);
+        assert.strictEqual(outbox.sms[outbox.sms.length - 1].to, '+6593330000');
+        assert.match(outbox.sms[outbox.sms.length - 1].message, /let Cara Caregiver manage/);
+
+        const pending = await api.request('GET', '/caregivers/dependants', { token: caregiverToken });
+        assert.deepStrictEqual(pending.body.data.map(dependant => [dependant.fullName, dependant.status]), [['Ah Ma', 'pending']]);
+
+        const confirmed = await consent(consentCode());
+        assert.strictEqual(confirmed.status, 200);
+
+        const dependants = await api.request('GET', '/caregivers/dependants', { token: caregiverToken });
+        assert.strictEqual(dependants.body.data[0].status, 'active');
+        assert.strictEqual(dependants.body.data[0].relationship, 'Daughter');
+    });
+
+    test('rejects a wrong consent code', async () => {
+        await requestLink();
+        const code = consentCode();
+        const res = await consent(code === '000000' ? '111111' : '000000');
+
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.body.error, 'Invalid OTP');
+        assert.strictEqual(await getRepositories().caregivers.hasActiveLink(caregiverID, participantID), false);
+    });
+
+    test('refuses a code sent for another caregiver\'s request', async () => {
+        await requestLink();
+        // Once the resend cooldown has passed, another caregiver asks for the same participant
+        await getRepositories().otpCodes.delete('+6593330000', 'caregiver_consent');
+        const otherToken = await tokenFor(await createCaregiver({ fullName: 'Olga Other', email: 'other@lumen.test' }));
+        await api.request('POST', '/caregivers/dependants', { token: otherToken, body: { phoneNumber: '+6593330000' } });
+        assert.match(outbox.sms[outbox.sms.length - 1].message, /let Olga Other manage/);
+
+        const res = await consent(consentCode());
+
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.body.error, 'Consent code was not sent for your request');
+        assert.strictEqual(await getRepositories().caregivers.hasActiveLink(caregiverID, participantID), false);
+    });
+
+    test('refuses consent without a pending request', async () => {
+        const res = await consent('123456');
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error, 'No pending link request for this participant');
+    });
+
+    test('returns 404 for a phone number with no participant', async () => {
+        const res = await api.request('POST', '/caregivers/dependants', {
+            token: caregiverToken, body: { phoneNumber: '+6593339999' }
+        });
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(outbox.sms.length, 0);
+    });
+
+    test('refuses to request a link that is already active', async () => {
+        await link();
+        const res = await requestLink();
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'Participant is already linked to you');
+    });
+
+    test('DELETE /caregivers/dependants/:participantID unlinks the dependant', async () => {
+        await link();
+        const res = await api.request('DELETE', `/caregivers/dependants/${participantID}`, { token: caregiverToken });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(await getRepositories().caregivers.hasActiveLink(caregiverID, participantID), false);
+
+        const again = await api.request('DELETE', `/caregivers/dependants/${participantID}`, { token: caregiverToken });
+        assert.strictEqual(again.status, 404);
+    });
+});
+
+describe('a participant\'s caregivers', () => {
+    test('GET /me/caregivers lists who is linked to the participant', async () => {
+        await link();
+        const res = await api.request('GET', '/me/caregivers', { token: await tokenFor(participantID) });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(
+            res.body.data.map(caregiver => [caregiver.userID, caregiver.status]),
+            [[caregiverID, 'active']]
+        );
+    });
+
+    test('DELETE /me/caregivers/:caregiverID withdraws consent', async () => {
+        await link();
+        const participantToken = await tokenFor(participantID);
+        const res = await api.request('DELETE', `/me/caregivers/${caregiverID}`, { token: participantToken });
+        assert.strictEqual(res.status, 200);
+
+        const events = await api.request('GET', `/caregivers/dependants/${participantID}/events`, { token: caregiverToken });
+        assert.strictEqual(events.status, 403);
+
+        const again = await api.request('DELETE', `/me/caregivers/${caregiverID}`, { token: participantToken });
+        assert.strictEqual(again.status, 404);
+    });
+});
+
+describe('a dependant\'s events', () => {
+    const eventsPath = () => `/caregivers/dependants/${participantID}/events`;
+
+    test('signs the dependant up, lists and removes the registration', async () => {
+        await link();
+        const eventID = await createEvent({ eventName: 'Karaoke' });
+
+        const signed = await api.request('POST', eventsPath(), { token: caregiverToken, body: { eventID } });
+        assert.strictEqual(signed.status, 201);
+        assert.strictEqual(signed.body.waitlisted, false);
+        assert.strictEqual(await getRepositories().registrations.isRegistered('participant', participantID, eventID), true);
+
+        const listed = await api.request('GET', eventsPath(), { token: caregiverToken });
+        assert.strictEqual(listed.status, 200);
+        assert.deepStrictEqual(listed.body.data.map(event => event.eventName), ['Karaoke']);
+
+        const removed = await api.request('DELETE', `${eventsPath()}/${eventID}`, { token: caregiverToken });
+        assert.strictEqual(removed.status, 200);
+        assert.strictEqual(await getRepositories().registrations.isRegistered('participant', participantID, eventID), false);
+
+        const again = await api.request('DELETE', `${eventsPath()}/${eventID}`, { token: caregiverToken });
+        assert.strictEqual(again.status, 404);
+    });
+
+    test('waitlists the dependant for a full event', async () => {
+        await link();
+        const eventID = await createEvent({ max_participants: 1 });
+        await getRepositories().registrations.register('participant', await createParticipant(), eventID);
+
+        const res = await api.request('POST', eventsPath(), { token: caregiverToken, body: { eventID, joinWaitlist: true } });
+
+        assert.strictEqual(res.status, 201);
+        assert.strictEqual(res.body.waitlisted, true);
+        assert.strictEqual(res.body.position, 1);
+    });
+
+    test('refuses everything until the participant has consented', async () => {
+        await requestLink();
+        const eventID = await createEvent();
+
+        const listed = await api.request('GET', eventsPath(), { token: caregiverToken });
+        const signed = await api.request('POST', eventsPath(), { token: caregiverToken, body: { eventID } });
+        const removed = await api.request('DELETE', `${eventsPath()}/${eventID}`, { token: caregiverToken });
+
+        assert.deepStrictEqual([listed.status, signed.status, removed.status], [403, 403, 403]);
+        assert.strictEqual(await getRepositories().registrations.isRegistered('participant', participantID, eventID), false);
+    });
+});
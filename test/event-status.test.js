@@ -0,0 +1,195 @@
+// Event lifecycle: drafts hidden from the public, publishing, cancelling with
+// a reason, automatic completion and sign-ups refused on closed events.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getRepositories } = require('../repositories');
+const { completeEndedEvents } = require('../services/event-status');
+const {
+    startApp, resetData, createStaff, createVolunteer, createParticipant, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+let staffID;
+let staffToken;
+let participantID;
+let participantToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffID = await createStaff();
+    staffToken = await tokenFor(staffID);
+    participantID = await createParticipant();
+    participantToken = await tokenFor(participantID);
+});
+
+const signUp = (eventID, token = staffToken) =>
+    api.request('POST', '/participant-events', { token, body: { participantID, eventID } });
+
+const cancel = (eventID, reason) =>
+    api.request('POST', `/events/${eventID}/cancel`, { token: staffToken, body: { reason } });
+
+const listedIDs = async (path, token) => (await api.request('GET', path, { token })).body.data.map(event => event.eventID);
+
+describe('drafts', () => {
+    test('are only visible to staff', async () => {
+        const created = await api.request('POST', '/events', {
+            token: staffToken,
+            body: {
+                eventName: 'Karaoke', eventDescription: 'Sing along', location: 'Tampines Library',
+                start_time: '2099-01-01T10:00:00', end_time: '2099-01-01T12:00:00', status: 'draft'
+            }
+        });
+        assert.strictEqual(created.status, 201);
+        const draft = created.body.eventID;
+        const published = await createEvent();
+
+        assert.deepStrictEqual(await listedIDs('/events'), [published]);
+        assert.deepStrictEqual(await listedIDs('/events?status=draft', participantToken), []);
+        assert.deepStrictEqual(await listedIDs('/events?status=draft', staffToken), [draft]);
+        assert.strictEqual((await listedIDs('/events', staffToken)).length, 2);
+
+        assert.strictEqual((await api.request('GET', `/events/${draft}`)).status, 404);
+        assert.strictEqual((await api.request('GET', `/events/${draft}`, { token: participantToken })).status, 404);
+        const asStaff = await api.request('GET', `/events/${draft}`, { token: staffToken });
+        assert.strictEqual(asStaff.body.data.status, 'draft');
+    });
+
+    test('take sign-ups once published, and only once', async () => {
+        const draft = await createEvent({ status: 'draft' });
+        assert.strictEqual((await signUp(draft)).status, 404);
+
+        const published = await api.request('POST', `/events/${draft}/publish`, { token: staffToken });
+        assert.strictEqual(published.status, 200);
+        assert.strictEqual(published.body.data.status, 'published');
+        assert.strictEqual((await signUp(draft)).status, 201);
+
+        const again = await api.request('POST', `/events/${draft}/publish`, { token: staffToken });
+        assert.strictEqual(again.status, 409);
+        assert.strictEqual(again.body.eventStatus, 'published');
+    });
+
+    test('reject an unknown status filter', async () => {
+        const res = await api.request('GET', '/events?status=published,postponed');
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.field, 'status');
+    });
+});
+
+describe('POST /events/:eventID/cancel', () => {
+    test('keeps registrations, records the reason and closes sign-ups', async () => {
+        const eventID = await createEvent();
+        await signUp(eventID);
+
+        const res = await cancel(eventID, '  Heavy rain expected  ');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.data.status, 'cancelled');
+        assert.strictEqual(res.body.data.cancellation_reason, 'Heavy rain expected');
+        assert.strictEqual(res.body.data.cancelled_by, staffID);
+        const registered = await getRepositories().registrations.listForEvent('participant', eventID);
+        assert.deepStrictEqual(registered.map(user => user.userID), [participantID]);
+
+        const volunteerID = await createVolunteer();
+        const refused = await api.request('POST', '/volunteer-events', { token: staffToken, body: { volunteerID, eventID } });
+        assert.strictEqual(refused.status, 400);
+        assert.strictEqual(refused.body.eventStatus, 'cancelled');
+
+        const [entry] = await getRepositories().auditLog.list({ entity: 'event' }, { limit: 1 });
+        assert.strictEqual(entry.action, 'cancel');
+        assert.strictEqual(entry.before_data.status, 'published');
+        assert.strictEqual(entry.after_data.status, 'cancelled');
+    });
+
+    test('needs a reason', async () => {
+        const eventID = await createEvent();
+
+        assert.strictEqual((await cancel(eventID, '   ')).status, 400);
+        const missing = await api.request('POST', `/events/${eventID}/cancel`, { token: staffToken, body: {} });
+        assert.deepStrictEqual(missing.body.errors.map(error => error.field), ['reason']);
+    });
+
+    test('is final: the event can no longer be edited or cancelled again', async () => {
+        const eventID = await createEvent();
+        await cancel(eventID, 'Instructor unwell');
+
+        const edit = await api.request('PUT', `/events/${eventID}`, {
+            token: staffToken,
+            body: { eventName: 'Tai Chi', eventDescription: 'Gentle exercise', start_time: '2099-01-01T10:00:00', end_time: '2099-01-01T12:00:00' }
+        });
+        assert.strictEqual(edit.status, 409);
+        assert.strictEqual((await cancel(eventID, 'Again')).status, 409);
+        assert.strictEqual((await api.request('POST', `/events/${eventID}/publish`, { token: staffToken })).status, 409);
+    });
+
+    test('frees its registrants to sign up for a replacement in the same slot', async () => {
+        const eventID = await createEvent({ eventName: 'Morning Tai Chi' });
+        await signUp(eventID);
+        await cancel(eventID, 'Instructor unwell');
+
+        const res = await signUp(await createEvent({ eventName: 'Morning Qigong' }));
+
+        assert.strictEqual(res.status, 201);
+    });
+
+    test('keeps registrants on the event: they can no longer withdraw from it', async () => {
+        const eventID = await createEvent();
+        const volunteerID = await createVolunteer();
+        await signUp(eventID);
+        await getRepositories().registrations.register('volunteer', volunteerID, eventID);
+        await cancel(eventID, 'Instructor unwell');
+
+        const participant = await api.request('DELETE', `/participant-events/${participantID}/${eventID}`, { token: participantToken });
+        const volunteer = await api.request('DELETE', `/volunteer-events/${volunteerID}/${eventID}`, { token: await tokenFor(volunteerID) });
+
+        assert.deepStrictEqual([participant.status, volunteer.status], [409, 409]);
+        assert.strictEqual(participant.body.eventStatus, 'cancelled');
+        const { registrations } = getRepositories();
+        assert.strictEqual(await registrations.isRegistered('participant', participantID, eventID), true);
+        assert.strictEqual(await registrations.isRegistered('volunteer', volunteerID, eventID), true);
+        const [attendee] = await registrations.listAttendees('participant', eventID);
+        assert.notStrictEqual(attendee.attendance_status, 'cancelled');
+    });
+
+    test('frees the venue for another booking', async () => {
+        const venueID = await getRepositories().venues.create({
+            name: 'Community Centre @ Toa Payoh', address: '93 Toa Payoh Central', postal_code: '319194', capacity: 40
+        });
+        const eventID = await createEvent({ venueID });
+        const booking = {
+            eventName: 'Karaoke', eventDescription: 'Sing along', location: 'Toa Payoh', venueID,
+            start_time: '2099-01-01T11:00:00', end_time: '2099-01-01T13:00:00'
+        };
+
+        assert.strictEqual((await api.request('POST', '/events', { token: staffToken, body: booking })).status, 409);
+        await cancel(eventID, 'Hall flooded');
+        assert.strictEqual((await api.request('POST', '/events', { token: staffToken, body: booking })).status, 201);
+    });
+});
+
+describe('completion', () => {
+    test('completes published events that have ended', async () => {
+        const ended = await createEvent({ start_time: '2020-01-06 10:00:00', end_time: '2020-01-06 12:00:00' });
+        const draft = await createEvent({ start_time: '2020-01-07 10:00:00', end_time: '2020-01-07 12:00:00', status: 'draft' });
+        const upcoming = await createEvent();
+
+        assert.strictEqual(await completeEndedEvents(), 1);
+
+        const { events } = getRepositories();
+        assert.strictEqual((await events.findById(ended)).status, 'completed');
+        assert.strictEqual((await events.findById(draft)).status, 'draft');
+        assert.strictEqual((await events.findById(upcoming)).status, 'published');
+
+        const res = await signUp(ended, participantToken);
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.eventStatus, 'completed');
+        assert.deepStrictEqual(await listedIDs('/events?status=completed'), [ended]);
+    });
+});
@@ -0,0 +1,263 @@
+// Event listing, detail and staff-only create/update/delete.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getRepositories } = require('../repositories');
+const {
+    startApp, resetData, createStaff, createVolunteer, createParticipant, createEvent, at, tokenFor
+} = require('./helpers');
+
+let api;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(resetData);
+
+const newEvent = {
+    eventName: 'Karaoke Afternoon',
+    eventDescription: 'Sing along to old favourites',
+    disabled_friendly: true,
+    start_time: '2099-02-01T14:00:00',
+    end_time: '2099-02-01T16:00:00',
+    location: 'Community Hall',
+    max_participants: 20,
+    max_volunteers: 2
+};
+
+const names = (res) => res.body.data.map(event => event.eventName);
+
+describe('GET /events', () => {
+    test('lists events without a token', async () => {
+        await createEvent({ eventName: 'Morning Tai Chi' });
+        const res = await api.request('GET', '/events');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(names(res), ['Morning Tai Chi']);
+        assert.strictEqual(res.body.pagination.total, 1);
+    });
+
+    test('filters by search text, location and disabled_friendly', async () => {
+        await createEvent({ eventName: 'Morning Tai Chi', location: 'Park', disabled_friendly: false });
+        await createEvent({ eventName: 'Karaoke', location: 'Community Hall', start_time: at(14), end_time: at(16) });
+
+        assert.deepStrictEqual(names(await api.request('GET', '/events?q=tai')), ['Morning Tai Chi']);
+        assert.deepStrictEqual(names(await api.request('GET', '/events?location=hall')), ['Karaoke']);
+        assert.deepStrictEqual(names(await api.request('GET', '/events?disabled_friendly=true')), ['Karaoke']);
+    });
+
+    test('sorts and pages through events', async () => {
+        for (const day of [1, 2, 3]) {
+            await createEvent({ eventName: `Day ${day}`, start_time: at(10, 0, day), end_time: at(12, 0, day) });
+        }
+
+        const first = await api.request('GET', '/events?sort=start_time&order=asc&limit=2');
+        assert.deepStrictEqual(names(first), ['Day 1', 'Day 2']);
+        assert.strictEqual(first.body.pagination.hasMore, true);
+        assert.strictEqual(first.body.pagination.totalPages, 2);
+
+        const next = await api.request('GET', `/events?sort=start_time&order=asc&limit=2&cursor=${first.body.pagination.nextCursor}`);
+        assert.deepStrictEqual(names(next), ['Day 3']);
+        assert.strictEqual(next.body.pagination.hasMore, false);
+    });
+
+    test('rejects invalid query parameters with the field name', async () => {
+        const res = await api.request('GET', '/events?sort=price');
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(res.body.errors.map(error => error.field), ['sort']);
+    });
+});
+
+describe('GET /events/:eventID', () => {
+    test('returns the event with its registrations to staff', async () => {
+        const eventID = await createEvent({ max_participants: 10 });
+        const participantID = await createParticipant();
+        await api.request('POST', '/participant-events', {
+            token: await tokenFor(participantID),
+            body: { participantID, eventID }
+        });
+
+        const res = await api.request('GET', `/events/${eventID}`, { token: await tokenFor(await createStaff()) });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.data.eventID, eventID);
+        assert.deepStrictEqual(res.body.data.participants.map(user => user.userID), [participantID]);
+        assert.deepStrictEqual(res.body.data.volunteers, []);
+        assert.deepStrictEqual(res.body.data.cancelled, []);
+    });
+
+    test('leaves out who registered for the public and participants, keeping the counts', async () => {
+        const eventID = await createEvent();
+        const participantID = await createParticipant();
+        await getRepositories().registrations.register('participant', participantID, eventID);
+
+        for (const token of [undefined, await tokenFor(participantID)]) {
+            const res = await api.request('GET', `/events/${eventID}`, { token });
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.data.participants, undefined);
+            assert.strictEqual(res.body.data.volunteers, undefined);
+            assert.strictEqual(res.body.data.cancelled, undefined);
+            assert.strictEqual(res.body.data.attendance_summary.registered, 1);
+        }
+    });
+
+    test('returns 404 for an unknown event', async () => {
+        const res = await api.request('GET', '/events/999');
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error, 'Event not found');
+    });
+});
+
+describe('POST /events', () => {
+    test('lets staff create an event', async () => {
+        const staffID = await createStaff();
+        const res = await api.request('POST', '/events', { token: await tokenFor(staffID), body: newEvent });
+
+        assert.strictEqual(res.status, 201);
+        const created = await api.request('GET', `/events/${res.body.eventID}`);
+        assert.strictEqual(created.body.data.eventName, 'Karaoke Afternoon');
+        assert.strictEqual(created.body.data.created_by, staffID);
+    });
+
+    test('is forbidden to volunteers and participants', async () => {
+        for (const userID of [await createVolunteer(), await createParticipant()]) {
+            const res = await api.request('POST', '/events', { token: await tokenFor(userID), body: newEvent });
+            assert.strictEqual(res.status, 403);
+        }
+    });
+
+    test('requires a token', async () => {
+        const res = await api.request('POST', '/events', { body: newEvent });
+        assert.strictEqual(res.status, 401);
+    });
+});
+
+describe('PUT /events/:eventID', () => {
+    test('lets staff update an event', async () => {
+        const eventID = await createEvent();
+        const res = await api.request('PUT', `/events/${eventID}`, {
+            token: await tokenFor(await createStaff()),
+            body: { ...newEvent, start_time: at(14), end_time: at(16) }
+        });
+
+        assert.strictEqual(res.status, 200);
+        const updated = await api.request('GET', `/events/${eventID}`);
+        assert.strictEqual(updated.body.data.eventName, 'Karaoke Afternoon');
+    });
+
+    test('keeps the fields a partial update leaves out', async () => {
+        const eventID = await createEvent({ max_participants: 10, location: 'Bishan CC' });
+        const staffToken = await tokenFor(await createStaff());
+
+        const res = await api.request('PUT', `/events/${eventID}`, { token: staffToken, body: { max_participants: 5 } });
+
+        assert.strictEqual(res.status, 200);
+        const { data } = (await api.request('GET', `/events/${eventID}`)).body;
+        assert.strictEqual(data.max_participants, 5);
+        assert.strictEqual(data.location, 'Bishan CC');
+        assert.strictEqual(data.eventName, 'Morning Tai Chi');
+    });
+
+    test('checks a new end_time against the stored start_time', async () => {
+        const eventID = await createEvent({ start_time: at(10), end_time: at(12) });
+
+        const res = await api.request('PUT', `/events/${eventID}`, {
+            token: await tokenFor(await createStaff()),
+            body: { end_time: at(9) }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.field, 'end_time');
+    });
+
+    test('promotes people off the waitlist when capacity goes up', async () => {
+        const eventID = await createEvent({ max_participants: 1 });
+        const [first, second] = [await createParticipant(), await createParticipant()];
+        await api.request('POST', '/participant-events', { token: await tokenFor(first), body: { participantID: first, eventID } });
+        await api.request('POST', '/participant-events', {
+            token: await tokenFor(second),
+            body: { participantID: second, eventID, joinWaitlist: true }
+        });
+
+        const res = await api.request('PUT', `/events/${eventID}`, {
+            token: await tokenFor(await createStaff()),
+            body: { ...newEvent, start_time: at(10), end_time: at(12), max_participants: 2 }
+        });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.promoted, { participants: [second], volunteers: [] });
+    });
+
+    test('returns 404 for an unknown event', async () => {
+        const res = await api.request('PUT', '/events/999', {
+            token: await tokenFor(await createStaff()),
+            body: { ...newEvent, start_time: at(10), end_time: at(12) }
+        });
+
+        assert.strictEqual(res.status, 404);
+    });
+
+    test('is forbidden to volunteers and participants', async () => {
+        const eventID = await createEvent();
+        for (const userID of [await createVolunteer(), await createParticipant()]) {
+            const res = await api.request('PUT', `/events/${eventID}`, { token: await tokenFor(userID), body: newEvent });
+            assert.strictEqual(res.status, 403);
+        }
+    });
+});
+
+describe('DELETE /events/:eventID', () => {
+    test('lets staff delete a draft', async () => {
+        const staffToken = await tokenFor(await createStaff());
+        const eventID = await createEvent({ status: 'draft' });
+
+        const res = await api.request('DELETE', `/events/${eventID}`, { token: staffToken });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual((await api.request('GET', `/events/${eventID}`, { token: staffToken })).status, 404);
+    });
+
+    test('refuses published events and points to cancelling instead', async () => {
+        const eventID = await createEvent();
+
+        const res = await api.request('DELETE', `/events/${eventID}`, { token: await tokenFor(await createStaff()) });
+
+        assert.strictEqual(res.status, 409);
+        assert.strictEqual(res.body.eventStatus, 'published');
+        assert.match(res.body.error, new RegExp(`POST /events/${eventID}/cancel`));
+        assert.strictEqual((await api.request('GET', `/events/${eventID}`)).status, 200);
+    });
+
+    test('refuses a draft that has registrations', async () => {
+        const eventID = await createEvent({ status: 'draft' });
+        getRepositories().store.registrations.participant.push({ userID: await createParticipant(), eventID, signed_at: new Date() });
+
+        const res = await api.request('DELETE', `/events/${eventID}`, { token: await tokenFor(await createStaff()) });
+
+        assert.strictEqual(res.status, 409);
+        assert.match(res.body.error, /registrations/);
+    });
+
+    test('returns 404 for an unknown event', async () => {
+        const res = await api.request('DELETE', '/events/999', { token: await tokenFor(await createStaff()) });
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error, 'Event not found');
+    });
+
+    test('is forbidden to volunteers and participants', async () => {
+        const eventID = await createEvent();
+        for (const userID of [await createVolunteer(), await createParticipant()]) {
+            const res = await api.request('DELETE', `/events/${eventID}`, { token: await tokenFor(userID) });
+            assert.strictEqual(res.status, 403);
+        }
+        assert.strictEqual((await api.request('GET', `/events/${eventID}`)).status, 200);
+    });
+});
@@ -0,0 +1,260 @@
+// Registration exports: CSV/XLSX rosters, sign-in sheets and name badges.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const zlib = require('zlib');
+const { getRepositories } = require('../repositories');
+const { parseCsv, readXlsx } = require('../services/spreadsheet');
+const { ageOn } = require('../services/exports');
+const {
+    startApp, resetData, createStaff, createVolunteer, createParticipant, createEvent, at, tokenFor
+} = require('./helpers');
+
+let api;
+let staffToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+});
+
+// A TrueType font with Cyrillic, where the system has it
+const UNICODE_FONT = '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+
+const download = (path) => api.request('GET', path, { token: staffToken });
+
+// Text drawn on each page of a PDF, from its compressed content streams
+const pdfPages = (buffer) => {
+    const source = buffer.toString('latin1');
+    const pages = [];
+    const pattern = /<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const start = match.index + match[0].length;
+        const content = zlib.inflateSync(buffer.subarray(start, start + Number(match[1]))).toString('latin1');
+        pages.push([...content.matchAll(/\((.*?)\) Tj/g)].map(([, text]) => text));
+    }
+    return pages;
+};
+
+// A registered participant, a registered volunteer and an unrelated participant
+const seedEvent = async (overrides = {}) => {
+    const eventID = await createEvent(overrides);
+    const participantID = await createParticipant({ fullName: 'Tan Ah Kow', phoneNumber: '+6591110000', birthdate: '1948-03-02' });
+    const volunteerID = await createVolunteer({ fullName: 'Val Volunteer', email: 'val@lumen.test' });
+    await createParticipant({ fullName: 'Not Registered' });
+
+    const { registrations } = getRepositories();
+    await registrations.register('participant', participantID, eventID);
+    await registrations.register('volunteer', volunteerID, eventID);
+    return { eventID, participantID, volunteerID };
+};
+
+describe('ageOn', () => {
+    test('counts whole years up to the day', () => {
+        assert.strictEqual(ageOn('1950-06-15', '2025-06-14 10:00:00'), 74);
+        assert.strictEqual(ageOn('1950-06-15', '2025-06-15 10:00:00'), 75);
+        assert.strictEqual(ageOn(null, '2025-06-15'), null);
+    });
+});
+
+describe('GET /events/:eventID/export', () => {
+    test('downloads the roster as CSV', async () => {
+        const { eventID, participantID, volunteerID } = await seedEvent();
+
+        const res = await download(`/events/${eventID}/export`);
+
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/csv/);
+        assert.match(res.headers.get('content-disposition'), new RegExp(`event-${eventID}-registrations\\.csv`));
+
+        const [header, ...rows] = parseCsv(res.body.toString('utf8'));
+        assert.deepStrictEqual(header, [
+            'Event ID', 'Event', 'Start', 'Location', 'Role', 'User ID', 'Name', 'Phone', 'Email', 'Age',
+            'Registered At', 'Attendance', 'Checked In', 'Checked Out'
+        ]);
+        assert.strictEqual(rows.length, 2);
+        assert.deepStrictEqual(rows[0].slice(0, 10), [
+            String(eventID), 'Morning Tai Chi', '2099-01-01 10:00', 'Community Hall', 'participant',
+            String(participantID), 'Tan Ah Kow', '+6591110000', '', '150'
+        ]);
+        assert.strictEqual(rows[0][11], 'registered');
+        assert.deepStrictEqual(rows[1].slice(4, 10), ['volunteer', String(volunteerID), 'Val Volunteer', '', 'val@lumen.test', '']);
+    });
+
+    test('downloads the roster as XLSX', async () => {
+        const { eventID } = await seedEvent();
+
+        const res = await download(`/events/${eventID}/export?format=xlsx`);
+
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get('content-type'), /spreadsheetml/);
+        const rows = readXlsx(res.body);
+        assert.strictEqual(rows[0][6], 'Name');
+        assert.deepStrictEqual(rows.slice(1).map(row => [row[6], row[9]]), [['Tan Ah Kow', 150], ['Val Volunteer', '']]);
+    });
+
+    test('marks past registrations without a check-in as no-shows', async () => {
+        const { eventID } = await seedEvent({ start_time: '2020-01-01 10:00:00', end_time: '2020-01-01 12:00:00' });
+
+        const [, participant] = parseCsv((await download(`/events/${eventID}/export`)).body.toString('utf8'));
+
+        assert.strictEqual(participant[9], '71');
+        assert.strictEqual(participant[11], 'no_show');
+    });
+
+    test('keeps spreadsheet formulas out of the CSV', async () => {
+        const eventID = await createEvent({ eventName: '=HYPERLINK("http://example.com")' });
+        const participantID = await createParticipant({ fullName: '@SUM(1+1)' });
+        await getRepositories().registrations.register('participant', participantID, eventID);
+
+        const [, row] = parseCsv((await download(`/events/${eventID}/export`)).body.toString('utf8'));
+
+        assert.strictEqual(row[1], '\'=HYPERLINK("http://example.com")');
+        assert.strictEqual(row[6], '\'@SUM(1+1)');
+    });
+
+    test('rejects an unknown event or format', async () => {
+        assert.strictEqual((await download('/events/999/export')).status, 404);
+        assert.strictEqual((await download(`/events/${await createEvent()}/export?format=pdf`)).status, 400);
+    });
+});
+
+describe('GET /registrations/export', () => {
+    test('covers every event starting within the dates, in order', async () => {
+        const { eventID: later } = await seedEvent({ eventName: 'Later', start_time: at(10, 0, 3), end_time: at(12, 0, 3) });
+        const earlier = await createEvent({ eventName: 'Earlier', start_time: at(9, 0, 2), end_time: at(11, 0, 2) });
+        const outside = await createEvent({ eventName: 'Outside', start_time: at(9, 0, 4), end_time: at(11, 0, 4) });
+        const participantID = await createParticipant({ fullName: 'Goh Siew Lan' });
+        const { registrations } = getRepositories();
+        await registrations.register('participant', participantID, earlier);
+        await registrations.register('participant', participantID, outside);
+
+        const res = await download('/registrations/export?from=2099-01-02&to=2099-01-03');
+
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /registrations-2099-01-02-to-2099-01-03\.csv/);
+        const [, ...rows] = parseCsv(res.body.toString('utf8'));
+        assert.deepStrictEqual(rows.map(row => [row[0], row[6]]), [
+            [String(earlier), 'Goh Siew Lan'],
+            [String(later), 'Tan Ah Kow'],
+            [String(later), 'Val Volunteer']
+        ]);
+    });
+
+    test('needs a valid date range', async () => {
+        assert.strictEqual((await download('/registrations/export?from=2099-01-02')).status, 400);
+        const backwards = await download('/registrations/export?from=2099-01-03&to=2099-01-02');
+        assert.strictEqual(backwards.status, 400);
+        assert.strictEqual(backwards.body.error, 'to must not be before from');
+    });
+});
+
+describe('printable PDFs', () => {
+    test('sign-in sheet lists the participants with room for walk-ins', async () => {
+        const { eventID } = await seedEvent();
+
+        const res = await download(`/events/${eventID}/sign-in-sheet`);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'application/pdf');
+        assert.match(res.headers.get('content-disposition'), new RegExp(`event-${eventID}-sign-in-sheet\\.pdf`));
+        assert.strictEqual(res.body.subarray(0, 5).toString(), '%PDF-');
+        assert.match(res.body.toString('latin1'), /%%EOF\n$/);
+
+        const [page, ...rest] = pdfPages(res.body);
+        assert.strictEqual(rest.length, 0);
+        assert.ok(page.includes('Morning Tai Chi'));
+        assert.ok(page.includes('Tan Ah Kow'));
+        assert.ok(page.includes('+6591110000'));
+        assert.ok(page.includes('Signature'));
+        assert.ok(!page.includes('Val Volunteer'));
+        assert.ok(page.includes('Page 1 of 1'));
+    });
+
+    test('sign-in sheet runs onto more pages, repeating the heading', async () => {
+        const eventID = await createEvent();
+        for (let index = 1; index <= 30; index++) {
+            const participantID = await createParticipant({ fullName: `Participant ${String(index).padStart(2, '0')}` });
+            await getRepositories().registrations.register('participant', participantID, eventID);
+        }
+
+        const pages = pdfPages((await download(`/events/${eventID}/sign-in-sheet`)).body);
+
+        assert.strictEqual(pages.length, 2);
+        assert.ok(pages[1].includes('Morning Tai Chi'));
+        assert.ok(pages[1].includes('Participant 30'));
+        assert.ok(pages[1].includes('Page 2 of 2'));
+    });
+
+    test('badges are printed for participants and volunteers', async () => {
+        const { eventID } = await seedEvent();
+
+        const res = await download(`/events/${eventID}/badges`);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'application/pdf');
+        const [page] = pdfPages(res.body);
+        assert.deepStrictEqual(page.filter(text => ['Tan Ah Kow', 'Val Volunteer', 'PARTICIPANT', 'VOLUNTEER'].includes(text)),
+            ['Tan Ah Kow', 'PARTICIPANT', 'Val Volunteer', 'VOLUNTEER']);
+    });
+
+    test('print accented names and curly quotes', async () => {
+        const eventID = await createEvent({ eventName: 'Zoë’s Café – Quiz' });
+
+        const res = await download(`/events/${eventID}/sign-in-sheet`);
+
+        assert.strictEqual(res.status, 200);
+        assert.ok(pdfPages(res.body)[0].includes('Zo\\353\\222s Caf\\351 \\226 Quiz'));
+    });
+
+    test('print a character no font has as ?, leaving the rest of the document as it was', async () => {
+        const { eventID } = await seedEvent();
+        const participantID = await createParticipant({ fullName: '陈美玲' });
+        await getRepositories().registrations.register('participant', participantID, eventID);
+
+        for (const path of [`/events/${eventID}/sign-in-sheet`, `/events/${eventID}/badges`]) {
+            const res = await download(path);
+            assert.strictEqual(res.status, 200);
+            const [page] = pdfPages(res.body);
+            assert.ok(page.includes('???'));
+            assert.ok(page.includes('Tan Ah Kow'));
+        }
+    });
+
+    test('set other scripts in the PDF_FONTS font, embedding only the glyphs used', { skip: !fs.existsSync(UNICODE_FONT) && 'needs DejaVu Sans' }, async () => {
+        process.env.PDF_FONTS = UNICODE_FONT;
+        try {
+            const { eventID } = await seedEvent();
+            const participantID = await createParticipant({ fullName: 'Анна Петрова' });
+            await getRepositories().registrations.register('participant', participantID, eventID);
+
+            const res = await download(`/events/${eventID}/sign-in-sheet`);
+
+            assert.strictEqual(res.status, 200);
+            const source = res.body.toString('latin1');
+            assert.match(source, /\/Subtype \/CIDFontType2 \/BaseFont \/[A-Z]{6}\+DejaVuSans/);
+            // Text copied from the PDF comes out as the name
+            assert.match(source, /<[0-9A-F]{4}> <0410>/);
+            const [, embedded] = /\/Length1 (\d+)/.exec(source);
+            assert.ok(Number(embedded) < fs.statSync(UNICODE_FONT).size / 2);
+            assert.ok(pdfPages(res.body)[0].includes('Tan Ah Kow'));
+        } finally {
+            delete process.env.PDF_FONTS;
+        }
+    });
+
+    test('are for staff only', async () => {
+        const eventID = await createEvent();
+        const res = await api.request('GET', `/events/${eventID}/badges`, { token: await tokenFor(await createVolunteer()) });
+        assert.strictEqual(res.status, 403);
+    });
+});
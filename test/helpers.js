@@ -0,0 +1,144 @@
+// Shared setup for the API tests. Boots the Express app from server.js on the
+// in-memory repositories (DB_BACKEND=memory), so no database is needed.
+process.env.DB_BACKEND = 'memory';
+process.env.SCHEDULER_ENABLED = 'false';
+
+const bcrypt = require('bcrypt');
+const app = require('../server');
+const tokens = require('../services/tokens');
+const { createRepositories, getRepositories, setRepositories } = require('../repositories');
+const { setSmsProvider } = require('../services/sms');
+const { setEmailProvider } = require('../services/email');
+
+const PASSWORD = 'Secret123!';
+
+// Start the app on a free port. Resolves to { request, close }, where
+// request(method, path, { body, token, headers }) resolves to { status, headers, body };
+// body is parsed JSON, or a Buffer for any other content type.
+const startApp = () => new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+        const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+        resolve({
+            request: (method, path, options) => request(baseUrl, method, path, options),
+            close: () => new Promise((done) => {
+                server.closeAllConnections();
+                server.close(done);
+            })
+        });
+    });
+});
+
+const request = async (baseUrl, method, path, { body, token, headers: extraHeaders } = {}) => {
+    const headers = { ...extraHeaders };
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    if (!(response.headers.get('content-type') || '').includes('json')) {
+        return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+    }
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : undefined };
+};
+
+// Messages the app sent since the last resetData(), instead of printing them
+const outbox = { sms: [], email: [] };
+
+// Start every test from an empty store and outbox
+const resetData = () => {
+    setRepositories(createRepositories('memory'));
+    outbox.sms.length = 0;
+    outbox.email.length = 0;
+    setSmsProvider({
+        name: 'test',
+        send: async (to, message) => {
+            outbox.sms.push({ to, message });
+            return { delivered: true };
+        }
+    });
+    setEmailProvider({
+        name: 'test',
+        send: async (to, subject, body) => {
+            outbox.email.push({ to, subject, body });
+            return { delivered: true };
+        }
+    });
+};
+
+// ==================== SEED DATA ====================
+
+let phoneCounter = 0;
+
+const createStaff = async (overrides = {}) => getRepositories().staff.create({
+    fullName: 'Sam Staff',
+    email: 'staff@lumen.test',
+    password: await bcrypt.hash(PASSWORD, 4),
+    ...overrides
+});
+
+const createVolunteer = async (overrides = {}) => getRepositories().volunteers.create({
+    fullName: 'Val Volunteer',
+    email: 'volunteer@lumen.test',
+    password: await bcrypt.hash(PASSWORD, 4),
+    ...overrides
+});
+
+const createParticipant = (overrides = {}) => getRepositories().participants.create({
+    fullName: 'Pat Participant',
+    phoneNumber: `+659${String(1000000 + ++phoneCounter).slice(-7)}`,
+    birthdate: '1950-06-15',
+    ...overrides
+});
+
+const createCaregiver = async (overrides = {}) => getRepositories().caregivers.create({
+    fullName: 'Cara Caregiver',
+    email: 'caregiver@lumen.test',
+    password: await bcrypt.hash(PASSWORD, 4),
+    ...overrides
+});
+
+// Local date-time on a fixed day far in the future, e.g. at(10) or at(13, 30)
+const at = (hour, minute = 0, day = 1) =>
+    `2099-01-${String(day).padStart(2, '0')} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00`;
+
+const createEvent = (overrides = {}) => getRepositories().events.create({
+    eventName: 'Morning Tai Chi',
+    eventDescription: 'Gentle exercise in the park',
+    disabled_friendly: true,
+    start_time: at(10),
+    end_time: at(12),
+    location: 'Community Hall',
+    additional_information: null,
+    max_participants: null,
+    max_volunteers: null,
+    ...overrides
+});
+
+// Access token for a seeded user, as if they had just logged in
+const tokenFor = async (userID) => {
+    const user = await getRepositories().users.findById(userID);
+    const issued = await tokens.issueTokens(user, { get: () => 'node-test', ip: '127.0.0.1' });
+    return issued.token;
+};
+
+module.exports = {
+    PASSWORD,
+    startApp,
+    resetData,
+    outbox,
+    createStaff,
+    createVolunteer,
+    createParticipant,
+    createCaregiver,
+    createEvent,
+    at,
+    tokenFor
+};
@@ -0,0 +1,175 @@
+// NRIC/FIN and Singapore mobile validation, phone normalisation, and NRIC
+// encryption at rest and masking in responses.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const identity = require('../services/identity');
+const { getRepositories } = require('../repositories');
+const { startApp, resetData, createStaff, createParticipant, tokenFor } = require('./helpers');
+
+let api;
+let staffToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+});
+
+const newParticipant = {
+    fullName: 'Lim Bee Hoon',
+    phoneNumber: '+6593330000',
+    birthdate: '1945-08-09'
+};
+
+const fields = (res) => res.body.errors.map(error => error.field);
+
+describe('NRIC/FIN checksums', () => {
+    test('accepts valid numbers of every prefix', () => {
+        for (const nric of ['S1234567D', 'T1234567J', 'F1234567N', 'G1234567X', 'M1234567K', 's1234567d']) {
+            assert.strictEqual(identity.isValidNric(nric), true, nric);
+        }
+    });
+
+    test('rejects a wrong check letter or shape', () => {
+        for (const nric of ['S1234567A', 'A1234567D', 'S123456D', 'S12345678D']) {
+            assert.strictEqual(identity.isValidNric(nric), false, nric);
+        }
+    });
+
+    test('POST /participants rejects an invalid NRIC', async () => {
+        const res = await api.request('POST', '/participants', {
+            token: staffToken,
+            body: { ...newParticipant, NRIC: 'S1234567A' }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(fields(res), ['NRIC']);
+        assert.strictEqual(res.body.error, 'NRIC must be a valid NRIC or FIN');
+    });
+});
+
+describe('phone numbers', () => {
+    test('normalises common ways of writing a Singapore mobile', () => {
+        for (const phone of ['91234567', '9123 4567', '6591234567', '+65 9123-4567', '(65) 9123 4567', '0065 91234567']) {
+            assert.strictEqual(identity.normalizePhone(phone), '+6591234567', phone);
+        }
+    });
+
+    test('rejects numbers that are not Singapore mobiles', async () => {
+        for (const phoneNumber of ['61234567', '+6012345678', '912345']) {
+            const res = await api.request('POST', '/participants', { token: staffToken, body: { ...newParticipant, phoneNumber } });
+            assert.deepStrictEqual(fields(res), ['phoneNumber'], phoneNumber);
+        }
+    });
+
+    test('stores the normalised number and finds it however it is typed', async () => {
+        const created = await api.request('POST', '/participants', {
+            token: staffToken,
+            body: { ...newParticipant, phoneNumber: '9333 0000' }
+        });
+        assert.strictEqual(created.status, 201);
+
+        const participant = await getRepositories().participants.findById(created.body.userID);
+        assert.strictEqual(participant.phoneNumber, '+6593330000');
+
+        const duplicate = await api.request('POST', '/participants', {
+            token: staffToken,
+            body: { ...newParticipant, phoneNumber: '+65 9333-0000' }
+        });
+        assert.strictEqual(duplicate.status, 400);
+        assert.strictEqual(duplicate.body.error, 'This phone number is already registered');
+
+        const signIn = await api.request('POST', '/participant/check-or-create', {
+            body: { ...newParticipant, phoneNumber: '65 93330000' }
+        });
+        assert.strictEqual(signIn.status, 200);
+        assert.strictEqual(signIn.body.userID, created.body.userID);
+    });
+
+    test('PUT /participants refuses a number that belongs to someone else', async () => {
+        await createParticipant({ phoneNumber: '+6591110000' });
+        const second = await createParticipant();
+
+        const res = await api.request('PUT', `/participants/${second}`, {
+            token: staffToken,
+            body: { ...newParticipant, phoneNumber: '9111 0000' }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'This phone number is already registered');
+    });
+});
+
+describe('NRIC protection', () => {
+    test('stores the NRIC encrypted with a lookup hash', async () => {
+        const userID = await createParticipant({ NRIC: 'S1234567D' });
+        const stored = getRepositories().store.users.get(userID);
+
+        assert.strictEqual(identity.isEncrypted(stored.NRIC), true);
+        assert.strictEqual(identity.decryptNric(stored.NRIC), 'S1234567D');
+        assert.strictEqual(stored.NRIC_hash, identity.nricIndex('s1234567d'));
+    });
+
+    test('masks the NRIC in responses and never returns the hash', async () => {
+        const userID = await createParticipant({ NRIC: 'S1234567D' });
+
+        const requests = [
+            ['/participants', staffToken],
+            ['/users', staffToken],
+            ['/me', await tokenFor(userID)]
+        ];
+
+        for (const [path, token] of requests) {
+            const res = await api.request('GET', path, { token });
+            const user = [].concat(res.body.data).find(found => found.userID === userID);
+
+            assert.strictEqual(res.status, 200, path);
+            assert.strictEqual(user.NRIC, 'S****567D', path);
+            assert.strictEqual('NRIC_hash' in user, false, path);
+        }
+    });
+
+    test('refuses an NRIC that is already registered', async () => {
+        await createParticipant({ NRIC: 'S1234567D' });
+
+        const created = await api.request('POST', '/participants', {
+            token: staffToken,
+            body: { ...newParticipant, NRIC: 's1234567d' }
+        });
+        assert.strictEqual(created.status, 400);
+        assert.strictEqual(created.body.error, 'This NRIC is already registered');
+
+        const signUp = await api.request('POST', '/participant/check-or-create', {
+            body: { ...newParticipant, NRIC: 'S1234567D' }
+        });
+        assert.strictEqual(signUp.status, 400);
+        assert.strictEqual(signUp.body.error, 'This NRIC is already registered');
+    });
+
+    test('PUT /participants sets and replaces the NRIC', async () => {
+        const userID = await createParticipant();
+
+        const res = await api.request('PUT', `/participants/${userID}`, {
+            token: staffToken,
+            body: { ...newParticipant, NRIC: 'T1234567J' }
+        });
+        assert.strictEqual(res.status, 200);
+
+        const participants = await api.request('GET', '/participants', { token: staffToken });
+        assert.strictEqual(participants.body.data[0].NRIC, 'T****567J');
+        const found = await getRepositories().participants.findByNric('T1234567J');
+        assert.strictEqual(found.userID, userID);
+    });
+
+    test('masks plaintext NRICs left over from before encryption', () => {
+        assert.strictEqual(identity.maskStoredNric('S1234567A'), 'S****567A');
+        assert.strictEqual(identity.maskStoredNric(null), null);
+    });
+});
@@ -0,0 +1,263 @@
+// Bulk participant import from CSV and XLSX sign-up sheets.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getRepositories } = require('../repositories');
+const { ZipError, createZip, readZip } = require('../services/zip');
+const { parseCsv, readXlsx } = require('../services/spreadsheet');
+const {
+    startApp, resetData, createStaff, createParticipant, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+let staffToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+});
+
+const upload = (filename, content, options = {}) => api.request('POST', '/participants/import', {
+    token: staffToken,
+    body: { filename, file: Buffer.from(content).toString('base64'), ...options }
+});
+
+const csv = (...lines) => ['Full Name,Mobile,DOB,NRIC', ...lines].join('\r\n');
+
+const actions = (res) => res.body.rows.map(row => [row.row, row.action]);
+
+// Minimal workbook: one sheet, strings in the shared string table, plus any other parts
+const xlsx = (rows, otherParts = []) => {
+    const strings = [];
+    const cell = (value, column, rowNumber) => {
+        const reference = `${String.fromCharCode(65 + column)}${rowNumber}`;
+        if (typeof value === 'number') {
+            return `<c r="${reference}"><v>${value}</v></c>`;
+        }
+        strings.push(value.replace(/&/g, '&amp;'));
+        return `<c r="${reference}" t="s"><v>${strings.length - 1}</v></c>`;
+    };
+    const sheetRows = rows.map((values, index) =>
+        `<row r="${index + 1}">${values.map((value, column) => cell(value, column, index + 1)).join('')}</row>`);
+
+    return createZip([
+        { name: 'xl/workbook.xml', content: '<workbook><sheets><sheet name="Sign-ups" sheetId="1" r:id="rId1"/></sheets></workbook>' },
+        { name: 'xl/_rels/workbook.xml.rels', content: '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>' },
+        { name: 'xl/worksheets/sheet1.xml', content: `<worksheet><sheetData>${sheetRows.join('')}</sheetData></worksheet>` },
+        { name: 'xl/sharedStrings.xml', content: `<sst>${strings.map(text => `<si><t>${text}</t></si>`).join('')}</sst>` },
+        ...otherParts
+    ]);
+};
+
+describe('spreadsheet parsing', () => {
+    test('reads quoted CSV fields with commas, quotes and line breaks', () => {
+        assert.deepStrictEqual(
+            parseCsv('\uFEFFname,notes\r\n"Tan, Ah Kow","Says ""hi""\nto all"\n'),
+            [['name', 'notes'], ['Tan, Ah Kow', 'Says "hi"\nto all']]
+        );
+    });
+
+    test('reads the first worksheet of an XLSX workbook', () => {
+        const rows = readXlsx(xlsx([['Name', 'Phone'], ['Lim & Co', 91234567]]));
+        assert.deepStrictEqual(rows, [['Name', 'Phone'], ['Lim & Co', 91234567]]);
+    });
+
+    test('refuses cell references far outside the sheet instead of padding up to them', () => {
+        const workbook = (sheetData) => createZip([
+            { name: 'xl/worksheets/sheet1.xml', content: `<worksheet><sheetData>${sheetData}</sheetData></worksheet>` }
+        ]);
+
+        assert.throws(() => readXlsx(workbook('<row r="1"><c r="XFD1"><v>1</v></c></row>')),
+            { name: 'SpreadsheetError', message: 'Sheet has more than 200 columns' });
+        assert.throws(() => readXlsx(workbook('<row r="1048576"><c r="A1048576"><v>1</v></c></row>')),
+            { name: 'SpreadsheetError', message: 'Sheet has more than 10000 rows' });
+    });
+
+    test('stops inflating an entry once it passes the size limit', () => {
+        const archive = createZip([{ name: 'zeros.bin', content: Buffer.alloc(64 * 1024) }]);
+
+        assert.throws(() => readZip(archive, { maxEntrySize: 1024 }), ZipError);
+        assert.strictEqual(readZip(archive)['zeros.bin'].length, 64 * 1024);
+    });
+
+    // Offsets of the central directory records of an archive, in order
+    const centralRecords = (archive) => {
+        const offsets = [];
+        for (let offset = archive.indexOf('PK\x01\x02'); offset >= 0; offset = archive.indexOf('PK\x01\x02', offset + 1)) {
+            offsets.push(offset);
+        }
+        return offsets;
+    };
+
+    test('caps the total unpacked size across entries', () => {
+        const archive = createZip([
+            { name: 'a.bin', content: Buffer.alloc(64 * 1024) },
+            { name: 'b.bin', content: Buffer.alloc(64 * 1024) }
+        ]);
+
+        assert.throws(() => readZip(archive, { maxTotalSize: 100 * 1024 }), { name: 'ZipError', message: 'Archive is too large' });
+        assert.strictEqual(Object.keys(readZip(archive, { maxTotalSize: 128 * 1024 })).length, 2);
+    });
+
+    test('refuses entries that point at the same data', () => {
+        const archive = createZip([{ name: 'a.bin', content: Buffer.alloc(1024) }, { name: 'b.bin', content: 'b' }]);
+        archive.writeUInt32LE(0, centralRecords(archive)[1] + 42);
+
+        assert.throws(() => readZip(archive), { name: 'ZipError', message: 'Damaged ZIP archive' });
+        assert.throws(() => readXlsx(archive), { name: 'SpreadsheetError', message: 'File is not a valid XLSX workbook' });
+    });
+
+    test('only unpacks the parts of a workbook it reads', () => {
+        const workbook = xlsx([['Name'], ['Lim']], [{ name: 'xl/media/image1.png', content: 'not really a picture' }]);
+        // Mark the picture with a compression method nothing here can unpack
+        const records = centralRecords(workbook);
+        workbook.writeUInt16LE(99, records[records.length - 1] + 10);
+
+        assert.throws(() => readZip(workbook), { message: 'Unsupported compression in xl/media/image1.png' });
+        assert.deepStrictEqual(readXlsx(workbook), [['Name'], ['Lim']]);
+    });
+});
+
+describe('POST /participants/import', () => {
+    test('previews creates, updates, conflicts and invalid rows without saving', async () => {
+        const existingID = await createParticipant({ fullName: 'Tan Ah Kow', phoneNumber: '+6591110000', birthdate: '1948-03-02' });
+        await createParticipant({ fullName: 'Lim Bee Hoon', phoneNumber: '+6591112222', birthdate: '1952-07-30' });
+
+        const res = await upload('sign-ups.csv', csv(
+            'Goh Siew Lan,9111 3333,15/08/1950,',
+            'tan ah kow,+65 9111 0000,02/03/1948,',
+            'Tan Ah Kow,91114444,1948-03-02,',
+            'Ong Kim Seng,91112222,1960-01-01,',
+            'Goh Siew Lan,91113333,1950-08-15,',
+            ',12345,31/02/1950,S1234567A'
+        ));
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.dryRun, true);
+        assert.deepStrictEqual(actions(res), [
+            [2, 'create'], [3, 'unchanged'], [4, 'update'], [5, 'conflict'], [6, 'conflict'], [7, 'invalid']
+        ]);
+        assert.deepStrictEqual(res.body.rows[2].changes, { phoneNumber: '+6591114444' });
+        assert.strictEqual(res.body.rows[2].participantID, existingID);
+        assert.strictEqual(res.body.rows[3].error, 'Phone number is registered to another participant');
+        assert.strictEqual(res.body.rows[4].error, 'Same phone number as row 2');
+        assert.deepStrictEqual(res.body.rows[5].errors, [
+            'fullName is required',
+            'phoneNumber must be a Singapore mobile number',
+            'birthdate must be a date (YYYY-MM-DD or DD/MM/YYYY)',
+            'NRIC must be a valid NRIC or FIN'
+        ]);
+        assert.deepStrictEqual(res.body.summary, { total: 6, create: 1, update: 1, unchanged: 1, conflict: 2, invalid: 1 });
+        assert.strictEqual((await getRepositories().participants.findAll()).length, 2);
+    });
+
+    test('commits creates and updates and skips the rest', async () => {
+        const existingID = await createParticipant({ fullName: 'Tan Ah Kow', phoneNumber: '+6591110000', birthdate: '1948-03-02' });
+        const sheet = csv(
+            'Goh Siew Lan,91113333,15/08/1950,S1234567D',
+            'Tan Ah Kow,91110000,1948-03-12,',
+            'Bad Row,123,1950-01-01,'
+        );
+
+        const res = await upload('sign-ups.csv', sheet, { dryRun: false });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(actions(res), [[2, 'create'], [3, 'update'], [4, 'invalid']]);
+        const { participants } = getRepositories();
+        const created = await participants.findById(res.body.rows[0].participantID);
+        assert.strictEqual(created.fullName, 'Goh Siew Lan');
+        assert.strictEqual(created.phoneNumber, '+6591113333');
+        assert.strictEqual(res.body.rows[0].NRIC, 'S****567D');
+        assert.ok(await participants.findByNric('S1234567D'));
+        assert.deepStrictEqual((await participants.findById(existingID)).birthdate, new Date(1948, 2, 12));
+
+        const again = await upload('sign-ups.csv', sheet);
+        assert.deepStrictEqual(actions(again), [[2, 'unchanged'], [3, 'unchanged'], [4, 'invalid']]);
+    });
+
+    test('matches by name and birthdate when the phone number has changed', async () => {
+        const existingID = await createParticipant({ fullName: 'Tan Ah Kow', phoneNumber: '+6591110000', birthdate: '1948-03-02' });
+
+        const res = await upload('sign-ups.csv', csv('Tan  Ah Kow,98887777,2/3/1948,'));
+
+        assert.deepStrictEqual(actions(res), [[2, 'update']]);
+        assert.strictEqual(res.body.rows[0].participantID, existingID);
+        assert.deepStrictEqual(res.body.rows[0].changes, { phoneNumber: '+6598887777' });
+    });
+
+    test('reports an NRIC that belongs to someone else as a conflict', async () => {
+        const holderID = await createParticipant({ NRIC: 'S1234567D' });
+
+        const res = await upload('sign-ups.csv', csv('Goh Siew Lan,91113333,15/08/1950,s1234567d'));
+
+        assert.deepStrictEqual(actions(res), [[2, 'conflict']]);
+        assert.strictEqual(res.body.rows[0].error, 'NRIC is registered to another participant');
+        assert.strictEqual(res.body.rows[0].participantID, holderID);
+    });
+
+    test('reads XLSX sheets, including Excel date cells and numeric phone numbers', async () => {
+        const res = await upload('sign-ups.xlsx', xlsx([
+            ['Name', 'Phone Number', 'Date of Birth'],
+            ['Goh Siew Lan', 91113333, 18490],
+            ['Lim Bee Hoon', '9111 2222', '30/07/1952']
+        ]));
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.rows.map(row => [row.fullName, row.phoneNumber, row.birthdate]), [
+            ['Goh Siew Lan', '+6591113333', '1950-08-15'],
+            ['Lim Bee Hoon', '+6591112222', '1952-07-30']
+        ]);
+    });
+
+    test('registers imported participants for an event, reporting each outcome', async () => {
+        const eventID = await createEvent({ max_participants: 2 });
+        const registeredID = await createParticipant({ fullName: 'Tan Ah Kow', phoneNumber: '+6591110000', birthdate: '1948-03-02' });
+        await getRepositories().registrations.register('participant', registeredID, eventID);
+
+        const res = await upload('sign-ups.csv', csv(
+            'Tan Ah Kow,91110000,1948-03-02,',
+            'Goh Siew Lan,91113333,1950-08-15,',
+            'Lim Bee Hoon,91112222,1952-07-30,'
+        ), { dryRun: false, eventID, joinWaitlist: true });
+
+        assert.deepStrictEqual(res.body.rows.map(row => row.registration), [
+            { status: 'failed', error: 'Already registered' },
+            { status: 'registered' },
+            { status: 'waitlisted', position: 1 }
+        ]);
+        assert.strictEqual(res.body.summary.registered, 1);
+        assert.strictEqual(res.body.summary.waitlisted, 1);
+        assert.strictEqual(res.body.summary.registrationFailed, 1);
+    });
+
+    test('rejects files it cannot use', async () => {
+        const missing = await upload('sign-ups.csv', 'Name,Phone\nTan Ah Kow,91110000');
+        assert.strictEqual(missing.status, 400);
+        assert.strictEqual(missing.body.error, 'Missing column(s): birthdate');
+
+        const broken = await upload('sign-ups.xlsx', 'not a workbook');
+        assert.strictEqual(broken.status, 400);
+        assert.strictEqual(broken.body.error, 'File is not a valid XLSX workbook');
+
+        const wrongType = await upload('sign-ups.pdf', csv());
+        assert.deepStrictEqual(wrongType.body.errors.map(error => error.field), ['filename']);
+
+        const noEvent = await upload('sign-ups.csv', csv('Goh Siew Lan,91113333,15/08/1950,'), { eventID: 999 });
+        assert.strictEqual(noEvent.status, 404);
+    });
+
+    test('is for staff only', async () => {
+        const res = await api.request('POST', '/participants/import', {
+            token: await tokenFor(await createParticipant()),
+            body: { filename: 'sign-ups.csv', file: 'YQ==' }
+        });
+        assert.strictEqual(res.status, 403);
+    });
+});
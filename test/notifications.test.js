@@ -0,0 +1,94 @@
+// Notification preferences: the channels each user is sent messages on.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const notifications = require('../services/notifications');
+const {
+    startApp, resetData, outbox, createVolunteer, createParticipant, createCaregiver, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(resetData);
+
+const getPreferences = (token) => api.request('GET', '/me/notification-preferences', { token });
+
+const setPreferences = (token, body) => api.request('PUT', '/me/notification-preferences', { token, body });
+
+describe('GET /me/notification-preferences', () => {
+    test('starts participants on SMS', async () => {
+        const res = await getPreferences(await tokenFor(await createParticipant()));
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.data, {
+            channels: { sms: true, email: false },
+            available: { sms: true, email: false }
+        });
+    });
+
+    test('starts volunteers on email', async () => {
+        const res = await getPreferences(await tokenFor(await createVolunteer()));
+
+        assert.deepStrictEqual(res.body.data, {
+            channels: { sms: false, email: true },
+            available: { sms: false, email: true }
+        });
+    });
+
+    test('requires a token', async () => {
+        const res = await getPreferences();
+        assert.strictEqual(res.status, 401);
+    });
+});
+
+describe('PUT /me/notification-preferences', () => {
+    test('saves the channels sent and keeps the others', async () => {
+        const token = await tokenFor(await createCaregiver({ phoneNumber: '+6594440000' }));
+        const sms = await setPreferences(token, { sms: true });
+
+        assert.strictEqual(sms.status, 200);
+        assert.deepStrictEqual(sms.body.data.channels, { sms: true, email: true });
+
+        const email = await setPreferences(token, { email: false });
+        assert.deepStrictEqual(email.body.data.channels, { sms: true, email: false });
+        assert.deepStrictEqual((await getPreferences(token)).body.data.channels, { sms: true, email: false });
+    });
+
+    test('refuses a channel there are no contact details for', async () => {
+        const token = await tokenFor(await createParticipant());
+        const res = await setPreferences(token, { email: true });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'No email on file for email notifications');
+        assert.deepStrictEqual((await getPreferences(token)).body.data.channels, { sms: true, email: false });
+    });
+
+    test('refuses a value that is not true or false', async () => {
+        const token = await tokenFor(await createParticipant());
+        const res = await setPreferences(token, { sms: 'no' });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual((await getPreferences(token)).body.data.channels.sms, true);
+    });
+
+    test('stops messages on a channel that was turned off', async () => {
+        const participantID = await createParticipant();
+        const otherID = await createParticipant();
+        const eventID = await createEvent();
+        await setPreferences(await tokenFor(participantID), { sms: false });
+
+        await notifications.notifyAboutEvent('registration_confirmed', [participantID, otherID], eventID);
+
+        const [other] = await api.request('GET', '/me/notifications', { token: await tokenFor(otherID) }).then(res => res.body.data);
+        assert.deepStrictEqual(outbox.sms.map(sms => sms.to), [other.recipient]);
+        const own = await api.request('GET', '/me/notifications', { token: await tokenFor(participantID) });
+        assert.deepStrictEqual(own.body.data, []);
+    });
+});
@@ -0,0 +1,154 @@
+// Every protected route refuses callers without a token, and refuses roles the
+// PERMISSIONS matrix does not grant (or grants for their own records only).
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { PERMISSIONS } = require('../middleware/auth');
+const {
+    startApp, resetData, createStaff, createVolunteer, createParticipant, createCaregiver, tokenFor
+} = require('./helpers');
+
+let api;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+// Record IDs in the paths and bodies belong to nobody, so 'own' scope never matches
+const OTHER = 999;
+const bodyFor = (method) => (method === 'GET' ? undefined : { participantID: OTHER, volunteerID: OTHER, eventID: OTHER });
+
+// [method, path, permission]; null permission means any logged-in user
+const ROUTES = [
+    ['GET', '/me', null],
+    ['POST', '/auth/logout-all', null],
+    ['GET', '/me/notification-preferences', null],
+    ['PUT', '/me/notification-preferences', null],
+    ['GET', '/me/notifications', null],
+
+    ['GET', '/users', 'users:read'],
+    ['POST', '/users', 'users:create'],
+    ['PUT', `/users/${OTHER}`, 'users:update'],
+    ['DELETE', `/users/${OTHER}`, 'users:delete'],
+    ['GET', `/users/${OTHER}/personal-data`, 'personal-data:export'],
+    ['GET', '/erasure-requests', 'erasure-requests:review'],
+    ['GET', `/erasure-requests/${OTHER}`, 'erasure-requests:review'],
+    ['POST', `/erasure-requests/${OTHER}/approve`, 'erasure-requests:review'],
+    ['POST', `/erasure-requests/${OTHER}/reject`, 'erasure-requests:review'],
+    ['GET', '/audit-log', 'audit-log:read'],
+
+    ['GET', '/participants', 'participants:read'],
+    ['POST', '/participants', 'participants:create'],
+    ['POST', '/participants/import', 'participants:create'],
+    ['PUT', `/participants/${OTHER}`, 'participants:update'],
+    ['DELETE', `/participants/${OTHER}`, 'participants:delete'],
+
+    ['GET', '/volunteers', 'volunteers:read'],
+    ['PUT', `/volunteers/${OTHER}`, 'volunteers:update'],
+    ['DELETE', `/volunteers/${OTHER}`, 'volunteers:delete'],
+
+    ['GET', '/staff', 'staff:read'],
+    ['POST', '/staff', 'staff:create'],
+    ['PUT', `/staff/${OTHER}`, 'staff:update'],
+    ['DELETE', `/staff/${OTHER}`, 'staff:delete'],
+
+    ['GET', '/caregivers', 'caregivers:read'],
+    ['GET', '/caregivers/dependants', 'dependants:manage'],
+    ['POST', '/caregivers/dependants', 'dependants:manage'],
+    ['POST', `/caregivers/dependants/${OTHER}/consent`, 'dependants:manage'],
+    ['DELETE', `/caregivers/dependants/${OTHER}`, 'dependants:manage'],
+    ['GET', `/caregivers/dependants/${OTHER}/events`, 'dependants:manage'],
+    ['POST', `/caregivers/dependants/${OTHER}/events`, 'dependants:manage'],
+    ['DELETE', `/caregivers/dependants/${OTHER}/events/${OTHER}`, 'dependants:manage'],
+    ['GET', '/me/caregivers', 'caregiver-consent:manage'],
+    ['DELETE', `/me/caregivers/${OTHER}`, 'caregiver-consent:manage'],
+
+    ['POST', '/events', 'events:create'],
+    ['PUT', `/events/${OTHER}`, 'events:update'],
+    ['DELETE', `/events/${OTHER}`, 'events:delete'],
+    ['POST', `/events/${OTHER}/publish`, 'events:update'],
+    ['POST', `/events/${OTHER}/cancel`, 'events:update'],
+    ['POST', '/series', 'events:create'],
+    ['POST', '/venues', 'venues:manage'],
+    ['PUT', `/venues/${OTHER}`, 'venues:manage'],
+    ['DELETE', `/venues/${OTHER}`, 'venues:manage'],
+    ['GET', `/volunteers/${OTHER}/hours`, 'volunteer-hours:read'],
+    ['GET', `/volunteers/${OTHER}/hours/certificate`, 'volunteer-hours:read'],
+    ['PUT', `/volunteers/${OTHER}/hours/${OTHER}`, 'volunteer-hours:adjust'],
+    ['GET', `/events/${OTHER}/participants`, 'event-rosters:read'],
+    ['GET', `/events/${OTHER}/volunteers`, 'event-rosters:read'],
+    ['GET', `/events/${OTHER}/waitlist`, 'event-rosters:read'],
+    ['GET', `/events/${OTHER}/export`, 'event-rosters:export'],
+    ['GET', `/events/${OTHER}/sign-in-sheet`, 'event-rosters:export'],
+    ['GET', `/events/${OTHER}/badges`, 'event-rosters:export'],
+    ['GET', '/registrations/export', 'event-rosters:export'],
+    ['POST', `/events/${OTHER}/check-in`, 'attendance:manage'],
+    ['POST', `/events/${OTHER}/check-out`, 'attendance:manage'],
+    ['POST', `/events/${OTHER}/walk-ins`, 'attendance:manage'],
+
+    ['GET', `/participants/${OTHER}/events`, 'participant-registrations:read'],
+    ['GET', `/participant-events/${OTHER}/${OTHER}/qr`, 'participant-registrations:read'],
+    ['POST', '/participant-events', 'participant-registrations:write'],
+    ['DELETE', `/participant-events/${OTHER}/${OTHER}`, 'participant-registrations:write'],
+    ['POST', `/series/${OTHER}/participants`, 'participant-registrations:write'],
+    ['DELETE', `/events/${OTHER}/waitlist/participants/${OTHER}`, 'participant-registrations:write'],
+
+    ['GET', `/volunteers/${OTHER}/events`, 'volunteer-registrations:read'],
+    ['GET', `/volunteer-events/${OTHER}/${OTHER}/qr`, 'volunteer-registrations:read'],
+    ['POST', '/volunteer-events', 'volunteer-registrations:write'],
+    ['DELETE', `/volunteer-events/${OTHER}/${OTHER}`, 'volunteer-registrations:write'],
+    ['POST', `/series/${OTHER}/volunteers`, 'volunteer-registrations:write'],
+    ['DELETE', `/events/${OTHER}/waitlist/volunteers/${OTHER}`, 'volunteer-registrations:write'],
+
+    ['GET', '/analytics/participation', 'analytics:read'],
+    ['GET', '/analytics/events', 'analytics:read'],
+    ['GET', '/analytics/age-bands', 'analytics:read'],
+    ['GET', '/analytics/disabled-friendly', 'analytics:read'],
+
+    ['GET', '/notifications', 'notifications:read']
+];
+
+describe('authentication', () => {
+    for (const [method, path] of ROUTES) {
+        test(`${method} ${path} needs a token`, async () => {
+            const res = await api.request(method, path, { body: bodyFor(method) });
+            assert.strictEqual(res.status, 401);
+        });
+    }
+});
+
+describe('permissions', () => {
+    const tokens = {};
+
+    beforeEach(async () => {
+        resetData();
+        tokens.staff = await tokenFor(await createStaff());
+        tokens.volunteer = await tokenFor(await createVolunteer());
+        tokens.participant = await tokenFor(await createParticipant());
+        tokens.caregiver = await tokenFor(await createCaregiver());
+    });
+
+    for (const [method, path, permission] of ROUTES.filter(([, , permission]) => permission)) {
+        const refused = ['staff', 'volunteer', 'participant', 'caregiver']
+            .filter(role => PERMISSIONS[permission][role] !== 'any');
+
+        for (const role of refused) {
+            test(`${method} ${path} is refused to ${role}`, async () => {
+                const res = await api.request(method, path, { body: bodyFor(method), token: tokens[role] });
+                assert.strictEqual(res.status, 403);
+            });
+        }
+    }
+});
+
+describe('unknown routes', () => {
+    test('return 404', async () => {
+        const res = await api.request('GET', '/no-such-route');
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.message, 'Route not found');
+    });
+});
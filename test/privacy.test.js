@@ -0,0 +1,211 @@
+// Personal data export and the staff-approved erasure workflow.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { getRepositories } = require('../repositories');
+const {
+    startApp, resetData, createStaff, createParticipant, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+let staffID;
+let staffToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffID = await createStaff();
+    staffToken = await tokenFor(staffID);
+});
+
+// { name: content } of every entry in a ZIP archive, read from the local headers
+const unzip = (buffer) => {
+    const entries = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength;
+        entries[name] = zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+        offset = start + size;
+    }
+    return entries;
+};
+
+const PAST = { start_time: '2020-03-01 10:00:00', end_time: '2020-03-01 12:00:00' };
+
+describe('personal data export', () => {
+    test('gives a participant everything held about them, with their full NRIC', async () => {
+        const participantID = await createParticipant({ NRIC: 'S1234567D' });
+        const eventID = await createEvent();
+        await getRepositories().registrations.register('participant', participantID, eventID);
+
+        const res = await api.request('GET', `/users/${participantID}/personal-data`, { token: await tokenFor(participantID) });
+
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="lumen-personal-data-\d+\.json"/);
+        assert.strictEqual(res.body.profile.NRIC, 'S1234567D');
+        assert.strictEqual('NRIC_hash' in res.body.profile, false);
+        assert.strictEqual(res.body.profile.phoneNumber, (await getRepositories().participants.findById(participantID)).phoneNumber);
+        assert.deepStrictEqual(res.body.participantRegistrations.map(event => event.eventID), [eventID]);
+        assert.strictEqual(res.body.sessions.length, 1);
+    });
+
+    test('can be downloaded as a ZIP with one file per section', async () => {
+        const participantID = await createParticipant({ NRIC: 'S1234567D' });
+
+        const res = await api.request('GET', `/users/${participantID}/personal-data?format=zip`, { token: await tokenFor(participantID) });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'application/zip');
+        const files = unzip(res.body);
+        assert.deepStrictEqual(Object.keys(files).sort(), [
+            'README.txt', 'attendance.json', 'caregiverLinks.json', 'notificationPreferences.json', 'notifications.json',
+            'participantRegistrations.json', 'profile.json', 'sessions.json', 'volunteerRegistrations.json', 'waitlist.json'
+        ]);
+        assert.strictEqual(JSON.parse(files['profile.json']).NRIC, 'S1234567D');
+    });
+
+    test('is limited to your own data, except for staff', async () => {
+        const participantID = await createParticipant();
+        const otherID = await createParticipant({ NRIC: 'S1234567D' });
+
+        const other = await api.request('GET', `/users/${otherID}/personal-data`, { token: await tokenFor(participantID) });
+        assert.strictEqual(other.status, 403);
+
+        const staff = await api.request('GET', `/users/${otherID}/personal-data`, { token: staffToken });
+        assert.strictEqual(staff.status, 200);
+        assert.strictEqual(staff.body.profile.userID, otherID);
+        assert.strictEqual(staff.body.profile.NRIC, 'S****567D');
+
+        const zip = await api.request('GET', `/users/${otherID}/personal-data?format=zip`, { token: staffToken });
+        assert.strictEqual(JSON.parse(unzip(zip.body)['profile.json']).NRIC, 'S****567D');
+    });
+
+    test('is recorded in the audit trail', async () => {
+        const participantID = await createParticipant();
+        await api.request('GET', `/users/${participantID}/personal-data`, { token: staffToken });
+
+        const [entry] = await getRepositories().privacy.listAudit(participantID);
+        assert.strictEqual(entry.action, 'exported');
+        assert.strictEqual(entry.actorID, staffID);
+    });
+
+    test('returns 404 for an unknown user', async () => {
+        const res = await api.request('GET', '/users/999/personal-data', { token: staffToken });
+        assert.strictEqual(res.status, 404);
+    });
+});
+
+describe('erasure requests', () => {
+    const requestErasure = async (userID, reason) => api.request('DELETE', `/users/${userID}`, {
+        token: await tokenFor(userID),
+        body: reason ? { reason } : undefined
+    });
+
+    test('are filed by the person and listed for staff', async () => {
+        const participantID = await createParticipant();
+
+        const res = await requestErasure(participantID, 'Moving overseas');
+        assert.strictEqual(res.status, 202);
+        assert.strictEqual(res.body.data.reason, 'Moving overseas');
+
+        const again = await requestErasure(participantID);
+        assert.strictEqual(again.status, 400);
+        assert.strictEqual(again.body.requestID, res.body.data.requestID);
+
+        const pending = await api.request('GET', '/erasure-requests?status=pending', { token: staffToken });
+        assert.deepStrictEqual(pending.body.data.map(request => request.userID), [participantID]);
+    });
+
+    test('approval anonymises the account but keeps event history', async () => {
+        const participantID = await createParticipant({ NRIC: 'S1234567D', fullName: 'Tan Ah Kow' });
+        const token = await tokenFor(participantID);
+        const pastID = await createEvent({ eventName: 'Past Karaoke', ...PAST });
+        const upcomingID = await createEvent({ max_participants: 1 });
+        const waitingID = await createParticipant();
+        const { registrations } = getRepositories();
+        await registrations.register('participant', participantID, pastID);
+        await registrations.register('participant', participantID, upcomingID);
+        await registrations.register('participant', waitingID, upcomingID, { joinWaitlist: true });
+
+        const { body } = await requestErasure(participantID);
+        const res = await api.request('POST', `/erasure-requests/${body.data.requestID}/approve`, {
+            token: staffToken,
+            body: { note: 'Identity confirmed by phone' }
+        });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.data.status, 'approved');
+        assert.strictEqual(res.body.data.reviewed_by, staffID);
+
+        const user = getRepositories().store.users.get(participantID);
+        assert.strictEqual(user.fullName, 'Deleted user');
+        assert.strictEqual(user.NRIC, null);
+        assert.ok(user.anonymised_at);
+        const participant = getRepositories().store.participants.get(participantID);
+        assert.strictEqual(participant.phoneNumber, `erased:${participantID}`);
+        assert.deepStrictEqual(participant.birthdate, new Date(1950, 0, 1));
+
+        // Logged out, past attendance still counted, upcoming spot handed on
+        assert.strictEqual((await api.request('GET', '/me', { token })).status, 401);
+        assert.deepStrictEqual((await registrations.listForEvent('participant', pastID)).map(row => row.fullName), ['Deleted user']);
+        assert.deepStrictEqual((await registrations.listForEvent('participant', upcomingID)).map(row => row.userID), [waitingID]);
+    });
+
+    test('keep an audit trail of every step', async () => {
+        const participantID = await createParticipant();
+        const { body } = await requestErasure(participantID, 'No longer attending');
+        await api.request('POST', `/erasure-requests/${body.data.requestID}/approve`, { token: staffToken });
+
+        const res = await api.request('GET', `/erasure-requests/${body.data.requestID}`, { token: staffToken });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(
+            res.body.data.audit.map(entry => [entry.action, entry.actorID]),
+            [['erasure_requested', participantID], ['erasure_approved', staffID], ['anonymised', staffID]]
+        );
+        assert.strictEqual(res.body.data.audit[0].details, 'No longer attending');
+        assert.strictEqual(res.body.data.audit[2].details, '0 upcoming registration(s) cancelled');
+    });
+
+    test('can be rejected with a note, and are then closed', async () => {
+        const participantID = await createParticipant();
+        const { body } = await requestErasure(participantID);
+        const path = `/erasure-requests/${body.data.requestID}`;
+
+        const noNote = await api.request('POST', `${path}/reject`, { token: staffToken, body: {} });
+        assert.deepStrictEqual(noNote.body.errors.map(error => error.field), ['note']);
+
+        const rejected = await api.request('POST', `${path}/reject`, { token: staffToken, body: { note: 'Outstanding loan of equipment' } });
+        assert.strictEqual(rejected.status, 200);
+        assert.strictEqual(rejected.body.data.status, 'rejected');
+        assert.strictEqual(getRepositories().store.users.get(participantID).fullName, 'Pat Participant');
+
+        const approved = await api.request('POST', `${path}/approve`, { token: staffToken });
+        assert.strictEqual(approved.status, 400);
+        assert.strictEqual(approved.body.error, 'Erasure request has already been rejected');
+    });
+
+    test('cannot be approved by the staff member who filed them', async () => {
+        const { body } = await requestErasure(staffID);
+
+        const res = await api.request('POST', `/erasure-requests/${body.data.requestID}/approve`, { token: staffToken });
+
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual(res.body.error, 'You cannot review your own erasure request');
+    });
+
+    test('return 404 for an unknown request', async () => {
+        const res = await api.request('POST', '/erasure-requests/999/approve', { token: staffToken });
+        assert.strictEqual(res.status, 404);
+    });
+});
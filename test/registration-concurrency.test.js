@@ -0,0 +1,196 @@
+// Fires parallel sign-ups at a nearly full event and checks the capacity holds.
+// The MySQL tests run against the database configured in .env and are skipped
+// when it is unreachable; the memory backend runs the same rules every time.
+require('dotenv').config();
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { pool } = require('../db');
+const { RegistrationError } = require('../services/registration');
+const { createRepositories } = require('../repositories');
+
+const { registrations } = createRepositories('mysql');
+
+const CAPACITY = 5;
+const CONTENDERS = 20;
+
+let dbAvailable = true;
+let staffID;
+let eventID;
+const userIDs = [];
+
+const createUser = async (fullName, role) => {
+    const [result] = await pool.query(
+        'INSERT INTO User (fullName, role, image_url) VALUES (?, ?, ?)',
+        [fullName, role, null]
+    );
+    userIDs.push(result.insertId);
+    return result.insertId;
+};
+
+const createParticipant = async (index) => {
+    const userID = await createUser(`Concurrency Participant ${index}`, 'participant');
+    await pool.query(
+        'INSERT INTO Participant (userID, phoneNumber, birthdate, full_name) VALUES (?, ?, ?, ?)',
+        [userID, `9${String(Date.now()).slice(-5)}${String(index).padStart(2, '0')}`, '1950-01-01', `Concurrency Participant ${index}`]
+    );
+    return userID;
+};
+
+before(async () => {
+    try {
+        await pool.query('SELECT 1');
+    } catch (error) {
+        dbAvailable = false;
+        return;
+    }
+
+    staffID = await createUser('Concurrency Staff', 'staff');
+    const [event] = await pool.query(
+        `INSERT INTO Event (eventName, eventDescription, disabled_friendly, start_time, end_time, location, created_by, max_participants, max_volunteers)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ['Concurrency Test Event', 'Temporary event for the concurrency test', true,
+            '2099-01-01 10:00:00', '2099-01-01 12:00:00', 'Test Hall', staffID, CAPACITY, null]
+    );
+    eventID = event.insertId;
+
+    // Fill all but the last slot
+    for (let i = 0; i < CAPACITY - 1; i++) {
+        const participantID = await createParticipant(i);
+        await registrations.register('participant', participantID, eventID);
+    }
+});
+
+after(async () => {
+    if (dbAvailable && eventID) {
+        await pool.query('DELETE FROM EventAttendance WHERE eventID = ?', [eventID]);
+        await pool.query('DELETE FROM EventWaitlist WHERE eventID = ?', [eventID]);
+        await pool.query('DELETE FROM WaitlistAudit WHERE eventID = ?', [eventID]);
+        await pool.query('DELETE FROM ParticipantEvent WHERE eventID = ?', [eventID]);
+        await pool.query('DELETE FROM Event WHERE eventID = ?', [eventID]);
+    }
+    if (dbAvailable && userIDs.length > 0) {
+        await pool.query('DELETE FROM Participant WHERE userID IN (?)', [userIDs]);
+        await pool.query('DELETE FROM User WHERE userID IN (?)', [userIDs]);
+    }
+    await pool.end();
+});
+
+test('parallel sign-ups for the last slot only fill it once', async (t) => {
+    if (!dbAvailable) {
+        t.skip('MySQL is not reachable');
+        return;
+    }
+
+    const contenders = [];
+    for (let i = 0; i < CONTENDERS; i++) {
+        contenders.push(await createParticipant(CAPACITY + i));
+    }
+
+    const results = await Promise.allSettled(
+        contenders.map(participantID => registrations.register('participant', participantID, eventID))
+    );
+
+    const registered = results.filter(r => r.status === 'fulfilled' && r.value.status === 'registered');
+    const rejected = results.filter(r => r.status === 'rejected');
+
+    assert.strictEqual(registered.length, 1);
+    assert.strictEqual(rejected.length, CONTENDERS - 1);
+    for (const r of rejected) {
+        assert.ok(r.reason instanceof RegistrationError, r.reason.message);
+        assert.strictEqual(r.reason.message, 'Event is full');
+    }
+
+    const [count] = await pool.query('SELECT COUNT(*) as total FROM ParticipantEvent WHERE eventID = ?', [eventID]);
+    assert.strictEqual(count[0].total, CAPACITY);
+});
+
+test('parallel sign-ups with joinWaitlist queue everyone else in order', async (t) => {
+    if (!dbAvailable) {
+        t.skip('MySQL is not reachable');
+        return;
+    }
+
+    const contenders = [];
+    for (let i = 0; i < 5; i++) {
+        contenders.push(await createParticipant(CAPACITY + CONTENDERS + i));
+    }
+
+    const results = await Promise.all(
+        contenders.map(participantID => registrations.register('participant', participantID, eventID, { joinWaitlist: true }))
+    );
+
+    assert.ok(results.every(r => r.status === 'waitlisted'));
+    const positions = results.map(r => r.position).sort((a, b) => a - b);
+    assert.deepStrictEqual(positions, [1, 2, 3, 4, 5]);
+
+    const [count] = await pool.query('SELECT COUNT(*) as total FROM ParticipantEvent WHERE eventID = ?', [eventID]);
+    assert.strictEqual(count[0].total, CAPACITY);
+});
+
+describe('memory backend', () => {
+    // A fresh store holding an event with all but its last slot taken
+    const nearlyFull = async () => {
+        const repositories = createRepositories('memory');
+        let count = 0;
+        const participant = () => {
+            const index = ++count;
+            return repositories.participants.create({
+                fullName: `Concurrency Participant ${index}`,
+                phoneNumber: `+659100${String(index).padStart(4, '0')}`,
+                birthdate: '1950-01-01'
+            });
+        };
+
+        const eventID = await repositories.events.create({
+            eventName: 'Concurrency Test Event',
+            start_time: '2099-01-01 10:00:00',
+            end_time: '2099-01-01 12:00:00',
+            max_participants: CAPACITY
+        });
+        for (let i = 0; i < CAPACITY - 1; i++) {
+            await repositories.registrations.register('participant', await participant(), eventID);
+        }
+        return { registrations: repositories.registrations, participant, eventID };
+    };
+
+    test('parallel sign-ups for the last slot only fill it once', async () => {
+        const { registrations: memory, participant, eventID: fullEventID } = await nearlyFull();
+        const contenders = [];
+        for (let i = 0; i < CONTENDERS; i++) {
+            contenders.push(await participant());
+        }
+
+        const results = await Promise.allSettled(
+            contenders.map(participantID => memory.register('participant', participantID, fullEventID))
+        );
+
+        const registered = results.filter(r => r.status === 'fulfilled' && r.value.status === 'registered');
+        const rejected = results.filter(r => r.status === 'rejected');
+
+        assert.strictEqual(registered.length, 1);
+        assert.strictEqual(rejected.length, CONTENDERS - 1);
+        for (const r of rejected) {
+            assert.ok(r.reason instanceof RegistrationError, r.reason.message);
+            assert.strictEqual(r.reason.message, 'Event is full');
+        }
+        assert.strictEqual((await memory.listForEvent('participant', fullEventID)).length, CAPACITY);
+    });
+
+    test('parallel sign-ups with joinWaitlist queue everyone else in order', async () => {
+        const { registrations: memory, participant, eventID: fullEventID } = await nearlyFull();
+        await memory.register('participant', await participant(), fullEventID);
+        const contenders = [];
+        for (let i = 0; i < 5; i++) {
+            contenders.push(await participant());
+        }
+
+        const results = await Promise.all(
+            contenders.map(participantID => memory.register('participant', participantID, fullEventID, { joinWaitlist: true }))
+        );
+
+        assert.ok(results.every(r => r.status === 'waitlisted'));
+        const positions = results.map(r => r.position).sort((a, b) => a - b);
+        assert.deepStrictEqual(positions, [1, 2, 3, 4, 5]);
+        assert.strictEqual((await memory.listForEvent('participant', fullEventID)).length, CAPACITY);
+    });
+});
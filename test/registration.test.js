@@ -0,0 +1,368 @@
+// Participant and volunteer sign-ups: capacity, duplicates, overlapping
+// events, the waitlist and rosters.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+    startApp, resetData, createStaff, createVolunteer, createParticipant, createEvent, at, tokenFor
+} = require('./helpers');
+
+let api;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(resetData);
+
+let volunteerCounter = 0;
+
+// Both sign-up routes follow the same rules, so every case runs for each role
+const ROLES = {
+    participant: {
+        path: '/participant-events',
+        idField: 'participantID',
+        capacityField: 'max_participants',
+        waitlistKey: 'participants',
+        create: () => createParticipant(),
+        duplicateMessage: 'Already registered'
+    },
+    volunteer: {
+        path: '/volunteer-events',
+        idField: 'volunteerID',
+        capacityField: 'max_volunteers',
+        waitlistKey: 'volunteers',
+        create: () => createVolunteer({ email: `volunteer${++volunteerCounter}@lumen.test` }),
+        duplicateMessage: 'Already registered for this event'
+    }
+};
+
+for (const [role, config] of Object.entries(ROLES)) {
+    // Sign userID up for eventID, acting as that user
+    const signUp = async (userID, eventID, extra = {}) => api.request('POST', config.path, {
+        token: await tokenFor(userID),
+        body: { [config.idField]: userID, eventID, ...extra }
+    });
+
+    const leave = async (userID, eventID) =>
+        api.request('DELETE', `${config.path}/${userID}/${eventID}`, { token: await tokenFor(userID) });
+
+    describe(`POST ${config.path}`, () => {
+        test('signs the user up', async () => {
+            const userID = await config.create();
+            const eventID = await createEvent();
+            const res = await signUp(userID, eventID);
+
+            assert.strictEqual(res.status, 201);
+            assert.strictEqual(res.body.waitlisted, false);
+        });
+
+        test('rejects a second sign-up for the same event', async () => {
+            const userID = await config.create();
+            const eventID = await createEvent();
+            await signUp(userID, eventID);
+            const res = await signUp(userID, eventID);
+
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.error, config.duplicateMessage);
+        });
+
+        test('rejects a sign-up once the event is full', async () => {
+            const eventID = await createEvent({ [config.capacityField]: 1 });
+            await signUp(await config.create(), eventID);
+            const res = await signUp(await config.create(), eventID);
+
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.error, 'Event is full');
+            assert.strictEqual(res.body.waitlistAvailable, true);
+        });
+
+        test('waitlists a sign-up for a full event and promotes it when a spot frees up', async () => {
+            const eventID = await createEvent({ [config.capacityField]: 1 });
+            const first = await config.create();
+            const second = await config.create();
+            await signUp(first, eventID);
+
+            const waitlisted = await signUp(second, eventID, { joinWaitlist: true });
+            assert.strictEqual(waitlisted.status, 201);
+            assert.strictEqual(waitlisted.body.waitlisted, true);
+            assert.strictEqual(waitlisted.body.position, 1);
+
+            const left = await leave(first, eventID);
+            assert.strictEqual(left.status, 200);
+            assert.deepStrictEqual(left.body.promoted, [second]);
+
+            const again = await signUp(second, eventID);
+            assert.strictEqual(again.body.error, config.duplicateMessage);
+        });
+
+        test('ignores capacity on the other role', async () => {
+            const otherField = config.capacityField === 'max_participants' ? 'max_volunteers' : 'max_participants';
+            const eventID = await createEvent({ [otherField]: 0 });
+            const res = await signUp(await config.create(), eventID);
+
+            assert.strictEqual(res.status, 201);
+        });
+
+        test('returns 404 for an unknown event', async () => {
+            const res = await signUp(await config.create(), 999);
+
+            assert.strictEqual(res.status, 404);
+            assert.strictEqual(res.body.error, 'Event not found');
+        });
+
+        test('returns 404 for an unknown user when staff sign them up', async () => {
+            const staffID = await createStaff();
+            const eventID = await createEvent();
+            const res = await api.request('POST', config.path, {
+                token: await tokenFor(staffID),
+                body: { [config.idField]: 999, eventID }
+            });
+
+            assert.strictEqual(res.status, 404);
+            assert.strictEqual(res.body.error, 'User not found');
+        });
+
+        test('lets staff sign anyone up', async () => {
+            const staffID = await createStaff();
+            const userID = await config.create();
+            const eventID = await createEvent();
+            const res = await api.request('POST', config.path, {
+                token: await tokenFor(staffID),
+                body: { [config.idField]: userID, eventID }
+            });
+
+            assert.strictEqual(res.status, 201);
+        });
+
+        test('does not let a user sign someone else up', async () => {
+            const userID = await config.create();
+            const otherID = await config.create();
+            const eventID = await createEvent();
+            const res = await api.request('POST', config.path, {
+                token: await tokenFor(userID),
+                body: { [config.idField]: otherID, eventID }
+            });
+
+            assert.strictEqual(res.status, 403);
+        });
+
+        test('requires a token', async () => {
+            const res = await api.request('POST', config.path, { body: { [config.idField]: 1, eventID: 1 } });
+            assert.strictEqual(res.status, 401);
+        });
+    });
+
+    describe(`${role} time conflicts`, () => {
+        // Existing sign-up runs 10:00-12:00
+        const conflicts = {
+            'starts during it': [at(11), at(13)],
+            'ends during it': [at(9), at(11)],
+            'contains it': [at(9), at(13)],
+            'sits inside it': [at(10, 30), at(11, 30)],
+            'has the same times': [at(10), at(12)]
+        };
+
+        for (const [name, [start_time, end_time]] of Object.entries(conflicts)) {
+            test(`rejects an event that ${name}`, async () => {
+                const userID = await config.create();
+                await signUp(userID, await createEvent({ eventName: 'Morning Tai Chi' }));
+                const res = await signUp(userID, await createEvent({ eventName: 'Karaoke', start_time, end_time }));
+
+                assert.strictEqual(res.status, 400);
+                assert.match(res.body.error, /Morning Tai Chi/);
+            });
+        }
+
+        const allowed = {
+            'starts when it ends': [at(12), at(14)],
+            'ends when it starts': [at(8), at(10)],
+            'is on another day': [at(10, 0, 2), at(12, 0, 2)]
+        };
+
+        for (const [name, [start_time, end_time]] of Object.entries(allowed)) {
+            test(`allows an event that ${name}`, async () => {
+                const userID = await config.create();
+                await signUp(userID, await createEvent());
+                const res = await signUp(userID, await createEvent({ eventName: 'Karaoke', start_time, end_time }));
+
+                assert.strictEqual(res.status, 201);
+            });
+        }
+
+        test('checks conflicts again when promoting from the waitlist', async () => {
+            const eventID = await createEvent({ [config.capacityField]: 1 });
+            const holder = await config.create();
+            const waiting = await config.create();
+            await signUp(holder, eventID);
+            await signUp(waiting, eventID, { joinWaitlist: true });
+            await signUp(waiting, await createEvent({ eventName: 'Karaoke', start_time: at(11), end_time: at(13) }));
+
+            const left = await leave(holder, eventID);
+            assert.deepStrictEqual(left.body.promoted, []);
+        });
+    });
+
+    describe(`${role} waitlist`, () => {
+        const leaveWaitlist = async (userID, eventID) => api.request('DELETE', `/events/${eventID}/waitlist/${config.waitlistKey}/${userID}`, {
+            token: await tokenFor(userID)
+        });
+
+        // A full event with the given users queued on its waitlist, in order
+        const fullEventWith = async (...waiting) => {
+            const eventID = await createEvent({ [config.capacityField]: 1 });
+            await signUp(await config.create(), eventID);
+            for (const userID of waiting) {
+                await signUp(userID, eventID, { joinWaitlist: true });
+            }
+            return eventID;
+        };
+
+        test('GET /events/:eventID/waitlist lists the queue in order', async () => {
+            const first = await config.create();
+            const second = await config.create();
+            const eventID = await fullEventWith(first, second);
+            const res = await api.request('GET', `/events/${eventID}/waitlist`, { token: await tokenFor(await createStaff()) });
+
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(
+                res.body.data[config.waitlistKey].map(entry => [entry.userID, entry.position]),
+                [[first, 1], [second, 2]]
+            );
+        });
+
+        test('leaving the waitlist moves everyone behind up and is not a promotion', async () => {
+            const first = await config.create();
+            const second = await config.create();
+            const eventID = await fullEventWith(first, second);
+
+            const res = await leaveWaitlist(first, eventID);
+            assert.strictEqual(res.status, 200);
+
+            const waitlist = await api.request('GET', `/events/${eventID}/waitlist`, { token: await tokenFor(await createStaff()) });
+            assert.deepStrictEqual(
+                waitlist.body.data[config.waitlistKey].map(entry => [entry.userID, entry.position]),
+                [[second, 1]]
+            );
+            assert.strictEqual((await signUp(first, eventID)).body.error, 'Event is full');
+        });
+
+        test('returns 404 when the user is not on the waitlist', async () => {
+            const userID = await config.create();
+            const res = await leaveWaitlist(userID, await fullEventWith());
+
+            assert.strictEqual(res.status, 404);
+        });
+    });
+
+    describe(`DELETE ${config.path}/:${config.idField}/:eventID`, () => {
+        test('removes the sign-up', async () => {
+            const userID = await config.create();
+            const eventID = await createEvent();
+            await signUp(userID, eventID);
+            const res = await leave(userID, eventID);
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual((await signUp(userID, eventID)).status, 201);
+        });
+
+        test('returns 404 when the user was not signed up', async () => {
+            const userID = await config.create();
+            const res = await leave(userID, await createEvent());
+
+            assert.strictEqual(res.status, 404);
+            assert.strictEqual(res.body.error, 'Registration not found');
+        });
+
+        test('does not let a user remove someone else', async () => {
+            const userID = await config.create();
+            const otherID = await config.create();
+            const eventID = await createEvent();
+            await signUp(otherID, eventID);
+            const res = await api.request('DELETE', `${config.path}/${otherID}/${eventID}`, { token: await tokenFor(userID) });
+
+            assert.strictEqual(res.status, 403);
+        });
+    });
+}
+
+describe('volunteering and taking part', () => {
+    test('a volunteer cannot volunteer over an event they take part in', async () => {
+        const volunteerID = await createVolunteer();
+        const staffToken = await tokenFor(await createStaff());
+        await api.request('POST', '/participant-events', {
+            token: staffToken,
+            body: { participantID: volunteerID, eventID: await createEvent({ eventName: 'Morning Tai Chi' }) }
+        });
+
+        const res = await api.request('POST', '/volunteer-events', {
+            token: await tokenFor(volunteerID),
+            body: { volunteerID, eventID: await createEvent({ eventName: 'Karaoke', start_time: at(11), end_time: at(13) }) }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.match(res.body.error, /Morning Tai Chi/);
+    });
+});
+
+describe('rosters and personal event lists', () => {
+    test('staff and volunteers can read who signed up for an event', async () => {
+        const eventID = await createEvent();
+        const participantID = await createParticipant({ fullName: 'Ah Hock' });
+        const volunteerID = await createVolunteer();
+        await api.request('POST', '/participant-events', {
+            token: await tokenFor(participantID), body: { participantID, eventID }
+        });
+        await api.request('POST', '/volunteer-events', {
+            token: await tokenFor(volunteerID), body: { volunteerID, eventID }
+        });
+
+        const volunteerToken = await tokenFor(volunteerID);
+        const participants = await api.request('GET', `/events/${eventID}/participants`, { token: volunteerToken });
+        const volunteers = await api.request('GET', `/events/${eventID}/volunteers`, { token: await tokenFor(await createStaff()) });
+
+        assert.strictEqual(participants.status, 200);
+        assert.deepStrictEqual(participants.body.data.map(user => user.fullName), ['Ah Hock']);
+        assert.deepStrictEqual(volunteers.body.data.map(user => user.userID), [volunteerID]);
+    });
+
+    test('participants cannot read rosters', async () => {
+        const eventID = await createEvent();
+        const res = await api.request('GET', `/events/${eventID}/participants`, { token: await tokenFor(await createParticipant()) });
+
+        assert.strictEqual(res.status, 403);
+    });
+
+    test('participants see their own events only', async () => {
+        const participantID = await createParticipant();
+        const otherID = await createParticipant();
+        const eventID = await createEvent({ eventName: 'Karaoke' });
+        const token = await tokenFor(participantID);
+        await api.request('POST', '/participant-events', { token, body: { participantID, eventID } });
+
+        const own = await api.request('GET', `/participants/${participantID}/events`, { token });
+        assert.strictEqual(own.status, 200);
+        assert.deepStrictEqual(own.body.data.map(event => event.eventName), ['Karaoke']);
+
+        const other = await api.request('GET', `/participants/${otherID}/events`, { token });
+        assert.strictEqual(other.status, 403);
+    });
+
+    test('volunteers see their own events only', async () => {
+        const volunteerID = await createVolunteer();
+        const otherID = await createVolunteer({ email: 'other@lumen.test' });
+        const eventID = await createEvent({ eventName: 'Karaoke' });
+        const token = await tokenFor(volunteerID);
+        await api.request('POST', '/volunteer-events', { token, body: { volunteerID, eventID } });
+
+        const own = await api.request('GET', `/volunteers/${volunteerID}/events`, { token });
+        assert.strictEqual(own.status, 200);
+        assert.deepStrictEqual(own.body.data.map(event => event.eventName), ['Karaoke']);
+
+        const other = await api.request('GET', `/volunteers/${otherID}/events`, { token });
+        assert.strictEqual(other.status, 403);
+    });
+});
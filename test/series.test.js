@@ -0,0 +1,268 @@
+// Recurring event series: creating them, scoped edits and deletes of their
+// occurrences, and signing up for every occurrence at once.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getRepositories } = require('../repositories');
+const {
+    startApp, resetData, createStaff, createVolunteer, createParticipant, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+let staffToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+});
+
+// Three daily occurrences, 10:00-12:00 on 1-3 January 2099
+const createSeries = async (overrides = {}) => {
+    const res = await api.request('POST', '/series', {
+        token: staffToken,
+        body: {
+            eventName: 'Morning Tai Chi',
+            eventDescription: 'Gentle exercise in the park',
+            disabled_friendly: true,
+            location: 'Community Hall',
+            start_time: '2099-01-01T10:00:00',
+            end_time: '2099-01-01T12:00:00',
+            recurrence: { frequency: 'daily', count: 3 },
+            ...overrides
+        }
+    });
+    assert.strictEqual(res.status, 201);
+    return res.body;
+};
+
+const getSeries = (seriesID) => api.request('GET', `/series/${seriesID}`);
+
+const findEvent = (eventID) => getRepositories().events.findById(eventID);
+
+describe('creating and reading series', () => {
+    test('POST /series creates an event for every occurrence', async () => {
+        const { seriesID, eventIDs } = await createSeries();
+        assert.strictEqual(eventIDs.length, 3);
+
+        const res = await getSeries(seriesID);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.data.eventName, 'Morning Tai Chi');
+        assert.deepStrictEqual(res.body.data.recurrence, { frequency: 'daily', interval: 1, count: 3, exceptions: [] });
+        assert.deepStrictEqual(res.body.data.occurrences.map(occurrence => occurrence.eventID), eventIDs);
+
+        const events = await Promise.all(eventIDs.map(findEvent));
+        assert.deepStrictEqual(events.map(event => new Date(event.start_time).getDate()), [1, 2, 3]);
+        assert.ok(events.every(event => event.seriesID === seriesID && event.location === 'Community Hall'));
+    });
+
+    test('POST /series creates every occurrence as a draft when asked', async () => {
+        const { eventIDs } = await createSeries({ status: 'draft' });
+
+        const events = await Promise.all(eventIDs.map(findEvent));
+        assert.deepStrictEqual(events.map(event => event.status), ['draft', 'draft', 'draft']);
+        assert.strictEqual((await api.request('GET', `/events/${eventIDs[0]}`)).status, 404);
+    });
+
+    test('GET /series lists every series', async () => {
+        const { seriesID } = await createSeries();
+        const res = await api.request('GET', '/series');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.data.map(series => [series.seriesID, series.occurrences]), [[seriesID, 3]]);
+    });
+
+    test('rejects a rule with neither an until date nor a count', async () => {
+        const res = await api.request('POST', '/series', {
+            token: staffToken,
+            body: {
+                eventName: 'Morning Tai Chi',
+                eventDescription: 'Gentle exercise in the park',
+                location: 'Community Hall',
+                start_time: '2099-01-01T10:00:00',
+                end_time: '2099-01-01T12:00:00',
+                recurrence: { frequency: 'daily' }
+            }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual((await api.request('GET', '/series')).body.data.length, 0);
+    });
+
+    test('returns 404 for an unknown series', async () => {
+        const res = await getSeries(999);
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error, 'Series not found');
+    });
+});
+
+describe('PUT /events/:eventID?scope=', () => {
+    const edit = (eventID, scope, body) => api.request('PUT', `/events/${eventID}?scope=${scope}`, { token: staffToken, body });
+
+    test('this changes only the one occurrence', async () => {
+        const { eventIDs } = await createSeries();
+        const res = await edit(eventIDs[1], 'this', { location: 'Void Deck' });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.eventIDs, [eventIDs[1]]);
+        const events = await Promise.all(eventIDs.map(findEvent));
+        assert.deepStrictEqual(events.map(event => event.location), ['Community Hall', 'Void Deck', 'Community Hall']);
+    });
+
+    test('following moves this and later occurrences to a new time of day', async () => {
+        const { eventIDs } = await createSeries();
+        const res = await edit(eventIDs[1], 'following', {
+            start_time: '2099-01-02T14:00:00', end_time: '2099-01-02T15:30:00'
+        });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.eventIDs, eventIDs.slice(1));
+        const events = await Promise.all(eventIDs.map(findEvent));
+        assert.deepStrictEqual(
+            events.map(event => [new Date(event.start_time).getDate(), new Date(event.start_time).getHours(), new Date(event.end_time).getMinutes()]),
+            [[1, 10, 0], [2, 14, 30], [3, 14, 30]]
+        );
+    });
+
+    test('all also updates the series template and promotes from the waitlists', async () => {
+        const { seriesID, eventIDs } = await createSeries({ max_participants: 1 });
+        const participantID = await createParticipant();
+        const waitingID = await createParticipant();
+        const { registrations } = getRepositories();
+        await registrations.register('participant', participantID, eventIDs[0]);
+        await registrations.register('participant', waitingID, eventIDs[0], { joinWaitlist: true });
+
+        const res = await edit(eventIDs[2], 'all', { eventName: 'Evening Tai Chi', max_participants: 2 });
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.promoted[eventIDs[0]].participants, [waitingID]);
+        const events = await Promise.all(eventIDs.map(findEvent));
+        assert.ok(events.every(event => event.eventName === 'Evening Tai Chi'));
+        assert.strictEqual((await getSeries(seriesID)).body.data.eventName, 'Evening Tai Chi');
+    });
+
+    test('refuses a scope for an event outside any series', async () => {
+        const res = await edit(await createEvent(), 'all', { location: 'Void Deck' });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'Event is not part of a series');
+    });
+
+    test('refuses an unknown scope', async () => {
+        const { eventIDs } = await createSeries();
+        const res = await edit(eventIDs[0], 'some', { location: 'Void Deck' });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual((await findEvent(eventIDs[0])).location, 'Community Hall');
+    });
+});
+
+describe('DELETE /events/:eventID?scope=', () => {
+    const remove = (eventID, scope) => api.request('DELETE', `/events/${eventID}?scope=${scope}`, { token: staffToken });
+
+    test('refuses to delete published occurrences', async () => {
+        const { eventIDs } = await createSeries();
+        const res = await remove(eventIDs[0], 'all');
+
+        assert.strictEqual(res.status, 409);
+        assert.strictEqual(res.body.eventStatus, 'published');
+        assert.ok(await findEvent(eventIDs[0]));
+    });
+
+    test('this removes the occurrence and records its date as an exception', async () => {
+        const { seriesID, eventIDs } = await createSeries({ status: 'draft' });
+        const res = await remove(eventIDs[1], 'this');
+
+        assert.strictEqual(res.status, 200);
+        const series = (await getSeries(seriesID)).body.data;
+        assert.deepStrictEqual(series.recurrence.exceptions, ['2099-01-02']);
+        assert.deepStrictEqual(series.occurrences.map(occurrence => occurrence.eventID), [eventIDs[0], eventIDs[2]]);
+        assert.strictEqual(await findEvent(eventIDs[1]), undefined);
+    });
+
+    test('following removes later occurrences and ends the series the day before', async () => {
+        const { seriesID, eventIDs } = await createSeries({ status: 'draft' });
+        const res = await remove(eventIDs[1], 'following');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.eventIDs, eventIDs.slice(1));
+        const series = (await getSeries(seriesID)).body.data;
+        assert.strictEqual(series.recurrence.until, '2099-01-01');
+        assert.strictEqual(series.recurrence.count, undefined);
+        assert.deepStrictEqual(series.occurrences.map(occurrence => occurrence.eventID), [eventIDs[0]]);
+        assert.deepStrictEqual((await Promise.all(eventIDs.map(findEvent))).map(Boolean), [true, false, false]);
+    });
+
+    test('all removes the series', async () => {
+        const { seriesID, eventIDs } = await createSeries({ status: 'draft' });
+        const res = await remove(eventIDs[0], 'all');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual((await getSeries(seriesID)).status, 404);
+        assert.deepStrictEqual(await Promise.all(eventIDs.map(findEvent)), [undefined, undefined, undefined]);
+    });
+
+    test('refuses occurrences that people signed up for', async () => {
+        const { eventIDs } = await createSeries();
+        await getRepositories().registrations.register('participant', await createParticipant(), eventIDs[2]);
+        for (const eventID of eventIDs) {
+            await getRepositories().events.setStatus(eventID, { status: 'draft' }, { from: ['published'] });
+        }
+        const res = await remove(eventIDs[0], 'following');
+
+        assert.strictEqual(res.status, 409);
+        assert.strictEqual((await Promise.all(eventIDs.map(findEvent))).filter(Boolean).length, 3);
+    });
+});
+
+describe('signing up for a series', () => {
+    test('POST /series/:seriesID/participants signs the participant up for every occurrence', async () => {
+        const { seriesID, eventIDs } = await createSeries();
+        const participantID = await createParticipant();
+        await getRepositories().registrations.register('participant', participantID, eventIDs[0]);
+
+        const res = await api.request('POST', `/series/${seriesID}/participants`, {
+            token: await tokenFor(participantID), body: { participantID }
+        });
+
+        assert.strictEqual(res.status, 201);
+        assert.deepStrictEqual(
+            res.body.data.map(result => [result.eventID, result.status]),
+            [[eventIDs[0], 'already_registered'], [eventIDs[1], 'registered'], [eventIDs[2], 'registered']]
+        );
+    });
+
+    test('POST /series/:seriesID/volunteers waitlists the volunteer where an occurrence is full', async () => {
+        const { seriesID, eventIDs } = await createSeries({ max_volunteers: 1 });
+        const volunteerID = await createVolunteer();
+        await getRepositories().registrations.register('volunteer', await createVolunteer({ email: 'other@lumen.test' }), eventIDs[1]);
+
+        const body = { volunteerID };
+        const token = await tokenFor(volunteerID);
+        const full = await api.request('POST', `/series/${seriesID}/volunteers`, { token, body });
+        assert.strictEqual(full.status, 400);
+        assert.strictEqual(full.body.error, 'Event is full');
+        assert.strictEqual(full.body.eventID, eventIDs[1]);
+        assert.strictEqual(await getRepositories().registrations.isRegistered('volunteer', volunteerID, eventIDs[0]), false);
+
+        const res = await api.request('POST', `/series/${seriesID}/volunteers`, { token, body: { ...body, joinWaitlist: true } });
+        assert.strictEqual(res.status, 201);
+        assert.deepStrictEqual(res.body.data.map(result => result.status), ['registered', 'waitlisted', 'registered']);
+    });
+
+    test('returns 404 for an unknown series', async () => {
+        const participantID = await createParticipant();
+        const res = await api.request('POST', '/series/999/participants', {
+            token: await tokenFor(participantID), body: { participantID }
+        });
+
+        assert.strictEqual(res.status, 404);
+    });
+});
@@ -0,0 +1,215 @@
+// Users, participants, volunteers and staff: who may read, create, change
+// and delete which accounts.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+    PASSWORD, startApp, resetData, createStaff, createVolunteer, createParticipant, tokenFor
+} = require('./helpers');
+
+let api;
+let staffToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+});
+
+describe('users', () => {
+    test('staff can list and create users', async () => {
+        const created = await api.request('POST', '/users', { token: staffToken, body: { fullName: 'Kim Lee', role: 'staff' } });
+        assert.strictEqual(created.status, 201);
+
+        const res = await api.request('GET', '/users', { token: staffToken });
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.data.some(user => user.userID === created.body.userID));
+    });
+
+    test('other roles cannot list users', async () => {
+        const res = await api.request('GET', '/users', { token: await tokenFor(await createVolunteer()) });
+        assert.strictEqual(res.status, 403);
+    });
+
+    test('a user can update their own profile but not someone else\'s', async () => {
+        const participantID = await createParticipant();
+        const otherID = await createParticipant();
+        const token = await tokenFor(participantID);
+
+        const own = await api.request('PUT', `/users/${participantID}`, { token, body: { fullName: 'Tan Ah Kow' } });
+        assert.strictEqual(own.status, 200);
+        const me = await api.request('GET', '/me', { token });
+        assert.strictEqual(me.body.data.fullName, 'Tan Ah Kow');
+
+        const other = await api.request('PUT', `/users/${otherID}`, { token, body: { fullName: 'Tan Ah Kow' } });
+        assert.strictEqual(other.status, 403);
+    });
+
+    test('staff cannot update other users through /users', async () => {
+        const res = await api.request('PUT', `/users/${await createParticipant()}`, { token: staffToken, body: { fullName: 'Nobody' } });
+        assert.strictEqual(res.status, 403);
+    });
+
+    test('deleting your own account asks staff to erase it', async () => {
+        const volunteerID = await createVolunteer();
+        const token = await tokenFor(volunteerID);
+        const res = await api.request('DELETE', `/users/${volunteerID}`, { token });
+
+        assert.strictEqual(res.status, 202);
+        assert.strictEqual(res.body.data.status, 'pending');
+        // Nothing changes until the request is approved
+        const login = await api.request('POST', '/login', { body: { email: 'volunteer@lumen.test', password: PASSWORD } });
+        assert.strictEqual(login.status, 200);
+    });
+});
+
+describe('participants', () => {
+    test('staff can create and list participants', async () => {
+        const res = await api.request('POST', '/participants', {
+            token: staffToken,
+            body: { fullName: 'Lim Bee Hoon', phoneNumber: '+6593330000', birthdate: '1945-08-09' }
+        });
+        assert.strictEqual(res.status, 201);
+
+        const list = await api.request('GET', '/participants', { token: staffToken });
+        assert.deepStrictEqual(list.body.data.map(participant => participant.phoneNumber), ['+6593330000']);
+    });
+
+    test('requires name, phone number and birthdate', async () => {
+        const res = await api.request('POST', '/participants', { token: staffToken, body: { fullName: 'Lim Bee Hoon' } });
+        assert.strictEqual(res.status, 400);
+    });
+
+    test('rejects a phone number that is already registered', async () => {
+        await createParticipant({ phoneNumber: '+6593330000' });
+        const res = await api.request('POST', '/participants', {
+            token: staffToken,
+            body: { fullName: 'Lim Bee Hoon', phoneNumber: '+6593330000', birthdate: '1945-08-09' }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'This phone number is already registered');
+    });
+
+    test('a participant can update their own details', async () => {
+        const participantID = await createParticipant();
+        const res = await api.request('PUT', `/participants/${participantID}`, {
+            token: await tokenFor(participantID),
+            body: { fullName: 'Pat Updated', phoneNumber: '+6594440000' }
+        });
+        assert.strictEqual(res.status, 200);
+
+        const signIn = await api.request('POST', '/participant/check-or-create', {
+            body: { phoneNumber: '+6594440000', birthdate: '1950-06-15', fullName: 'Pat Updated' }
+        });
+        assert.strictEqual(signIn.status, 200);
+        assert.strictEqual(signIn.body.userID, participantID);
+    });
+
+    test('only staff can delete participants', async () => {
+        const participantID = await createParticipant();
+        const forbidden = await api.request('DELETE', `/participants/${participantID}`, { token: await tokenFor(participantID) });
+        assert.strictEqual(forbidden.status, 403);
+
+        const res = await api.request('DELETE', `/participants/${participantID}`, { token: staffToken });
+        assert.strictEqual(res.status, 200);
+    });
+
+    test('returns 404 when deleting an unknown participant', async () => {
+        const res = await api.request('DELETE', '/participants/999', { token: staffToken });
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error, 'Participant not found');
+    });
+});
+
+describe('volunteers', () => {
+    test('anyone can sign up as a volunteer and then log in', async () => {
+        const res = await api.request('POST', '/volunteers', {
+            body: { fullName: 'Vera Tan', email: 'vera@lumen.test', password: PASSWORD }
+        });
+        assert.strictEqual(res.status, 201);
+
+        const login = await api.request('POST', '/login', { body: { email: 'vera@lumen.test', password: PASSWORD } });
+        assert.strictEqual(login.status, 200);
+        assert.strictEqual(login.body.data.userID, res.body.userID);
+    });
+
+    test('requires name, email and password', async () => {
+        const res = await api.request('POST', '/volunteers', { body: { email: 'vera@lumen.test' } });
+        assert.strictEqual(res.status, 400);
+    });
+
+    test('only staff can list volunteers', async () => {
+        const volunteerID = await createVolunteer();
+        assert.strictEqual((await api.request('GET', '/volunteers', { token: await tokenFor(volunteerID) })).status, 403);
+
+        const res = await api.request('GET', '/volunteers', { token: staffToken });
+        assert.deepStrictEqual(res.body.data.map(volunteer => volunteer.email), ['volunteer@lumen.test']);
+    });
+
+    test('a volunteer can change their own email but not another volunteer\'s', async () => {
+        const volunteerID = await createVolunteer();
+        const otherID = await createVolunteer({ email: 'other@lumen.test' });
+        const token = await tokenFor(volunteerID);
+
+        const own = await api.request('PUT', `/volunteers/${volunteerID}`, { token, body: { email: 'new@lumen.test' } });
+        assert.strictEqual(own.status, 200);
+        const me = await api.request('GET', '/me', { token });
+        assert.strictEqual(me.body.data.email, 'new@lumen.test');
+
+        const other = await api.request('PUT', `/volunteers/${otherID}`, { token, body: { email: 'x@lumen.test' } });
+        assert.strictEqual(other.status, 403);
+    });
+
+    test('returns 404 when deleting an unknown volunteer', async () => {
+        const res = await api.request('DELETE', '/volunteers/999', { token: staffToken });
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error, 'Volunteer not found');
+    });
+});
+
+describe('staff', () => {
+    test('staff can add another staff member', async () => {
+        const res = await api.request('POST', '/staff', {
+            token: staffToken,
+            body: { fullName: 'Siti Rahman', email: 'siti@lumen.test', password: PASSWORD }
+        });
+        assert.strictEqual(res.status, 201);
+
+        const list = await api.request('GET', '/staff', { token: staffToken });
+        assert.deepStrictEqual(list.body.data.map(member => member.email).sort(), ['siti@lumen.test', 'staff@lumen.test']);
+    });
+
+    test('rejects an email that is already registered', async () => {
+        const res = await api.request('POST', '/staff', {
+            token: staffToken,
+            body: { fullName: 'Sam Again', email: 'staff@lumen.test', password: PASSWORD }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'Email already registered');
+    });
+
+    test('volunteers cannot add staff', async () => {
+        const res = await api.request('POST', '/staff', {
+            token: await tokenFor(await createVolunteer()),
+            body: { fullName: 'Sneaky', email: 'sneaky@lumen.test', password: PASSWORD }
+        });
+        assert.strictEqual(res.status, 403);
+    });
+
+    test('returns 404 when deleting an unknown staff member', async () => {
+        const res = await api.request('DELETE', '/staff/999', { token: staffToken });
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.error, 'Staff member not found');
+    });
+});
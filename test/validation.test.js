@@ -0,0 +1,177 @@
+// Request validation against the route documentation (middleware/validate.js).
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const swaggerSpecs = require('../swagger');
+const router = require('../routes/api');
+const { startApp, resetData, createStaff, createParticipant, createEvent, tokenFor } = require('./helpers');
+
+let api;
+let staffToken;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+});
+
+const validEvent = {
+    eventName: 'Karaoke Afternoon',
+    eventDescription: 'Sing along to old favourites',
+    start_time: '2099-02-01T14:00:00',
+    end_time: '2099-02-01T16:00:00',
+    location: 'Community Hall'
+};
+
+const fields = (res) => res.body.errors.map(error => error.field);
+
+describe('route documentation', () => {
+    test('every route has a documented operation to validate against', () => {
+        const undocumented = router.stack
+            .filter(layer => layer.route)
+            .flatMap(layer => Object.keys(layer.route.methods).map(method => [method, layer.route.path]))
+            .filter(([method, path]) => !swaggerSpecs.paths[`/api${path.replace(/:(\w+)/g, '{$1}')}`]?.[method]);
+
+        assert.deepStrictEqual(undocumented, []);
+    });
+});
+
+describe('request bodies', () => {
+    test('lists every missing required field', async () => {
+        const res = await api.request('POST', '/events', { token: staffToken, body: { eventName: 'Karaoke' } });
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(fields(res), ['eventDescription', 'start_time', 'end_time', 'location']);
+        assert.deepStrictEqual(res.body.errors[0], { in: 'body', field: 'eventDescription', message: 'eventDescription is required' });
+        assert.strictEqual(res.body.error, 'eventDescription is required');
+    });
+
+    test('treats blank required strings as missing', async () => {
+        const res = await api.request('POST', '/events', { token: staffToken, body: { ...validEvent, eventName: '' } });
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(fields(res), ['eventName']);
+    });
+
+    test('rejects an event that ends before it starts', async () => {
+        const res = await api.request('POST', '/events', {
+            token: staffToken,
+            body: { ...validEvent, end_time: '2099-02-01T13:00:00' }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'end_time must be after start_time');
+    });
+
+    test('rejects negative capacities and wrong types', async () => {
+        const res = await api.request('POST', '/events', {
+            token: staffToken,
+            body: { ...validEvent, max_participants: -1, max_volunteers: '5', disabled_friendly: 'yes' }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(res.body.errors.map(error => error.message), [
+            'disabled_friendly must be true or false',
+            'max_participants must be at least 0',
+            'max_volunteers must be an integer'
+        ]);
+    });
+
+    test('accepts null for unlimited capacity', async () => {
+        const res = await api.request('POST', '/events', {
+            token: staffToken,
+            body: { ...validEvent, max_participants: null, max_volunteers: 3 }
+        });
+
+        assert.strictEqual(res.status, 201);
+    });
+
+    test('rejects dates that do not exist', async () => {
+        const res = await api.request('POST', '/events', {
+            token: staffToken,
+            body: { ...validEvent, start_time: '2099-02-30T14:00:00', end_time: 'tomorrow' }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(fields(res), ['start_time', 'end_time']);
+    });
+
+    test('rejects a role that does not exist', async () => {
+        const res = await api.request('POST', '/users', { token: staffToken, body: { fullName: 'Kim Lee', role: 'admin' } });
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'role must be one of participant, volunteer, staff, caregiver');
+    });
+
+    test('checks email and date formats', async () => {
+        const volunteer = await api.request('POST', '/volunteers', {
+            body: { fullName: 'Vera Tan', email: 'not-an-email', password: 'Secret123!' }
+        });
+        assert.deepStrictEqual(fields(volunteer), ['email']);
+
+        const participant = await api.request('POST', '/participants', {
+            token: staffToken,
+            body: { fullName: 'Lim Bee Hoon', phoneNumber: '+6593330000', birthdate: '09/08/1945' }
+        });
+        assert.deepStrictEqual(fields(participant), ['birthdate']);
+    });
+
+    test('names nested fields with their path', async () => {
+        const res = await api.request('POST', '/series', {
+            token: staffToken,
+            body: { ...validEvent, recurrence: { frequency: 'yearly', byWeekday: ['MO', 'XX'] } }
+        });
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(fields(res), ['recurrence.frequency', 'recurrence.byWeekday[1]']);
+    });
+
+    test('rejects a body that is not an object', async () => {
+        const res = await api.request('POST', '/auth/refresh', { body: ['token'] });
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(fields(res), ['body']);
+    });
+});
+
+describe('path and query parameters', () => {
+    test('rejects an ID that is not a number', async () => {
+        const res = await api.request('GET', '/events/abc');
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(res.body.errors, [{ in: 'path', field: 'eventID', message: 'eventID must be an integer' }]);
+    });
+
+    test('reads numbers and booleans from the query string', async () => {
+        await createEvent();
+
+        assert.strictEqual((await api.request('GET', '/events?limit=5&disabled_friendly=true')).status, 200);
+        assert.deepStrictEqual(fields(await api.request('GET', '/events?limit=0')), ['limit']);
+        assert.deepStrictEqual(fields(await api.request('GET', '/events?limit=ten&disabled_friendly=maybe')), ['disabled_friendly', 'limit']);
+    });
+
+    test('rejects a parameter given twice', async () => {
+        const res = await api.request('GET', '/events?sort=eventName&sort=start_time');
+
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, 'sort must be given once');
+    });
+});
+
+describe('order of checks', () => {
+    test('a missing token is reported before an invalid body', async () => {
+        const res = await api.request('POST', '/events', { body: {} });
+        assert.strictEqual(res.status, 401);
+    });
+
+    test('a missing permission is reported before an invalid body', async () => {
+        const res = await api.request('POST', '/events', { token: await tokenFor(await createParticipant()), body: {} });
+        assert.strictEqual(res.status, 403);
+    });
+});
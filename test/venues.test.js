@@ -0,0 +1,195 @@
+// Venues: CRUD, events taking their details from a venue and venue
+// double-booking on POST and PUT /events.
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { getRepositories } = require('../repositories');
+const {
+    startApp, resetData, createStaff, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+let staffToken;
+let hallID;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+beforeEach(async () => {
+    resetData();
+    staffToken = await tokenFor(await createStaff());
+    hallID = await getRepositories().venues.create({
+        name: 'Community Centre @ Toa Payoh', room: 'Multi-purpose Hall', address: '93 Toa Payoh Central', postal_code: '319194',
+        capacity: 40, wheelchair_accessible: true, accessible_toilet: true
+    });
+});
+
+afterEach(() => {
+    delete process.env.VENUE_BOOKING_POLICY;
+});
+
+const asStaff = (method, path, body) => api.request(method, path, { token: staffToken, body });
+
+const eventAt = (start, end, overrides = {}) => ({
+    eventName: 'Karaoke', eventDescription: 'Sing along', location: 'Toa Payoh', venueID: hallID,
+    start_time: `2099-01-01T${start}:00`, end_time: `2099-01-01T${end}:00`, ...overrides
+});
+
+describe('venue CRUD', () => {
+    test('creates, lists, updates and deletes venues', async () => {
+        const created = await asStaff('POST', '/venues', { name: 'Tampines Library', address: '1 Tampines Walk', postal_code: '528523' });
+        assert.strictEqual(created.status, 201);
+
+        const list = await api.request('GET', '/venues');
+        assert.deepStrictEqual(list.body.data.map(venue => venue.name), ['Community Centre @ Toa Payoh', 'Tampines Library']);
+
+        const updated = await asStaff('PUT', `/venues/${created.body.venueID}`, {
+            name: 'Tampines Regional Library', address: '1 Tampines Walk', postal_code: '528523', capacity: 25
+        });
+        assert.strictEqual(updated.status, 200);
+        const venue = (await api.request('GET', `/venues/${created.body.venueID}`)).body.data;
+        assert.strictEqual(venue.name, 'Tampines Regional Library');
+        assert.strictEqual(venue.capacity, 25);
+
+        assert.strictEqual((await asStaff('DELETE', `/venues/${created.body.venueID}`)).status, 200);
+        assert.strictEqual((await api.request('GET', `/venues/${created.body.venueID}`)).status, 404);
+    });
+
+    test('needs a six-digit postal code', async () => {
+        const res = await asStaff('POST', '/venues', { name: 'Tampines Library', address: '1 Tampines Walk', postal_code: '52852' });
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(res.body.errors.map(error => error.field), ['postal_code']);
+    });
+
+    test('keeps venues with upcoming events', async () => {
+        const eventID = await createEvent({ venueID: hallID });
+
+        const res = await asStaff('DELETE', `/venues/${hallID}`);
+
+        assert.strictEqual(res.status, 409);
+        assert.deepStrictEqual(res.body.eventIDs, [eventID]);
+    });
+});
+
+describe('events at a venue', () => {
+    test('take the places and accessibility from the venue', async () => {
+        const res = await asStaff('POST', '/events', eventAt('10:00', '12:00', { hearing_loop: false }));
+
+        assert.strictEqual(res.status, 201);
+        assert.deepStrictEqual(res.body.venueClashes, []);
+        const event = await getRepositories().events.findById(res.body.eventID);
+        assert.strictEqual(event.max_participants, 40);
+        assert.strictEqual(event.wheelchair_accessible, 1);
+        assert.strictEqual(event.hearing_loop, 0);
+
+        const listed = await api.request('GET', `/events?venueID=${hallID}`);
+        assert.deepStrictEqual(listed.body.data.map(row => row.eventID), [res.body.eventID]);
+    });
+
+    test('cannot offer more places than the venue holds', async () => {
+        const res = await asStaff('POST', '/events', eventAt('10:00', '12:00', { max_participants: 50 }));
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.field, 'max_participants');
+    });
+
+    test('need a known venue', async () => {
+        const unknown = await asStaff('POST', '/events', eventAt('10:00', '12:00', { venueID: 999 }));
+        assert.strictEqual(unknown.status, 400);
+        assert.strictEqual(unknown.body.field, 'venueID');
+    });
+});
+
+describe('venue double-booking', () => {
+    test('refuses an overlapping booking of the same room', async () => {
+        const taiChi = await createEvent({ venueID: hallID, start_time: '2099-01-01 10:00:00', end_time: '2099-01-01 12:00:00' });
+
+        const overlapping = await asStaff('POST', '/events', eventAt('11:00', '13:00'));
+        assert.strictEqual(overlapping.status, 409);
+        assert.deepStrictEqual(overlapping.body.venueClashes.map(event => event.eventID), [taiChi]);
+
+        const nested = await asStaff('POST', '/events', eventAt('10:30', '11:30'));
+        assert.strictEqual(nested.status, 409);
+
+        const backToBack = await asStaff('POST', '/events', eventAt('12:00', '13:00'));
+        assert.strictEqual(backToBack.status, 201);
+
+        const elsewhere = await asStaff('POST', '/events', eventAt('11:00', '13:00', { venueID: undefined, location: 'Tampines Library' }));
+        assert.strictEqual(elsewhere.status, 201);
+    });
+
+    test('lets an event keep its own slot but not move onto another booking', async () => {
+        await createEvent({ venueID: hallID, start_time: '2099-01-01 10:00:00', end_time: '2099-01-01 12:00:00' });
+        const karaoke = (await asStaff('POST', '/events', eventAt('13:00', '15:00'))).body.eventID;
+
+        const longer = await asStaff('PUT', `/events/${karaoke}`, eventAt('13:00', '16:00'));
+        assert.strictEqual(longer.status, 200);
+
+        const earlier = await asStaff('PUT', `/events/${karaoke}`, eventAt('11:30', '14:00'));
+        assert.strictEqual(earlier.status, 409);
+        const event = await getRepositories().events.findById(karaoke);
+        assert.strictEqual(event.end_time.getHours(), 16);
+    });
+
+    test('saves the booking with a warning under the warn policy', async () => {
+        process.env.VENUE_BOOKING_POLICY = 'warn';
+        const taiChi = await createEvent({ venueID: hallID, start_time: '2099-01-01 10:00:00', end_time: '2099-01-01 12:00:00' });
+
+        const res = await asStaff('POST', '/events', eventAt('11:00', '13:00'));
+
+        assert.strictEqual(res.status, 201);
+        assert.deepStrictEqual(res.body.venueClashes.map(event => event.eventID), [taiChi]);
+    });
+});
+
+describe('series at a venue', () => {
+    // Three daily occurrences in the hall, 13:00-15:00 on 1-3 January 2099
+    const seriesAt = (overrides = {}) => asStaff('POST', '/series', {
+        ...eventAt('13:00', '15:00'), recurrence: { frequency: 'daily', count: 3 }, ...overrides
+    });
+
+    test('books every occurrence into the venue', async () => {
+        const res = await seriesAt();
+
+        assert.strictEqual(res.status, 201);
+        const events = await Promise.all(res.body.eventIDs.map(eventID => getRepositories().events.findById(eventID)));
+        assert.ok(events.every(event => event.venueID === hallID && event.max_participants === 40));
+        assert.ok(events.every(event => event.wheelchair_accessible === 1));
+        assert.strictEqual((await api.request('GET', `/series/${res.body.seriesID}`)).body.data.venueID, hallID);
+    });
+
+    test('refuses a series that clashes with a booking or outgrows the room', async () => {
+        const taiChi = await createEvent({ venueID: hallID, start_time: '2099-01-02 14:00:00', end_time: '2099-01-02 16:00:00' });
+
+        const clash = await seriesAt();
+        assert.strictEqual(clash.status, 409);
+        assert.deepStrictEqual(clash.body.venueClashes.map(event => event.eventID), [taiChi]);
+
+        const tooBig = await seriesAt({ start_time: '2099-01-05T13:00:00', end_time: '2099-01-05T15:00:00', max_participants: 500 });
+        assert.strictEqual(tooBig.status, 400);
+        assert.strictEqual(tooBig.body.field, 'max_participants');
+        assert.strictEqual((await api.request('GET', '/series')).body.data.length, 0);
+    });
+
+    test('checks scoped edits against the venue for each occurrence', async () => {
+        const { eventIDs } = (await seriesAt()).body;
+        const taiChi = await createEvent({ venueID: hallID, start_time: '2099-01-03 10:00:00', end_time: '2099-01-03 12:00:00' });
+        const edit = (eventID, scope, body) => asStaff('PUT', `/events/${eventID}?scope=${scope}`, body);
+
+        const onto = await edit(eventIDs[0], 'all', { start_time: '2099-01-01T11:00:00', end_time: '2099-01-01T13:00:00' });
+        assert.strictEqual(onto.status, 409);
+        assert.deepStrictEqual(onto.body.venueClashes.map(event => event.eventID), [taiChi]);
+
+        const tooBig = await edit(eventIDs[1], 'this', { max_participants: 500 });
+        assert.strictEqual(tooBig.status, 400);
+        assert.strictEqual(tooBig.body.field, 'max_participants');
+
+        // Nothing was saved, and an occurrence's own slot does not clash with itself
+        const events = await Promise.all(eventIDs.map(eventID => getRepositories().events.findById(eventID)));
+        assert.deepStrictEqual(events.map(event => [event.start_time.getHours(), event.max_participants]), [[13, 40], [13, 40], [13, 40]]);
+        assert.strictEqual((await edit(eventIDs[0], 'all', { start_time: '2099-01-01T13:30:00', end_time: '2099-01-01T15:00:00' })).status, 200);
+    });
+});
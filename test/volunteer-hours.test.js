@@ -0,0 +1,164 @@
+// Volunteer hours: totals from event times or check-in/out, staff
+// adjustments and the certificate of service.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { getRepositories } = require('../repositories');
+const {
+    startApp, resetData, createStaff, createVolunteer, createEvent, tokenFor
+} = require('./helpers');
+
+let api;
+let staffID;
+let staffToken;
+let volunteerID;
+let volunteerToken;
+let events;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+});
+
+// Check-in itself runs on MySQL; record the times straight in the memory store
+const recordAttendance = (eventID, userID, checkedIn, checkedOut) => {
+    getRepositories().store.attendance.set(`${eventID}:${userID}:volunteer`, {
+        eventID, userID, role: 'volunteer', status: 'attended', checked_in_at: new Date(checkedIn), checked_out_at: new Date(checkedOut)
+    });
+};
+
+// Two past events (one with check-in/out) and one upcoming, all with the volunteer registered
+beforeEach(async () => {
+    resetData();
+    staffID = await createStaff();
+    staffToken = await tokenFor(staffID);
+    volunteerID = await createVolunteer({ fullName: 'Rachel Lim' });
+    volunteerToken = await tokenFor(volunteerID);
+
+    events = {
+        taiChi: await createEvent({ start_time: '2020-01-06 10:00:00', end_time: '2020-01-06 12:00:00' }),
+        karaoke: await createEvent({ eventName: 'Karaoke', start_time: '2020-02-10 14:00:00', end_time: '2020-02-10 17:00:00' }),
+        upcoming: await createEvent({ start_time: '2099-01-01 10:00:00', end_time: '2099-01-01 12:00:00' })
+    };
+    for (const eventID of Object.values(events)) {
+        await getRepositories().registrations.register('volunteer', volunteerID, eventID);
+    }
+    recordAttendance(events.karaoke, volunteerID, '2020-02-10 13:30:00', '2020-02-10 16:45:00');
+});
+
+const hoursOf = (path, token = staffToken) => api.request('GET', path, { token });
+
+// Drawing operations of a one-page PDF, from its compressed content stream
+const pageContent = (buffer) => {
+    const source = buffer.toString('latin1');
+    const [, length] = /<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/.exec(source);
+    const start = source.indexOf('stream\n') + 'stream\n'.length;
+    return zlib.inflateSync(buffer.subarray(start, start + Number(length))).toString('latin1');
+};
+
+const adjust = (eventID, body) => api.request('PUT', `/volunteers/${volunteerID}/hours/${eventID}`, { token: staffToken, body });
+
+describe('GET /volunteers/:volunteerID/hours', () => {
+    test('totals past events from event times, or check-in/out when recorded', async () => {
+        const res = await hoursOf(`/volunteers/${volunteerID}/hours`, volunteerToken);
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.data.volunteer, { userID: volunteerID, fullName: 'Rachel Lim' });
+        assert.deepStrictEqual(res.body.data.events.map(entry => [entry.eventID, entry.hours, entry.source, entry.scheduledHours]), [
+            [events.taiChi, 2, 'scheduled', 2],
+            [events.karaoke, 3.25, 'check_in', 3]
+        ]);
+        assert.strictEqual(res.body.data.totalHours, 5.25);
+        assert.strictEqual(res.body.data.eventCount, 2);
+    });
+
+    test('covers only events starting within the period', async () => {
+        const res = await hoursOf(`/volunteers/${volunteerID}/hours?from=2020-02-01&to=2020-02-10`);
+
+        assert.deepStrictEqual(res.body.data.events.map(entry => entry.eventID), [events.karaoke]);
+        assert.strictEqual(res.body.data.from, '2020-02-01');
+        assert.strictEqual(res.body.data.totalHours, 3.25);
+    });
+
+    test('only lets volunteers see their own hours', async () => {
+        const otherID = await createVolunteer({ email: 'other@lumen.test' });
+
+        const res = await hoursOf(`/volunteers/${otherID}/hours`, volunteerToken);
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual((await hoursOf('/volunteers/999/hours')).status, 404);
+    });
+});
+
+describe('PUT /volunteers/:volunteerID/hours/:eventID', () => {
+    test('replaces the hours with the latest adjustment and records it in the audit log', async () => {
+        await adjust(events.taiChi, { hours: 4, reason: 'Set up the hall beforehand' });
+        const res = await adjust(events.taiChi, { hours: 3.5, reason: '  Left early  ' });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.data.hours, 3.5);
+        assert.strictEqual(res.body.data.source, 'adjusted');
+        assert.strictEqual(res.body.data.adjustment.reason, 'Left early');
+        assert.strictEqual(res.body.data.adjustment.adjusted_by, staffID);
+
+        const summary = await hoursOf(`/volunteers/${volunteerID}/hours`);
+        assert.strictEqual(summary.body.data.totalHours, 6.75);
+
+        const [entry] = await getRepositories().auditLog.list({ entity: 'volunteer-hours' }, { limit: 1 });
+        assert.strictEqual(entry.action, 'adjust');
+        assert.strictEqual(entry.entityID, `${volunteerID}:${events.taiChi}`);
+        assert.strictEqual(entry.before_data.hours, 4);
+        assert.strictEqual(entry.after_data.hours, 3.5);
+    });
+
+    test('needs a reason and a registration', async () => {
+        const blank = await adjust(events.taiChi, { hours: 1, reason: '   ' });
+        assert.strictEqual(blank.status, 400);
+
+        const missing = await adjust(events.taiChi, { hours: 1 });
+        assert.deepStrictEqual(missing.body.errors.map(error => error.field), ['reason']);
+
+        const notRegistered = await adjust(await createEvent(), { hours: 1, reason: 'Helped out' });
+        assert.strictEqual(notRegistered.status, 404);
+    });
+
+    test('is for staff only', async () => {
+        const res = await api.request('PUT', `/volunteers/${volunteerID}/hours/${events.taiChi}`, {
+            token: volunteerToken,
+            body: { hours: 10, reason: 'Generous' }
+        });
+        assert.strictEqual(res.status, 403);
+    });
+});
+
+describe('GET /volunteers/:volunteerID/hours/certificate', () => {
+    test('certifies the hours served in the period', async () => {
+        const res = await hoursOf(`/volunteers/${volunteerID}/hours/certificate?from=2020-01-01&to=2020-12-31`, volunteerToken);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'application/pdf');
+        assert.match(res.headers.get('content-disposition'), new RegExp(`volunteer-${volunteerID}-service-certificate\\.pdf`));
+
+        const content = pageContent(res.body);
+        assert.match(content, /\(Rachel Lim\) Tj/);
+        assert.match(content, /\(5.25 hours of volunteer service\) Tj/);
+        assert.match(content, /\(at 2 events from 1 January 2020 to 31 December 2020.\) Tj/);
+    });
+
+    test('is refused for a period without service', async () => {
+        const res = await hoursOf(`/volunteers/${volunteerID}/hours/certificate?from=2021-01-01&to=2021-12-31`);
+        assert.strictEqual(res.status, 404);
+    });
+
+    test('prints a Tamil name no font has as ?, rather than refusing the certificate', async () => {
+        const tamilID = await createVolunteer({ fullName: 'கமலா', email: 'kamala@lumen.test' });
+        await getRepositories().registrations.register('volunteer', tamilID, events.taiChi);
+
+        const res = await hoursOf(`/volunteers/${tamilID}/hours/certificate`);
+
+        assert.strictEqual(res.status, 200);
+        assert.match(pageContent(res.body), /\(\?\?\?\?\) Tj/);
+    });
+});